@@ -1,6 +1,17 @@
 /**
  * Admin Authentication JavaScript
  * Handles admin login functionality
+ *
+ * Admin sign-in always needs a second factor. After the password step the
+ * server answers with one of:
+ *   - two_factor_required + challenge_token: ask for an authenticator or backup code
+ *   - two_factor_setup_required + setup_token, qr_code, secret: enrol an authenticator first
+ *   - tokens: a trusted device skipped the code step
+ * Only access tokens whose amr claim includes APP_CONFIG.ADMIN_2FA.TOKEN_AMR are kept.
+ *
+ * The amr check only keeps sessions from before two-factor authentication out of
+ * the admin UI. It is not an access control: AdminMiddleware and GET /api/auth/verify
+ * do not check the claim yet, and must before the server can rely on 2FA.
  */
 
 class AdminAuth {
@@ -11,6 +22,24 @@ class AdminAuth {
     this.passwordToggle = document.getElementById('passwordToggle');
     this.rememberMeCheckbox = document.getElementById('rememberMe');
     this.loginBtn = document.getElementById('loginBtn');
+
+    // Two-factor steps
+    this.twoFactorForm = document.getElementById('twoFactorForm');
+    this.twoFactorInput = document.getElementById('twoFactorCode');
+    this.twoFactorBtn = document.getElementById('twoFactorBtn');
+    this.trustDeviceCheckbox = document.getElementById('trustDevice');
+    this.useBackupCodeBtn = document.getElementById('useBackupCode');
+    this.setupForm = document.getElementById('twoFactorSetupForm');
+    this.setupInput = document.getElementById('setupCode');
+    this.setupBtn = document.getElementById('setupBtn');
+    this.backupCodesPanel = document.getElementById('backupCodes');
+
+    this.pendingEmail = null;
+    this.challengeToken = null;
+    this.setupToken = null;
+    this.useBackupCode = false;
+    this.backupCodes = [];
+    this.completedAuth = null;
     
     this.init();
   }
@@ -38,6 +67,22 @@ class AdminAuth {
     
     // Remember me functionality
     this.rememberMeCheckbox.addEventListener('change', () => this.handleRememberMe());
+
+    // Two-factor code step
+    this.twoFactorForm.addEventListener('submit', (e) => this.handleTwoFactor(e));
+    this.twoFactorInput.addEventListener('input', () => this.handleCodeInput(this.twoFactorInput, this.twoFactorForm));
+    this.useBackupCodeBtn.addEventListener('click', () => this.setBackupCodeMode(!this.useBackupCode));
+    document.getElementById('twoFactorBack').addEventListener('click', () => this.showStep('login'));
+
+    // Enrolment step
+    this.setupForm.addEventListener('submit', (e) => this.handleSetup(e));
+    this.setupInput.addEventListener('input', () => this.handleCodeInput(this.setupInput, this.setupForm));
+    document.getElementById('setupBack').addEventListener('click', () => this.showStep('login'));
+
+    // Backup codes
+    document.getElementById('copyBackupCodes').addEventListener('click', () => this.copyBackupCodes());
+    document.getElementById('downloadBackupCodes').addEventListener('click', () => this.downloadBackupCodes());
+    document.getElementById('backupCodesDone').addEventListener('click', () => this.finishLogin());
   }
 
   /**
@@ -79,33 +124,35 @@ class AdminAuth {
       password: formData.get('password')
     };
 
+    // A trusted device can skip the code step
+    const trustedDevice = this.getTrustedDevice(credentials.email);
+    if (trustedDevice) {
+      credentials.trusted_device_token = trustedDevice.token;
+    }
+
     try {
       this.setLoading(true);
       
       // Make API call to admin login endpoint
       const response = await this.loginAdmin(credentials);
       
-      if (response.success) {
-        // Store admin token and data
-        this.storeAdminAuth(response.data);
-        
-        // Handle remember me
-        if (this.rememberMeCheckbox.checked) {
-          localStorage.setItem('admin_remembered_email', credentials.email);
-        } else {
-          localStorage.removeItem('admin_remembered_email');
+      if (!response.success) {
+        throw new Error(response.message || 'Login failed');
+      }
+
+      this.pendingEmail = credentials.email;
+      const data = response.data;
+
+      if (data.two_factor_setup_required) {
+        this.showSetup(data);
+      } else if (data.two_factor_required) {
+        // The server no longer trusts this device
+        if (trustedDevice) {
+          this.clearTrustedDevice();
         }
-        
-        // Show success message
-        NotificationManager.show('Login successful! Redirecting...', 'success');
-        
-        // Redirect to admin dashboard
-        setTimeout(() => {
-          window.location.href = 'admin-dashboard.html';
-        }, 1000);
-        
+        this.showTwoFactor(data.challenge_token);
       } else {
-        throw new Error(response.message || 'Login failed');
+        this.completeLogin(data);
       }
       
     } catch (error) {
@@ -117,23 +164,367 @@ class AdminAuth {
   }
 
   /**
-   * Make admin login API call
+   * Handle two-factor code submission
    */
-  async loginAdmin(credentials) {
-    const response = await fetch(`${API_CONFIG.BASE_URL}/auth/admin/login`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(credentials)
+  async handleTwoFactor(e) {
+    e.preventDefault();
+
+    const code = this.twoFactorInput.value.trim();
+    if (!this.validateCode(code, 'twoFactorCodeError', this.useBackupCode)) {
+      return;
+    }
+
+    const payload = {
+      challenge_token: this.challengeToken,
+      trust_device: this.trustDeviceCheckbox.checked
+    };
+    payload[this.useBackupCode ? 'backup_code' : 'code'] = code;
+
+    try {
+      this.setLoading(true, this.twoFactorBtn, this.twoFactorForm);
+
+      const response = await this.postAuth(API_CONFIG.ENDPOINTS.AUTH.ADMIN_2FA_VERIFY, payload);
+      const data = response.data;
+
+      if (data.trusted_device_token) {
+        this.storeTrustedDevice(this.pendingEmail, data);
+      }
+
+      if (typeof data.backup_codes_remaining === 'number' &&
+          data.backup_codes_remaining <= APP_CONFIG.ADMIN_2FA.BACKUP_CODES_WARNING) {
+        NotificationManager.show(
+          `You have ${data.backup_codes_remaining} backup code${data.backup_codes_remaining === 1 ? '' : 's'} left. Generate new ones from your account settings.`,
+          'warning'
+        );
+      }
+
+      this.completeLogin(data);
+
+    } catch (error) {
+      console.error('Admin two-factor error:', error);
+
+      if (error.status === 401 && error.data?.errors?.challenge_token) {
+        // The challenge expired; the password has to be entered again
+        NotificationManager.show('Your sign-in timed out. Please sign in again.', 'error');
+        this.showStep('login');
+      } else if (error.status === 429) {
+        this.showError('twoFactorCodeError', 'Too many attempts. Please wait a few minutes and try again.');
+      } else {
+        this.showError('twoFactorCodeError', error.message || 'Invalid code. Please try again.');
+        this.twoFactorInput.select();
+      }
+    } finally {
+      this.setLoading(false, this.twoFactorBtn, this.twoFactorForm);
+    }
+  }
+
+  /**
+   * Handle authenticator enrolment submission
+   */
+  async handleSetup(e) {
+    e.preventDefault();
+
+    const code = this.setupInput.value.trim();
+    if (!this.validateCode(code, 'setupCodeError', false)) {
+      return;
+    }
+
+    try {
+      this.setLoading(true, this.setupBtn, this.setupForm);
+
+      const response = await this.postAuth(API_CONFIG.ENDPOINTS.AUTH.ADMIN_2FA_ENABLE, {
+        setup_token: this.setupToken,
+        code
+      });
+      const data = response.data;
+
+      // Tokens are only stored once the backup codes have been acknowledged
+      this.verifyAdminTokens(data);
+      this.completedAuth = data;
+      this.showBackupCodes(data.backup_codes || []);
+
+    } catch (error) {
+      console.error('Admin two-factor setup error:', error);
+
+      if (error.status === 401 && error.data?.errors?.setup_token) {
+        NotificationManager.show('Your setup session timed out. Please sign in again.', 'error');
+        this.showStep('login');
+      } else {
+        this.showError('setupCodeError', error.message || 'Invalid code. Please try again.');
+        this.setupInput.select();
+      }
+    } finally {
+      this.setLoading(false, this.setupBtn, this.setupForm);
+    }
+  }
+
+  /**
+   * Show the code step
+   */
+  showTwoFactor(challengeToken) {
+    this.challengeToken = challengeToken;
+    this.setBackupCodeMode(false);
+    this.trustDeviceCheckbox.checked = false;
+
+    this.showStep('twoFactor');
+    this.twoFactorInput.focus();
+  }
+
+  /**
+   * Show the authenticator enrolment step
+   */
+  showSetup(data) {
+    this.setupToken = data.setup_token;
+
+    document.getElementById('twoFactorQr').src = data.qr_code;
+    // Group the key in fours so it is easier to type
+    document.getElementById('twoFactorSecret').textContent = (data.secret || '').replace(/(.{4})(?=.)/g, '$1 ');
+    this.setupInput.value = '';
+    this.clearError('setupCodeError');
+
+    this.showStep('setup');
+    this.setupInput.focus();
+  }
+
+  /**
+   * Show the one-time backup codes after enrolment
+   */
+  showBackupCodes(codes) {
+    this.backupCodes = codes;
+
+    const list = document.getElementById('backupCodesList');
+    list.innerHTML = '';
+    codes.forEach(code => {
+      const item = document.createElement('li');
+      item.textContent = code;
+      list.appendChild(item);
+    });
+
+    this.showStep('backupCodes');
+  }
+
+  /**
+   * Show one login step and hide the others
+   */
+  showStep(step) {
+    const steps = {
+      login: this.form,
+      twoFactor: this.twoFactorForm,
+      setup: this.setupForm,
+      backupCodes: this.backupCodesPanel
+    };
+
+    Object.entries(steps).forEach(([name, element]) => {
+      element.style.display = name === step ? 'flex' : 'none';
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+    if (step === 'login') {
+      this.challengeToken = null;
+      this.setupToken = null;
+      this.passwordInput.value = '';
+      this.passwordInput.focus();
     }
+  }
+
+  /**
+   * Switch between authenticator and backup codes
+   */
+  setBackupCodeMode(useBackupCode) {
+    this.useBackupCode = useBackupCode;
 
-    return await response.json();
+    document.getElementById('twoFactorCodeLabel').textContent = this.useBackupCode
+      ? 'Backup Code'
+      : 'Authentication Code';
+
+    document.getElementById('twoFactorHint').textContent = this.useBackupCode
+      ? 'Enter one of the backup codes you saved when you set up two-factor authentication.'
+      : 'Enter the 6-digit code from your authenticator app.';
+
+    this.useBackupCodeBtn.textContent = this.useBackupCode
+      ? 'Use your authenticator app instead'
+      : 'Use a backup code instead';
+
+    this.twoFactorInput.value = '';
+    this.twoFactorInput.inputMode = this.useBackupCode ? 'text' : 'numeric';
+    this.twoFactorInput.placeholder = this.useBackupCode ? 'xxxx-xxxx' : '000000';
+    this.twoFactorInput.maxLength = this.useBackupCode ? 20 : APP_CONFIG.ADMIN_2FA.CODE_LENGTH;
+    this.clearError('twoFactorCodeError');
+    this.twoFactorInput.focus();
+  }
+
+  /**
+   * Keep authenticator codes numeric and submit once complete
+   */
+  handleCodeInput(input, form) {
+    this.clearError(`${input.id}Error`);
+
+    if (input === this.twoFactorInput && this.useBackupCode) return;
+
+    input.value = input.value.replace(/\D/g, '').slice(0, APP_CONFIG.ADMIN_2FA.CODE_LENGTH);
+    if (input.value.length === APP_CONFIG.ADMIN_2FA.CODE_LENGTH) {
+      form.requestSubmit();
+    }
+  }
+
+  /**
+   * Validate an authenticator or backup code
+   */
+  validateCode(code, errorId, isBackupCode) {
+    if (!code) {
+      this.showError(errorId, isBackupCode ? 'Backup code is required' : 'Authentication code is required');
+      return false;
+    }
+
+    if (!isBackupCode && !new RegExp(`^\\d{${APP_CONFIG.ADMIN_2FA.CODE_LENGTH}}$`).test(code)) {
+      this.showError(errorId, `Enter the ${APP_CONFIG.ADMIN_2FA.CODE_LENGTH}-digit code from your app`);
+      return false;
+    }
+
+    this.clearError(errorId);
+    return true;
+  }
+
+  /**
+   * Store the session and go to the dashboard
+   */
+  completeLogin(authData) {
+    this.verifyAdminTokens(authData);
+    this.completedAuth = authData;
+    this.finishLogin();
+  }
+
+  /**
+   * Finish a verified login
+   */
+  finishLogin() {
+    // Store admin token and data
+    this.storeAdminAuth(this.completedAuth);
+
+    // Handle remember me
+    if (this.rememberMeCheckbox.checked) {
+      localStorage.setItem('admin_remembered_email', this.pendingEmail);
+    } else {
+      localStorage.removeItem('admin_remembered_email');
+    }
+
+    // Show success message
+    NotificationManager.show('Login successful! Redirecting...', 'success');
+
+    // Redirect to admin dashboard
+    setTimeout(() => {
+      window.location.href = 'admin-dashboard.html';
+    }, 1000);
+  }
+
+  /**
+   * Refuse sessions that did not pass two-factor authentication
+   */
+  verifyAdminTokens(authData) {
+    const token = authData.tokens ? authData.tokens.accessToken : authData.token;
+
+    if (!token || !TokenUtils.hasTwoFactorClaim(token)) {
+      throw new Error('Two-factor authentication was not completed. Please sign in again.');
+    }
+  }
+
+  /**
+   * Copy backup codes to the clipboard
+   */
+  async copyBackupCodes() {
+    try {
+      await navigator.clipboard.writeText(this.backupCodes.join('\n'));
+      NotificationManager.show('Backup codes copied to clipboard', 'success');
+    } catch (error) {
+      NotificationManager.show('Could not copy the codes. Please download them instead.', 'error');
+    }
+  }
+
+  /**
+   * Download backup codes as a text file
+   */
+  downloadBackupCodes() {
+    const content = [
+      'Riya Collections admin backup codes',
+      `Account: ${this.pendingEmail}`,
+      `Generated: ${new Date().toLocaleString('en-IN')}`,
+      '',
+      'Each code can be used once.',
+      '',
+      ...this.backupCodes
+    ].join('\n');
+
+    const blob = new Blob([content], { type: 'text/plain' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'riya-admin-backup-codes.txt';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Get the trusted device token for an email, if still valid
+   */
+  getTrustedDevice(email) {
+    let device = null;
+    try {
+      device = JSON.parse(localStorage.getItem('admin_trusted_device'));
+    } catch (error) {
+      // Unreadable data is cleared below
+    }
+
+    if (!device || device.expiresAt <= Date.now()) {
+      this.clearTrustedDevice();
+      return null;
+    }
+
+    return device.email === email.toLowerCase() ? device : null;
+  }
+
+  /**
+   * Remember this device so the code step can be skipped
+   */
+  storeTrustedDevice(email, data) {
+    const expiresAt = data.trusted_device_expires_at
+      ? new Date(data.trusted_device_expires_at).getTime()
+      : Date.now() + APP_CONFIG.ADMIN_2FA.TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000;
+
+    localStorage.setItem('admin_trusted_device', JSON.stringify({
+      email: email.toLowerCase(),
+      token: data.trusted_device_token,
+      expiresAt
+    }));
+  }
+
+  /**
+   * Forget the trusted device
+   */
+  clearTrustedDevice() {
+    localStorage.removeItem('admin_trusted_device');
+  }
+
+  /**
+   * Make admin login API call
+   */
+  async loginAdmin(credentials) {
+    return this.postAuth(API_CONFIG.ENDPOINTS.AUTH.ADMIN_LOGIN, credentials);
+  }
+
+  /**
+   * POST to an admin auth endpoint
+   * Errors carry the HTTP status and response body; the message is the server's when it sent one.
+   */
+  async postAuth(endpoint, body) {
+    try {
+      return await api.post(endpoint, body, { skipErrorHandling: true });
+    } catch (error) {
+      if (error.data?.message) {
+        error.message = error.data.message;
+      }
+      throw error;
+    }
   }
 
   /**
@@ -167,19 +558,21 @@ class AdminAuth {
    * Verify token validity
    */
   async verifyToken(token) {
+    // Sessions from before two-factor authentication are not accepted
+    if (!TokenUtils.hasTwoFactorClaim(token)) {
+      this.clearAdminAuth();
+      return;
+    }
+
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/auth/profile`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
+      const data = await api.get(API_CONFIG.ENDPOINTS.AUTH.PROFILE, {}, {
+        headers: { 'Authorization': `Bearer ${token}` },
+        skipErrorHandling: true
       });
 
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success && data.data.user && data.data.user.type === 'admin') {
-          // Token is valid and user is admin, redirect to dashboard
-          window.location.href = 'admin-dashboard.html';
-        }
+      if (data.success && data.data.user && data.data.user.type === 'admin') {
+        // Token is valid and user is admin, redirect to dashboard
+        window.location.href = 'admin-dashboard.html';
       }
     } catch (error) {
       console.error('Token verification error:', error);
@@ -316,20 +709,20 @@ class AdminAuth {
   /**
    * Set loading state
    */
-  setLoading(loading) {
-    const btnText = this.loginBtn.querySelector('.btn-text');
-    const btnLoading = this.loginBtn.querySelector('.btn-loading');
+  setLoading(loading, button = this.loginBtn, form = this.form) {
+    const btnText = button.querySelector('.btn-text');
+    const btnLoading = button.querySelector('.btn-loading');
     
     if (loading) {
       btnText.style.display = 'none';
       btnLoading.style.display = 'flex';
-      this.loginBtn.disabled = true;
-      this.form.style.pointerEvents = 'none';
+      button.disabled = true;
+      form.style.pointerEvents = 'none';
     } else {
       btnText.style.display = 'block';
       btnLoading.style.display = 'none';
-      this.loginBtn.disabled = false;
-      this.form.style.pointerEvents = 'auto';
+      button.disabled = false;
+      form.style.pointerEvents = 'auto';
     }
   }
 }
@@ -35,6 +35,17 @@ class AdminDashboard {
       window.location.href = 'admin-login.html';
       return false;
     }
+
+    // Sessions from before two-factor authentication are not accepted
+    if (!TokenUtils.hasTwoFactorClaim(token)) {
+      localStorage.removeItem('admin_auth_token');
+      localStorage.removeItem('admin_refresh_token');
+      localStorage.removeItem('admin_user_data');
+
+      NotificationManager.show('Please sign in again with two-factor authentication', 'error');
+      window.location.href = 'admin-login.html';
+      return false;
+    }
     return true;
   }
 
@@ -113,6 +124,17 @@ class AdminDashboard {
     }
   }
 
+  /**
+   * Request options for admin API calls
+   * @returns {Object} Request options with the admin token
+   */
+  getRequestOptions() {
+    return {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('admin_auth_token')}` },
+      skipErrorHandling: true
+    };
+  }
+
   /**
    * Load dashboard data from API
    */
@@ -120,19 +142,7 @@ class AdminDashboard {
     try {
       this.showLoading(true);
       
-      const token = localStorage.getItem('admin_auth_token');
-      const response = await fetch(`${API_CONFIG.BASE_URL}/admin/dashboard`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await ApiService.admin.getDashboard(this.getRequestOptions());
       
       if (data.success) {
         this.dashboardData = data.data;
@@ -302,7 +312,7 @@ class AdminDashboard {
    * Update navigation badges
    */
   updateNavigationBadges() {
-    const { orders } = this.dashboardData;
+    const { orders, products } = this.dashboardData;
     
     // Update orders badge with pending orders
     const ordersBadge = document.getElementById('ordersBadge');
@@ -311,6 +321,14 @@ class AdminDashboard {
       ordersBadge.textContent = pendingOrders;
       ordersBadge.style.display = pendingOrders > 0 ? 'block' : 'none';
     }
+    
+    // Update inventory badge with items at or below their low-stock threshold
+    const inventoryBadge = document.getElementById('inventoryBadge');
+    if (inventoryBadge && products) {
+      const lowStockItems = (products.lowStock || 0) + (products.outOfStock || 0);
+      inventoryBadge.textContent = lowStockItems;
+      inventoryBadge.style.display = lowStockItems > 0 ? 'block' : 'none';
+    }
   }
 
   /**
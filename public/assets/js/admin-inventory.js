@@ -0,0 +1,1038 @@
+/**
+ * Admin Inventory Management JavaScript
+ * Handles stock levels, low-stock thresholds and alerts, stock adjustments
+ * and the adjustment log for admin dashboard
+ */
+
+class AdminInventoryManager {
+  constructor() {
+    this.settings = APP_CONFIG.INVENTORY;
+    this.items = [];
+    this.summary = null;
+    this.currentPage = 1;
+    this.itemsPerPage = 20;
+    this.filters = {
+      search: '',
+      status: ''
+    };
+    this.defaultThreshold = this.settings.DEFAULT_LOW_STOCK_THRESHOLD;
+
+    this.adjustments = [];
+    this.adjustmentsPage = 1;
+    this.adjustmentsFilter = null;
+    this.activeItem = null;
+
+    // Keys of items at or below their threshold, for threshold alerts
+    this.lowStockKeys = null;
+    this.alertInterval = null;
+
+    this.init();
+  }
+
+  async init() {
+    // Check if we're on the inventory section
+    if (!document.getElementById('inventorySection')) {
+      return;
+    }
+
+    this.bindEvents();
+    this.populateReasonSelects();
+    await this.loadInventory();
+    this.loadAdjustments();
+    this.startAlertPolling();
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    // Navigation - reload inventory when inventory section is activated
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('[data-section="inventory"]')) {
+        setTimeout(() => this.loadInventory(), 100);
+      }
+    });
+
+    // Filter and search controls
+    document.getElementById('searchInventoryBtn')?.addEventListener('click', () => this.handleSearch());
+    document.getElementById('inventorySearch')?.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.handleSearch();
+      }
+    });
+    document.getElementById('applyInventoryFilters')?.addEventListener('click', () => this.applyFilters());
+    document.getElementById('clearInventoryFilters')?.addEventListener('click', () => this.clearFilters());
+    document.getElementById('refreshInventory')?.addEventListener('click', () => {
+      this.loadInventory();
+      this.loadAdjustments();
+    });
+
+    // Default threshold
+    document.getElementById('saveDefaultThreshold')?.addEventListener('click', () => this.saveDefaultThreshold());
+
+    // Pagination
+    document.getElementById('prevInventoryPage')?.addEventListener('click', () => this.goToPage(this.currentPage - 1));
+    document.getElementById('nextInventoryPage')?.addEventListener('click', () => this.goToPage(this.currentPage + 1));
+
+    // Table row actions
+    const tbody = document.getElementById('inventoryTableBody');
+    tbody?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.action-btn');
+      if (!btn) return;
+
+      const item = this.items.find(entry => this.getItemKey(entry) === btn.dataset.key);
+      if (!item) return;
+
+      if (btn.dataset.action === 'adjust') {
+        this.showAdjustModal(item);
+      } else if (btn.dataset.action === 'history') {
+        this.filterAdjustments(item);
+      }
+    });
+    tbody?.addEventListener('change', (e) => {
+      if (!e.target.classList.contains('threshold-input')) return;
+
+      const item = this.items.find(entry => this.getItemKey(entry) === e.target.dataset.key);
+      if (item) {
+        this.updateThreshold(item, e.target);
+      }
+    });
+
+    // Adjustment log
+    document.getElementById('prevAdjustmentsPage')?.addEventListener('click', () => this.goToAdjustmentsPage(this.adjustmentsPage - 1));
+    document.getElementById('nextAdjustmentsPage')?.addEventListener('click', () => this.goToAdjustmentsPage(this.adjustmentsPage + 1));
+    document.getElementById('clearAdjustmentsFilter')?.addEventListener('click', () => this.filterAdjustments(null));
+
+    // Adjust stock modal
+    document.getElementById('closeAdjustStock')?.addEventListener('click', () => this.hideModal('adjustStockModal'));
+    document.getElementById('cancelAdjustStock')?.addEventListener('click', () => this.hideModal('adjustStockModal'));
+    document.getElementById('saveAdjustStock')?.addEventListener('click', () => this.saveAdjustment());
+    document.getElementById('adjustStockDelta')?.addEventListener('input', () => this.updateAdjustPreview());
+
+    // Bulk restock modal
+    document.getElementById('bulkRestockBtn')?.addEventListener('click', () => this.showBulkRestockModal());
+    document.getElementById('closeBulkRestock')?.addEventListener('click', () => this.hideModal('bulkRestockModal'));
+    document.getElementById('cancelBulkRestock')?.addEventListener('click', () => this.hideModal('bulkRestockModal'));
+    document.getElementById('saveBulkRestock')?.addEventListener('click', () => this.saveBulkRestock());
+    document.getElementById('bulkRestockInput')?.addEventListener('input', () => this.updateBulkRestockPreview());
+
+    ['adjustStockModal', 'bulkRestockModal'].forEach(id => {
+      document.getElementById(id)?.addEventListener('click', (e) => {
+        if (e.target.id === id) {
+          this.hideModal(id);
+        }
+      });
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.hideModal('adjustStockModal');
+        this.hideModal('bulkRestockModal');
+      }
+    });
+  }
+
+  /**
+   * Fill adjustment reason selects from config
+   */
+  populateReasonSelects() {
+    const options = this.settings.ADJUSTMENT_REASONS
+      .map(reason => `<option value="${reason.value}">${reason.label}</option>`)
+      .join('');
+
+    ['adjustStockReason', 'bulkRestockReason'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.innerHTML = options;
+      }
+    });
+  }
+
+  /**
+   * Request options for admin API calls
+   * @returns {Object} Request options with the admin token
+   */
+  getRequestOptions() {
+    return {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('admin_auth_token')}` },
+      skipErrorHandling: true
+    };
+  }
+
+  /**
+   * Load stock levels from API
+   */
+  async loadInventory() {
+    try {
+      this.showLoading(true);
+
+      const response = await ApiService.admin.inventory.getAll({
+        page: this.currentPage,
+        limit: this.itemsPerPage,
+        ...this.filters
+      }, this.getRequestOptions());
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to load inventory');
+      }
+
+      this.items = response.data.items || [];
+      this.summary = response.data.summary || null;
+      this.defaultThreshold = this.summary?.default_low_stock_threshold ?? this.settings.DEFAULT_LOW_STOCK_THRESHOLD;
+
+      this.updateInventoryUI();
+      this.updateSummary();
+      this.updatePagination(response.data.pagination);
+
+    } catch (error) {
+      console.error('Inventory loading error:', error);
+      NotificationManager.show('Failed to load inventory', 'error');
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Key identifying a product or product variant
+   * @param {Object} item - Inventory item
+   * @returns {string} Item key
+   */
+  getItemKey(item) {
+    return ProductUtils.cartLineKey(item.product_id, item.variant_id);
+  }
+
+  /**
+   * Low-stock threshold for an item, falling back to the default
+   * @param {Object} item - Inventory item
+   * @returns {number} Threshold
+   */
+  getThreshold(item) {
+    return item.low_stock_threshold ?? this.defaultThreshold;
+  }
+
+  /**
+   * Stock status for an item
+   * @param {Object} item - Inventory item
+   * @returns {string} out, low or ok
+   */
+  getStockStatus(item) {
+    if (item.stock_quantity <= 0) return 'out';
+    if (item.stock_quantity <= this.getThreshold(item)) return 'low';
+    return 'ok';
+  }
+
+  /**
+   * Display name of an item including its variant
+   * @param {Object} item - Inventory item or adjustment
+   * @returns {string} Item name
+   */
+  getItemName(item) {
+    const name = item.name || item.product_name;
+    return item.variant_label ? `${name} (${item.variant_label})` : name;
+  }
+
+  /**
+   * Update inventory table
+   */
+  updateInventoryUI() {
+    const tbody = document.getElementById('inventoryTableBody');
+    if (!tbody) return;
+
+    if (this.items.length === 0) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="5" class="table-loading">No products found</td>
+        </tr>
+      `;
+      return;
+    }
+
+    const statusLabels = { out: 'Out of Stock', low: 'Low Stock', ok: 'In Stock' };
+    const statusLevels = { out: 'out', low: 'low', ok: 'high' };
+
+    tbody.innerHTML = this.items.map(item => {
+      const key = this.getItemKey(item);
+      const status = this.getStockStatus(item);
+
+      return `
+        <tr class="inventory-row inventory-row--${status}" data-product-id="${item.product_id}">
+          <td>
+            <div class="inventory-product">${FormatUtils.escapeHtml(item.name)}</div>
+            ${item.variant_label ? `<div class="inventory-variant">${FormatUtils.escapeHtml(item.variant_label)}</div>` : ''}
+          </td>
+          <td>${FormatUtils.escapeHtml(item.sku || '—')}</td>
+          <td>
+            <span class="stock-cell"${item.variant_id ? '' : ` data-stock-quantity="${item.stock_quantity}"`}>${item.stock_quantity}</span>
+            <span class="stock-status stock-status--${statusLevels[status]}">${statusLabels[status]}</span>
+          </td>
+          <td>
+            <input type="number" class="form-input threshold-input" min="0" step="1"
+                   data-key="${key}"
+                   value="${item.low_stock_threshold ?? ''}"
+                   placeholder="${this.defaultThreshold}"
+                   aria-label="Low-stock threshold for ${FormatUtils.escapeHtml(this.getItemName(item))}">
+          </td>
+          <td>
+            <div class="order-actions">
+              <button class="action-btn action-btn--edit" title="Adjust Stock" data-action="adjust" data-key="${key}">
+                <i class="ri-add-circle-line"></i>
+              </button>
+              <button class="action-btn action-btn--view" title="Adjustment History" data-action="history" data-key="${key}">
+                <i class="ri-history-line"></i>
+              </button>
+            </div>
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Update summary cards and navigation badge
+   */
+  updateSummary() {
+    if (!this.summary) return;
+
+    const totalEl = document.getElementById('inventoryTotalCount');
+    const lowEl = document.getElementById('inventoryLowCount');
+    const outEl = document.getElementById('inventoryOutCount');
+    const thresholdInput = document.getElementById('defaultLowStockThreshold');
+
+    if (totalEl) totalEl.textContent = this.formatNumber(this.summary.total);
+    if (lowEl) lowEl.textContent = this.formatNumber(this.summary.low_stock);
+    if (outEl) outEl.textContent = this.formatNumber(this.summary.out_of_stock);
+    if (thresholdInput) thresholdInput.value = this.defaultThreshold;
+
+    this.updateBadge((this.summary.low_stock || 0) + (this.summary.out_of_stock || 0));
+  }
+
+  /**
+   * Update low-stock navigation badge
+   * @param {number} count - Items at or below their threshold
+   */
+  updateBadge(count) {
+    const badge = document.getElementById('inventoryBadge');
+    if (badge) {
+      badge.textContent = count;
+      badge.style.display = count > 0 ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Update pagination
+   */
+  updatePagination(pagination) {
+    if (!pagination) return;
+
+    const paginationContainer = document.getElementById('inventoryPagination');
+    const paginationInfo = document.getElementById('inventoryPaginationInfo');
+    const prevBtn = document.getElementById('prevInventoryPage');
+    const nextBtn = document.getElementById('nextInventoryPage');
+
+    if (paginationContainer) {
+      paginationContainer.style.display = pagination.total_pages > 1 ? 'flex' : 'none';
+    }
+
+    if (paginationInfo) {
+      const start = ((pagination.current_page - 1) * pagination.per_page) + 1;
+      const end = Math.min(start + pagination.per_page - 1, pagination.total_items);
+      paginationInfo.textContent = `Showing ${start}-${end} of ${pagination.total_items} items`;
+    }
+
+    if (prevBtn) {
+      prevBtn.disabled = pagination.current_page <= 1;
+    }
+
+    if (nextBtn) {
+      nextBtn.disabled = pagination.current_page >= pagination.total_pages;
+    }
+  }
+
+  /**
+   * Handle search
+   */
+  handleSearch() {
+    const searchInput = document.getElementById('inventorySearch');
+    if (searchInput) {
+      this.filters.search = searchInput.value.trim();
+      this.currentPage = 1;
+      this.loadInventory();
+    }
+  }
+
+  /**
+   * Apply filters
+   */
+  applyFilters() {
+    const statusFilter = document.getElementById('inventoryStatusFilter');
+    this.filters.status = statusFilter ? statusFilter.value : '';
+
+    this.currentPage = 1;
+    this.loadInventory();
+  }
+
+  /**
+   * Clear filters
+   */
+  clearFilters() {
+    this.filters = {
+      search: '',
+      status: ''
+    };
+
+    const searchInput = document.getElementById('inventorySearch');
+    const statusFilter = document.getElementById('inventoryStatusFilter');
+
+    if (searchInput) searchInput.value = '';
+    if (statusFilter) statusFilter.value = '';
+
+    this.currentPage = 1;
+    this.loadInventory();
+  }
+
+  /**
+   * Go to specific page
+   */
+  goToPage(page) {
+    if (page < 1) return;
+    this.currentPage = page;
+    this.loadInventory();
+  }
+
+  /**
+   * Save the low-stock threshold for one item
+   * An empty value goes back to the default threshold.
+   * @param {Object} item - Inventory item
+   * @param {HTMLInputElement} input - Threshold input
+   */
+  async updateThreshold(item, input) {
+    const value = input.value.trim();
+    const threshold = value === '' ? null : parseInt(value, 10);
+
+    if (threshold !== null && (isNaN(threshold) || threshold < 0)) {
+      NotificationManager.show('Threshold must be zero or more', 'error');
+      input.value = item.low_stock_threshold ?? '';
+      return;
+    }
+
+    try {
+      const response = await ApiService.admin.inventory.updateThreshold(
+        item.product_id,
+        threshold,
+        item.variant_id || null,
+        this.getRequestOptions()
+      );
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to update threshold');
+      }
+
+      NotificationManager.show(`Threshold updated for ${this.getItemName(item)}`, 'success');
+      await this.loadInventory();
+
+    } catch (error) {
+      console.error('Threshold update error:', error);
+      NotificationManager.show(error.message || 'Failed to update threshold', 'error');
+      input.value = item.low_stock_threshold ?? '';
+    }
+  }
+
+  /**
+   * Save the default low-stock threshold
+   */
+  async saveDefaultThreshold() {
+    const input = document.getElementById('defaultLowStockThreshold');
+    const threshold = parseInt(input?.value, 10);
+
+    if (isNaN(threshold) || threshold < 0) {
+      NotificationManager.show('Default threshold must be zero or more', 'error');
+      return;
+    }
+
+    try {
+      const response = await ApiService.admin.inventory.updateSettings({
+        default_low_stock_threshold: threshold
+      }, this.getRequestOptions());
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to save default threshold');
+      }
+
+      NotificationManager.show('Default low-stock threshold saved', 'success');
+      await this.loadInventory();
+
+    } catch (error) {
+      console.error('Inventory settings error:', error);
+      NotificationManager.show(error.message || 'Failed to save default threshold', 'error');
+    }
+  }
+
+  /**
+   * Show adjust stock modal for an item
+   * @param {Object} item - Inventory item
+   */
+  showAdjustModal(item) {
+    const modal = document.getElementById('adjustStockModal');
+    if (!modal) return;
+
+    this.activeItem = item;
+
+    document.getElementById('adjustStockProduct').textContent = this.getItemName(item);
+    document.getElementById('adjustStockCurrent').textContent = item.stock_quantity;
+    document.getElementById('adjustStockDelta').value = '';
+    document.getElementById('adjustStockReason').value = 'restock';
+    document.getElementById('adjustStockNote').value = '';
+    this.updateAdjustPreview();
+
+    this.showModal(modal);
+    document.getElementById('adjustStockDelta').focus();
+  }
+
+  /**
+   * Show stock after the entered adjustment
+   */
+  updateAdjustPreview() {
+    const preview = document.getElementById('adjustStockResult');
+    if (!preview || !this.activeItem) return;
+
+    const delta = parseInt(document.getElementById('adjustStockDelta').value, 10) || 0;
+    const result = this.activeItem.stock_quantity + delta;
+
+    preview.textContent = result;
+    preview.classList.toggle('is-invalid', result < 0);
+  }
+
+  /**
+   * Save the adjustment entered in the modal
+   */
+  async saveAdjustment() {
+    if (!this.activeItem) return;
+
+    const item = this.activeItem;
+    const delta = parseInt(document.getElementById('adjustStockDelta').value, 10);
+    const reason = document.getElementById('adjustStockReason').value;
+    const note = document.getElementById('adjustStockNote').value.trim();
+
+    if (isNaN(delta) || delta === 0) {
+      NotificationManager.show('Enter a quantity to add or remove, e.g. 10 or -2', 'error');
+      return;
+    }
+
+    if (item.stock_quantity + delta < 0) {
+      NotificationManager.show('Stock cannot go below zero', 'error');
+      return;
+    }
+
+    if (reason === 'other' && !note) {
+      NotificationManager.show('Add a note explaining the adjustment', 'error');
+      return;
+    }
+
+    const button = document.getElementById('saveAdjustStock');
+
+    try {
+      this.setButtonLoading(button, true);
+
+      const response = await ApiService.admin.inventory.adjust([{
+        product_id: item.product_id,
+        variant_id: item.variant_id || null,
+        delta,
+        reason,
+        note
+      }], this.getRequestOptions());
+
+      const result = response.data?.results?.[0];
+      if (!response.success || (result && !result.success)) {
+        throw new Error(result?.error || response.message || 'Failed to adjust stock');
+      }
+
+      NotificationManager.show(`Stock updated for ${this.getItemName(item)}`, 'success');
+      this.hideModal('adjustStockModal');
+      await this.loadInventory();
+      this.loadAdjustments();
+
+    } catch (error) {
+      console.error('Stock adjustment error:', error);
+      NotificationManager.show(error.message || 'Failed to adjust stock', 'error');
+    } finally {
+      this.setButtonLoading(button, false);
+    }
+  }
+
+  /**
+   * Show bulk restock modal
+   */
+  showBulkRestockModal() {
+    const modal = document.getElementById('bulkRestockModal');
+    if (!modal) return;
+
+    document.getElementById('bulkRestockInput').value = '';
+    document.getElementById('bulkRestockReason').value = 'restock';
+    document.getElementById('bulkRestockNote').value = '';
+    document.getElementById('bulkRestockErrors').innerHTML = '';
+    this.updateBulkRestockPreview();
+
+    this.showModal(modal);
+    document.getElementById('bulkRestockInput').focus();
+  }
+
+  /**
+   * Parse bulk restock lines of "SKU, quantity"
+   * Repeated SKUs are added together.
+   * @param {string} text - Pasted lines
+   * @returns {Object} Entries and line errors
+   */
+  parseBulkRestock(text) {
+    const entries = new Map();
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+
+      const parts = line.split(/[,;\t]/).map(part => part.trim());
+      const sku = parts[0];
+      const quantity = Number(parts[1]);
+
+      if (!sku || parts.length < 2) {
+        errors.push({ line: index + 1, message: 'Expected "SKU, quantity"' });
+      } else if (!Number.isInteger(quantity) || quantity <= 0) {
+        errors.push({ line: index + 1, message: `Quantity for ${sku} must be a whole number above zero` });
+      } else {
+        const key = sku.toLowerCase();
+        const entry = entries.get(key) || { sku, quantity: 0, lines: [] };
+        entry.quantity += quantity;
+        entry.lines.push(index + 1);
+        entries.set(key, entry);
+      }
+    });
+
+    return { entries: Array.from(entries.values()), errors };
+  }
+
+  /**
+   * Show how many lines will be restocked
+   */
+  updateBulkRestockPreview() {
+    const preview = document.getElementById('bulkRestockPreview');
+    const saveBtn = document.getElementById('saveBulkRestock');
+    const { entries, errors } = this.parseBulkRestock(document.getElementById('bulkRestockInput').value);
+
+    const units = entries.reduce((total, entry) => total + entry.quantity, 0);
+
+    if (preview) {
+      preview.textContent = entries.length > 0
+        ? `${entries.length} SKU(s), ${units} unit(s)${errors.length > 0 ? ` · ${errors.length} line(s) need fixing` : ''}`
+        : (errors.length > 0 ? `${errors.length} line(s) need fixing` : '');
+    }
+
+    if (saveBtn) {
+      saveBtn.disabled = entries.length === 0 || errors.length > 0;
+    }
+
+    this.renderBulkRestockErrors(errors);
+  }
+
+  /**
+   * Render bulk restock line errors
+   * @param {Array<Object>} errors - Line errors
+   */
+  renderBulkRestockErrors(errors) {
+    const container = document.getElementById('bulkRestockErrors');
+    if (!container) return;
+
+    container.innerHTML = errors.map(error => `
+      <li>Line ${error.line}: ${FormatUtils.escapeHtml(error.message)}</li>
+    `).join('');
+  }
+
+  /**
+   * Submit bulk restock
+   */
+  async saveBulkRestock() {
+    const { entries, errors } = this.parseBulkRestock(document.getElementById('bulkRestockInput').value);
+    if (entries.length === 0 || errors.length > 0) return;
+
+    const reason = document.getElementById('bulkRestockReason').value;
+    const note = document.getElementById('bulkRestockNote').value.trim();
+    const button = document.getElementById('saveBulkRestock');
+
+    try {
+      this.setButtonLoading(button, true);
+
+      const response = await ApiService.admin.inventory.adjust(entries.map(entry => ({
+        sku: entry.sku,
+        delta: entry.quantity,
+        reason,
+        note
+      })), this.getRequestOptions());
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to restock');
+      }
+
+      const results = response.data?.results || [];
+      const failed = results
+        .map((result, index) => ({ result, entry: entries[index] }))
+        .filter(({ result }) => !result.success);
+
+      const restocked = entries.length - failed.length;
+      if (restocked > 0) {
+        NotificationManager.show(`Restocked ${restocked} SKU(s)`, 'success');
+      }
+
+      if (failed.length > 0) {
+        // Keep only the failed SKUs so they can be fixed and resubmitted
+        document.getElementById('bulkRestockInput').value = failed
+          .map(({ entry }) => `${entry.sku}, ${entry.quantity}`)
+          .join('\n');
+        this.updateBulkRestockPreview();
+        this.renderBulkRestockErrors(failed.map(({ result, entry }) => ({
+          line: entry.lines.join(', '),
+          message: `${entry.sku}: ${result.error || 'Could not be restocked'}`
+        })));
+        NotificationManager.show(`${failed.length} SKU(s) could not be restocked`, 'error');
+      } else {
+        this.hideModal('bulkRestockModal');
+      }
+
+      await this.loadInventory();
+      this.loadAdjustments();
+
+    } catch (error) {
+      console.error('Bulk restock error:', error);
+      NotificationManager.show(error.message || 'Failed to restock', 'error');
+    } finally {
+      this.setButtonLoading(button, false);
+      button.disabled = this.parseBulkRestock(document.getElementById('bulkRestockInput').value).entries.length === 0;
+    }
+  }
+
+  /**
+   * Load the stock adjustment log
+   */
+  async loadAdjustments() {
+    const tbody = document.getElementById('adjustmentsTableBody');
+
+    try {
+      const params = {
+        page: this.adjustmentsPage,
+        limit: this.settings.ADJUSTMENTS_PER_PAGE
+      };
+
+      if (this.adjustmentsFilter) {
+        params.product_id = this.adjustmentsFilter.product_id;
+        if (this.adjustmentsFilter.variant_id) {
+          params.variant_id = this.adjustmentsFilter.variant_id;
+        }
+      }
+
+      const response = await ApiService.admin.inventory.getAdjustments(params, {
+        ...this.getRequestOptions(),
+        skipLoading: true
+      });
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to load adjustments');
+      }
+
+      this.adjustments = response.data.adjustments || [];
+      this.updateAdjustmentsUI();
+      this.updateAdjustmentsPagination(response.data.pagination);
+
+    } catch (error) {
+      console.error('Adjustment log loading error:', error);
+      if (tbody) {
+        tbody.innerHTML = `
+          <tr>
+            <td colspan="7" class="table-loading">Failed to load adjustment log</td>
+          </tr>
+        `;
+      }
+    }
+  }
+
+  /**
+   * Update adjustment log table
+   */
+  updateAdjustmentsUI() {
+    const tbody = document.getElementById('adjustmentsTableBody');
+    const filterEl = document.getElementById('adjustmentsFilter');
+    if (!tbody) return;
+
+    if (filterEl) {
+      filterEl.style.display = this.adjustmentsFilter ? 'flex' : 'none';
+      const label = filterEl.querySelector('span');
+      if (label && this.adjustmentsFilter) {
+        label.textContent = `Showing ${this.getItemName(this.adjustmentsFilter)}`;
+      }
+    }
+
+    if (this.adjustments.length === 0) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="7" class="table-loading">No stock adjustments yet</td>
+        </tr>
+      `;
+      return;
+    }
+
+    tbody.innerHTML = this.adjustments.map(adjustment => `
+      <tr>
+        <td><div class="order-date">${this.formatDateTime(adjustment.created_at)}</div></td>
+        <td>
+          <div class="inventory-product">${FormatUtils.escapeHtml(adjustment.product_name)}</div>
+          ${adjustment.variant_label ? `<div class="inventory-variant">${FormatUtils.escapeHtml(adjustment.variant_label)}</div>` : ''}
+        </td>
+        <td>
+          <span class="stock-delta stock-delta--${adjustment.delta > 0 ? 'in' : 'out'}">
+            ${adjustment.delta > 0 ? '+' : '−'}${Math.abs(adjustment.delta)}
+          </span>
+        </td>
+        <td>${adjustment.stock_after ?? '—'}</td>
+        <td>${FormatUtils.escapeHtml(this.formatReason(adjustment.reason))}</td>
+        <td>${FormatUtils.escapeHtml(adjustment.user?.name || 'System')}</td>
+        <td><div class="adjustment-note">${FormatUtils.escapeHtml(adjustment.note || '')}</div></td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Update adjustment log pagination
+   */
+  updateAdjustmentsPagination(pagination) {
+    if (!pagination) return;
+
+    const paginationContainer = document.getElementById('adjustmentsPagination');
+    const prevBtn = document.getElementById('prevAdjustmentsPage');
+    const nextBtn = document.getElementById('nextAdjustmentsPage');
+
+    if (paginationContainer) {
+      paginationContainer.style.display = pagination.total_pages > 1 ? 'flex' : 'none';
+    }
+
+    if (prevBtn) {
+      prevBtn.disabled = pagination.current_page <= 1;
+    }
+
+    if (nextBtn) {
+      nextBtn.disabled = pagination.current_page >= pagination.total_pages;
+    }
+  }
+
+  /**
+   * Show the adjustment log for one item, or all items
+   * @param {Object|null} item - Inventory item
+   */
+  filterAdjustments(item) {
+    this.adjustmentsFilter = item;
+    this.adjustmentsPage = 1;
+    this.loadAdjustments();
+
+    if (item) {
+      document.getElementById('adjustmentsCard')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  /**
+   * Go to specific adjustment log page
+   */
+  goToAdjustmentsPage(page) {
+    if (page < 1) return;
+    this.adjustmentsPage = page;
+    this.loadAdjustments();
+  }
+
+  /**
+   * Check for items that crossed their low-stock threshold while the dashboard is open
+   * Stock changes normally arrive through RealTimeIntegration (handleStockChanges);
+   * this poll is the fallback while the real-time WebSocket is not connected.
+   */
+  startAlertPolling() {
+    this.checkLowStock();
+
+    this.alertInterval = setInterval(() => {
+      if (window.RealTimeManager?.isConnected()) return;
+      this.checkLowStock();
+    }, this.settings.ALERT_POLL_INTERVAL);
+  }
+
+  /**
+   * Alert for items newly at or below their threshold
+   * The first check only records the current low-stock items.
+   */
+  async checkLowStock() {
+    if (!navigator.onLine || document.hidden) return;
+
+    try {
+      const response = await ApiService.admin.inventory.getAll({
+        status: 'below_threshold',
+        limit: 100
+      }, {
+        ...this.getRequestOptions(),
+        skipLoading: true
+      });
+
+      if (!response.success) return;
+
+      const items = response.data.items || [];
+      const keys = new Set(items.map(item => this.getItemKey(item)));
+
+      if (this.lowStockKeys) {
+        items
+          .filter(item => !this.lowStockKeys.has(this.getItemKey(item)))
+          .forEach(item => this.notifyThresholdCrossed(item, item.stock_quantity));
+      }
+
+      this.lowStockKeys = keys;
+
+      const summary = response.data.summary;
+      if (summary) {
+        this.updateBadge((summary.low_stock || 0) + (summary.out_of_stock || 0));
+      }
+
+    } catch (error) {
+      console.error('Low-stock check error:', error);
+    }
+  }
+
+  /**
+   * Handle stock changes pushed by RealTimeIntegration
+   * @param {Array<Object>} changes - Changes with id and changes.stock_quantity { old, new }
+   */
+  handleStockChanges(changes) {
+    let crossed = false;
+
+    changes.forEach(change => {
+      const stock = change.changes?.stock_quantity;
+      if (!stock) return;
+
+      const item = this.items.find(entry => entry.product_id === change.id && !entry.variant_id);
+      const threshold = change.low_stock_threshold ?? (item ? this.getThreshold(item) : this.defaultThreshold);
+
+      if (stock.old > threshold && stock.new <= threshold) {
+        this.notifyThresholdCrossed(item || { name: change.name || `Product #${change.id}` }, stock.new);
+        this.lowStockKeys?.add(ProductUtils.cartLineKey(change.id));
+        crossed = true;
+      }
+
+      if (item) {
+        item.stock_quantity = stock.new;
+      }
+    });
+
+    this.updateInventoryUI();
+
+    // Refresh summary counts and badge
+    if (crossed) {
+      this.loadInventory();
+    }
+  }
+
+  /**
+   * Show a low-stock alert
+   * @param {Object} item - Inventory item
+   * @param {number} stock - New stock quantity
+   */
+  notifyThresholdCrossed(item, stock) {
+    const name = this.getItemName(item);
+
+    if (stock <= 0) {
+      NotificationManager.show(`${name} is out of stock`, 'error');
+    } else {
+      NotificationManager.show(`${name} is low on stock (${stock} left)`, 'warning');
+    }
+  }
+
+  /**
+   * Modal management methods
+   */
+  showModal(modal) {
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+  }
+
+  hideModal(id) {
+    const modal = document.getElementById(id);
+    if (modal && modal.classList.contains('show')) {
+      modal.classList.remove('show');
+      document.body.style.overflow = '';
+    }
+
+    if (id === 'adjustStockModal') {
+      this.activeItem = null;
+    }
+  }
+
+  /**
+   * Utility methods
+   */
+  showLoading(show) {
+    const tbody = document.getElementById('inventoryTableBody');
+    if (show && tbody) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="5" class="table-loading">
+            <div class="loading-spinner"></div>
+            Loading inventory...
+          </td>
+        </tr>
+      `;
+    } else if (!show && tbody && this.items.length === 0) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="5" class="table-loading">Inventory could not be loaded</td>
+        </tr>
+      `;
+    }
+  }
+
+  setButtonLoading(button, loading) {
+    if (!button) return;
+
+    const text = button.querySelector('.btn-text');
+    const spinner = button.querySelector('.btn-loading');
+
+    if (loading) {
+      button.disabled = true;
+      button.classList.add('loading');
+      if (text) text.style.opacity = '0';
+      if (spinner) spinner.style.display = 'block';
+    } else {
+      button.disabled = false;
+      button.classList.remove('loading');
+      if (text) text.style.opacity = '1';
+      if (spinner) spinner.style.display = 'none';
+    }
+  }
+
+  formatNumber(num) {
+    if (num === null || num === undefined) return '0';
+    return num.toLocaleString();
+  }
+
+  formatReason(reason) {
+    const match = this.settings.ADJUSTMENT_REASONS.find(item => item.value === reason);
+    return match ? match.label : reason;
+  }
+
+  formatDateTime(dateString) {
+    if (!dateString) return 'N/A';
+    const date = new Date(dateString);
+    return date.toLocaleString('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+}
+
+// Initialize admin inventory manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.adminInventoryManager = new AdminInventoryManager();
+});
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AdminInventoryManager;
+}
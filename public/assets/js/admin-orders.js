@@ -22,6 +22,13 @@ class AdminOrdersManager {
       sort_order: 'desc'
     };
     this.orderStats = null;
+    this.returnRequests = [];
+    this.returnFilters = {
+      status: 'pending',
+      type: ''
+    };
+    this.activeReturnRequest = null;
+    this.detailOrder = null;
     
     this.init();
   }
@@ -34,6 +41,7 @@ class AdminOrdersManager {
 
     this.bindEvents();
     await this.loadOrders();
+    await this.loadReturnRequests();
   }
 
   /**
@@ -43,7 +51,10 @@ class AdminOrdersManager {
     // Navigation - load orders when orders section is activated
     document.addEventListener('click', (e) => {
       if (e.target.matches('[data-section="orders"]')) {
-        setTimeout(() => this.loadOrders(), 100);
+        setTimeout(() => {
+          this.loadOrders();
+          this.loadReturnRequests();
+        }, 100);
       }
     });
 
@@ -77,6 +88,7 @@ class AdminOrdersManager {
     const refreshBtn = document.getElementById('refreshOrders');
     const exportBtn = document.getElementById('exportOrders');
     const bulkUpdateBtn = document.getElementById('bulkUpdateBtn');
+    const bulkInvoiceBtn = document.getElementById('bulkInvoiceBtn');
 
     if (refreshBtn) {
       refreshBtn.addEventListener('click', () => this.loadOrders());
@@ -90,6 +102,10 @@ class AdminOrdersManager {
       bulkUpdateBtn.addEventListener('click', () => this.showBulkUpdateModal());
     }
 
+    if (bulkInvoiceBtn) {
+      bulkInvoiceBtn.addEventListener('click', () => this.downloadSelectedInvoices());
+    }
+
     // Select all checkbox
     const selectAllCheckbox = document.getElementById('selectAllOrders');
     if (selectAllCheckbox) {
@@ -108,6 +124,29 @@ class AdminOrdersManager {
       nextBtn.addEventListener('click', () => this.goToPage(this.currentPage + 1));
     }
 
+    // Returns queue
+    const returnStatusFilter = document.getElementById('returnStatusFilter');
+    const returnTypeFilter = document.getElementById('returnTypeFilter');
+    const refreshReturnsBtn = document.getElementById('refreshReturns');
+
+    if (returnStatusFilter) {
+      returnStatusFilter.addEventListener('change', () => {
+        this.returnFilters.status = returnStatusFilter.value;
+        this.loadReturnRequests();
+      });
+    }
+
+    if (returnTypeFilter) {
+      returnTypeFilter.addEventListener('change', () => {
+        this.returnFilters.type = returnTypeFilter.value;
+        this.loadReturnRequests();
+      });
+    }
+
+    if (refreshReturnsBtn) {
+      refreshReturnsBtn.addEventListener('click', () => this.loadReturnRequests());
+    }
+
     // Modal events
     this.bindModalEvents();
   }
@@ -156,6 +195,28 @@ class AdminOrdersManager {
       bulkUpdateForm.addEventListener('submit', (e) => this.handleBulkUpdate(e));
     }
 
+    // Return request modal
+    const closeReturnRequest = document.getElementById('closeReturnRequest');
+    const approveReturnBtn = document.getElementById('approveReturnBtn');
+    const rejectReturnBtn = document.getElementById('rejectReturnBtn');
+    const refundReturnBtn = document.getElementById('refundReturnBtn');
+
+    if (closeReturnRequest) {
+      closeReturnRequest.addEventListener('click', () => this.hideReturnRequestModal());
+    }
+
+    if (approveReturnBtn) {
+      approveReturnBtn.addEventListener('click', () => this.handleReturnDecision('approved', approveReturnBtn));
+    }
+
+    if (rejectReturnBtn) {
+      rejectReturnBtn.addEventListener('click', () => this.handleReturnDecision('rejected', rejectReturnBtn));
+    }
+
+    if (refundReturnBtn) {
+      refundReturnBtn.addEventListener('click', () => this.processRefund(refundReturnBtn));
+    }
+
     // Close modals on overlay click
     document.addEventListener('click', (e) => {
       if (e.target.classList.contains('modal-overlay')) {
@@ -164,6 +225,17 @@ class AdminOrdersManager {
     });
   }
 
+  /**
+   * Request options for admin API calls
+   * @returns {Object} Request options with the admin token
+   */
+  getRequestOptions() {
+    return {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('admin_auth_token')}` },
+      skipErrorHandling: true
+    };
+  }
+
   /**
    * Load orders from API
    */
@@ -171,25 +243,11 @@ class AdminOrdersManager {
     try {
       this.showLoading(true);
       
-      const token = localStorage.getItem('admin_auth_token');
-      const queryParams = new URLSearchParams({
+      const data = await api.get('/admin/orders', {
         page: this.currentPage,
         limit: this.ordersPerPage,
         ...this.filters
-      });
-
-      const response = await fetch(`${API_CONFIG.BASE_URL}/admin/orders?${queryParams}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      }, this.getRequestOptions());
       
       if (data.orders) {
         this.orders = data.orders;
@@ -350,7 +408,9 @@ class AdminOrdersManager {
 
     if (pendingOrdersEl) {
       const pendingCount = (this.orderStats.status_breakdown?.placed || 0) + 
-                          (this.orderStats.status_breakdown?.processing || 0);
+                          (this.orderStats.status_breakdown?.confirmed || 0) +
+                          (this.orderStats.status_breakdown?.processing || 0) +
+                          (this.orderStats.status_breakdown?.packed || 0);
       pendingOrdersEl.textContent = this.formatNumber(pendingCount);
     }
 
@@ -569,27 +629,11 @@ class AdminOrdersManager {
       this.showModal(modal);
 
       // Load order details
-      const token = localStorage.getItem('admin_auth_token');
-      const response = await fetch(`${API_CONFIG.BASE_URL}/admin/orders/${orderId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      const order = await this.fetchOrderDetail(orderId);
 
-      const data = await response.json();
-      
-      if (data.order) {
-        this.renderOrderDetail(data.order);
-        if (title) {
-          title.textContent = `Order #${data.order.order_number}`;
-        }
-      } else {
-        throw new Error('Order not found');
+      this.renderOrderDetail(order);
+      if (title) {
+        title.textContent = `Order #${order.order_number}`;
       }
 
     } catch (error) {
@@ -599,6 +643,19 @@ class AdminOrdersManager {
     }
   }
 
+  /**
+   * Fetch full order details
+   */
+  async fetchOrderDetail(orderId) {
+    const data = await api.get(`/admin/orders/${orderId}`, {}, this.getRequestOptions());
+
+    if (!data.order) {
+      throw new Error('Order not found');
+    }
+
+    return data.order;
+  }
+
   /**
    * Render order detail content
    */
@@ -606,6 +663,8 @@ class AdminOrdersManager {
     const content = document.getElementById('orderDetailContent');
     if (!content) return;
 
+    this.detailOrder = order;
+
     content.innerHTML = `
       <div class="order-detail-header">
         <div class="order-detail-info">
@@ -614,6 +673,12 @@ class AdminOrdersManager {
         </div>
         <div class="order-detail-status">
           <span class="order-status order-status--${order.status}">${this.formatStatus(order.status)}</span>
+          ${InvoiceGenerator.isAvailable(order) ? `
+          <button class="btn btn--outline btn--small" onclick="adminOrdersManager.downloadInvoice()">
+            <i class="ri-file-download-line"></i>
+            Invoice
+          </button>
+          ` : ''}
           <button class="btn btn--primary btn--small" onclick="adminOrdersManager.showOrderStatusModal(${order.id})">
             <i class="ri-edit-line"></i>
             Update Status
@@ -672,6 +737,18 @@ class AdminOrdersManager {
               <span class="detail-label">Phone:</span>
               <span class="detail-value">${order.shipping_address.phone || 'N/A'}</span>
             </div>
+            <div class="detail-row">
+              <span class="detail-label">Courier:</span>
+              <span class="detail-value">${order.courier_name || 'N/A'}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">AWB Number:</span>
+              <span class="detail-value">${order.tracking_number || 'N/A'}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Expected Delivery:</span>
+              <span class="detail-value">${order.expected_delivery_date ? this.formatDate(order.expected_delivery_date) : 'N/A'}</span>
+            </div>
           </div>
         </div>
 
@@ -831,6 +908,17 @@ class AdminOrdersManager {
       statusSelect.value = order.status;
     }
 
+    // Prefill shipment details so status changes keep them
+    const courierInput = document.getElementById('courierName');
+    const trackingInput = document.getElementById('trackingNumber');
+    const expectedDeliveryInput = document.getElementById('expectedDeliveryDate');
+
+    if (courierInput) courierInput.value = order.courier_name || '';
+    if (trackingInput) trackingInput.value = order.tracking_number || '';
+    if (expectedDeliveryInput && order.expected_delivery_date) {
+      expectedDeliveryInput.value = order.expected_delivery_date.split('T')[0];
+    }
+
     this.showModal(modal);
   }
 
@@ -849,30 +937,13 @@ class AdminOrdersManager {
       this.setButtonLoading(saveBtn, true);
       this.clearFormErrors(form);
 
-      const token = localStorage.getItem('admin_auth_token');
-      const response = await fetch(`${API_CONFIG.BASE_URL}/admin/orders/${orderId}/status`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          status: formData.get('status'),
-          notes: formData.get('notes'),
-          tracking_number: formData.get('tracking_number')
-        })
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        if (data.details) {
-          this.showFormErrors(form, data.details);
-        } else {
-          throw new Error(data.error || 'Failed to update order status');
-        }
-        return;
-      }
+      await api.put(`/admin/orders/${orderId}/status`, {
+        status: formData.get('status'),
+        notes: formData.get('notes'),
+        tracking_number: formData.get('tracking_number'),
+        courier_name: formData.get('courier_name'),
+        expected_delivery_date: formData.get('expected_delivery_date') || null
+      }, this.getRequestOptions());
 
       NotificationManager.show('Order status updated successfully', 'success');
       this.hideOrderStatusModal();
@@ -881,8 +952,13 @@ class AdminOrdersManager {
       await this.loadOrders();
 
     } catch (error) {
+      if (error.data?.details) {
+        this.showFormErrors(form, error.data.details);
+        return;
+      }
+
       console.error('Order status update error:', error);
-      NotificationManager.show(error.message || 'Failed to update order status', 'error');
+      NotificationManager.show(error.data?.error || error.message || 'Failed to update order status', 'error');
     } finally {
       this.setButtonLoading(saveBtn, false);
     }
@@ -946,30 +1022,11 @@ class AdminOrdersManager {
       this.setButtonLoading(saveBtn, true);
       this.clearFormErrors(form);
 
-      const token = localStorage.getItem('admin_auth_token');
-      const response = await fetch(`${API_CONFIG.BASE_URL}/admin/orders/bulk-status`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          order_ids: Array.from(this.selectedOrders),
-          status: formData.get('status'),
-          notes: formData.get('notes')
-        })
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        if (data.details) {
-          this.showFormErrors(form, data.details);
-        } else {
-          throw new Error(data.error || 'Failed to update orders');
-        }
-        return;
-      }
+      const data = await api.put('/admin/orders/bulk-status', {
+        order_ids: Array.from(this.selectedOrders),
+        status: formData.get('status'),
+        notes: formData.get('notes')
+      }, this.getRequestOptions());
 
       const { results, errors, summary } = data;
       
@@ -989,8 +1046,13 @@ class AdminOrdersManager {
       await this.loadOrders();
 
     } catch (error) {
+      if (error.data?.details) {
+        this.showFormErrors(form, error.data.details);
+        return;
+      }
+
       console.error('Bulk update error:', error);
-      NotificationManager.show(error.message || 'Failed to update orders', 'error');
+      NotificationManager.show(error.data?.error || error.message || 'Failed to update orders', 'error');
     } finally {
       this.setButtonLoading(saveBtn, false);
     }
@@ -1001,24 +1063,12 @@ class AdminOrdersManager {
    */
   async exportOrders() {
     try {
-      const token = localStorage.getItem('admin_auth_token');
-      const queryParams = new URLSearchParams({
+      const blob = await api.get('/admin/orders/export', {
         format: 'csv',
         ...this.filters
-      });
-
-      const response = await fetch(`${API_CONFIG.BASE_URL}/admin/orders/export?${queryParams}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      }, { ...this.getRequestOptions(), responseType: 'blob' });
 
       // Download the file
-      const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
@@ -1036,6 +1086,337 @@ class AdminOrdersManager {
     }
   }
 
+  /**
+   * Open GST invoice for the order in the detail modal
+   */
+  downloadInvoice() {
+    if (!this.detailOrder) return;
+
+    try {
+      InvoiceGenerator.print(this.detailOrder);
+    } catch (error) {
+      console.error('Invoice error:', error);
+      NotificationManager.show(error.message || 'Failed to generate invoice', 'error');
+    }
+  }
+
+  /**
+   * Open GST invoices for all selected orders
+   */
+  async downloadSelectedInvoices() {
+    if (this.selectedOrders.size === 0) {
+      NotificationManager.show('Please select orders to download invoices', 'warning');
+      return;
+    }
+
+    let invoiceWindow = null;
+
+    try {
+      // Open the window before loading so pop-up blockers allow it
+      invoiceWindow = InvoiceGenerator.openWindow();
+
+      const orders = await Promise.all(
+        Array.from(this.selectedOrders).map(orderId => this.fetchOrderDetail(orderId))
+      );
+      const invoiceOrders = orders.filter(order => InvoiceGenerator.isAvailable(order));
+
+      if (invoiceOrders.length === 0) {
+        invoiceWindow.close();
+        NotificationManager.show('No invoices available for the selected orders', 'warning');
+        return;
+      }
+
+      InvoiceGenerator.print(invoiceOrders, invoiceWindow);
+
+      const skipped = orders.length - invoiceOrders.length;
+      if (skipped > 0) {
+        NotificationManager.show(`${skipped} cancelled or failed order(s) skipped`, 'info');
+      }
+
+    } catch (error) {
+      console.error('Bulk invoice error:', error);
+      if (invoiceWindow) {
+        invoiceWindow.close();
+      }
+      NotificationManager.show(error.message || 'Failed to generate invoices', 'error');
+    }
+  }
+
+  /**
+   * Load cancellation, return and exchange requests
+   */
+  async loadReturnRequests() {
+    const tbody = document.getElementById('returnsTableBody');
+    if (!tbody) return;
+
+    try {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="7" class="table-loading">
+            <div class="loading-spinner"></div>
+            Loading requests...
+          </td>
+        </tr>
+      `;
+
+      const data = await api.get(API_CONFIG.ENDPOINTS.ADMIN.RETURNS, this.returnFilters, this.getRequestOptions());
+
+      if (data.return_requests) {
+        this.returnRequests = data.return_requests;
+        this.updateReturnsUI();
+
+        const pendingCount = document.getElementById('pendingReturnsCount');
+        if (pendingCount) {
+          pendingCount.textContent = this.formatNumber(data.statistics?.pending || 0);
+        }
+      } else {
+        throw new Error('Invalid response format');
+      }
+
+    } catch (error) {
+      console.error('Return requests loading error:', error);
+      NotificationManager.show('Failed to load return requests', 'error');
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="7" class="table-loading">Failed to load requests</td>
+        </tr>
+      `;
+    }
+  }
+
+  /**
+   * Update returns queue UI
+   */
+  updateReturnsUI() {
+    const tbody = document.getElementById('returnsTableBody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    if (this.returnRequests.length === 0) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="7" class="table-loading">No requests found</td>
+        </tr>
+      `;
+      return;
+    }
+
+    this.returnRequests.forEach(request => {
+      const itemCount = request.items.reduce((total, item) => total + item.quantity, 0);
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>
+          <div class="order-number">#${FormatUtils.escapeHtml(request.order_number)}</div>
+        </td>
+        <td>
+          <div class="customer-info">
+            <div class="customer-name">${FormatUtils.escapeHtml(request.customer.name)}</div>
+            <div class="customer-email">${FormatUtils.escapeHtml(request.customer.email)}</div>
+          </div>
+        </td>
+        <td>
+          <span class="return-type return-type--${request.type}">${this.formatRequestType(request.type)}</span>
+        </td>
+        <td>
+          <div class="order-items-count">${itemCount} item${itemCount !== 1 ? 's' : ''}</div>
+          <div class="return-reason">${FormatUtils.escapeHtml(this.formatReturnReason(request.type, request.reason))}</div>
+        </td>
+        <td>
+          <span class="return-status return-status--${request.status}">${this.formatReturnStatus(request.status)}</span>
+        </td>
+        <td>
+          <div class="order-date">${this.formatDate(request.created_at)}</div>
+        </td>
+        <td>
+          <div class="order-actions">
+            <button class="action-btn action-btn--view" title="Review Request" data-action="view-return" data-return-id="${request.id}">
+              <i class="ri-eye-line"></i>
+            </button>
+          </div>
+        </td>
+      `;
+      tbody.appendChild(row);
+    });
+
+    tbody.querySelectorAll('[data-action="view-return"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.showReturnRequestModal(parseInt(e.currentTarget.dataset.returnId));
+      });
+    });
+  }
+
+  /**
+   * Show return request review modal
+   */
+  showReturnRequestModal(returnId) {
+    const request = this.returnRequests.find(item => item.id === returnId);
+    const modal = document.getElementById('returnRequestModal');
+    const content = document.getElementById('returnRequestContent');
+    const noteInput = document.getElementById('returnAdminNote');
+
+    if (!request || !modal || !content) return;
+
+    this.activeReturnRequest = request;
+
+    // Customer-uploaded links must not run script (javascript:, data: URLs)
+    const photos = (request.photos || []).map(photo => this.getSafePhotoUrl(photo)).filter(Boolean);
+
+    content.innerHTML = `
+      <div class="order-detail-section">
+        <div class="order-detail-section-header">
+          ${this.formatRequestType(request.type)} Request - Order #${FormatUtils.escapeHtml(request.order_number)}
+        </div>
+        <div class="order-detail-section-content">
+          <div class="detail-row">
+            <span class="detail-label">Customer:</span>
+            <span class="detail-value">${FormatUtils.escapeHtml(request.customer.name)} (${FormatUtils.escapeHtml(request.customer.email)})</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Reason:</span>
+            <span class="detail-value">${FormatUtils.escapeHtml(this.formatReturnReason(request.type, request.reason))}</span>
+          </div>
+          ${request.refund_method ? `
+          <div class="detail-row">
+            <span class="detail-label">Refund Method:</span>
+            <span class="detail-value">${this.formatRefundMethod(request.refund_method)}</span>
+          </div>
+          ` : ''}
+          ${request.refund_amount ? `
+          <div class="detail-row">
+            <span class="detail-label">Refund Amount:</span>
+            <span class="detail-value">${this.formatCurrency(request.refund_amount)}</span>
+          </div>
+          ` : ''}
+          <div class="detail-row">
+            <span class="detail-label">Status:</span>
+            <span class="detail-value">
+              <span class="return-status return-status--${request.status}">${this.formatReturnStatus(request.status)}</span>
+            </span>
+          </div>
+          ${request.comments ? `
+          <div class="detail-row">
+            <span class="detail-label">Comments:</span>
+            <span class="detail-value">${FormatUtils.escapeHtml(request.comments)}</span>
+          </div>
+          ` : ''}
+        </div>
+      </div>
+
+      <div class="order-detail-section">
+        <div class="order-detail-section-header">Items</div>
+        <div class="order-detail-section-content">
+          ${request.items.map(item => `
+            <div class="detail-row">
+              <span class="detail-label">${FormatUtils.escapeHtml(item.product_name)}</span>
+              <span class="detail-value">${item.quantity} × ${this.formatCurrency(item.unit_price)}</span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+
+      ${photos.length > 0 ? `
+      <div class="order-detail-section">
+        <div class="order-detail-section-header">Photos</div>
+        <div class="order-detail-section-content">
+          <div class="return-photos">
+            ${photos.map(photo => `
+              <a href="${FormatUtils.escapeHtml(photo)}" target="_blank" rel="noopener">
+                <img src="${FormatUtils.escapeHtml(photo)}" alt="Customer photo" class="return-photo">
+              </a>
+            `).join('')}
+          </div>
+        </div>
+      </div>
+      ` : ''}
+    `;
+
+    if (noteInput) {
+      noteInput.value = request.admin_note || '';
+      noteInput.disabled = request.status !== 'pending';
+    }
+
+    // Only pending requests can be decided; approved refunds can then be issued
+    const isPending = request.status === 'pending';
+    const canRefund = request.status === 'approved' && request.type !== 'exchange' && request.refund_status !== 'refunded';
+
+    const approveBtn = document.getElementById('approveReturnBtn');
+    const rejectBtn = document.getElementById('rejectReturnBtn');
+    const refundBtn = document.getElementById('refundReturnBtn');
+
+    if (approveBtn) approveBtn.style.display = isPending ? '' : 'none';
+    if (rejectBtn) rejectBtn.style.display = isPending ? '' : 'none';
+    if (refundBtn) refundBtn.style.display = canRefund ? '' : 'none';
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Approve or reject the active return request
+   */
+  async handleReturnDecision(status, button) {
+    const request = this.activeReturnRequest;
+    if (!request) return;
+
+    const noteInput = document.getElementById('returnAdminNote');
+    const note = noteInput ? noteInput.value.trim() : '';
+
+    if (status === 'rejected' && !note) {
+      NotificationManager.show('Please add a note explaining the rejection', 'warning');
+      return;
+    }
+
+    try {
+      this.setButtonLoading(button, true);
+
+      const endpoint = API_CONFIG.ENDPOINTS.ADMIN.RETURN_DECISION.replace(':id', request.id);
+      await api.put(endpoint, { status, note }, this.getRequestOptions());
+
+      NotificationManager.show(`Request ${status}`, 'success');
+      this.hideReturnRequestModal();
+
+      await this.loadReturnRequests();
+      await this.loadOrders();
+
+    } catch (error) {
+      console.error('Return decision error:', error);
+      NotificationManager.show(error.data?.error || error.message || 'Failed to update request', 'error');
+    } finally {
+      this.setButtonLoading(button, false);
+    }
+  }
+
+  /**
+   * Trigger refund for an approved request
+   */
+  async processRefund(button) {
+    const request = this.activeReturnRequest;
+    if (!request) return;
+
+    if (!confirm(`Issue refund via ${this.formatRefundMethod(request.refund_method)} for order #${request.order_number}?`)) {
+      return;
+    }
+
+    try {
+      this.setButtonLoading(button, true);
+
+      const endpoint = API_CONFIG.ENDPOINTS.ADMIN.RETURN_REFUND.replace(':id', request.id);
+      const data = await api.post(endpoint, {}, this.getRequestOptions());
+
+      NotificationManager.show(`Refund of ${this.formatCurrency(data.refund_amount || request.refund_amount || 0)} initiated`, 'success');
+      this.hideReturnRequestModal();
+
+      await this.loadReturnRequests();
+      await this.loadOrders();
+
+    } catch (error) {
+      console.error('Refund error:', error);
+      NotificationManager.show(error.data?.error || error.message || 'Failed to process refund', 'error');
+    } finally {
+      this.setButtonLoading(button, false);
+    }
+  }
+
   /**
    * Modal management methods
    */
@@ -1068,10 +1449,20 @@ class AdminOrdersManager {
     }
   }
 
+  hideReturnRequestModal() {
+    const modal = document.getElementById('returnRequestModal');
+    if (modal) {
+      modal.classList.remove('show');
+      document.body.style.overflow = '';
+    }
+    this.activeReturnRequest = null;
+  }
+
   hideAllModals() {
     this.hideOrderDetailModal();
     this.hideOrderStatusModal();
     this.hideBulkUpdateModal();
+    this.hideReturnRequestModal();
   }
 
   /**
@@ -1153,7 +1544,9 @@ class AdminOrdersManager {
   formatStatus(status) {
     const statusMap = {
       'placed': 'Placed',
+      'confirmed': 'Confirmed',
       'processing': 'Processing',
+      'packed': 'Packed',
       'shipped': 'Shipped',
       'out_for_delivery': 'Out for Delivery',
       'delivered': 'Delivered',
@@ -1162,6 +1555,49 @@ class AdminOrdersManager {
     return statusMap[status] || status;
   }
 
+  formatRequestType(type) {
+    const typeMap = {
+      'cancellation': 'Cancellation',
+      'return': 'Return',
+      'exchange': 'Exchange'
+    };
+    return typeMap[type] || type;
+  }
+
+  formatReturnStatus(status) {
+    const statusMap = {
+      'pending': 'Pending',
+      'approved': 'Approved',
+      'rejected': 'Rejected',
+      'refunded': 'Refunded'
+    };
+    return statusMap[status] || status;
+  }
+
+  formatReturnReason(type, reason) {
+    const reasons = type === 'cancellation'
+      ? APP_CONFIG.RETURNS.CANCEL_REASONS
+      : APP_CONFIG.RETURNS.RETURN_REASONS;
+    return reasons.find(option => option.value === reason)?.label || reason;
+  }
+
+  /**
+   * Resolve a customer photo URL, allowing only http(s)
+   */
+  getSafePhotoUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.origin);
+      return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  formatRefundMethod(method) {
+    const refundMethod = APP_CONFIG.RETURNS.REFUND_METHODS.find(option => option.value === method);
+    return refundMethod ? refundMethod.label : method;
+  }
+
   formatPaymentMethod(method) {
     const methodMap = {
       'razorpay': 'Razorpay',
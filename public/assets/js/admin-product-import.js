@@ -0,0 +1,658 @@
+/**
+ * Admin Product Import JavaScript
+ * Bulk product import from CSV with column mapping, dry-run validation and
+ * upsert by SKU, plus CSV export of the filtered product list
+ */
+
+// CSV helpers
+const CsvUtils = {
+  /**
+   * Parse CSV text into rows of fields
+   * Handles quoted fields, a UTF-8 BOM and the comma, semicolon or tab
+   * delimiters that spreadsheet apps use depending on locale.
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>} Rows
+   */
+  parse(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Spreadsheets often leave blank lines at the end
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  },
+
+  /**
+   * Detect delimiter from the header line
+   * @param {string} text - CSV text
+   * @returns {string} Delimiter
+   */
+  detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    const counts = [',', ';', '\t'].map(delimiter => ({
+      delimiter,
+      count: header.split(delimiter).length
+    }));
+
+    return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+  },
+
+  /**
+   * Convert rows to CSV text
+   * Text starting with a formula character is prefixed so spreadsheets do
+   * not evaluate it.
+   * @param {Array<Array>} rows - Rows
+   * @returns {string} CSV text
+   */
+  stringify(rows) {
+    return rows.map(fields => fields.map(value => {
+      let text = value === null || value === undefined ? '' : String(value);
+
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+  },
+
+  /**
+   * Download rows as a CSV file that Excel opens as UTF-8
+   * @param {Array<Array>} rows - Rows
+   * @param {string} filename - File name
+   */
+  download(rows, filename) {
+    const blob = new Blob(['\uFEFF' + this.stringify(rows)], { type: 'text/csv;charset=utf-8' });
+    this.downloadBlob(blob, filename);
+  },
+
+  /**
+   * Download a blob
+   * @param {Blob} blob - File contents
+   * @param {string} filename - File name
+   */
+  downloadBlob(blob, filename) {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+  }
+};
+
+// Product fields that can be imported, with header names they are matched to
+const PRODUCT_IMPORT_FIELDS = [
+  { key: 'sku', label: 'SKU', required: true, aliases: ['sku', 'product sku', 'item code'] },
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'product name', 'title'] },
+  { key: 'price', label: 'Price', required: true, aliases: ['price', 'selling price', 'sale price'] },
+  { key: 'stock_quantity', label: 'Stock Quantity', aliases: ['stock quantity', 'stock', 'quantity', 'qty', 'inventory'] },
+  { key: 'brand', label: 'Brand', aliases: ['brand'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'category name'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'product description'] },
+  { key: 'is_active', label: 'Active', aliases: ['active', 'is active', 'status'] }
+];
+
+class ProductImportManager {
+  /**
+   * @param {AdminProductManager} productManager - Product manager that owns the product list
+   */
+  constructor(productManager) {
+    this.productManager = productManager;
+    this.settings = APP_CONFIG.PRODUCT_IMPORT;
+
+    this.fileName = '';
+    this.headers = [];
+    this.records = [];
+    this.mapping = {};
+    this.results = [];
+    this.isBusy = false;
+
+    this.bindEvents();
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    document.getElementById('importProductsBtn')?.addEventListener('click', () => this.show());
+    document.getElementById('exportProductsBtn')?.addEventListener('click', () => this.exportProducts());
+    document.getElementById('closeProductImport')?.addEventListener('click', () => this.hide());
+    document.getElementById('downloadImportTemplate')?.addEventListener('click', () => this.downloadTemplate());
+    document.getElementById('validateImport')?.addEventListener('click', () => this.validate());
+    document.getElementById('runImport')?.addEventListener('click', () => this.runImport());
+    document.getElementById('downloadImportErrors')?.addEventListener('click', () => this.downloadErrorReport());
+
+    document.getElementById('importFileInput')?.addEventListener('change', (e) => {
+      if (e.target.files[0]) {
+        this.loadFile(e.target.files[0]);
+      }
+    });
+
+    document.getElementById('importMapping')?.addEventListener('change', (e) => {
+      if (!e.target.dataset.field) return;
+
+      this.mapping[e.target.dataset.field] = e.target.value === '' ? null : parseInt(e.target.value, 10);
+      this.resetResults();
+    });
+
+    document.getElementById('productImportModal')?.addEventListener('click', (e) => {
+      if (e.target.id === 'productImportModal') {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * Show import modal
+   */
+  show() {
+    this.fileName = '';
+    this.headers = [];
+    this.records = [];
+    this.mapping = {};
+
+    document.getElementById('importFileInput').value = '';
+    document.getElementById('importStepMapping').style.display = 'none';
+    this.resetResults();
+
+    document.getElementById('productImportModal').classList.add('show');
+  }
+
+  /**
+   * Hide import modal
+   */
+  hide() {
+    if (this.isBusy) return;
+    document.getElementById('productImportModal')?.classList.remove('show');
+  }
+
+  /**
+   * Read and parse the selected file
+   * @param {File} file - CSV file
+   */
+  async loadFile(file) {
+    if (/\.xlsx?$/i.test(file.name)) {
+      NotificationManager.show('Save the sheet as "CSV UTF-8" in Excel and upload that file', 'warning');
+      return;
+    }
+
+    try {
+      const rows = CsvUtils.parse(await file.text());
+
+      if (rows.length < 2) {
+        throw new Error('The file has no product rows');
+      }
+      if (rows.length - 1 > this.settings.MAX_ROWS) {
+        throw new Error(`Import up to ${this.settings.MAX_ROWS} rows at a time`);
+      }
+
+      this.fileName = file.name;
+      this.headers = rows[0].map(header => header.trim());
+      this.records = rows.slice(1);
+      this.mapping = this.autoMap(this.headers);
+
+      this.renderMapping();
+      this.resetResults();
+    } catch (error) {
+      console.error('Import file error:', error);
+      NotificationManager.show(error.message || 'Could not read the file', 'error');
+    }
+  }
+
+  /**
+   * Match columns to product fields by header name
+   * @param {Array<string>} headers - Column headers
+   * @returns {Object} Column index per field key
+   */
+  autoMap(headers) {
+    const normalize = (text) => text.toLowerCase().replace(/[_\-]+/g, ' ').replace(/\s+/g, ' ').trim();
+    const normalized = headers.map(normalize);
+    const mapping = {};
+
+    PRODUCT_IMPORT_FIELDS.forEach(field => {
+      const index = normalized.findIndex(header => header === normalize(field.key) || field.aliases.includes(header));
+      mapping[field.key] = index === -1 ? null : index;
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Render column mapping controls
+   */
+  renderMapping() {
+    const container = document.getElementById('importMapping');
+
+    const options = this.headers.map((header, index) =>
+      `<option value="${index}">${FormatUtils.escapeHtml(header || `Column ${index + 1}`)}</option>`
+    ).join('');
+
+    container.innerHTML = PRODUCT_IMPORT_FIELDS.map(field => `
+      <div class="form-group import-mapping-row">
+        <label for="importMap_${field.key}" class="form-label">${field.label}${field.required ? ' *' : ''}</label>
+        <select id="importMap_${field.key}" class="form-select" data-field="${field.key}">
+          <option value="">${field.required ? 'Select column' : 'Do not import'}</option>
+          ${options}
+        </select>
+      </div>
+    `).join('');
+
+    PRODUCT_IMPORT_FIELDS.forEach(field => {
+      const select = document.getElementById(`importMap_${field.key}`);
+      select.value = this.mapping[field.key] === null ? '' : String(this.mapping[field.key]);
+    });
+
+    document.getElementById('importFileName').textContent = this.fileName;
+    document.getElementById('importRowCount').textContent = this.records.length;
+    document.getElementById('importStepMapping').style.display = 'block';
+  }
+
+  /**
+   * Clear validation results after the file or mapping changes
+   */
+  resetResults() {
+    this.results = [];
+
+    document.getElementById('importReport').style.display = 'none';
+    document.getElementById('downloadImportErrors').style.display = 'none';
+    document.getElementById('validateImport').disabled = this.records.length === 0;
+    document.getElementById('runImport').disabled = true;
+  }
+
+  /**
+   * Convert mapped CSV records to product rows and check them locally
+   * @returns {Array<Object>} Rows with row number, product data and errors
+   */
+  buildRows() {
+    const seenSkus = new Map();
+
+    return this.records.map((record, index) => {
+      const row = index + 2; // Header is row 1
+      const errors = [];
+      const data = {};
+
+      const value = (key) => {
+        const column = this.mapping[key];
+        return column === null || column === undefined ? '' : (record[column] || '').trim();
+      };
+
+      data.sku = value('sku');
+      data.name = value('name');
+
+      if (!data.sku) errors.push('SKU is required');
+      if (!data.name) errors.push('Name is required');
+
+      const price = this.parseNumber(value('price'));
+      if (price === null || price < 0) {
+        errors.push('Price must be a number of 0 or more');
+      } else {
+        data.price = price;
+      }
+
+      if (value('stock_quantity') !== '') {
+        const stock = this.parseNumber(value('stock_quantity'));
+        if (stock === null || stock < 0 || !Number.isInteger(stock)) {
+          errors.push('Stock quantity must be a whole number of 0 or more');
+        } else {
+          data.stock_quantity = stock;
+        }
+      }
+
+      if (value('category') !== '') {
+        const category = this.findCategory(value('category'));
+        if (category) {
+          data.category_id = category.id;
+        } else {
+          errors.push(`Unknown category "${value('category')}"`);
+        }
+      }
+
+      if (value('is_active') !== '') {
+        const active = this.parseBoolean(value('is_active'));
+        if (active === null) {
+          errors.push('Active must be yes or no');
+        } else {
+          data.is_active = active;
+        }
+      }
+
+      ['brand', 'description'].forEach(key => {
+        if (value(key) !== '') data[key] = value(key);
+      });
+
+      const skuKey = data.sku.toLowerCase();
+      if (data.sku && seenSkus.has(skuKey)) {
+        errors.push(`Duplicate SKU, also on row ${seenSkus.get(skuKey)}`);
+      } else if (data.sku) {
+        seenSkus.set(skuKey, row);
+      }
+
+      return { row, data, errors };
+    });
+  }
+
+  /**
+   * Parse a number written with currency symbols, thousands separators or a decimal comma
+   * @param {string} text - Cell value
+   * @returns {number|null} Number, or null when invalid
+   */
+  parseNumber(text) {
+    let cleaned = text.replace(/[₹$\s]|rs\.?/gi, '');
+
+    // A trailing comma group of 1-2 digits is a decimal comma (e.g. 1.299,50)
+    if (/,\d{1,2}$/.test(cleaned)) {
+      cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+    } else {
+      cleaned = cleaned.replace(/,/g, '');
+    }
+
+    if (cleaned === '' || isNaN(cleaned)) return null;
+    return Number(cleaned);
+  }
+
+  /**
+   * Parse a yes/no cell
+   * @param {string} text - Cell value
+   * @returns {boolean|null} Value, or null when invalid
+   */
+  parseBoolean(text) {
+    const value = text.toLowerCase();
+    if (['yes', 'y', 'true', '1', 'active'].includes(value)) return true;
+    if (['no', 'n', 'false', '0', 'inactive'].includes(value)) return false;
+    return null;
+  }
+
+  /**
+   * Find category by name or ID
+   * @param {string} text - Cell value
+   * @returns {Object|null} Category
+   */
+  findCategory(text) {
+    const value = text.toLowerCase();
+    return this.productManager.categories.find(category =>
+      String(category.id) === value || category.name.toLowerCase() === value
+    ) || null;
+  }
+
+  /**
+   * Check that every required field has a column
+   * @returns {boolean} Is mapping complete
+   */
+  checkMapping() {
+    const missing = PRODUCT_IMPORT_FIELDS.filter(field => field.required && this.mapping[field.key] === null);
+
+    if (missing.length > 0) {
+      NotificationManager.show(`Select a column for: ${missing.map(field => field.label).join(', ')}`, 'warning');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate all rows without saving (dry run)
+   */
+  async validate() {
+    if (this.isBusy || !this.checkMapping()) return;
+
+    const rows = this.buildRows();
+    this.setBusy(true, 'validateImport');
+
+    try {
+      this.results = await this.submitRows(rows, true);
+      this.renderReport(true);
+    } catch (error) {
+      console.error('Import validation error:', error);
+      NotificationManager.show(error.message || 'Failed to validate import', 'error');
+    } finally {
+      this.setBusy(false, 'validateImport');
+    }
+  }
+
+  /**
+   * Import valid rows
+   */
+  async runImport() {
+    if (this.isBusy || !this.checkMapping()) return;
+
+    const failed = this.results.filter(result => result.errors.length > 0).length;
+    if (failed > 0 && !confirm(`${failed} row(s) with errors will be skipped. Import the remaining rows?`)) {
+      return;
+    }
+
+    const rows = this.buildRows();
+    this.setBusy(true, 'runImport');
+
+    try {
+      this.results = await this.submitRows(rows, false);
+      this.renderReport(false);
+
+      const saved = this.results.filter(result => result.errors.length === 0).length;
+      NotificationManager.show(`${saved} product(s) imported`, saved > 0 ? 'success' : 'warning');
+
+      this.productManager.loadProducts();
+    } catch (error) {
+      console.error('Import error:', error);
+      NotificationManager.show(error.message || 'Failed to import products', 'error');
+    } finally {
+      this.setBusy(false, 'runImport');
+      // Results describe a finished import; validate again before another run
+      document.getElementById('runImport').disabled = true;
+    }
+  }
+
+  /**
+   * Send rows without local errors to the server in batches
+   * @param {Array<Object>} rows - Built rows
+   * @param {boolean} dryRun - Validate only
+   * A failed batch marks its rows as errors instead of aborting the import.
+   * @returns {Promise<Array<Object>>} Result per row: row, sku, name, action, errors
+   */
+  async submitRows(rows, dryRun) {
+    const results = new Map(rows.map(({ row, data, errors }) => [row, {
+      row,
+      sku: data.sku,
+      name: data.name,
+      action: errors.length > 0 ? 'skip' : null,
+      errors
+    }]));
+
+    const validRows = rows.filter(row => row.errors.length === 0);
+    const options = this.productManager.getAdminRequestOptions();
+
+    for (let i = 0; i < validRows.length; i += this.settings.BATCH_SIZE) {
+      const batch = validRows.slice(i, i + this.settings.BATCH_SIZE);
+      this.updateProgress(i, validRows.length, dryRun);
+
+      let response;
+      try {
+        response = await ApiService.admin.products.import(
+          batch.map(({ row, data }) => ({ row, ...data })),
+          dryRun,
+          options
+        );
+      } catch (error) {
+        // Later batches still run; the report shows which rows were not processed
+        const message = `Not ${dryRun ? 'validated' : 'imported'}: ${error.data?.message || error.message}`;
+        batch.forEach(({ row }) => {
+          Object.assign(results.get(row), { action: 'skip', errors: [message] });
+        });
+        continue;
+      }
+
+      (response.data?.results || []).forEach(result => {
+        const entry = results.get(result.row);
+        if (!entry) return;
+
+        entry.action = result.errors?.length ? 'skip' : result.action;
+        entry.errors = result.errors || [];
+      });
+    }
+
+    return [...results.values()];
+  }
+
+  /**
+   * Render per-row report
+   * @param {boolean} dryRun - Whether results come from validation
+   */
+  renderReport(dryRun) {
+    const count = (action) => this.results.filter(result => result.action === action).length;
+    const created = count('create');
+    const updated = count('update');
+    const failed = this.results.filter(result => result.errors.length > 0).length;
+
+    document.getElementById('importSummary').innerHTML = `
+      <span class="import-stat import-stat--create">${created} ${dryRun ? 'to create' : 'created'}</span>
+      <span class="import-stat import-stat--update">${updated} ${dryRun ? 'to update' : 'updated'}</span>
+      <span class="import-stat import-stat--error">${failed} with errors</span>
+    `;
+
+    // Errors first; large files only list the first rows
+    const shown = [...this.results]
+      .sort((a, b) => (b.errors.length > 0) - (a.errors.length > 0) || a.row - b.row)
+      .slice(0, 200);
+
+    const actionLabels = dryRun
+      ? { create: 'Will create', update: 'Will update', skip: 'Skipped' }
+      : { create: 'Created', update: 'Updated', skip: 'Skipped' };
+
+    document.getElementById('importReportBody').innerHTML = shown.map(result => `
+      <tr class="${result.errors.length > 0 ? 'import-row--error' : ''}">
+        <td>${result.row}</td>
+        <td>${FormatUtils.escapeHtml(result.sku || '—')}</td>
+        <td>${FormatUtils.escapeHtml(result.name || '—')}</td>
+        <td><span class="import-action import-action--${result.action || 'skip'}">${actionLabels[result.action] || 'Skipped'}</span></td>
+        <td>${result.errors.map(error => FormatUtils.escapeHtml(error)).join('<br>')}</td>
+      </tr>
+    `).join('');
+
+    document.getElementById('importReportNote').textContent = this.results.length > shown.length
+      ? `Showing ${shown.length} of ${this.results.length} rows. Download the error report for all rows with errors.`
+      : '';
+
+    document.getElementById('importReport').style.display = 'block';
+    document.getElementById('downloadImportErrors').style.display = failed > 0 ? 'flex' : 'none';
+    document.getElementById('runImport').disabled = !dryRun || created + updated === 0;
+  }
+
+  /**
+   * Show batch progress
+   */
+  updateProgress(done, total, dryRun) {
+    const progress = document.getElementById('importProgress');
+    if (progress) {
+      progress.textContent = `${dryRun ? 'Validating' : 'Importing'} ${done} of ${total} rows...`;
+    }
+  }
+
+  /**
+   * Set busy state for import buttons
+   * @param {boolean} busy - Is busy
+   * @param {string} buttonId - Button showing the loading state
+   */
+  setBusy(busy, buttonId) {
+    this.isBusy = busy;
+
+    ['validateImport', 'runImport', 'importFileInput'].forEach(id => {
+      document.getElementById(id).disabled = busy;
+    });
+
+    const button = document.getElementById(buttonId);
+    button.classList.toggle('loading', busy);
+    button.querySelector('.btn-loading').style.display = busy ? 'block' : 'none';
+
+    if (!busy) {
+      document.getElementById('importProgress').textContent = '';
+    }
+  }
+
+  /**
+   * Download the original rows that failed, with an errors column
+   */
+  downloadErrorReport() {
+    const failed = this.results.filter(result => result.errors.length > 0);
+    if (failed.length === 0) return;
+
+    const rows = [
+      [...this.headers, 'Errors'],
+      ...failed.map(result => [...this.records[result.row - 2], result.errors.join('; ')])
+    ];
+
+    const baseName = this.fileName.replace(/\.[^.]+$/, '');
+    CsvUtils.download(rows, `${baseName}-errors.csv`);
+  }
+
+  /**
+   * Download an empty import template
+   */
+  downloadTemplate() {
+    CsvUtils.download([
+      PRODUCT_IMPORT_FIELDS.map(field => field.key),
+      ['RC-LIP-001', 'Matte Lipstick - Ruby', '499', '25', 'Riya', 'Lip Care', 'Long-lasting matte finish', 'yes']
+    ], 'product-import-template.csv');
+  }
+
+  /**
+   * Export products matching the current filters
+   */
+  async exportProducts() {
+    try {
+      const blob = await api.get(API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_EXPORT, {
+        format: 'csv',
+        ...this.productManager.currentFilters
+      }, { ...this.productManager.getAdminRequestOptions(), responseType: 'blob' });
+
+      CsvUtils.downloadBlob(blob, `products-export-${new Date().toISOString().split('T')[0]}.csv`);
+
+      NotificationManager.show('Products exported successfully', 'success');
+
+    } catch (error) {
+      console.error('Export error:', error);
+      NotificationManager.show('Failed to export products', 'error');
+    }
+  }
+}
+
+// Export for use in other modules
+window.CsvUtils = CsvUtils;
+window.ProductImportManager = ProductImportManager;
@@ -0,0 +1,396 @@
+/**
+ * Product variant editor for the admin panel
+ * Builds size/colour style options and a variant matrix with per-variant
+ * SKU, price, stock and image
+ */
+
+class ProductVariantEditor {
+  /**
+   * @param {AdminProductManager} productManager - Product manager that owns the product form
+   */
+  constructor(productManager) {
+    this.productManager = productManager;
+    this.options = [];
+    this.variants = [];
+
+    this.bindEvents();
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    document.getElementById('addVariantOption')?.addEventListener('click', () => this.addOption());
+    document.getElementById('generateVariants')?.addEventListener('click', () => this.generate());
+
+    const optionsContainer = document.getElementById('variantOptions');
+    optionsContainer?.addEventListener('click', (e) => {
+      const button = e.target.closest('.variant-option-remove');
+      if (button) {
+        this.readOptions();
+        this.options.splice(parseInt(button.dataset.index, 10), 1);
+        this.renderOptions();
+      }
+    });
+
+    const matrix = document.getElementById('variantMatrix');
+    matrix?.addEventListener('input', (e) => this.handleMatrixInput(e));
+    matrix?.addEventListener('change', (e) => this.handleMatrixInput(e));
+    matrix?.addEventListener('click', (e) => {
+      const button = e.target.closest('.variant-row-remove');
+      if (button) {
+        this.variants.splice(parseInt(button.dataset.index, 10), 1);
+        this.renderMatrix();
+        this.updateStockField();
+      }
+    });
+  }
+
+  /**
+   * Clear the editor for a new product
+   */
+  reset() {
+    this.options = [];
+    this.variants = [];
+    this.renderOptions();
+    this.renderMatrix();
+    this.updateStockField();
+  }
+
+  /**
+   * Load options and variants from a product
+   * @param {Object} product - Product data
+   */
+  load(product) {
+    this.options = (product.options || []).map(option => ({
+      name: option.name,
+      values: option.values.map(item => ({ value: item.value, swatch: item.swatch || null }))
+    }));
+
+    this.variants = (product.variants || []).map(variant => ({
+      id: variant.id,
+      options: { ...variant.options },
+      sku: variant.sku || '',
+      price: variant.price ?? '',
+      stockQuantity: variant.stockQuantity || 0,
+      imageIds: variant.imageIds || []
+    }));
+
+    this.renderOptions();
+    this.renderMatrix();
+    this.updateStockField();
+  }
+
+  /**
+   * Add an empty option row
+   */
+  addOption() {
+    this.readOptions();
+    this.options.push({ name: '', values: [] });
+    this.renderOptions();
+
+    const inputs = document.querySelectorAll('#variantOptions .variant-option-name');
+    inputs[inputs.length - 1]?.focus();
+  }
+
+  /**
+   * Parse option values typed as a comma separated list
+   * A colour in brackets becomes a swatch, e.g. "Red (#b22222)".
+   * @param {string} text - Values text
+   * @returns {Array<Object>} Values with optional swatch
+   */
+  parseValues(text) {
+    const values = [];
+
+    text.split(',').forEach(part => {
+      const match = part.trim().match(/^(.*?)\s*(?:\(([^)]+)\))?$/);
+      const value = match[1].trim();
+
+      if (value && !values.some(item => item.value.toLowerCase() === value.toLowerCase())) {
+        values.push({ value, swatch: match[2] ? match[2].trim() : null });
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Format option values for the values input
+   * @param {Array<Object>} values - Option values
+   * @returns {string} Values text
+   */
+  formatValues(values) {
+    return values.map(item => item.swatch ? `${item.value} (${item.swatch})` : item.value).join(', ');
+  }
+
+  /**
+   * Read option rows from the form
+   */
+  readOptions() {
+    const rows = document.querySelectorAll('#variantOptions .variant-option-row');
+
+    this.options = Array.from(rows).map(row => ({
+      name: row.querySelector('.variant-option-name').value.trim(),
+      values: this.parseValues(row.querySelector('.variant-option-values').value)
+    }));
+  }
+
+  /**
+   * Render option rows
+   */
+  renderOptions() {
+    const container = document.getElementById('variantOptions');
+    if (!container) return;
+
+    container.innerHTML = this.options.map((option, index) => `
+      <div class="variant-option-row">
+        <input type="text" class="form-input variant-option-name" placeholder="Option (e.g. Size)"
+               value="${FormatUtils.escapeHtml(option.name)}" aria-label="Option name">
+        <input type="text" class="form-input variant-option-values" placeholder="Values, e.g. S, M, L or Red (#b22222), Blue (#1e40af)"
+               value="${FormatUtils.escapeHtml(this.formatValues(option.values))}" aria-label="Option values">
+        <button type="button" class="action-btn action-btn--delete variant-option-remove" data-index="${index}" title="Remove option">
+          <i class="ri-delete-bin-line"></i>
+        </button>
+      </div>
+    `).join('');
+
+    document.getElementById('generateVariants').disabled = this.options.length === 0;
+  }
+
+  /**
+   * Build the variant matrix from the options
+   * Rows that already exist keep their SKU, price, stock and image.
+   */
+  generate() {
+    this.readOptions();
+
+    const error = this.validateOptions();
+    if (error) {
+      NotificationManager.show(error, 'error');
+      return;
+    }
+
+    const combinations = this.options.reduce((rows, option) => {
+      const next = [];
+      rows.forEach(row => {
+        option.values.forEach(item => next.push({ ...row, [option.name]: item.value }));
+      });
+      return next;
+    }, [{}]);
+
+    const existing = new Map(this.variants.map(variant => [this.getVariantKey(variant.options), variant]));
+
+    this.variants = combinations.map(options => existing.get(this.getVariantKey(options)) || {
+      id: null,
+      options,
+      sku: '',
+      price: '',
+      stockQuantity: 0,
+      imageIds: []
+    });
+
+    this.renderOptions();
+    this.renderMatrix();
+    this.updateStockField();
+  }
+
+  /**
+   * Key identifying a combination of option values
+   * @param {Object} options - Option name to value map
+   * @returns {string} Combination key
+   */
+  getVariantKey(options) {
+    return this.options.map(option => `${option.name}=${options[option.name] ?? ''}`).join('|');
+  }
+
+  /**
+   * Check option names and values
+   * @returns {string|null} Error message
+   */
+  validateOptions() {
+    const names = new Set();
+
+    for (const option of this.options) {
+      if (!option.name) {
+        return 'Every variant option needs a name';
+      }
+      if (names.has(option.name.toLowerCase())) {
+        return `Option "${option.name}" is listed twice`;
+      }
+      if (option.values.length === 0) {
+        return `Add at least one value for "${option.name}"`;
+      }
+      names.add(option.name.toLowerCase());
+    }
+
+    return null;
+  }
+
+  /**
+   * Render the variant matrix table
+   */
+  renderMatrix() {
+    const container = document.getElementById('variantMatrix');
+    if (!container) return;
+
+    if (this.variants.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    // Only saved images have IDs a variant can point to
+    const images = this.productManager.uploadedImages.filter(image => image.id);
+    const basePrice = document.getElementById('productPrice')?.value || '';
+
+    const rows = this.variants.map((variant, index) => {
+      const imageOptions = images.map((image, imageIndex) => `
+        <option value="${image.id}" ${variant.imageIds[0] === image.id ? 'selected' : ''}>
+          Image ${imageIndex + 1}${image.altText ? ` – ${FormatUtils.escapeHtml(image.altText)}` : ''}
+        </option>
+      `).join('');
+
+      return `
+        <tr>
+          ${this.options.map(option => `<td>${FormatUtils.escapeHtml(variant.options[option.name] ?? '')}</td>`).join('')}
+          <td><input type="text" class="form-input" data-index="${index}" data-field="sku"
+                     value="${FormatUtils.escapeHtml(variant.sku)}" placeholder="Auto"></td>
+          <td><input type="number" class="form-input" data-index="${index}" data-field="price"
+                     value="${variant.price}" min="0" step="0.01" placeholder="${FormatUtils.escapeHtml(basePrice)}"></td>
+          <td><input type="number" class="form-input" data-index="${index}" data-field="stockQuantity"
+                     value="${variant.stockQuantity}" min="0" step="1"></td>
+          <td>
+            <select class="form-select" data-index="${index}" data-field="imageId">
+              <option value="">Default</option>
+              ${imageOptions}
+            </select>
+          </td>
+          <td>
+            <button type="button" class="action-btn action-btn--delete variant-row-remove" data-index="${index}" title="Remove variant">
+              <i class="ri-close-line"></i>
+            </button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <table class="admin-table variant-matrix-table">
+        <thead>
+          <tr>
+            ${this.options.map(option => `<th>${FormatUtils.escapeHtml(option.name)}</th>`).join('')}
+            <th>SKU</th>
+            <th>Price (₹)</th>
+            <th>Stock</th>
+            <th>Image</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${images.length === 0 ? '<small class="variant-matrix-hint">Save the product with images to assign them to variants.</small>' : ''}
+    `;
+  }
+
+  /**
+   * Update a variant from a matrix input
+   * @param {Event} e - Input or change event
+   */
+  handleMatrixInput(e) {
+    const { index, field } = e.target.dataset;
+    const variant = this.variants[index];
+    if (!variant || !field) return;
+
+    if (field === 'imageId') {
+      variant.imageIds = e.target.value ? [parseInt(e.target.value, 10)] : [];
+    } else if (field === 'stockQuantity') {
+      variant.stockQuantity = parseInt(e.target.value, 10) || 0;
+      this.updateStockField();
+    } else {
+      variant[field] = e.target.value.trim();
+    }
+  }
+
+  /**
+   * Product stock is the total of variant stock while variants exist
+   */
+  updateStockField() {
+    const stockInput = document.getElementById('productStock');
+    if (!stockInput) return;
+
+    const hasVariants = this.variants.length > 0;
+    stockInput.readOnly = hasVariants;
+    stockInput.title = hasVariants ? 'Total of variant stock' : '';
+
+    if (hasVariants) {
+      stockInput.value = this.getTotalStock();
+    }
+  }
+
+  /**
+   * Total stock across variants
+   * @returns {number} Stock quantity
+   */
+  getTotalStock() {
+    return this.variants.reduce((total, variant) => total + (variant.stockQuantity || 0), 0);
+  }
+
+  /**
+   * Check the variant matrix before saving
+   * @returns {string|null} Error message
+   */
+  validate() {
+    this.readOptions();
+
+    if (this.variants.length === 0) return null;
+
+    const optionError = this.validateOptions();
+    if (optionError) return optionError;
+
+    const keys = this.options.map(option => option.name).join('|');
+    const variantKeys = Object.keys(this.variants[0].options).join('|');
+    if (keys !== variantKeys) {
+      return 'Variant options changed. Generate variants again before saving';
+    }
+
+    const skus = new Set();
+    for (const variant of this.variants) {
+      const label = ProductUtils.variantLabel(variant.options);
+
+      if (variant.price !== '' && !(parseFloat(variant.price) >= 0)) {
+        return `Enter a valid price for ${label}`;
+      }
+      if (variant.sku) {
+        if (skus.has(variant.sku.toLowerCase())) {
+          return `SKU ${variant.sku} is used by more than one variant`;
+        }
+        skus.add(variant.sku.toLowerCase());
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Options and variants for the product save request
+   * @returns {Object} Options and variants payload
+   */
+  getData() {
+    const imageIds = new Set(this.productManager.uploadedImages.map(image => image.id).filter(Boolean));
+
+    return {
+      options: this.variants.length > 0 ? this.options : [],
+      variants: this.variants.map(variant => ({
+        id: variant.id,
+        options: variant.options,
+        sku: variant.sku || null,
+        price: variant.price === '' ? null : parseFloat(variant.price),
+        stock_quantity: variant.stockQuantity,
+        // Images deleted from the gallery are dropped
+        image_ids: variant.imageIds.filter(id => imageIds.has(id))
+      }))
+    };
+  }
+}
+
+// Export for use in other modules
+window.ProductVariantEditor = ProductVariantEditor;
@@ -13,6 +13,11 @@ class AdminProductManager {
     this.categories = [];
     this.editingProduct = null;
     this.uploadedImages = [];
+    this.deletedImageIds = [];
+    this.savedGalleryOrder = null;
+    this.dragIndex = null;
+    this.detailsImageIndex = null;
+    this.detailsFocalPoint = null;
     
     this.init();
   }
@@ -63,6 +68,12 @@ class AdminProductManager {
     // Image upload events
     this.bindImageUploadEvents();
 
+    // CSV import and export
+    this.importManager = new ProductImportManager(this);
+
+    // Variant options and matrix
+    this.variantEditor = new ProductVariantEditor(this);
+
     // Modal events
     document.getElementById('productModalOverlay')?.addEventListener('click', (e) => {
       if (e.target.id === 'productModalOverlay') {
@@ -82,9 +93,25 @@ class AdminProductManager {
     document.getElementById('prevPage')?.addEventListener('click', () => this.goToPage(this.currentPage - 1));
     document.getElementById('nextPage')?.addEventListener('click', () => this.goToPage(this.currentPage + 1));
 
+    // Image details modal events
+    document.getElementById('closeImageDetails')?.addEventListener('click', () => this.hideImageDetails());
+    document.getElementById('cancelImageDetails')?.addEventListener('click', () => this.hideImageDetails());
+    document.getElementById('saveImageDetails')?.addEventListener('click', () => this.applyImageDetails());
+    document.getElementById('focalPointPicker')?.addEventListener('click', (e) => this.handleFocalPointClick(e));
+    document.getElementById('imageDetailsModal')?.addEventListener('click', (e) => {
+      if (e.target.id === 'imageDetailsModal') {
+        this.hideImageDetails();
+      }
+    });
+
     // Keyboard events
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
+        // Close the innermost modal first
+        if (this.detailsImageIndex !== null) {
+          this.hideImageDetails();
+          return;
+        }
         this.hideProductModal();
         this.hideImagePreview();
       }
@@ -121,6 +148,71 @@ class AdminProductManager {
         this.handleFileSelect(e.dataTransfer.files);
       });
     }
+
+    this.bindGalleryEvents();
+  }
+
+  /**
+   * Bind gallery reordering and selection events
+   */
+  bindGalleryEvents() {
+    const container = document.getElementById('uploadedImages');
+    if (!container) return;
+
+    const getIndex = (e) => {
+      const tile = e.target.closest('.uploaded-image');
+      return tile ? parseInt(tile.dataset.index, 10) : null;
+    };
+
+    container.addEventListener('dragstart', (e) => {
+      this.dragIndex = getIndex(e);
+      e.dataTransfer.effectAllowed = 'move';
+      e.target.closest('.uploaded-image')?.classList.add('dragging');
+    });
+
+    container.addEventListener('dragover', (e) => {
+      if (this.dragIndex === null) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    });
+
+    container.addEventListener('drop', (e) => {
+      const index = getIndex(e);
+      if (this.dragIndex === null || index === null) return;
+      e.preventDefault();
+      this.moveImage(this.dragIndex, index);
+    });
+
+    container.addEventListener('dragend', () => {
+      this.dragIndex = null;
+      container.querySelector('.dragging')?.classList.remove('dragging');
+    });
+
+    // Keyboard reordering
+    container.addEventListener('keydown', (e) => {
+      if (!e.target.classList.contains('uploaded-image')) return;
+      if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+
+      e.preventDefault();
+      const index = getIndex(e);
+      const target = index + (e.key === 'ArrowLeft' ? -1 : 1);
+      if (target < 0 || target >= this.uploadedImages.length) return;
+
+      this.moveImage(index, target);
+      container.querySelector(`.uploaded-image[data-index="${target}"]`)?.focus();
+    });
+
+    container.addEventListener('change', (e) => {
+      if (!e.target.classList.contains('image-select')) return;
+
+      const image = this.uploadedImages[getIndex(e)];
+      if (image) {
+        image.selected = e.target.checked;
+        this.updateGalleryToolbar();
+      }
+    });
+
+    document.getElementById('deleteSelectedImages')?.addEventListener('click', () => this.deleteSelectedImages());
   }
 
   /**
@@ -178,19 +270,7 @@ class AdminProductManager {
         ...this.currentFilters
       };
 
-      const token = localStorage.getItem('admin_auth_token');
-      const response = await fetch(`${API_CONFIG.BASE_URL}/products`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await ApiService.admin.products.getAll(params, this.getAdminRequestOptions());
       
       if (data.success) {
         this.products = data.data.products;
@@ -471,6 +551,8 @@ class AdminProductManager {
   showProductModal(product = null) {
     this.editingProduct = product;
     this.uploadedImages = [];
+    this.deletedImageIds = [];
+    this.savedGalleryOrder = null;
     
     const modal = document.getElementById('productModalOverlay');
     const title = document.getElementById('productModalTitle');
@@ -483,6 +565,7 @@ class AdminProductManager {
       // Reset form
       form.reset();
       this.clearFormErrors();
+      this.variantEditor.reset();
       
       // Populate form if editing
       if (product) {
@@ -506,6 +589,7 @@ class AdminProductManager {
       modal.classList.remove('show');
       this.editingProduct = null;
       this.uploadedImages = [];
+      this.deletedImageIds = [];
     }
   }
 
@@ -523,27 +607,23 @@ class AdminProductManager {
     document.getElementById('productStock').value = product.stockQuantity || '';
     document.getElementById('productActive').checked = product.isActive !== false;
 
+    // Variants replace the stock field with their total
+    this.variantEditor.load(product);
+
     // Load existing images
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/products/${product.id}/images`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('admin_auth_token')}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success && data.data.images) {
-          this.uploadedImages = data.data.images.map(img => ({
-            id: img.id,
-            url: img.url,
-            altText: img.altText,
-            isPrimary: img.isPrimary,
-            existing: true
-          }));
-          this.updateUploadedImagesDisplay();
-        }
+      const data = await ApiService.admin.products.getImages(product.id, this.getAdminRequestOptions());
+      if (data.success && data.data.images) {
+        this.uploadedImages = data.data.images.map(img => ({
+          id: img.id,
+          url: img.url,
+          altText: img.altText,
+          isPrimary: img.isPrimary,
+          focalPoint: img.focalPoint || { x: 50, y: 50 },
+          existing: true
+        }));
+        this.savedGalleryOrder = this.getGalleryOrder();
+        this.updateUploadedImagesDisplay();
       }
     } catch (error) {
       console.error('Error loading product images:', error);
@@ -571,9 +651,14 @@ class AdminProductManager {
     productData.stock_quantity = parseInt(productData.stock_quantity);
     productData.category_id = productData.category_id ? parseInt(productData.category_id) : null;
 
+    const { options, variants } = this.variantEditor.getData();
+    productData.options = options;
+    productData.variants = variants;
+
     try {
       this.setFormLoading(true);
       
+      const isNew = !this.editingProduct;
       let response;
       if (this.editingProduct) {
         // Update existing product
@@ -584,13 +669,13 @@ class AdminProductManager {
       }
 
       if (response.success) {
-        // Handle image uploads if any
-        if (this.uploadedImages.some(img => !img.existing)) {
-          await this.uploadProductImages(response.data.product.id);
-        }
+        // Saving again after a failed image upload must not create a duplicate
+        this.editingProduct = response.data.product;
+
+        await this.saveImageGallery(response.data.product.id);
 
         NotificationManager.show(
-          this.editingProduct ? 'Product updated successfully' : 'Product created successfully',
+          isNew ? 'Product created successfully' : 'Product updated successfully',
           'success'
         );
         
@@ -612,86 +697,195 @@ class AdminProductManager {
    * Create new product
    */
   async createProduct(productData) {
-    const token = localStorage.getItem('admin_auth_token');
-    const response = await fetch(`${API_CONFIG.BASE_URL}/products`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(productData)
-    });
-
-    return await response.json();
+    return ApiService.admin.products.create(productData, this.getAdminRequestOptions());
   }
 
   /**
    * Update existing product
    */
   async updateProduct(productId, productData) {
-    const token = localStorage.getItem('admin_auth_token');
-    const response = await fetch(`${API_CONFIG.BASE_URL}/products/${productId}`, {
-      method: 'PUT',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(productData)
-    });
+    return ApiService.admin.products.update(productId, productData, this.getAdminRequestOptions());
+  }
+
+  /**
+   * Request options for admin API calls
+   * @returns {Object} Request options with the admin token
+   */
+  getAdminRequestOptions() {
+    return {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('admin_auth_token')}` },
+      skipErrorHandling: true
+    };
+  }
+
+  /**
+   * Save gallery changes: deletions, new uploads, image details, then order
+   * Order and primary image are saved in one request.
+   */
+  async saveImageGallery(productId) {
+    const products = ApiService.admin.products;
+    const options = this.getAdminRequestOptions();
+
+    const deletions = await Promise.allSettled(
+      this.deletedImageIds.map(id => products.deleteImage(productId, id, options))
+    );
+    this.deletedImageIds = this.deletedImageIds.filter((id, i) => deletions[i].status === 'rejected');
 
-    return await response.json();
+    let uploadError = null;
+    try {
+      await this.uploadProductImages(productId);
+    } catch (error) {
+      uploadError = error;
+    }
+
+    for (const image of this.uploadedImages.filter(img => img.existing && img.changed)) {
+      await products.updateImage(productId, image.id, {
+        alt_text: image.altText,
+        focal_x: image.focalPoint.x,
+        focal_y: image.focalPoint.y
+      }, options);
+      image.changed = false;
+    }
+
+    await this.saveImageOrder(productId);
+
+    if (this.deletedImageIds.length > 0) {
+      throw new Error(`${this.deletedImageIds.length} image(s) could not be deleted`);
+    }
+    if (uploadError) {
+      throw uploadError;
+    }
   }
 
   /**
-   * Upload product images
+   * Save gallery order and primary image if they changed
+   */
+  async saveImageOrder(productId) {
+    const order = this.getGalleryOrder();
+    if (!order || order === this.savedGalleryOrder) return;
+
+    const saved = this.uploadedImages.filter(img => img.existing && img.id);
+    const primary = saved.find(img => img.isPrimary) || saved[0];
+
+    await ApiService.admin.products.reorderImages(
+      productId,
+      saved.map(img => img.id),
+      primary.id,
+      this.getAdminRequestOptions()
+    );
+
+    this.savedGalleryOrder = order;
+  }
+
+  /**
+   * Get order and primary image of saved images
+   * @returns {string|null} Order key, or null when there are no saved images
+   */
+  getGalleryOrder() {
+    const saved = this.uploadedImages.filter(img => img.existing && img.id);
+    if (saved.length === 0) return null;
+
+    return saved.map(img => `${img.id}${img.isPrimary ? '*' : ''}`).join(',');
+  }
+
+  /**
+   * Upload product images one at a time
+   * Images that fail keep their tile with retry and cancel actions.
    */
   async uploadProductImages(productId) {
     const newImages = this.uploadedImages.filter(img => !img.existing);
     
     if (newImages.length === 0) return;
 
-    const formData = new FormData();
-    
-    // Add image files
-    newImages.forEach((img, index) => {
-      if (img.file) {
-        formData.append('images', img.file);
-        if (img.altText) {
-          formData.append('alt_text', img.altText);
-        }
-      }
-    });
+    for (const image of newImages) {
+      // Removed from the list while an earlier image was uploading
+      if (!this.uploadedImages.includes(image)) continue;
 
-    // Set primary image
-    const primaryImage = this.uploadedImages.find(img => img.isPrimary);
-    if (primaryImage && !primaryImage.existing) {
-      formData.append('is_primary', 'true');
+      await this.uploadImage(productId, image);
     }
 
-    const token = localStorage.getItem('admin_auth_token');
-    const response = await fetch(`${API_CONFIG.BASE_URL}/products/${productId}/images`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`
-      },
-      body: formData
-    });
+    const failed = this.uploadedImages.filter(img => img.upload?.status === 'failed').length;
+    if (failed > 0) {
+      throw new Error(`${failed} image(s) failed to upload`);
+    }
+  }
+
+  /**
+   * Upload a single image with progress on its tile
+   * @param {number} productId - Product ID
+   * @param {Object} image - Uploaded image entry
+   * @returns {Promise<boolean>} Whether the image was uploaded
+   */
+  async uploadImage(productId, image) {
+    // Keep the upload so a retry resumes it instead of starting over
+    if (!image.upload) {
+      image.upload = new ProductImageUpload(productId, image.file, {
+        altText: image.altText,
+        isPrimary: image.isPrimary,
+        focalPoint: image.focalPoint,
+        headers: this.getAdminRequestOptions().headers,
+        onProgress: (percent) => LoadingManager.showProgress(this.getImageTile(image), percent)
+      });
+    }
+
+    this.updateUploadedImagesDisplay();
+
+    try {
+      const uploaded = await image.upload.start();
+
+      image.existing = true;
+      image.id = uploaded?.id;
+      image.upload = null;
+      return true;
+    } catch (error) {
+      if (image.upload.status !== 'cancelled') {
+        console.error(`Image upload error (${image.file.name}):`, error);
+      }
+      return false;
+    } finally {
+      LoadingManager.hideProgress(this.getImageTile(image));
+      this.updateUploadedImagesDisplay();
+    }
+  }
+
+  /**
+   * Retry a failed image upload
+   */
+  async retryImageUpload(index) {
+    const image = this.uploadedImages[index];
+    if (!image?.upload || !this.editingProduct) return;
 
-    const result = await response.json();
-    if (!result.success) {
-      throw new Error(result.message || 'Failed to upload images');
+    if (await this.uploadImage(this.editingProduct.id, image)) {
+      try {
+        await this.saveImageOrder(this.editingProduct.id);
+      } catch (error) {
+        console.error('Image order save error:', error);
+      }
+
+      NotificationManager.show('Image uploaded successfully', 'success');
+      this.loadProducts();
+    } else if (image.upload?.status === 'failed') {
+      NotificationManager.show(`Failed to upload ${image.file.name}`, 'error');
     }
+  }
 
-    return result;
+  /**
+   * Get the tile element of an image
+   * @param {Object} image - Uploaded image entry
+   * @returns {Element|null} Tile element
+   */
+  getImageTile(image) {
+    const index = this.uploadedImages.indexOf(image);
+    return document.querySelector(`#uploadedImages .uploaded-image[data-index="${index}"]`);
   }
 
   /**
    * Handle file selection
    */
   handleFileSelect(files) {
-    const maxFiles = 10;
-    const maxSize = 5 * 1024 * 1024; // 5MB
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
+    const maxFiles = APP_CONFIG.IMAGE_UPLOAD.MAX_FILES;
+    const maxSize = APP_CONFIG.IMAGE_UPLOAD.MAX_FILE_SIZE;
+    const allowedTypes = APP_CONFIG.IMAGE_UPLOAD.ALLOWED_TYPES;
 
     Array.from(files).forEach(file => {
       // Check file count
@@ -718,6 +912,7 @@ class AdminProductManager {
         url: URL.createObjectURL(file),
         altText: '',
         isPrimary: this.uploadedImages.length === 0, // First image is primary by default
+        focalPoint: { x: 50, y: 50 },
         existing: false
       };
 
@@ -737,15 +932,43 @@ class AdminProductManager {
     container.innerHTML = '';
 
     this.uploadedImages.forEach((image, index) => {
+      const status = image.upload?.status;
+      const altText = FormatUtils.escapeHtml(image.altText || '');
       const imageEl = document.createElement('div');
-      imageEl.className = 'uploaded-image';
+      imageEl.className = `uploaded-image${status ? ` uploaded-image--${status}` : ''}${image.selected ? ' selected' : ''}`;
+      imageEl.dataset.index = index;
+      imageEl.draggable = !status || status === 'failed';
+      imageEl.tabIndex = 0;
+      imageEl.setAttribute('aria-label', `Image ${index + 1} of ${this.uploadedImages.length}${image.isPrimary ? ', primary' : ''}. Use left and right arrow keys to reorder.`);
       imageEl.innerHTML = `
-        <img src="${image.url}" alt="${image.altText || 'Product image'}">
+        <img src="${image.url}" alt="${altText || 'Product image'}" style="${ImageUtils.focalPosition(image.focalPoint)}" draggable="false">
         ${image.isPrimary ? '<div class="primary-badge">Primary</div>' : ''}
+        ${!altText ? '<div class="alt-missing-badge" title="Missing alt text"><i class="ri-text"></i></div>' : ''}
+        ${imageEl.draggable ? `
+        <label class="image-select-label" title="Select image">
+          <input type="checkbox" class="image-select" ${image.selected ? 'checked' : ''} aria-label="Select image ${index + 1}">
+        </label>
+        ` : ''}
+        ${status === 'failed' ? `
+        <div class="image-upload-error">
+          <span>Upload failed</span>
+          <button class="image-action image-action--retry" onclick="adminProductManager.retryImageUpload(${index})" title="Retry upload">
+            <i class="ri-refresh-line"></i>
+          </button>
+        </div>
+        ` : ''}
+        ${status === 'compressing' || status === 'uploading' ? `
+        <button class="image-action image-action--cancel" onclick="adminProductManager.removeImage(${index})" title="Cancel upload">
+          <i class="ri-close-line"></i>
+        </button>
+        ` : ''}
         <div class="image-overlay">
           <button class="image-action image-action--view" onclick="adminProductManager.showImagePreview('${image.url}')" title="Preview">
             <i class="ri-eye-line"></i>
           </button>
+          <button type="button" class="image-action image-action--edit" onclick="adminProductManager.showImageDetails(${index})" title="Alt text and focal point">
+            <i class="ri-edit-line"></i>
+          </button>
           <button class="image-action image-action--primary" onclick="adminProductManager.setPrimaryImage(${index})" title="Set as Primary">
             <i class="ri-star-line"></i>
           </button>
@@ -756,6 +979,127 @@ class AdminProductManager {
       `;
       container.appendChild(imageEl);
     });
+
+    this.updateGalleryToolbar();
+    this.variantEditor.renderMatrix();
+  }
+
+  /**
+   * Update gallery toolbar with the selected image count
+   */
+  updateGalleryToolbar() {
+    const toolbar = document.getElementById('galleryToolbar');
+    const button = document.getElementById('deleteSelectedImages');
+    const count = document.getElementById('selectedImageCount');
+    if (!toolbar || !button || !count) return;
+
+    const selected = this.uploadedImages.filter(img => img.selected).length;
+
+    toolbar.style.display = this.uploadedImages.length > 1 ? 'flex' : 'none';
+    count.textContent = selected;
+    button.disabled = selected === 0;
+  }
+
+  /**
+   * Move image to a new position
+   */
+  moveImage(from, to) {
+    if (from === to) return;
+
+    const [image] = this.uploadedImages.splice(from, 1);
+    this.uploadedImages.splice(to, 0, image);
+    this.updateUploadedImagesDisplay();
+  }
+
+  /**
+   * Remove selected images
+   * Saved images are deleted when the product is saved.
+   */
+  deleteSelectedImages() {
+    const selected = this.uploadedImages.filter(img => img.selected);
+    if (selected.length === 0) return;
+
+    if (!confirm(`Remove ${selected.length} selected image(s)? Saved images are deleted when you save the product.`)) {
+      return;
+    }
+
+    selected.forEach(image => this.removeImage(this.uploadedImages.indexOf(image)));
+  }
+
+  /**
+   * Show alt text and focal point editor for an image
+   */
+  showImageDetails(index) {
+    const image = this.uploadedImages[index];
+    const modal = document.getElementById('imageDetailsModal');
+    if (!image || !modal) return;
+
+    this.detailsImageIndex = index;
+    this.detailsFocalPoint = { ...image.focalPoint };
+
+    document.getElementById('imageAltText').value = image.altText || '';
+    modal.querySelectorAll('.focal-point-image, .crop-preview img').forEach(img => {
+      img.src = image.url;
+    });
+    this.updateFocalPointPreview();
+
+    modal.classList.add('show');
+    document.getElementById('imageAltText').focus();
+  }
+
+  /**
+   * Hide image details editor
+   */
+  hideImageDetails() {
+    document.getElementById('imageDetailsModal')?.classList.remove('show');
+    this.detailsImageIndex = null;
+  }
+
+  /**
+   * Set focal point from a click on the picker image
+   */
+  handleFocalPointClick(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+
+    this.detailsFocalPoint = {
+      x: Math.round(Math.min(100, Math.max(0, ((e.clientX - rect.left) / rect.width) * 100))),
+      y: Math.round(Math.min(100, Math.max(0, ((e.clientY - rect.top) / rect.height) * 100)))
+    };
+
+    this.updateFocalPointPreview();
+  }
+
+  /**
+   * Update focal point marker and crop previews
+   */
+  updateFocalPointPreview() {
+    const { x, y } = this.detailsFocalPoint;
+    const marker = document.getElementById('focalPointMarker');
+
+    if (marker) {
+      marker.style.left = `${x}%`;
+      marker.style.top = `${y}%`;
+    }
+
+    document.querySelectorAll('#imageDetailsModal .crop-preview img').forEach(img => {
+      img.style.objectPosition = `${x}% ${y}%`;
+    });
+  }
+
+  /**
+   * Apply edited image details to the gallery
+   * Saved with the product.
+   */
+  applyImageDetails() {
+    const image = this.uploadedImages[this.detailsImageIndex];
+    if (!image) return;
+
+    image.altText = document.getElementById('imageAltText').value.trim();
+    image.focalPoint = this.detailsFocalPoint;
+    image.changed = true;
+
+    this.hideImageDetails();
+    this.updateUploadedImagesDisplay();
   }
 
   /**
@@ -773,6 +1117,16 @@ class AdminProductManager {
    */
   removeImage(index) {
     const image = this.uploadedImages[index];
+
+    // Stop an unfinished upload and discard chunks the server already has
+    if (image.upload) {
+      image.upload.cancel();
+    }
+
+    // Saved images are deleted when the product is saved
+    if (image.existing && image.id) {
+      this.deletedImageIds.push(image.id);
+    }
     
     // Revoke object URL if it's a new file
     if (!image.existing && image.url.startsWith('blob:')) {
@@ -817,20 +1171,10 @@ class AdminProductManager {
    */
   async viewProduct(productId) {
     try {
-      const token = localStorage.getItem('admin_auth_token');
-      const response = await fetch(`${API_CONFIG.BASE_URL}/products/${productId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success) {
-          // Open product in new tab (customer view)
-          window.open(`../test-product-detail.html?id=${productId}`, '_blank');
-        }
+      const data = await ApiService.admin.products.getById(productId, this.getAdminRequestOptions());
+      if (data.success) {
+        // Open product in new tab (customer view)
+        window.open(`../test-product-detail.html?id=${productId}`, '_blank');
       }
     } catch (error) {
       console.error('Error viewing product:', error);
@@ -859,16 +1203,7 @@ class AdminProductManager {
     if (!confirmed) return;
 
     try {
-      const token = localStorage.getItem('admin_auth_token');
-      const response = await fetch(`${API_CONFIG.BASE_URL}/products/${productId}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const result = await response.json();
+      const result = await ApiService.admin.products.delete(productId, this.getAdminRequestOptions());
       
       if (result.success) {
         NotificationManager.show('Product deleted successfully', 'success');
@@ -921,6 +1256,13 @@ class AdminProductManager {
       isValid = false;
     }
     
+    // Validate variants
+    const variantError = this.variantEditor.validate();
+    if (variantError) {
+      this.showFieldError('productVariants', variantError);
+      isValid = false;
+    }
+    
     return isValid;
   }
 
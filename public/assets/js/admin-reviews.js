@@ -0,0 +1,533 @@
+/**
+ * Admin Reviews Moderation JavaScript
+ * Handles the review moderation queue for admin dashboard
+ */
+
+class AdminReviewsManager {
+  constructor() {
+    this.reviews = [];
+    this.currentPage = 1;
+    this.reviewsPerPage = 20;
+    this.totalReviews = 0;
+    this.filters = {
+      search: '',
+      status: 'pending',
+      rating: '',
+      sort_order: 'asc'
+    };
+    this.reviewStats = null;
+    this.activeReview = null;
+
+    this.init();
+  }
+
+  async init() {
+    // Check if we're on the reviews section
+    if (!document.getElementById('reviewsSection')) {
+      return;
+    }
+
+    this.bindEvents();
+    await this.loadReviews();
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    // Navigation - load reviews when reviews section is activated
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('[data-section="reviews"]')) {
+        setTimeout(() => this.loadReviews(), 100);
+      }
+    });
+
+    // Filter and search controls
+    const searchBtn = document.getElementById('searchReviewsBtn');
+    const searchInput = document.getElementById('reviewSearch');
+    const applyFiltersBtn = document.getElementById('applyReviewFilters');
+    const clearFiltersBtn = document.getElementById('clearReviewFilters');
+
+    if (searchBtn) {
+      searchBtn.addEventListener('click', () => this.handleSearch());
+    }
+
+    if (searchInput) {
+      searchInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          this.handleSearch();
+        }
+      });
+    }
+
+    if (applyFiltersBtn) {
+      applyFiltersBtn.addEventListener('click', () => this.applyFilters());
+    }
+
+    if (clearFiltersBtn) {
+      clearFiltersBtn.addEventListener('click', () => this.clearFilters());
+    }
+
+    const refreshBtn = document.getElementById('refreshReviews');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => this.loadReviews());
+    }
+
+    // Pagination
+    const prevBtn = document.getElementById('prevReviewsPage');
+    const nextBtn = document.getElementById('nextReviewsPage');
+
+    if (prevBtn) {
+      prevBtn.addEventListener('click', () => this.goToPage(this.currentPage - 1));
+    }
+
+    if (nextBtn) {
+      nextBtn.addEventListener('click', () => this.goToPage(this.currentPage + 1));
+    }
+
+    // Moderation modal
+    const closeModeration = document.getElementById('closeReviewModeration');
+    const approveBtn = document.getElementById('approveReviewBtn');
+    const rejectBtn = document.getElementById('rejectReviewBtn');
+
+    if (closeModeration) {
+      closeModeration.addEventListener('click', () => this.hideModerationModal());
+    }
+
+    if (approveBtn) {
+      approveBtn.addEventListener('click', () => this.moderateActiveReview('approved', approveBtn));
+    }
+
+    if (rejectBtn) {
+      rejectBtn.addEventListener('click', () => this.moderateActiveReview('rejected', rejectBtn));
+    }
+  }
+
+  /**
+   * Request options for admin API calls
+   * @returns {Object} Request options with the admin token
+   */
+  getRequestOptions() {
+    return {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('admin_auth_token')}` },
+      skipErrorHandling: true
+    };
+  }
+
+  /**
+   * Load reviews from API
+   */
+  async loadReviews() {
+    try {
+      this.showLoading(true);
+
+      const data = await api.get(API_CONFIG.ENDPOINTS.ADMIN.REVIEWS, {
+        page: this.currentPage,
+        limit: this.reviewsPerPage,
+        ...this.filters
+      }, this.getRequestOptions());
+
+      if (data.reviews) {
+        this.reviews = data.reviews;
+        this.totalReviews = data.pagination?.total_reviews || 0;
+        this.reviewStats = data.statistics || {};
+
+        this.updateReviewsUI();
+        this.updateReviewStats();
+        this.updatePagination(data.pagination);
+      } else {
+        throw new Error('Invalid response format');
+      }
+
+    } catch (error) {
+      console.error('Reviews loading error:', error);
+      NotificationManager.show('Failed to load reviews', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Update reviews UI
+   */
+  updateReviewsUI() {
+    const tbody = document.getElementById('reviewsTableBody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    if (this.reviews.length === 0) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="7" class="table-loading">No reviews found</td>
+        </tr>
+      `;
+      return;
+    }
+
+    this.reviews.forEach(review => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>
+          <div class="review-product">${FormatUtils.escapeHtml(review.product_name)}</div>
+        </td>
+        <td>
+          <div class="customer-info">
+            <div class="customer-name">${FormatUtils.escapeHtml(review.customer.name)}</div>
+            <div class="customer-email">${FormatUtils.escapeHtml(review.customer.email)}</div>
+            ${review.is_verified_purchase ? '<div class="review-verified"><i class="ri-checkbox-circle-line"></i> Verified purchase</div>' : ''}
+          </div>
+        </td>
+        <td>
+          <div class="review-rating">${this.formatRating(review.rating)}</div>
+        </td>
+        <td>
+          <div class="review-excerpt">
+            ${review.title ? `<strong>${FormatUtils.escapeHtml(review.title)}</strong>` : ''}
+            <p>${FormatUtils.escapeHtml(FormatUtils.truncate(review.comment || '', 120))}</p>
+          </div>
+        </td>
+        <td>
+          <span class="review-status review-status--${review.status}">${this.formatStatus(review.status)}</span>
+        </td>
+        <td>
+          <div class="order-date">${this.formatDate(review.created_at)}</div>
+        </td>
+        <td>
+          <div class="order-actions">
+            <button class="action-btn action-btn--view" title="Review Details" data-action="view" data-review-id="${review.id}">
+              <i class="ri-eye-line"></i>
+            </button>
+            ${review.status !== 'approved' ? `
+            <button class="action-btn action-btn--approve" title="Approve" data-action="approve" data-review-id="${review.id}">
+              <i class="ri-check-line"></i>
+            </button>
+            ` : ''}
+            ${review.status !== 'rejected' ? `
+            <button class="action-btn action-btn--reject" title="Reject" data-action="reject" data-review-id="${review.id}">
+              <i class="ri-close-line"></i>
+            </button>
+            ` : ''}
+          </div>
+        </td>
+      `;
+      tbody.appendChild(row);
+    });
+
+    // Bind row events
+    this.bindRowEvents(tbody);
+  }
+
+  /**
+   * Bind events for table rows
+   */
+  bindRowEvents(tbody) {
+    tbody.querySelectorAll('.action-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const action = e.currentTarget.dataset.action;
+        const reviewId = parseInt(e.currentTarget.dataset.reviewId);
+
+        switch (action) {
+          case 'view':
+            this.showModerationModal(reviewId);
+            break;
+          case 'approve':
+            this.moderateReview(reviewId, 'approved');
+            break;
+          case 'reject':
+            this.showModerationModal(reviewId);
+            break;
+        }
+      });
+    });
+  }
+
+  /**
+   * Update review statistics
+   */
+  updateReviewStats() {
+    if (!this.reviewStats) return;
+
+    const pendingCount = document.getElementById('pendingReviewsCount');
+    const approvedCount = document.getElementById('approvedReviewsCount');
+    const rejectedCount = document.getElementById('rejectedReviewsCount');
+    const reviewsBadge = document.getElementById('reviewsBadge');
+
+    if (pendingCount) {
+      pendingCount.textContent = this.formatNumber(this.reviewStats.pending || 0);
+    }
+
+    if (approvedCount) {
+      approvedCount.textContent = this.formatNumber(this.reviewStats.approved || 0);
+    }
+
+    if (rejectedCount) {
+      rejectedCount.textContent = this.formatNumber(this.reviewStats.rejected || 0);
+    }
+
+    if (reviewsBadge) {
+      const pending = this.reviewStats.pending || 0;
+      reviewsBadge.textContent = pending;
+      reviewsBadge.style.display = pending > 0 ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Update pagination
+   */
+  updatePagination(pagination) {
+    if (!pagination) return;
+
+    const paginationContainer = document.getElementById('reviewsPagination');
+    const paginationInfo = document.getElementById('reviewsPaginationInfo');
+    const prevBtn = document.getElementById('prevReviewsPage');
+    const nextBtn = document.getElementById('nextReviewsPage');
+
+    if (paginationContainer) {
+      paginationContainer.style.display = pagination.total_pages > 1 ? 'flex' : 'none';
+    }
+
+    if (paginationInfo) {
+      const start = ((pagination.current_page - 1) * pagination.per_page) + 1;
+      const end = Math.min(start + pagination.per_page - 1, pagination.total_reviews);
+      paginationInfo.textContent = `Showing ${start}-${end} of ${pagination.total_reviews} reviews`;
+    }
+
+    if (prevBtn) {
+      prevBtn.disabled = pagination.current_page <= 1;
+    }
+
+    if (nextBtn) {
+      nextBtn.disabled = pagination.current_page >= pagination.total_pages;
+    }
+  }
+
+  /**
+   * Handle search
+   */
+  handleSearch() {
+    const searchInput = document.getElementById('reviewSearch');
+    if (searchInput) {
+      this.filters.search = searchInput.value.trim();
+      this.currentPage = 1;
+      this.loadReviews();
+    }
+  }
+
+  /**
+   * Apply filters
+   */
+  applyFilters() {
+    const statusFilter = document.getElementById('reviewStatusFilter');
+    const ratingFilter = document.getElementById('reviewRatingFilter');
+    const sortOrder = document.getElementById('reviewSortOrder');
+
+    this.filters.status = statusFilter ? statusFilter.value : '';
+    this.filters.rating = ratingFilter ? ratingFilter.value : '';
+    this.filters.sort_order = sortOrder ? sortOrder.value : 'asc';
+
+    this.currentPage = 1;
+    this.loadReviews();
+  }
+
+  /**
+   * Clear filters
+   */
+  clearFilters() {
+    this.filters = {
+      search: '',
+      status: 'pending',
+      rating: '',
+      sort_order: 'asc'
+    };
+
+    const searchInput = document.getElementById('reviewSearch');
+    const statusFilter = document.getElementById('reviewStatusFilter');
+    const ratingFilter = document.getElementById('reviewRatingFilter');
+    const sortOrder = document.getElementById('reviewSortOrder');
+
+    if (searchInput) searchInput.value = '';
+    if (statusFilter) statusFilter.value = 'pending';
+    if (ratingFilter) ratingFilter.value = '';
+    if (sortOrder) sortOrder.value = 'asc';
+
+    this.currentPage = 1;
+    this.loadReviews();
+  }
+
+  /**
+   * Go to specific page
+   */
+  goToPage(page) {
+    if (page < 1) return;
+    this.currentPage = page;
+    this.loadReviews();
+  }
+
+  /**
+   * Show moderation modal for a review
+   */
+  showModerationModal(reviewId) {
+    const review = this.reviews.find(item => item.id === reviewId);
+    const modal = document.getElementById('reviewModerationModal');
+    const content = document.getElementById('reviewModerationContent');
+    const noteInput = document.getElementById('reviewModerationNote');
+
+    if (!review || !modal || !content) return;
+
+    this.activeReview = review;
+
+    content.innerHTML = `
+      <div class="review-moderation-meta">
+        <div><strong>Product:</strong> ${FormatUtils.escapeHtml(review.product_name)}</div>
+        <div><strong>Customer:</strong> ${FormatUtils.escapeHtml(review.customer.name)} (${FormatUtils.escapeHtml(review.customer.email)})</div>
+        <div><strong>Rating:</strong> ${this.formatRating(review.rating)}</div>
+        <div><strong>Submitted:</strong> ${this.formatDate(review.created_at)}</div>
+        <div><strong>Status:</strong> <span class="review-status review-status--${review.status}">${this.formatStatus(review.status)}</span></div>
+      </div>
+      ${review.title ? `<h4 class="review-moderation-title">${FormatUtils.escapeHtml(review.title)}</h4>` : ''}
+      <p class="review-moderation-comment">${FormatUtils.escapeHtml(review.comment)}</p>
+    `;
+
+    if (noteInput) {
+      noteInput.value = review.moderation_note || '';
+    }
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Hide moderation modal
+   */
+  hideModerationModal() {
+    const modal = document.getElementById('reviewModerationModal');
+    if (modal) {
+      modal.classList.remove('show');
+      document.body.style.overflow = '';
+    }
+    this.activeReview = null;
+  }
+
+  /**
+   * Moderate the review currently open in the modal
+   */
+  async moderateActiveReview(status, button) {
+    if (!this.activeReview) return;
+
+    const noteInput = document.getElementById('reviewModerationNote');
+    const note = noteInput ? noteInput.value.trim() : '';
+
+    try {
+      this.setButtonLoading(button, true);
+      const success = await this.moderateReview(this.activeReview.id, status, note);
+      if (success) {
+        this.hideModerationModal();
+      }
+    } finally {
+      this.setButtonLoading(button, false);
+    }
+  }
+
+  /**
+   * Approve or reject a review
+   * @returns {Promise<boolean>} Whether moderation succeeded
+   */
+  async moderateReview(reviewId, status, note = '') {
+    try {
+      const endpoint = API_CONFIG.ENDPOINTS.ADMIN.REVIEW_MODERATE.replace(':id', reviewId);
+      await api.put(endpoint, { status, note }, this.getRequestOptions());
+
+      NotificationManager.show(`Review ${status === 'approved' ? 'approved' : 'rejected'}`, 'success');
+      await this.loadReviews();
+      return true;
+
+    } catch (error) {
+      console.error('Review moderation error:', error);
+      NotificationManager.show(error.data?.error || error.message || 'Failed to moderate review', 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Modal management methods
+   */
+  showModal(modal) {
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * Utility methods
+   */
+  showLoading(show) {
+    const tbody = document.getElementById('reviewsTableBody');
+    if (show && tbody) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="7" class="table-loading">
+            <div class="loading-spinner"></div>
+            Loading reviews...
+          </td>
+        </tr>
+      `;
+    }
+  }
+
+  setButtonLoading(button, loading) {
+    if (!button) return;
+
+    const text = button.querySelector('.btn-text');
+    const spinner = button.querySelector('.btn-loading');
+
+    if (loading) {
+      button.disabled = true;
+      button.classList.add('loading');
+      if (text) text.style.opacity = '0';
+      if (spinner) spinner.style.display = 'block';
+    } else {
+      button.disabled = false;
+      button.classList.remove('loading');
+      if (text) text.style.opacity = '1';
+      if (spinner) spinner.style.display = 'none';
+    }
+  }
+
+  formatNumber(num) {
+    if (num === null || num === undefined) return '0';
+    return num.toLocaleString();
+  }
+
+  formatRating(rating) {
+    const stars = Math.round(rating || 0);
+    return `<span class="review-stars" aria-label="${stars} out of 5">${'★'.repeat(stars)}${'☆'.repeat(5 - stars)}</span>`;
+  }
+
+  formatDate(dateString) {
+    if (!dateString) return 'N/A';
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  formatStatus(status) {
+    const statusMap = {
+      'pending': 'Pending',
+      'approved': 'Approved',
+      'rejected': 'Rejected'
+    };
+    return statusMap[status] || status;
+  }
+}
+
+// Initialize admin reviews manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.adminReviewsManager = new AdminReviewsManager();
+});
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AdminReviewsManager;
+}
@@ -24,7 +24,6 @@
       initializeErrorHandler();
       initializeAuthManager();
       initializeApiStateManager();
-      initializeApiInterceptor();
       initializeEnhancedApiService();
       
       // Setup global error handling
@@ -129,15 +128,16 @@
    * Initialize Authentication Manager
    */
   function initializeAuthManager() {
-    if (!window.AuthManager) {
-      console.warn('AuthManager not found, creating basic implementation');
+    if (!window.AuthSession) {
+      console.warn('AuthSession not found, creating basic implementation');
       
       // Create basic auth manager if not available
-      window.AuthManager = {
+      window.AuthSession = {
         isAuthenticated: false,
         currentUser: null,
         getAuthHeader: () => ({}),
         requireAuth: () => {},
+        refreshToken: async () => false,
         onAuthStateChange: () => () => {}
       };
     }
@@ -168,26 +168,6 @@
     console.log('📦 API State Manager initialized');
   }
 
-  /**
-   * Initialize API Interceptor
-   */
-  function initializeApiInterceptor() {
-    if (!window.ApiInterceptor) {
-      console.warn('ApiInterceptor not found, creating basic implementation');
-      
-      // Create basic interceptor if not available
-      window.ApiInterceptor = {
-        processRequest: (url, config) => Promise.resolve(config),
-        processResponse: (response) => Promise.resolve(response),
-        processError: (error) => Promise.resolve(error),
-        setupCaching: () => {},
-        setupDeduplication: () => {}
-      };
-    }
-    
-    console.log('🔄 API Interceptor initialized');
-  }
-
   /**
    * Initialize Enhanced API Service
    */
@@ -247,45 +227,17 @@
    * Setup performance monitoring
    */
   function setupPerformanceMonitoring() {
-    // Monitor API request performance
-    let requestCount = 0;
-    let totalRequestTime = 0;
-
-    // Intercept fetch to monitor performance
-    const originalFetch = window.fetch;
-    window.fetch = function(...args) {
-      const startTime = performance.now();
-      requestCount++;
-
-      return originalFetch.apply(this, args)
-        .then(response => {
-          const endTime = performance.now();
-          const duration = endTime - startTime;
-          totalRequestTime += duration;
-
-          // Log slow requests in development
-          if (window.IS_DEVELOPMENT && duration > 2000) {
-            console.warn(`Slow API request (${duration.toFixed(2)}ms):`, args[0]);
-          }
-
-          return response;
-        })
-        .catch(error => {
-          const endTime = performance.now();
-          const duration = endTime - startTime;
-          totalRequestTime += duration;
-
-          throw error;
-        });
+    // Request timings are collected by the request pipeline's metrics stage
+    window.getApiPerformanceStats = () => {
+      const stats = window.api.getStats();
+      
+      return {
+        requestCount: stats.requests,
+        totalRequestTime: stats.totalDuration,
+        averageRequestTime: stats.averageDuration
+      };
     };
 
-    // Expose performance stats
-    window.getApiPerformanceStats = () => ({
-      requestCount,
-      totalRequestTime,
-      averageRequestTime: requestCount > 0 ? totalRequestTime / requestCount : 0
-    });
-
     console.log('📈 Performance monitoring setup complete');
   }
 
@@ -308,8 +260,8 @@
         if (window.ApiStateManager) {
           window.ApiStateManager.clearCache();
         }
-        if (window.ApiInterceptor && window.ApiInterceptor.clearCache) {
-          window.ApiInterceptor.clearCache();
+        if (window.api) {
+          window.api.clearCache();
         }
         console.log('🗑️ All API caches cleared');
       },
@@ -8,10 +8,34 @@ class ApiClient {
     this.baseURL = API_CONFIG.BASE_URL;
     this.timeout = API_CONFIG.TIMEOUT;
     this.defaultHeaders = { ...API_CONFIG.HEADERS };
-    this.requestQueue = new Map();
-    this.retryAttempts = new Map();
-    this.maxRetries = 3;
-    this.retryDelay = 1000;
+    // Persist cached responses across reloads and tabs when the state manager is loaded
+    this.cacheStore = window.ApiStateManager || new MemoryCacheStore();
+    this.stats = {
+      requests: 0,
+      errors: 0,
+      cacheHits: 0,
+      deduplicated: 0,
+      retries: 0,
+      totalDuration: 0
+    };
+    this.pipeline = this.createPipeline();
+    // Latest-wins controllers keyed by options.cancelKey
+    this.cancelControllers = new Map();
+  }
+
+  /**
+   * Create the default request pipeline
+   * @returns {RequestPipeline} Pipeline
+   */
+  createPipeline() {
+    return new RequestPipeline(context => this.send(context))
+      .use('metrics', RequestMiddleware.metrics(this.stats))
+      .use('logging', RequestMiddleware.logging())
+      .use('dedup', RequestMiddleware.dedup(this))
+      .use('cache', RequestMiddleware.cache(this.cacheStore))
+      .use('retry', RequestMiddleware.retry())
+      .use('rateLimit', RequestMiddleware.rateLimit())
+      .use('auth', RequestMiddleware.auth(this));
   }
 
   /**
@@ -38,27 +62,38 @@ class ApiClient {
   }
 
   /**
-   * Get request headers with authentication
-   * @param {Object} additionalHeaders - Additional headers
+   * Get authentication headers for the current user or guest session
+   * @param {string} endpoint - Request endpoint
    * @returns {Object} Headers object
    */
-  getHeaders(additionalHeaders = {}) {
-    const headers = { ...this.defaultHeaders, ...additionalHeaders };
-    
+  getAuthHeaders(endpoint = '') {
     const token = this.getAuthToken();
     if (token) {
-      headers.Authorization = `Bearer ${token}`;
+      return { Authorization: `Bearer ${token}` };
     }
-    
-    return headers;
+
+    // Only guest checkout requests are tied to the guest session
+    const isGuestEndpoint = API_CONFIG.ENDPOINTS.GUEST_TOKEN_ENDPOINTS.includes(endpoint.split('?')[0]);
+    const guestSession = isGuestEndpoint ? CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.GUEST_SESSION) : null;
+    if (guestSession?.token) {
+      return { 'X-Guest-Token': guestSession.token };
+    }
+
+    return {};
   }
 
   /**
    * Handle API response
+   * Errors carry the HTTP status and headers for the retry and rate limit stages
    * @param {Response} response - Fetch response
-   * @returns {Promise<Object>} Parsed response data
+   * @param {string} responseType - 'blob' to return successful bodies as a Blob
+   * @returns {Promise<Object|Blob>} Parsed response data
    */
-  async handleResponse(response) {
+  async handleResponse(response, responseType = 'json') {
+    if (response.ok && responseType === 'blob') {
+      return response.blob();
+    }
+
     const contentType = response.headers.get('content-type');
     
     let data;
@@ -69,174 +104,320 @@ class ApiClient {
     }
 
     if (!response.ok) {
+      let message;
+
       // Handle different error status codes
       switch (response.status) {
         case 401:
-          this.removeAuthToken();
-          throw new Error(ERROR_MESSAGES.AUTHENTICATION);
+          message = ERROR_MESSAGES.AUTHENTICATION;
+          break;
         case 403:
-          throw new Error(ERROR_MESSAGES.AUTHORIZATION);
+          message = ERROR_MESSAGES.AUTHORIZATION;
+          break;
         case 404:
-          throw new Error(ERROR_MESSAGES.NOT_FOUND);
+          message = ERROR_MESSAGES.NOT_FOUND;
+          break;
         case 408:
-          throw new Error(ERROR_MESSAGES.TIMEOUT);
+          message = ERROR_MESSAGES.TIMEOUT;
+          break;
         case 500:
-          throw new Error(ERROR_MESSAGES.SERVER);
+          message = ERROR_MESSAGES.SERVER;
+          break;
         default:
-          throw new Error(data.message || ERROR_MESSAGES.GENERIC);
+          message = data.message || ERROR_MESSAGES.GENERIC;
       }
+
+      const error = new Error(message);
+      error.status = response.status;
+      error.headers = response.headers;
+      error.data = data;
+      throw error;
     }
 
     return data;
   }
 
   /**
-   * Make HTTP request
+   * Make HTTP request through the request pipeline
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Caller signal to cancel the request
+   * @param {number} options.timeout - Timeout per attempt in milliseconds
+   * @param {string} options.cancelKey - Cancels the previous request with the same key
+   * @param {Function} options.onUploadProgress - Called with (loaded, total) bytes while sending the body
+   * @param {string} options.responseType - 'blob' to resolve with the response body as a Blob (e.g. CSV exports)
    * @returns {Promise<Object>} Response data
    */
   async request(endpoint, options = {}) {
-    const requestId = this.generateRequestId();
-    const url = `${this.baseURL}${endpoint}`;
-    
-    const config = {
-      method: 'GET',
-      headers: this.getHeaders(options.headers),
-      ...options
-    };
+    const context = this.createContext(endpoint, options);
+    const controller = this.createCancelController(options);
+    context.signal = controller?.signal;
 
     // Track request for loading management
     if (window.LoadingManager && !options.skipLoading) {
-      LoadingManager.trackRequest(requestId);
+      LoadingManager.trackRequest(context.id);
     }
 
-    // Add timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-    config.signal = controller.signal;
-
     try {
-      const response = await fetch(url, config);
-      clearTimeout(timeoutId);
-      
-      const result = await this.handleResponse(response);
-      
-      // Untrack request
-      if (window.LoadingManager && !options.skipLoading) {
-        LoadingManager.untrackRequest(requestId);
-      }
-      
-      return result;
-      
-    } catch (error) {
-      clearTimeout(timeoutId);
-      
-      // Untrack request
-      if (window.LoadingManager && !options.skipLoading) {
-        LoadingManager.untrackRequest(requestId);
+      if (context.signal?.aborted) {
+        throw this.createCancelError();
       }
-      
-      if (error.name === 'AbortError') {
-        throw new Error(ERROR_MESSAGES.TIMEOUT);
-      }
-      
-      if (error.message === 'Failed to fetch') {
-        throw new Error(ERROR_MESSAGES.NETWORK);
-      }
-      
-      // Handle retry logic
-      if (this.shouldRetry(error, options)) {
-        return this.retryRequest(endpoint, options, requestId);
+
+      return await this.pipeline.execute(context);
+    } catch (caught) {
+      const error = context.signal?.aborted ? this.createCancelError() : caught;
+
+      // Cancelled requests were superseded or abandoned by the caller
+      if (this.isCancelled(error)) {
+        throw error;
       }
-      
+
       // Handle error with error handler
       if (window.ErrorHandler && !options.skipErrorHandling) {
         ErrorHandler.handleApiError(error, {
           context: {
             endpoint,
-            method: config.method,
-            requestId
+            method: context.method,
+            requestId: context.id
           }
         });
       }
       
       throw error;
+    } finally {
+      // Untrack request
+      if (window.LoadingManager && !options.skipLoading) {
+        LoadingManager.untrackRequest(context.id);
+      }
+
+      if (options.cancelKey && this.cancelControllers.get(options.cancelKey) === controller) {
+        this.cancelControllers.delete(options.cancelKey);
+      }
     }
   }
 
   /**
-   * Generate unique request ID
-   * @returns {string} Request ID
+   * Create the controller that cancels a request
+   * Follows the caller's signal and aborts the previous request with the same cancel key.
+   * @param {Object} options - Request options
+   * @returns {AbortController|null} Controller, or null if the request cannot be cancelled
    */
-  generateRequestId() {
-    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  createCancelController(options) {
+    if (!options.signal && !options.cancelKey) {
+      return null;
+    }
+
+    const controller = new AbortController();
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+
+    if (options.cancelKey) {
+      this.cancel(options.cancelKey);
+      this.cancelControllers.set(options.cancelKey, controller);
+    }
+
+    return controller;
   }
 
   /**
-   * Check if request should be retried
-   * @param {Error} error - Request error
-   * @param {Object} options - Request options
-   * @returns {boolean} Should retry
+   * Cancel the in-flight request started with a cancel key
+   * @param {string} cancelKey - Cancel key
    */
-  shouldRetry(error, options) {
-    if (options.noRetry) return false;
-    
-    // Don't retry authentication errors
-    if (error.status === 401 || error.status === 403) return false;
-    
-    // Don't retry client errors (4xx except 408, 429)
-    if (error.status >= 400 && error.status < 500 && 
-        error.status !== 408 && error.status !== 429) {
-      return false;
+  cancel(cancelKey) {
+    const controller = this.cancelControllers.get(cancelKey);
+
+    if (controller) {
+      this.cancelControllers.delete(cancelKey);
+      controller.abort();
     }
-    
-    // Retry network errors, timeouts, and server errors
-    return error.message.includes('Network') || 
-           error.message.includes('timeout') ||
-           error.status >= 500 ||
-           error.status === 408 ||
-           error.status === 429;
   }
 
   /**
-   * Retry failed request
-   * @param {string} endpoint - API endpoint
+   * Create the error thrown for cancelled requests
+   * @returns {Error} Cancel error
+   */
+  createCancelError() {
+    const error = new Error('Request cancelled');
+    error.name = 'AbortError';
+    error.isCancelled = true;
+    return error;
+  }
+
+  /**
+   * Check if an error came from a cancelled request
+   * @param {Error} error - Request error
+   * @returns {boolean} Is cancelled
+   */
+  isCancelled(error) {
+    return !!error?.isCancelled;
+  }
+
+  /**
+   * Create request context for the pipeline
+   * @param {string} endpoint - API endpoint, may include a query string
    * @param {Object} options - Request options
-   * @param {string} requestId - Original request ID
+   * @returns {Object} Request context
+   */
+  createContext(endpoint, options) {
+    const [path, query = ''] = endpoint.split('?');
+    const params = { ...Object.fromEntries(new URLSearchParams(query)), ...options.params };
+
+    Object.keys(params).forEach(key => {
+      if (params[key] === undefined || params[key] === null) {
+        delete params[key];
+      }
+    });
+
+    const search = new URLSearchParams(params).toString();
+
+    return {
+      id: this.generateRequestId(),
+      path,
+      params,
+      endpoint: search ? `${path}?${search}` : path,
+      method: (options.method || 'GET').toUpperCase(),
+      headers: { ...this.defaultHeaders, ...options.headers },
+      body: options.body,
+      options
+    };
+  }
+
+  /**
+   * Send request over the network
+   * Terminal handler of the request pipeline
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Response data
    */
-  async retryRequest(endpoint, options, requestId) {
-    const retryKey = `${endpoint}_${JSON.stringify(options)}`;
-    const currentAttempts = this.retryAttempts.get(retryKey) || 0;
-    
-    if (currentAttempts >= this.maxRetries) {
-      this.retryAttempts.delete(retryKey);
-      throw new Error('Maximum retry attempts exceeded');
-    }
-    
-    // Increment retry count
-    this.retryAttempts.set(retryKey, currentAttempts + 1);
-    
-    // Calculate delay with exponential backoff
-    const delay = this.retryDelay * Math.pow(2, currentAttempts);
-    
-    // Wait before retry
-    await new Promise(resolve => setTimeout(resolve, delay));
-    
+  async send(context) {
+    // Headers set to null are removed (e.g. Content-Type for uploads)
+    const headers = {};
+    Object.keys(context.headers).forEach(key => {
+      if (context.headers[key] !== null && context.headers[key] !== undefined) {
+        headers[key] = context.headers[key];
+      }
+    });
+
+    // Add timeout, and abort with the request's cancel signal
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), context.options.timeout || this.timeout);
+    const cancel = () => controller.abort();
+    context.signal?.addEventListener('abort', cancel, { once: true });
+
     try {
-      const result = await this.request(endpoint, { ...options, skipLoading: true });
-      this.retryAttempts.delete(retryKey);
-      return result;
+      const init = {
+        method: context.method,
+        headers,
+        body: context.body,
+        signal: controller.signal
+      };
+
+      // fetch cannot report upload progress
+      const response = context.options.onUploadProgress
+        ? await this.sendWithProgress(`${this.baseURL}${context.endpoint}`, init, context.options.onUploadProgress)
+        : await fetch(`${this.baseURL}${context.endpoint}`, init);
+
+      return await this.handleResponse(response, context.options.responseType);
     } catch (error) {
-      // If this was the last retry, clean up
-      if (currentAttempts + 1 >= this.maxRetries) {
-        this.retryAttempts.delete(retryKey);
+      if (context.signal?.aborted) {
+        throw this.createCancelError();
       }
+
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(ERROR_MESSAGES.TIMEOUT);
+        timeoutError.isTimeout = true;
+        throw timeoutError;
+      }
+      
+      if (error instanceof TypeError) {
+        const networkError = new Error(ERROR_MESSAGES.NETWORK);
+        networkError.isNetworkError = true;
+        throw networkError;
+      }
+
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      context.signal?.removeEventListener('abort', cancel);
     }
   }
 
+  /**
+   * Send request with XMLHttpRequest to report upload progress
+   * Resolves with a fetch Response so handleResponse works unchanged.
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch init (method, headers, body, signal)
+   * @param {Function} onUploadProgress - Called with (loaded, total) bytes
+   * @returns {Promise<Response>} Response
+   */
+  sendWithProgress(url, init, onUploadProgress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(init.method, url);
+
+      Object.keys(init.headers).forEach(key => xhr.setRequestHeader(key, init.headers[key]));
+
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) {
+          onUploadProgress(e.loaded, e.total);
+        }
+      };
+
+      xhr.onload = () => {
+        const headers = new Headers();
+        xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+          const index = line.indexOf(':');
+          if (index > 0) {
+            headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+          }
+        });
+
+        const hasBody = ![204, 205, 304].includes(xhr.status);
+        resolve(new Response(hasBody ? xhr.responseText : null, { status: xhr.status, headers }));
+      };
+
+      // Same error types fetch uses, so send maps them the same way
+      xhr.onerror = () => reject(new TypeError('Failed to fetch'));
+      xhr.onabort = () => reject(new DOMException('Aborted', 'AbortError'));
+
+      init.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+
+      xhr.send(init.body);
+    });
+  }
+
+  /**
+   * Generate unique request ID
+   * @returns {string} Request ID
+   */
+  generateRequestId() {
+    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Clear cached GET responses
+   * @param {string|RegExp} pattern - Cache key or pattern (optional)
+   */
+  clearCache(pattern = /.*/) {
+    this.cacheStore.invalidateCache(pattern);
+  }
+
+  /**
+   * Get request pipeline statistics
+   * @returns {Object} Request counts, cache hits, retries and average duration
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      averageDuration: this.stats.requests > 0 ? Math.round(this.stats.totalDuration / this.stats.requests) : 0
+    };
+  }
+
   /**
    * GET request
    * @param {string} endpoint - API endpoint
@@ -245,18 +426,10 @@ class ApiClient {
    * @returns {Promise<Object>} Response data
    */
   async get(endpoint, params = {}, options = {}) {
-    const url = new URL(`${this.baseURL}${endpoint}`);
-    
-    // Add query parameters
-    Object.keys(params).forEach(key => {
-      if (params[key] !== undefined && params[key] !== null) {
-        url.searchParams.append(key, params[key]);
-      }
-    });
-
-    return this.request(url.pathname + url.search, {
+    return this.request(endpoint, {
       method: 'GET',
-      ...options
+      ...options,
+      params
     });
   }
 
@@ -326,15 +499,12 @@ class ApiClient {
    * @returns {Promise<Object>} Response data
    */
   async upload(endpoint, formData, options = {}) {
-    const headers = this.getHeaders();
-    // Remove Content-Type header to let browser set it with boundary
-    delete headers['Content-Type'];
-
     return this.request(endpoint, {
       method: 'POST',
-      headers,
       body: formData,
-      ...options
+      ...options,
+      // Remove Content-Type header to let browser set it with boundary
+      headers: { ...options.headers, 'Content-Type': null }
     });
   }
 }
@@ -349,21 +519,23 @@ const ApiService = {
     /**
      * Get all products with filters
      * @param {Object} filters - Filter parameters
+     * @param {Object} options - Request options (signal, timeout, cancelKey)
      * @returns {Promise<Object>} Products data
      */
-    async getAll(filters = {}) {
-      return api.get(API_CONFIG.ENDPOINTS.PRODUCTS, filters);
+    async getAll(filters = {}, options = {}) {
+      return api.get(API_CONFIG.ENDPOINTS.PRODUCTS, filters, options);
     },
 
     /**
      * Get product by ID
      * @param {number} id - Product ID
      * @param {Object} options - Additional options
+     * @param {Object} requestOptions - Request options (signal, timeout, cancelKey)
      * @returns {Promise<Object>} Product data
      */
-    async getById(id, options = {}) {
+    async getById(id, options = {}, requestOptions = {}) {
       const endpoint = API_CONFIG.ENDPOINTS.PRODUCT_DETAIL.replace(':id', id);
-      return api.get(endpoint, options);
+      return api.get(endpoint, options, requestOptions);
     },
 
     /**
@@ -380,13 +552,14 @@ const ApiService = {
      * Search products
      * @param {string} query - Search query
      * @param {Object} filters - Additional filters
+     * @param {Object} options - Request options (signal, timeout, cancelKey)
      * @returns {Promise<Object>} Search results
      */
-    async search(query, filters = {}) {
+    async search(query, filters = {}, options = {}) {
       return api.get(API_CONFIG.ENDPOINTS.PRODUCTS, {
         search: query,
         ...filters
-      });
+      }, options);
     }
   },
 
@@ -464,6 +637,8 @@ const ApiService = {
         api.removeAuthToken();
         CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.USER_DATA);
         CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.CART_DATA);
+        CONFIG_UTILS.removeStorageItem('refresh_token');
+        CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.SESSION_ID);
       }
     },
 
@@ -488,6 +663,153 @@ const ApiService = {
       }
       
       return response;
+    },
+
+    /**
+     * Request a password reset email
+     * The response is the same whether or not the email has an account.
+     * @param {string} email - Account email
+     * @returns {Promise<Object>} Request response
+     */
+    async forgotPassword(email) {
+      return api.post(API_CONFIG.ENDPOINTS.AUTH.FORGOT_PASSWORD, { email });
+    },
+
+    /**
+     * Set a new password with a reset token
+     * @param {string} token - Reset token from the email link
+     * @param {string} newPassword - New password
+     * @returns {Promise<Object>} Reset response
+     */
+    async resetPassword(token, newPassword) {
+      return api.post(API_CONFIG.ENDPOINTS.AUTH.RESET_PASSWORD, {
+        token,
+        new_password: newPassword
+      });
+    },
+
+    /**
+     * Change the signed in user's password
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @param {string|null} otpVerificationToken - SMS re-verification token, when the account has a phone
+     * @returns {Promise<Object>} Change response
+     */
+    async changePassword(currentPassword, newPassword, otpVerificationToken = null) {
+      return api.post(API_CONFIG.ENDPOINTS.AUTH.CHANGE_PASSWORD, {
+        current_password: currentPassword,
+        new_password: newPassword,
+        otp_verification_token: otpVerificationToken
+      });
+    },
+
+    /**
+     * Send an SMS verification code
+     * @param {string} phone - 10 digit phone number
+     * @param {string} purpose - 'login', 'verify_phone' or 'reverify'
+     * @returns {Promise<Object>} Request ID and resend/expiry times in seconds
+     */
+    async sendOtp(phone, purpose) {
+      return api.post(API_CONFIG.ENDPOINTS.AUTH.OTP_SEND, { phone, purpose });
+    },
+
+    /**
+     * Check an SMS verification code
+     * Login codes return a session; other purposes return a verification token.
+     * @param {Object} data - Request ID, phone, purpose and code
+     * @returns {Promise<Object>} Verification response
+     */
+    async verifyOtp(data) {
+      return api.post(API_CONFIG.ENDPOINTS.AUTH.OTP_VERIFY, data);
+    },
+
+    /**
+     * Exchange an OAuth authorization code for a session
+     * Responds 409 with a link token when the provider email already has an account.
+     * @param {string} provider - Provider key (google, facebook)
+     * @param {Object} data - Authorization code, PKCE verifier and redirect URI
+     * @returns {Promise<Object>} Auth response
+     */
+    async oauthToken(provider, data) {
+      const endpoint = API_CONFIG.ENDPOINTS.AUTH.OAUTH_TOKEN.replace(':provider', provider);
+      return api.post(endpoint, data, { skipErrorHandling: true });
+    },
+
+    /**
+     * Link a provider to an existing account by confirming its password
+     * @param {string} linkToken - Link token from the 409 response
+     * @param {string} password - Existing account password
+     * @returns {Promise<Object>} Auth response
+     */
+    async oauthLink(linkToken, password) {
+      return api.post(API_CONFIG.ENDPOINTS.AUTH.OAUTH_LINK, {
+        link_token: linkToken,
+        password
+      });
+    },
+
+    /**
+     * Get social accounts connected to the current user
+     * @returns {Promise<Object>} Connected accounts
+     */
+    async getConnectedAccounts() {
+      return api.get(API_CONFIG.ENDPOINTS.AUTH.CONNECTED_ACCOUNTS);
+    },
+
+    /**
+     * Connect a provider to the current user
+     * @param {string} provider - Provider key
+     * @param {Object} data - Authorization code, PKCE verifier and redirect URI
+     * @returns {Promise<Object>} Connected account
+     */
+    async connectAccount(provider, data) {
+      const endpoint = API_CONFIG.ENDPOINTS.AUTH.CONNECTED_ACCOUNT.replace(':provider', provider);
+      return api.post(endpoint, data, { skipErrorHandling: true });
+    },
+
+    /**
+     * Disconnect a provider from the current user
+     * @param {string} provider - Provider key
+     * @returns {Promise<Object>} Disconnect response
+     */
+    async disconnectAccount(provider) {
+      const endpoint = API_CONFIG.ENDPOINTS.AUTH.CONNECTED_ACCOUNT.replace(':provider', provider);
+      return api.delete(endpoint);
+    },
+
+    /**
+     * Get devices signed in to the current user's account
+     * @returns {Promise<Object>} Sessions, one per refresh token
+     */
+    async getSessions() {
+      return api.get(API_CONFIG.ENDPOINTS.AUTH.SESSIONS);
+    },
+
+    /**
+     * Sign out one device
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object>} Response
+     */
+    async revokeSession(sessionId) {
+      const endpoint = API_CONFIG.ENDPOINTS.AUTH.SESSION.replace(':id', sessionId);
+      return api.delete(endpoint);
+    },
+
+    /**
+     * Sign out every device, including this one
+     * @returns {Promise<Object>} Response
+     */
+    async revokeAllSessions() {
+      return api.delete(API_CONFIG.ENDPOINTS.AUTH.SESSIONS);
+    },
+
+    /**
+     * Get recent sign-in attempts
+     * @param {Object} params - Query parameters (limit)
+     * @returns {Promise<Object>} Login history with suspicious sign-ins flagged
+     */
+    async getLoginHistory(params = {}) {
+      return api.get(API_CONFIG.ENDPOINTS.AUTH.LOGIN_HISTORY, params);
     }
   },
 
@@ -495,10 +817,11 @@ const ApiService = {
   admin: {
     /**
      * Get admin dashboard data
+     * @param {Object} options - Request options
      * @returns {Promise<Object>} Dashboard data
      */
-    async getDashboard() {
-      return api.get(API_CONFIG.ENDPOINTS.ADMIN.DASHBOARD);
+    async getDashboard(options = {}) {
+      return api.get(API_CONFIG.ENDPOINTS.ADMIN.DASHBOARD, {}, options);
     },
 
     /**
@@ -523,98 +846,205 @@ const ApiService = {
       /**
        * Get all products (admin view)
        * @param {Object} filters - Filter parameters
+       * @param {Object} options - Request options
        * @returns {Promise<Object>} Products data
        */
-      async getAll(filters = {}) {
-        return api.get(API_CONFIG.ENDPOINTS.ADMIN.PRODUCTS, filters);
+      async getAll(filters = {}, options = {}) {
+        return api.get(API_CONFIG.ENDPOINTS.ADMIN.PRODUCTS, filters, options);
       },
 
       /**
        * Get product by ID (admin view)
        * @param {number} id - Product ID
+       * @param {Object} options - Request options
        * @returns {Promise<Object>} Product data
        */
-      async getById(id) {
+      async getById(id, options = {}) {
         const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_DETAIL.replace(':id', id);
-        return api.get(endpoint);
+        return api.get(endpoint, {}, options);
       },
 
       /**
        * Create new product
        * @param {Object} productData - Product data
+       * @param {Object} options - Request options
        * @returns {Promise<Object>} Create response
        */
-      async create(productData) {
-        return api.post(API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_CREATE, productData);
+      async create(productData, options = {}) {
+        return api.post(API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_CREATE, productData, options);
       },
 
       /**
        * Update product
        * @param {number} id - Product ID
        * @param {Object} productData - Updated product data
+       * @param {Object} options - Request options
        * @returns {Promise<Object>} Update response
        */
-      async update(id, productData) {
+      async update(id, productData, options = {}) {
         const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_UPDATE.replace(':id', id);
-        return api.put(endpoint, productData);
+        return api.put(endpoint, productData, options);
       },
 
       /**
        * Delete product
        * @param {number} id - Product ID
+       * @param {Object} options - Request options
        * @returns {Promise<Object>} Delete response
        */
-      async delete(id) {
+      async delete(id, options = {}) {
         const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_DELETE.replace(':id', id);
-        return api.delete(endpoint);
+        return api.delete(endpoint, options);
+      },
+
+      /**
+       * Import products, creating new SKUs and updating existing ones
+       * @param {Array<Object>} rows - Product rows with their CSV row numbers
+       * @param {boolean} dryRun - Validate only, without saving
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Per-row results with action and errors
+       */
+      async import(rows, dryRun = false, options = {}) {
+        return api.post(API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMPORT, {
+          rows,
+          dry_run: dryRun
+        }, options);
       },
 
       /**
        * Upload product images
        * @param {number} id - Product ID
        * @param {FormData} formData - Image form data
+       * @param {Object} options - Request options (signal, timeout, onUploadProgress)
        * @returns {Promise<Object>} Upload response
        */
-      async uploadImages(id, formData) {
+      async uploadImages(id, formData, options = {}) {
         const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGES.replace(':id', id);
-        return api.upload(endpoint, formData);
+        return api.upload(endpoint, formData, options);
+      },
+
+      /**
+       * Start a chunked image upload
+       * @param {number} id - Product ID
+       * @param {Object} fileInfo - file_name, file_size, mime_type, alt_text, is_primary, focal_x, focal_y
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Upload session with upload_id and received_bytes
+       */
+      async startImageUpload(id, fileInfo, options = {}) {
+        const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGE_UPLOADS.replace(':id', id);
+        return api.post(endpoint, fileInfo, options);
+      },
+
+      /**
+       * Get chunked image upload status
+       * @param {number} id - Product ID
+       * @param {string} uploadId - Upload ID
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Upload session with received_bytes
+       */
+      async getImageUpload(id, uploadId, options = {}) {
+        const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGE_UPLOAD
+          .replace(':id', id)
+          .replace(':uploadId', uploadId);
+        return api.get(endpoint, {}, options);
+      },
+
+      /**
+       * Upload one chunk of a chunked image upload
+       * The response to the last chunk contains the created image.
+       * @param {number} id - Product ID
+       * @param {string} uploadId - Upload ID
+       * @param {Blob} chunk - Chunk data
+       * @param {number} offset - Byte offset of the chunk
+       * @param {number} total - Total file size in bytes
+       * @param {Object} options - Request options (signal, timeout, onUploadProgress)
+       * @returns {Promise<Object>} Upload session with received_bytes, and image when complete
+       */
+      async uploadImageChunk(id, uploadId, chunk, offset, total, options = {}) {
+        const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGE_UPLOAD
+          .replace(':id', id)
+          .replace(':uploadId', uploadId);
+
+        return api.request(endpoint, {
+          method: 'PUT',
+          body: chunk,
+          ...options,
+          headers: {
+            ...options.headers,
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${offset}-${offset + chunk.size - 1}/${total}`
+          }
+        });
+      },
+
+      /**
+       * Cancel a chunked image upload and discard received chunks
+       * @param {number} id - Product ID
+       * @param {string} uploadId - Upload ID
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Cancel response
+       */
+      async cancelImageUpload(id, uploadId, options = {}) {
+        const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGE_UPLOAD
+          .replace(':id', id)
+          .replace(':uploadId', uploadId);
+        return api.delete(endpoint, options);
       },
 
       /**
        * Get product images
        * @param {number} id - Product ID
+       * @param {Object} options - Request options
        * @returns {Promise<Object>} Images data
        */
-      async getImages(id) {
+      async getImages(id, options = {}) {
         const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGES.replace(':id', id);
-        return api.get(endpoint);
+        return api.get(endpoint, {}, options);
       },
 
       /**
        * Update product image
        * @param {number} productId - Product ID
        * @param {number} imageId - Image ID
-       * @param {Object} imageData - Image update data
+       * @param {Object} imageData - Image update data (alt_text, focal_x, focal_y)
+       * @param {Object} options - Request options
        * @returns {Promise<Object>} Update response
        */
-      async updateImage(productId, imageId, imageData) {
+      async updateImage(productId, imageId, imageData, options = {}) {
         const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGE_UPDATE
           .replace(':productId', productId)
           .replace(':imageId', imageId);
-        return api.put(endpoint, imageData);
+        return api.put(endpoint, imageData, options);
+      },
+
+      /**
+       * Save gallery order and primary image
+       * @param {number} productId - Product ID
+       * @param {Array<number>} imageIds - Image IDs in display order
+       * @param {number} primaryImageId - Primary image ID
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Reorder response
+       */
+      async reorderImages(productId, imageIds, primaryImageId, options = {}) {
+        const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGE_ORDER.replace(':id', productId);
+        return api.put(endpoint, {
+          image_ids: imageIds,
+          primary_image_id: primaryImageId
+        }, options);
       },
 
       /**
        * Delete product image
        * @param {number} productId - Product ID
        * @param {number} imageId - Image ID
+       * @param {Object} options - Request options
        * @returns {Promise<Object>} Delete response
        */
-      async deleteImage(productId, imageId) {
+      async deleteImage(productId, imageId, options = {}) {
         const endpoint = API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGE_DELETE
           .replace(':productId', productId)
           .replace(':imageId', imageId);
-        return api.delete(endpoint);
+        return api.delete(endpoint, options);
       }
     },
 
@@ -657,6 +1087,66 @@ const ApiService = {
         const endpoint = API_CONFIG.ENDPOINTS.ADMIN.CATEGORY_DELETE.replace(':id', id);
         return api.delete(endpoint);
       }
+    },
+
+    // Inventory Management
+    inventory: {
+      /**
+       * Get stock levels with low-stock thresholds
+       * @param {Object} params - Query parameters (search, status, page, limit)
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Inventory items, summary and pagination
+       */
+      async getAll(params = {}, options = {}) {
+        return api.get(API_CONFIG.ENDPOINTS.ADMIN.INVENTORY, params, options);
+      },
+
+      /**
+       * Set the low-stock threshold for a product or variant
+       * @param {number} productId - Product ID
+       * @param {number|null} threshold - Threshold, or null to use the default
+       * @param {number|null} variantId - Variant ID
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Updated inventory item
+       */
+      async updateThreshold(productId, threshold, variantId = null, options = {}) {
+        const endpoint = API_CONFIG.ENDPOINTS.ADMIN.INVENTORY_THRESHOLD.replace(':id', productId);
+        return api.put(endpoint, {
+          low_stock_threshold: threshold,
+          variant_id: variantId
+        }, options);
+      },
+
+      /**
+       * Update inventory settings
+       * @param {Object} settings - Settings such as default_low_stock_threshold
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Updated settings
+       */
+      async updateSettings(settings, options = {}) {
+        return api.put(API_CONFIG.ENDPOINTS.ADMIN.INVENTORY_SETTINGS, settings, options);
+      },
+
+      /**
+       * Get the stock adjustment log
+       * @param {Object} params - Query parameters (product_id, page, limit)
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Adjustments and pagination
+       */
+      async getAdjustments(params = {}, options = {}) {
+        return api.get(API_CONFIG.ENDPOINTS.ADMIN.INVENTORY_ADJUSTMENTS, params, options);
+      },
+
+      /**
+       * Record stock adjustments
+       * Each adjustment identifies a product by product_id (and variant_id) or sku.
+       * @param {Array<Object>} adjustments - Adjustments with delta, reason and note
+       * @param {Object} options - Request options
+       * @returns {Promise<Object>} Per-adjustment results and updated stock
+       */
+      async adjust(adjustments, options = {}) {
+        return api.post(API_CONFIG.ENDPOINTS.ADMIN.INVENTORY_ADJUSTMENTS, { adjustments }, options);
+      }
     }
   },
 
@@ -691,10 +1181,12 @@ const ApiService = {
     /**
      * Remove item from cart
      * @param {number} itemId - Item ID to remove
+     * @param {number|null} variantId - Variant ID for products with variants
      * @returns {Promise<Object>} Remove response
      */
-    async remove(itemId) {
-      return api.delete(`${API_CONFIG.ENDPOINTS.CART.REMOVE}/${itemId}`);
+    async remove(itemId, variantId = null) {
+      const options = variantId ? { params: { variant_id: variantId } } : {};
+      return api.delete(`${API_CONFIG.ENDPOINTS.CART.REMOVE}/${itemId}`, options);
     },
 
     /**
@@ -703,6 +1195,222 @@ const ApiService = {
      */
     async clear() {
       return api.delete(API_CONFIG.ENDPOINTS.CART.CLEAR);
+    },
+
+    /**
+     * Merge locally stored cart items into the user's cart
+     * @param {Array} items - Cart items (product_id, quantity)
+     * @returns {Promise<Object>} Merged cart
+     */
+    async merge(items) {
+      return api.post(API_CONFIG.ENDPOINTS.CART.MERGE, { items });
+    }
+  },
+
+  // Guest checkout API
+  guest: {
+    /**
+     * Start a guest checkout session
+     * @param {Object} contact - Guest email and phone
+     * @returns {Promise<Object>} Guest token
+     */
+    async createSession(contact) {
+      return api.post(API_CONFIG.ENDPOINTS.GUEST.SESSION, contact);
+    },
+
+    /**
+     * Look up a guest order
+     * @param {string} orderNumber - Order number
+     * @param {string} email - Email used at checkout
+     * @returns {Promise<Object>} Order details
+     */
+    async lookupOrder(orderNumber, email) {
+      return api.post(API_CONFIG.ENDPOINTS.GUEST.ORDER_LOOKUP, { order_number: orderNumber, email });
+    },
+
+    /**
+     * Attach guest orders to the signed-in account
+     * @param {string} guestToken - Guest session token
+     * @returns {Promise<Object>} Claimed orders
+     */
+    async claimOrders(guestToken) {
+      return api.post(API_CONFIG.ENDPOINTS.GUEST.CLAIM_ORDERS, { guest_token: guestToken });
+    }
+  },
+
+  // Coupons API
+  coupons: {
+    /**
+     * Get coupons available to the current user
+     * @param {Object} params - Query parameters (subtotal)
+     * @returns {Promise<Object>} Available coupons with eligibility
+     */
+    async getAvailable(params = {}) {
+      return api.get(API_CONFIG.ENDPOINTS.COUPONS.AVAILABLE, params);
+    },
+
+    /**
+     * Validate a coupon against cart contents
+     * @param {string} code - Coupon code
+     * @param {Array} items - Cart items (product_id, quantity)
+     * @returns {Promise<Object>} Validated coupon and discount amount
+     */
+    async validate(code, items) {
+      return api.post(API_CONFIG.ENDPOINTS.COUPONS.VALIDATE, { code, items });
+    }
+  },
+
+  // Reviews API
+  reviews: {
+    /**
+     * Get reviews for a product
+     * @param {number} productId - Product ID
+     * @param {Object} params - Query parameters (page, limit, sort)
+     * @returns {Promise<Object>} Reviews with rating summary and pagination
+     */
+    async getByProduct(productId, params = {}) {
+      const endpoint = API_CONFIG.ENDPOINTS.REVIEWS.LIST.replace(':productId', productId);
+      return api.get(endpoint, params);
+    },
+
+    /**
+     * Get current user's review and review eligibility for a product
+     * @param {number} productId - Product ID
+     * @returns {Promise<Object>} Review and eligibility data
+     */
+    async getMine(productId) {
+      const endpoint = API_CONFIG.ENDPOINTS.REVIEWS.MINE.replace(':productId', productId);
+      return api.get(endpoint);
+    },
+
+    /**
+     * Create review for a product
+     * @param {number} productId - Product ID
+     * @param {Object} reviewData - Rating, title and comment
+     * @returns {Promise<Object>} Created review
+     */
+    async create(productId, reviewData) {
+      const endpoint = API_CONFIG.ENDPOINTS.REVIEWS.CREATE.replace(':productId', productId);
+      return api.post(endpoint, reviewData);
+    },
+
+    /**
+     * Update existing review
+     * @param {number} id - Review ID
+     * @param {Object} reviewData - Updated rating, title and comment
+     * @returns {Promise<Object>} Updated review
+     */
+    async update(id, reviewData) {
+      const endpoint = API_CONFIG.ENDPOINTS.REVIEWS.UPDATE.replace(':id', id);
+      return api.put(endpoint, reviewData);
+    },
+
+    /**
+     * Mark review as helpful
+     * @param {number} id - Review ID
+     * @returns {Promise<Object>} Updated helpful count
+     */
+    async markHelpful(id) {
+      const endpoint = API_CONFIG.ENDPOINTS.REVIEWS.HELPFUL.replace(':id', id);
+      return api.post(endpoint);
+    }
+  },
+
+  // Wishlist API
+  wishlist: {
+    /**
+     * Get wishlist items
+     * @returns {Promise<Object>} Wishlist data
+     */
+    async getAll() {
+      return api.get(API_CONFIG.ENDPOINTS.WISHLIST.LIST);
+    },
+
+    /**
+     * Add product to wishlist
+     * @param {number} productId - Product ID
+     * @returns {Promise<Object>} Add response
+     */
+    async add(productId) {
+      return api.post(API_CONFIG.ENDPOINTS.WISHLIST.ADD, { productId });
+    },
+
+    /**
+     * Remove product from wishlist
+     * @param {number} productId - Product ID
+     * @returns {Promise<Object>} Remove response
+     */
+    async remove(productId) {
+      const endpoint = API_CONFIG.ENDPOINTS.WISHLIST.REMOVE.replace(':productId', productId);
+      return api.delete(endpoint);
+    },
+
+    /**
+     * Move wishlist product to cart
+     * @param {number} productId - Product ID
+     * @param {number} quantity - Quantity to add
+     * @returns {Promise<Object>} Move response
+     */
+    async moveToCart(productId, quantity = 1) {
+      const endpoint = API_CONFIG.ENDPOINTS.WISHLIST.MOVE_TO_CART.replace(':productId', productId);
+      return api.post(endpoint, { quantity });
+    },
+
+    /**
+     * Merge guest wishlist into the user's wishlist
+     * @param {Array<number>} productIds - Product IDs saved as guest
+     * @returns {Promise<Object>} Merged wishlist data
+     */
+    async merge(productIds) {
+      return api.post(API_CONFIG.ENDPOINTS.WISHLIST.MERGE, { productIds });
+    }
+  },
+
+  // Back-in-stock alerts API
+  stockAlerts: {
+    /**
+     * Subscribe to a back-in-stock alert
+     * Guests can subscribe with an email or phone number.
+     * @param {number} productId - Product ID
+     * @param {Object} data - Alert data (variant_id, channel, email, phone)
+     * @returns {Promise<Object>} Created alert
+     */
+    async subscribe(productId, data) {
+      const endpoint = API_CONFIG.ENDPOINTS.STOCK_ALERTS.CREATE.replace(':id', productId);
+      return api.post(endpoint, data);
+    },
+
+    /**
+     * Get the user's back-in-stock alerts
+     * @returns {Promise<Object>} Alerts data
+     */
+    async getAll() {
+      return api.get(API_CONFIG.ENDPOINTS.STOCK_ALERTS.LIST);
+    },
+
+    /**
+     * Remove a back-in-stock alert
+     * @param {number} alertId - Alert ID
+     * @returns {Promise<Object>} Remove response
+     */
+    async remove(alertId) {
+      const endpoint = API_CONFIG.ENDPOINTS.STOCK_ALERTS.DELETE.replace(':id', alertId);
+      return api.delete(endpoint);
+    },
+
+    /**
+     * Report that an alerted product is back in stock
+     * POST /stock-alerts/:id/notify with an empty body, for guest and signed-in alerts.
+     * The server re-checks stock, sends the email or SMS to the alert's contact once,
+     * marks the alert notified and answers { success, data: { alert } }. Repeat calls
+     * for a notified alert send nothing.
+     * @param {number} alertId - Alert ID
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} Notify response
+     */
+    async notify(alertId, options = {}) {
+      const endpoint = API_CONFIG.ENDPOINTS.STOCK_ALERTS.NOTIFY.replace(':id', alertId);
+      return api.post(endpoint, {}, options);
     }
   },
 
@@ -734,6 +1442,39 @@ const ApiService = {
     async getById(id) {
       const endpoint = API_CONFIG.ENDPOINTS.ORDERS.DETAIL.replace(':id', id);
       return api.get(endpoint);
+    },
+
+    /**
+     * Cancel order items before shipping
+     * @param {number} id - Order ID
+     * @param {Object} data - Items, reason and refund method
+     * @returns {Promise<Object>} Cancellation request
+     */
+    async cancel(id, data) {
+      const endpoint = API_CONFIG.ENDPOINTS.ORDERS.CANCEL.replace(':id', id);
+      return api.post(endpoint, data);
+    },
+
+    /**
+     * Request return or exchange after delivery
+     * @param {number} id - Order ID
+     * @param {Object} data - Items, type, reason, photos and refund method
+     * @returns {Promise<Object>} Return request
+     */
+    async requestReturn(id, data) {
+      const endpoint = API_CONFIG.ENDPOINTS.ORDERS.RETURN.replace(':id', id);
+      return api.post(endpoint, data);
+    },
+
+    /**
+     * Upload photos for a return request
+     * @param {number} id - Order ID
+     * @param {FormData} formData - Photos
+     * @returns {Promise<Object>} Uploaded photo URLs
+     */
+    async uploadReturnPhotos(id, formData) {
+      const endpoint = API_CONFIG.ENDPOINTS.ORDERS.RETURN_PHOTOS.replace(':id', id);
+      return api.upload(endpoint, formData);
     }
   },
 
@@ -818,6 +1559,11 @@ window.isAuthenticated = () => {
   return !!api.getAuthToken();
 };
 
+// Helper function to check if a request was cancelled (superseded or aborted)
+window.isRequestCancelled = (error) => {
+  return api.isCancelled(error);
+};
+
 // Helper function to get current user data
 window.getCurrentUser = () => {
   return CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.USER_DATA);
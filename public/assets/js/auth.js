@@ -20,7 +20,7 @@ class AuthManager {
     this.initializePasswordToggles();
     this.initializeFormValidation();
     
-    if (this.currentPage === 'register') {
+    if (this.currentPage === 'register' || this.currentPage === 'reset-password') {
       this.initializePasswordStrength();
     }
 
@@ -38,6 +38,8 @@ class AuthManager {
    */
   detectCurrentPage() {
     const path = window.location.pathname;
+    if (path.includes('forgot-password')) return 'forgot-password';
+    if (path.includes('reset-password')) return 'reset-password';
     if (path.includes('login')) return 'login';
     if (path.includes('register')) return 'register';
     return 'unknown';
@@ -69,9 +71,11 @@ class AuthManager {
     this.setupRealTimeValidation();
 
     // Social login buttons (if enabled)
-    if (FEATURES.SOCIAL_LOGIN) {
-      this.setupSocialLogin();
-    }
+    this.setupSocialLogin();
+
+    // Phone OTP login and phone verification at registration
+    this.setupOtpLogin();
+    this.setupPhoneVerification();
   }
 
   /**
@@ -140,82 +144,7 @@ class AuthManager {
     
     if (!passwordInput || !strengthContainer) return;
 
-    DOMUtils.addEventListener(passwordInput, 'input', () => {
-      this.updatePasswordStrength(passwordInput.value);
-    });
-
-    DOMUtils.addEventListener(passwordInput, 'focus', () => {
-      strengthContainer.style.display = 'block';
-    });
-  }
-
-  /**
-   * Update password strength indicator
-   * @param {string} password - Password value
-   */
-  updatePasswordStrength(password) {
-    const strengthFill = DOMUtils.getId('strength-fill');
-    const strengthText = DOMUtils.getId('strength-text');
-    const requirements = DOMUtils.getElements('.requirement');
-    
-    if (!strengthFill || !strengthText) return;
-
-    const validation = ValidationUtils.password(password);
-    const score = validation.score;
-    
-    // Update strength bar
-    strengthFill.className = 'strength-fill';
-    
-    if (score === 0) {
-      strengthFill.classList.add('weak');
-      strengthText.textContent = 'Very Weak';
-    } else if (score === 1) {
-      strengthFill.classList.add('weak');
-      strengthText.textContent = 'Weak';
-    } else if (score === 2) {
-      strengthFill.classList.add('fair');
-      strengthText.textContent = 'Fair';
-    } else if (score === 3) {
-      strengthFill.classList.add('good');
-      strengthText.textContent = 'Good';
-    } else if (score === 4) {
-      strengthFill.classList.add('strong');
-      strengthText.textContent = 'Strong';
-    } else if (score === 5) {
-      strengthFill.classList.add('very-strong');
-      strengthText.textContent = 'Very Strong';
-    }
-
-    // Update requirements
-    this.updatePasswordRequirements(password, requirements);
-  }
-
-  /**
-   * Update password requirements display
-   * @param {string} password - Password value
-   * @param {NodeList} requirements - Requirement elements
-   */
-  updatePasswordRequirements(password, requirements) {
-    const checks = {
-      length: password.length >= 8,
-      lowercase: /[a-z]/.test(password),
-      uppercase: /[A-Z]/.test(password),
-      number: /\d/.test(password),
-      special: /[!@#$%^&*(),.?":{}|<>]/.test(password)
-    };
-
-    requirements.forEach(req => {
-      const requirement = req.dataset.requirement;
-      const icon = req.querySelector('i');
-      
-      if (checks[requirement]) {
-        req.classList.add('met');
-        icon.className = 'ri-check-circle-line';
-      } else {
-        req.classList.remove('met');
-        icon.className = 'ri-close-circle-line';
-      }
-    });
+    this.passwordStrength = new PasswordStrengthMeter(passwordInput, strengthContainer);
   }
 
   /**
@@ -315,7 +244,7 @@ class AuthManager {
     if (rules.password && value) {
       const passwordValidation = ValidationUtils.password(value);
       if (!passwordValidation.isValid) {
-        errors.push(ERROR_MESSAGES.PASSWORD_TOO_SHORT);
+        errors.push(ERROR_MESSAGES.PASSWORD_TOO_WEAK);
       }
     }
 
@@ -358,13 +287,25 @@ class AuthManager {
     }
   }
 
+  /**
+   * Get the error element for a field
+   * Error elements are named after the field id (e.g. confirm-password-error)
+   * or, on older forms, the field name.
+   * @param {Element} field - Input field
+   * @returns {Element|null} Error element
+   */
+  getFieldErrorElement(field) {
+    return (field.id && DOMUtils.getElement(`#${field.id}-error`)) ||
+      DOMUtils.getElement(`#${field.name}-error`);
+  }
+
   /**
    * Show field error
    * @param {Element} field - Input field
    * @param {string} message - Error message
    */
   showFieldError(field, message) {
-    const errorElement = DOMUtils.getElement(`#${field.name}-error`);
+    const errorElement = this.getFieldErrorElement(field);
     const formGroup = field.closest('.form-group');
     
     if (errorElement) {
@@ -385,7 +326,7 @@ class AuthManager {
    * @param {Element} field - Input field
    */
   clearFieldError(field) {
-    const errorElement = DOMUtils.getElement(`#${field.name}-error`);
+    const errorElement = this.getFieldErrorElement(field);
     const formGroup = field.closest('.form-group');
     
     if (errorElement) {
@@ -510,6 +451,16 @@ class AuthManager {
       phone: formData.get('phone') || null
     };
 
+    // A phone number has to be verified before the account is created
+    if (registerData.phone && this.phoneVerification) {
+      const token = this.getPhoneVerificationToken(registerData.phone);
+      if (!token) {
+        this.startPhoneVerification(registerData.phone);
+        return;
+      }
+      registerData.phone_verification_token = token;
+    }
+
     try {
       // Show loading state
       this.setLoadingState(submitBtn, true);
@@ -557,6 +508,205 @@ class AuthManager {
     }
   }
 
+  /**
+   * Setup passwordless login by SMS code
+   */
+  setupOtpLogin() {
+    const otpForm = DOMUtils.getId('otp-login-form');
+    const container = DOMUtils.getId('otp-login-verification');
+    if (!otpForm || !container || !window.OtpVerification) return;
+
+    if (!FEATURES.OTP_LOGIN) {
+      DOMUtils.getId('login-methods').style.display = 'none';
+      return;
+    }
+
+    this.otpLogin = new OtpVerification(container, {
+      purpose: 'login',
+      onVerified: (data) => this.handleOtpLoginSuccess(data),
+      onChangePhone: () => this.showOtpPhoneStep()
+    });
+
+    DOMUtils.getElements('[data-login-method]').forEach(button => {
+      DOMUtils.addEventListener(button, 'click', () => {
+        this.showLoginMethod(button.dataset.loginMethod);
+      });
+    });
+
+    DOMUtils.addEventListener(otpForm, 'submit', (e) => {
+      e.preventDefault();
+      this.handleOtpLoginRequest(otpForm);
+    });
+  }
+
+  /**
+   * Switch between email and phone login
+   * @param {string} method - 'email' or 'phone'
+   */
+  showLoginMethod(method) {
+    DOMUtils.getElements('[data-login-method]').forEach(button => {
+      const isActive = button.dataset.loginMethod === method;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-selected', isActive);
+    });
+
+    DOMUtils.getId('login-form').style.display = method === 'email' ? 'block' : 'none';
+    DOMUtils.getId('otp-login-form').style.display = method === 'phone' ? 'block' : 'none';
+
+    if (method === 'phone') {
+      this.showOtpPhoneStep();
+    } else {
+      this.otpLogin.reset();
+      DOMUtils.getId('email').focus();
+    }
+  }
+
+  /**
+   * Show the phone number step of OTP login
+   */
+  showOtpPhoneStep() {
+    DOMUtils.getId('otp-phone-step').style.display = 'block';
+    DOMUtils.getId('login-phone').focus();
+  }
+
+  /**
+   * Send a login code to the entered phone number
+   * @param {Element} form - OTP login form
+   */
+  async handleOtpLoginRequest(form) {
+    const phoneInput = DOMUtils.getId('login-phone');
+    const submitBtn = DOMUtils.getId('send-otp-btn');
+
+    if (!phoneInput.value.trim()) {
+      this.showFieldError(phoneInput, ERROR_MESSAGES.PHONE_REQUIRED);
+      return;
+    }
+    // Accepts a +91 or 0 prefix, as in the "+91 98765 43210" placeholder
+    if (!window.OtpService.normalizePhone(phoneInput.value)) {
+      this.showFieldError(phoneInput, ERROR_MESSAGES.INVALID_PHONE);
+      return;
+    }
+    this.clearFieldError(phoneInput);
+
+    try {
+      this.setLoadingState(submitBtn, true);
+      form.classList.add('loading');
+
+      await this.otpLogin.start(phoneInput.value);
+
+      DOMUtils.getId('otp-phone-step').style.display = 'none';
+    } catch (error) {
+      console.error('OTP login request error:', error);
+      this.showFieldError(phoneInput, error.message || ERROR_MESSAGES.GENERIC);
+    } finally {
+      this.setLoadingState(submitBtn, false);
+      form.classList.remove('loading');
+    }
+  }
+
+  /**
+   * Sign in with the session returned for a verified login code
+   * @param {Object} data - Verification response data
+   */
+  handleOtpLoginSuccess(data) {
+    if (!data.tokens) {
+      if (window.NotificationManager) {
+        NotificationManager.show(ERROR_MESSAGES.GENERIC, 'error');
+      }
+      this.showOtpPhoneStep();
+      return;
+    }
+
+    this.handleAuthSuccess(data);
+
+    if (window.NotificationManager) {
+      NotificationManager.show('Login successful! Redirecting...', 'success');
+    }
+
+    setTimeout(() => {
+      this.redirectAfterAuth();
+    }, 1000);
+  }
+
+  /**
+   * Setup phone verification on the registration form
+   */
+  setupPhoneVerification() {
+    const phoneInput = DOMUtils.getId('phone');
+    const container = DOMUtils.getId('phone-verification');
+    if (this.currentPage !== 'register' || !phoneInput || !container || !window.OtpVerification) return;
+
+    this.phoneVerification = {
+      phone: null,
+      token: null,
+      widget: new OtpVerification(container, {
+        purpose: 'verify_phone',
+        onVerified: (data) => this.handlePhoneVerified(data)
+      })
+    };
+
+    // Editing the number discards an earlier verification
+    DOMUtils.addEventListener(phoneInput, 'input', () => {
+      if (this.getPhoneVerificationToken(phoneInput.value)) return;
+
+      DOMUtils.getId('phone-verified').style.display = 'none';
+      this.phoneVerification.widget.reset();
+    });
+  }
+
+  /**
+   * Get the verification token for a phone number
+   * @param {string} phone - Phone number
+   * @returns {string|null} Token if this number was verified
+   */
+  getPhoneVerificationToken(phone) {
+    const { phone: verifiedPhone, token } = this.phoneVerification;
+    return token && verifiedPhone === window.OtpService.normalizePhone(phone) ? token : null;
+  }
+
+  /**
+   * Send a code to the registration phone number
+   * @param {string} phone - Phone number
+   */
+  async startPhoneVerification(phone) {
+    const phoneInput = DOMUtils.getId('phone');
+    const { widget } = this.phoneVerification;
+
+    // A code for this number is already on its way
+    if (widget.request && this.phoneVerification.phone === window.OtpService.normalizePhone(phone)) {
+      widget.input.focus();
+      return;
+    }
+
+    try {
+      await widget.start(phone);
+      this.phoneVerification.phone = window.OtpService.normalizePhone(phone);
+
+      if (window.NotificationManager) {
+        NotificationManager.show(ERROR_MESSAGES.PHONE_NOT_VERIFIED, 'info');
+      }
+    } catch (error) {
+      console.error('Phone verification error:', error);
+      this.showFieldError(phoneInput, error.message || ERROR_MESSAGES.GENERIC);
+      phoneInput.focus();
+    }
+  }
+
+  /**
+   * Continue registration once the phone number is verified
+   * @param {Object} data - Verification response data
+   */
+  handlePhoneVerified(data) {
+    this.phoneVerification.token = data.verification_token;
+    DOMUtils.getId('phone-verified').style.display = 'flex';
+
+    if (window.NotificationManager) {
+      NotificationManager.show(SUCCESS_MESSAGES.PHONE_VERIFIED, 'success');
+    }
+
+    DOMUtils.getId('register-form').requestSubmit();
+  }
+
   /**
    * Handle successful authentication
    * @param {Object} data - Auth response data
@@ -571,6 +721,11 @@ class AuthManager {
       }
     }
 
+    // Lets the Security tab mark this device in the sessions list
+    if (data.session_id) {
+      CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.SESSION_ID, data.session_id);
+    }
+
     // Store user data
     if (data.user) {
       CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.USER_DATA, data.user);
@@ -621,6 +776,14 @@ class AuthManager {
    * Redirect after successful authentication
    */
   redirectAfterAuth() {
+    window.location.href = this.getRedirectUrl();
+  }
+
+  /**
+   * Get the page to open after authentication
+   * @returns {string} Redirect URL
+   */
+  getRedirectUrl() {
     // Check for redirect URL in query params
     const urlParams = new URLSearchParams(window.location.search);
     const redirectUrl = urlParams.get('redirect');
@@ -630,8 +793,7 @@ class AuthManager {
       try {
         const url = new URL(redirectUrl, window.location.origin);
         if (url.origin === window.location.origin) {
-          window.location.href = redirectUrl;
-          return;
+          return redirectUrl;
         }
       } catch (e) {
         // Invalid URL, fall through to default
@@ -639,7 +801,7 @@ class AuthManager {
     }
 
     // Default redirect to home page
-    window.location.href = '../index.html';
+    return '../index.html';
   }
 
   /**
@@ -660,30 +822,67 @@ class AuthManager {
   /**
    * Setup social login (if enabled)
    */
-  setupSocialLogin() {
-    const googleBtn = DOMUtils.getId('google-login') || DOMUtils.getId('google-register');
-    const facebookBtn = DOMUtils.getId('facebook-login') || DOMUtils.getId('facebook-register');
-    
-    if (googleBtn) {
-      DOMUtils.addEventListener(googleBtn, 'click', () => {
-        this.handleSocialLogin('google');
-      });
-    }
-    
-    if (facebookBtn) {
-      DOMUtils.addEventListener(facebookBtn, 'click', () => {
-        this.handleSocialLogin('facebook');
+  async setupSocialLogin() {
+    const socialLogin = DOMUtils.getId('social-login');
+    if (!socialLogin || !window.OAuthClient) return;
+
+    // Provider client IDs come from the server configuration
+    await window.configReady;
+    if (!FEATURES.SOCIAL_LOGIN) return;
+
+    const enabledProviders = window.OAuthClient.getEnabledProviders();
+    let hasProvider = false;
+
+    Object.keys(APP_CONFIG.OAUTH.PROVIDERS).forEach(provider => {
+      const button = DOMUtils.getId(`${provider}-login`) || DOMUtils.getId(`${provider}-register`);
+      if (!button) return;
+
+      if (!enabledProviders.includes(provider)) {
+        button.style.display = 'none';
+        return;
+      }
+
+      hasProvider = true;
+      DOMUtils.addEventListener(button, 'click', () => {
+        this.handleSocialLogin(provider, button);
       });
-    }
+    });
+
+    socialLogin.style.display = hasProvider ? 'block' : 'none';
   }
 
   /**
    * Handle social login
+   * New accounts are created, and existing accounts with the same email are
+   * linked after confirming their password on the callback page.
    * @param {string} provider - Social provider
+   * @param {Element} button - Provider button
    */
-  handleSocialLogin(provider) {
-    if (window.NotificationManager) {
-      NotificationManager.show('Social login coming soon!', 'info');
+  async handleSocialLogin(provider, button) {
+    try {
+      button.disabled = true;
+
+      await window.OAuthClient.authorize(provider, {
+        mode: 'login',
+        returnUrl: new URL(this.getRedirectUrl(), window.location.href).href
+      });
+
+      if (window.NotificationManager) {
+        NotificationManager.show('Login successful! Redirecting...', 'success');
+      }
+
+      // The callback page has already stored the session
+      setTimeout(() => {
+        this.redirectAfterAuth();
+      }, 1000);
+    } catch (error) {
+      console.error('Social login error:', error);
+
+      if (window.NotificationManager) {
+        NotificationManager.show(error.message || ERROR_MESSAGES.OAUTH_FAILED, error.code === 'cancelled' ? 'info' : 'error');
+      }
+    } finally {
+      button.disabled = false;
     }
   }
 
@@ -63,7 +63,9 @@ class CartPage {
   async init() {
     try {
       this.bindEvents();
+      await PricingRules.load();
       await this.loadCart();
+      await this.restoreAppliedCoupon();
       await this.loadAvailableCoupons();
     } catch (error) {
       console.error('Error initializing cart page:', error);
@@ -191,6 +193,14 @@ class CartPage {
    * Get cart from local storage
    */
   getLocalCart() {
+    return CartPage.getLocalCart();
+  }
+
+  /**
+   * Get cart from local storage without a cart page instance
+   * Used by guest checkout to merge the cart into a new account.
+   */
+  static getLocalCart() {
     const cartData = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.CART_DATA, {
       items: [],
       subtotal: 0,
@@ -289,6 +299,7 @@ class CartPage {
     
     // Set product ID
     itemElement.setAttribute('data-product-id', item.product_id);
+    itemElement.setAttribute('data-line-key', ProductUtils.cartLineKey(item.product_id, item.variant_id));
     
     // Product image
     const image = clone.querySelector('.item-image');
@@ -301,7 +312,7 @@ class CartPage {
     const nameLink = clone.querySelector('.item-link');
     if (nameLink) {
       nameLink.textContent = item.name;
-      nameLink.href = `product.html?id=${item.product_id}`;
+      nameLink.href = `product.html?id=${item.product_id}${item.variant_id ? `&variant=${item.variant_id}` : ''}`;
     }
     
     const brand = clone.querySelector('.item-brand');
@@ -314,6 +325,12 @@ class CartPage {
       sku.textContent = item.sku;
     }
     
+    const variant = clone.querySelector('.item-variant');
+    if (variant && item.variant_label) {
+      variant.textContent = item.variant_label;
+      variant.style.display = 'block';
+    }
+    
     // Pricing
     const currentPrice = clone.querySelector('.current-price');
     if (currentPrice) {
@@ -342,14 +359,14 @@ class CartPage {
       quantityInput.max = Math.min(item.stock_quantity, APP_CONFIG.CART.MAX_QUANTITY);
       
       quantityInput.addEventListener('change', (e) => {
-        this.updateItemQuantity(item.product_id, parseInt(e.target.value));
+        this.updateItemQuantity(item.product_id, parseInt(e.target.value), item.variant_id);
       });
     }
     
     if (decreaseBtn) {
       decreaseBtn.addEventListener('click', () => {
         const newQuantity = Math.max(1, item.quantity - 1);
-        this.updateItemQuantity(item.product_id, newQuantity);
+        this.updateItemQuantity(item.product_id, newQuantity, item.variant_id);
       });
     }
     
@@ -357,7 +374,7 @@ class CartPage {
       increaseBtn.addEventListener('click', () => {
         const maxQuantity = Math.min(item.stock_quantity, APP_CONFIG.CART.MAX_QUANTITY);
         const newQuantity = Math.min(maxQuantity, item.quantity + 1);
-        this.updateItemQuantity(item.product_id, newQuantity);
+        this.updateItemQuantity(item.product_id, newQuantity, item.variant_id);
       });
     }
     
@@ -374,14 +391,14 @@ class CartPage {
     const wishlistBtn = clone.querySelector('.wishlist-btn');
     if (wishlistBtn) {
       wishlistBtn.addEventListener('click', () => {
-        this.moveToWishlist(item.product_id);
+        this.moveToWishlist(item.product_id, item.variant_id);
       });
     }
     
     const removeBtn = clone.querySelector('.remove-btn');
     if (removeBtn) {
       removeBtn.addEventListener('click', () => {
-        this.removeItem(item.product_id);
+        this.removeItem(item.product_id, item.variant_id);
       });
     }
     
@@ -420,12 +437,19 @@ class CartPage {
     }
   }
   
+  /**
+   * Check whether a cart item is the given product variant
+   */
+  isCartLine(item, productId, variantId = null) {
+    return ProductUtils.cartLineKey(item.product_id, item.variant_id) === ProductUtils.cartLineKey(productId, variantId);
+  }
+  
   /**
    * Update item quantity
    */
-  async updateItemQuantity(productId, newQuantity) {
+  async updateItemQuantity(productId, newQuantity, variantId = null) {
     try {
-      const item = this.cartData.items.find(item => item.product_id === productId);
+      const item = this.cartData.items.find(item => this.isCartLine(item, productId, variantId));
       if (!item) return;
       
       // Validate quantity
@@ -443,12 +467,15 @@ class CartPage {
       if (isAuthenticated()) {
         await ApiService.cart.update({
           product_id: productId,
+          variant_id: variantId || null,
           quantity: newQuantity
         });
       } else {
         this.saveLocalCart();
       }
       
+      await this.revalidateCoupon();
+      
       this.showSuccess('Cart updated successfully');
       
     } catch (error) {
@@ -463,20 +490,22 @@ class CartPage {
   /**
    * Remove item from cart
    */
-  async removeItem(productId) {
+  async removeItem(productId, variantId = null) {
     try {
       // Remove locally first for immediate feedback
-      this.cartData.items = this.cartData.items.filter(item => item.product_id !== productId);
+      this.cartData.items = this.cartData.items.filter(item => !this.isCartLine(item, productId, variantId));
       this.updateCartSummary();
       this.renderCart();
       
       // Remove from server if authenticated
       if (isAuthenticated()) {
-        await ApiService.cart.remove(productId);
+        await ApiService.cart.remove(productId, variantId);
       } else {
         this.saveLocalCart();
       }
       
+      await this.revalidateCoupon();
+      
       this.showSuccess('Item removed from cart');
       
       // Dispatch cart updated event
@@ -494,11 +523,14 @@ class CartPage {
   /**
    * Move item to wishlist
    */
-  async moveToWishlist(productId) {
+  async moveToWishlist(productId, variantId = null) {
     try {
-      // This would integrate with wishlist functionality
-      // For now, just remove from cart
-      await this.removeItem(productId);
+      if (!window.Wishlist) {
+        throw new Error('Wishlist is not available');
+      }
+
+      await window.Wishlist.add(productId);
+      await this.removeItem(productId, variantId);
       this.showSuccess('Item moved to wishlist');
       
     } catch (error) {
@@ -526,26 +558,13 @@ class CartPage {
   updateCartSummary() {
     if (!this.cartData || !this.cartData.items) return;
     
-    // Calculate subtotal
-    const subtotal = this.cartData.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
-    
-    // Calculate discount
-    let discountAmount = 0;
-    if (this.appliedCoupon) {
-      discountAmount = this.calculateDiscount(subtotal, this.appliedCoupon);
-    }
-    
-    // Calculate shipping (free shipping over ₹500)
-    const shippingCost = (subtotal - discountAmount) >= 500 ? 0 : 50;
-    
-    // Calculate tax (18% GST)
-    const taxableAmount = subtotal - discountAmount + shippingCost;
-    const taxAmount = taxableAmount * 0.18;
-    
-    // Calculate total
-    const total = subtotal - discountAmount + shippingCost + taxAmount;
+    // Discount is computed server-side when the coupon is validated
+    const totals = PricingRules.calculateTotals({
+      items: this.cartData.items,
+      discount: this.appliedCoupon ? this.appliedCoupon.discountAmount : 0,
+      pincode: PricingRules.getSavedPincode()
+    });
+    const { subtotal, discount: discountAmount, shipping: shippingCost, tax: taxAmount, total } = totals;
     
     // Calculate savings
     const originalTotal = this.cartData.items.reduce((total, item) => {
@@ -627,36 +646,14 @@ class CartPage {
    */
   async loadAvailableCoupons() {
     try {
-      // This would typically come from an API
-      // For now, using mock data
-      this.coupons = [
-        {
-          code: 'WELCOME10',
-          description: 'Get 10% off on your first order',
-          discount_type: 'percentage',
-          discount_value: 10,
-          minimum_amount: 500,
-          validity: 'Valid till Dec 31, 2024'
-        },
-        {
-          code: 'SAVE50',
-          description: 'Flat ₹50 off on orders above ₹1000',
-          discount_type: 'fixed',
-          discount_value: 50,
-          minimum_amount: 1000,
-          validity: 'Valid for 7 days'
-        },
-        {
-          code: 'BEAUTY20',
-          description: '20% off on beauty products',
-          discount_type: 'percentage',
-          discount_value: 20,
-          minimum_amount: 750,
-          validity: 'Valid till month end'
-        }
-      ];
-      
-      this.renderAvailableCoupons();
+      const response = await ApiService.coupons.getAvailable({
+        subtotal: this.cartData?.subtotal || 0
+      });
+      
+      if (response.success) {
+        this.coupons = response.data.coupons || [];
+        this.renderAvailableCoupons();
+      }
       
     } catch (error) {
       console.error('Error loading coupons:', error);
@@ -670,7 +667,7 @@ class CartPage {
     const container = this.elements.couponsList;
     const template = this.elements.couponTemplate;
     
-    if (!container || !template || !this.coupons.length) return;
+    if (!container || !template) return;
     
     container.innerHTML = '';
     
@@ -691,11 +688,7 @@ class CartPage {
     
     const discount = clone.querySelector('.coupon-discount');
     if (discount) {
-      if (coupon.discount_type === 'percentage') {
-        discount.textContent = `${coupon.discount_value}% OFF`;
-      } else {
-        discount.textContent = `₹${coupon.discount_value} OFF`;
-      }
+      discount.textContent = CouponUtils.formatDiscount(coupon);
     }
     
     const title = clone.querySelector('.coupon-title');
@@ -710,11 +703,17 @@ class CartPage {
     
     const validity = clone.querySelector('.coupon-validity');
     if (validity) {
-      validity.textContent = coupon.validity;
+      validity.textContent = CouponUtils.formatTerms(coupon);
     }
     
     const applyBtn = clone.querySelector('.coupon-apply-btn');
     if (applyBtn) {
+      if (coupon.is_eligible === false) {
+        couponElement.classList.add('coupon-item--ineligible');
+        applyBtn.disabled = true;
+        applyBtn.title = coupon.ineligible_reason || 'Not applicable to this cart';
+      }
+      
       applyBtn.addEventListener('click', () => {
         this.applyCouponByCode(coupon.code);
       });
@@ -740,42 +739,96 @@ class CartPage {
     try {
       this.setButtonLoading(this.elements.couponApplyBtn, true);
       
-      // Find coupon
-      const coupon = this.coupons.find(c => c.code === code);
-      if (!coupon) {
-        this.showError('Invalid coupon code');
-        return;
-      }
+      // Coupon rules (category, first order, usage limits, expiry) are checked server-side
+      this.appliedCoupon = await this.validateCoupon(code);
+      CouponUtils.saveApplied(this.appliedCoupon);
       
-      // Validate minimum amount
-      if (this.cartData.subtotal < coupon.minimum_amount) {
-        this.showError(`Minimum order amount of ₹${coupon.minimum_amount} required for this coupon`);
-        return;
-      }
-      
-      // Apply coupon
-      this.appliedCoupon = coupon;
       this.updateCartSummary();
       this.showAppliedCoupon();
       
       // Clear input
       this.elements.couponCode.value = '';
       
-      this.showSuccess(`Coupon ${code} applied successfully!`);
+      this.showSuccess(`Coupon ${this.appliedCoupon.code} applied successfully!`);
       
     } catch (error) {
       console.error('Error applying coupon:', error);
-      this.showError('Failed to apply coupon. Please try again.');
+      this.showError(error.message || 'Failed to apply coupon. Please try again.');
     } finally {
       this.setButtonLoading(this.elements.couponApplyBtn, false);
     }
   }
   
+  /**
+   * Validate coupon against current cart contents
+   * @returns {Promise<Object>} Applied coupon with server-computed discount
+   */
+  async validateCoupon(code) {
+    const response = await ApiService.coupons.validate(
+      code,
+      CouponUtils.getValidationItems(this.cartData.items)
+    );
+    
+    if (!response.success) {
+      throw new Error(response.message || 'Invalid coupon code');
+    }
+    
+    return CouponUtils.fromValidation(response.data);
+  }
+  
+  /**
+   * Restore coupon applied earlier in this session
+   */
+  async restoreAppliedCoupon() {
+    const storedCoupon = CouponUtils.getApplied();
+    if (!storedCoupon) return;
+    
+    if (!this.cartData?.items?.length) {
+      CouponUtils.clearApplied();
+      return;
+    }
+    
+    this.appliedCoupon = storedCoupon;
+    await this.revalidateCoupon();
+  }
+  
+  /**
+   * Revalidate applied coupon after cart contents change
+   */
+  async revalidateCoupon() {
+    if (!this.appliedCoupon) return;
+    
+    // Nothing left to discount
+    if (!this.cartData.items.length) {
+      this.appliedCoupon = null;
+      CouponUtils.clearApplied();
+      this.hideAppliedCoupon();
+      this.updateCartSummary();
+      return;
+    }
+    
+    const code = this.appliedCoupon.code;
+    
+    try {
+      this.appliedCoupon = await this.validateCoupon(code);
+      CouponUtils.saveApplied(this.appliedCoupon);
+      this.showAppliedCoupon();
+    } catch (error) {
+      this.appliedCoupon = null;
+      CouponUtils.clearApplied();
+      this.hideAppliedCoupon();
+      this.showError(`Coupon ${code} removed: ${error.message}`);
+    }
+    
+    this.updateCartSummary();
+  }
+  
   /**
    * Remove applied coupon
    */
   removeCoupon() {
     this.appliedCoupon = null;
+    CouponUtils.clearApplied();
     this.updateCartSummary();
     this.hideAppliedCoupon();
     this.showSuccess('Coupon removed');
@@ -799,21 +852,6 @@ class CartPage {
     this.elements.appliedCoupon.style.display = 'none';
   }
   
-  /**
-   * Calculate discount amount
-   */
-  calculateDiscount(subtotal, coupon) {
-    if (coupon.discount_type === 'percentage') {
-      let discount = subtotal * (coupon.discount_value / 100);
-      if (coupon.maximum_discount) {
-        discount = Math.min(discount, coupon.maximum_discount);
-      }
-      return discount;
-    } else {
-      return coupon.discount_value;
-    }
-  }
-  
   /**
    * Show clear cart modal
    */
@@ -840,6 +878,8 @@ class CartPage {
       // Clear locally first
       this.cartData = { items: [], subtotal: 0, total: 0, itemCount: 0 };
       this.appliedCoupon = null;
+      CouponUtils.clearApplied();
+      this.hideAppliedCoupon();
       
       this.renderCart();
       this.updateCartSummary();
@@ -881,6 +921,11 @@ class CartPage {
     
     // Save cart data to ensure it's available in checkout
     if (!isAuthenticated()) {
+      if (!CONFIG_UTILS.isFeatureEnabled('GUEST_CHECKOUT')) {
+        window.location.href = 'login.html?redirect=checkout.html';
+        return;
+      }
+      
       this.saveLocalCart();
     }
     
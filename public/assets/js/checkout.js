@@ -11,8 +11,11 @@ class CheckoutPage {
     this.shippingAddress = null;
     this.paymentMethod = 'razorpay';
     this.savedAddresses = [];
+    this.appliedCoupon = null;
     this.orderData = null;
     this.isProcessing = false;
+    this.isGuest = !isAuthenticated();
+    this.guestEmail = null;
     
     // DOM elements
     this.elements = {
@@ -28,6 +31,9 @@ class CheckoutPage {
       steps: document.querySelectorAll('.checkout-step'),
       
       // Step 1 - Shipping
+      guestContact: document.getElementById('guest-contact'),
+      guestEmail: document.getElementById('guest-email'),
+      saveAddressGroup: document.getElementById('save-address-group'),
       savedAddresses: document.getElementById('saved-addresses'),
       addressesGrid: document.getElementById('addresses-grid'),
       addNewAddressBtn: document.getElementById('add-new-address-btn'),
@@ -51,6 +57,11 @@ class CheckoutPage {
       
       // Step 4 - Confirmation
       orderConfirmationDetails: document.getElementById('order-confirmation-details'),
+      guestAccount: document.getElementById('guest-account'),
+      guestAccountEmail: document.getElementById('guest-account-email'),
+      guestAccountForm: document.getElementById('guest-account-form'),
+      createGuestAccountBtn: document.getElementById('create-guest-account-btn'),
+      viewOrderLink: document.getElementById('view-order-link'),
       
       // Order Summary
       summaryItems: document.getElementById('summary-items'),
@@ -75,9 +86,18 @@ class CheckoutPage {
    * Initialize checkout page
    */
   async init() {
+    // Guests must sign in unless guest checkout is enabled
+    if (this.isGuest && !GuestCheckout.isActive()) {
+      window.location.href = 'login.html?redirect=checkout.html';
+      return;
+    }
+    
     try {
       this.bindEvents();
+      this.setupGuestCheckout();
+      await PricingRules.load();
       await this.loadCartData();
+      await this.loadAppliedCoupon();
       await this.loadSavedAddresses();
       this.renderOrderSummary();
       this.updateProgress();
@@ -154,6 +174,25 @@ class CheckoutPage {
       });
     }
     
+    // Guest email validation
+    if (this.elements.guestEmail) {
+      this.elements.guestEmail.addEventListener('blur', () => {
+        if (this.isGuest) this.validateField(this.elements.guestEmail);
+      });
+      
+      this.elements.guestEmail.addEventListener('input', () => {
+        this.clearFieldError(this.elements.guestEmail);
+      });
+    }
+    
+    // Guest account creation
+    if (this.elements.guestAccountForm) {
+      this.elements.guestAccountForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.createGuestAccount();
+      });
+    }
+    
     // Place order
     if (this.elements.placeOrderBtn) {
       this.elements.placeOrderBtn.addEventListener('click', () => {
@@ -184,6 +223,29 @@ class CheckoutPage {
     });
   }
   
+  /**
+   * Show contact fields for guest checkout
+   */
+  setupGuestCheckout() {
+    if (!this.isGuest) return;
+    
+    if (this.elements.guestContact) {
+      this.elements.guestContact.style.display = 'block';
+      this.elements.guestEmail.required = true;
+    }
+    
+    // Addresses can only be saved to an account
+    if (this.elements.saveAddressGroup) {
+      this.elements.saveAddressGroup.style.display = 'none';
+    }
+    
+    // Prefill contact from an earlier guest session
+    const session = GuestCheckout.getSession();
+    if (session?.email && this.elements.guestEmail) {
+      this.elements.guestEmail.value = session.email;
+    }
+  }
+  
   /**
    * Load cart data
    */
@@ -217,6 +279,42 @@ class CheckoutPage {
     }
   }
   
+  /**
+   * Revalidate coupon applied in the cart so both pages use the same discount
+   */
+  async loadAppliedCoupon() {
+    if (!this.cartData?.items?.length) return;
+    
+    const storedCoupon = CouponUtils.getApplied();
+    if (!storedCoupon) {
+      this.cartData.discount = 0;
+      this.cartData.couponCode = null;
+      return;
+    }
+    
+    try {
+      const response = await ApiService.coupons.validate(
+        storedCoupon.code,
+        CouponUtils.getValidationItems(this.cartData.items)
+      );
+      
+      if (!response.success) {
+        throw new Error(response.message || 'Invalid coupon code');
+      }
+      
+      this.appliedCoupon = CouponUtils.fromValidation(response.data);
+      CouponUtils.saveApplied(this.appliedCoupon);
+    } catch (error) {
+      console.error('Error validating coupon:', error);
+      this.appliedCoupon = null;
+      CouponUtils.clearApplied();
+      this.showError(`Coupon ${storedCoupon.code} removed: ${error.message}`);
+    }
+    
+    this.cartData.discount = this.appliedCoupon ? this.appliedCoupon.discountAmount : 0;
+    this.cartData.couponCode = this.appliedCoupon ? this.appliedCoupon.code : null;
+  }
+  
   /**
    * Load saved addresses for authenticated users
    */
@@ -343,6 +441,10 @@ class CheckoutPage {
     // Set shipping address
     this.shippingAddress = address;
     
+    // Shipping zone depends on the delivery pincode
+    PricingRules.savePincode(address.postalCode);
+    this.updateOrderSummary();
+    
     // Hide address form
     this.elements.addressForm.style.display = 'none';
     
@@ -403,13 +505,14 @@ class CheckoutPage {
    */
   async validateShippingAndContinue() {
     // If saved address is selected, continue
-    if (this.shippingAddress) {
+    if (this.shippingAddress && !this.isGuest) {
       this.goToStep(2);
       return;
     }
     
     // Validate form
-    if (!this.validateShippingForm()) {
+    const isContactValid = !this.isGuest || this.validateField(this.elements.guestEmail);
+    if (!this.validateShippingForm() || !isContactValid) {
       return;
     }
     
@@ -430,6 +533,24 @@ class CheckoutPage {
       type: addressData.addressType || 'home'
     };
     
+    PricingRules.savePincode(this.shippingAddress.postalCode);
+    this.updateOrderSummary();
+    
+    // Guest orders are placed against a guest session token
+    if (this.isGuest) {
+      try {
+        this.guestEmail = this.elements.guestEmail.value.trim().toLowerCase();
+        await GuestCheckout.startSession({
+          email: this.guestEmail,
+          phone: this.shippingAddress.phone
+        });
+      } catch (error) {
+        console.error('Error starting guest checkout:', error);
+        this.showError(error.message || 'Failed to continue as guest. Please try again.');
+        return;
+      }
+    }
+    
     // Save address if requested and user is authenticated
     if (addressData.saveAddress && isAuthenticated()) {
       try {
@@ -505,6 +626,13 @@ class CheckoutPage {
           }
           break;
           
+        case 'email':
+          if (!ValidationUtils.email(value)) {
+            isValid = false;
+            errorMessage = 'Please enter a valid email address';
+          }
+          break;
+          
         case 'postalCode':
           if (!/^[0-9]{6}$/.test(value)) {
             isValid = false;
@@ -663,6 +791,12 @@ class CheckoutPage {
       brand.textContent = item.brand;
     }
     
+    const variant = clone.querySelector('.item-variant');
+    if (variant && item.variant_label) {
+      variant.textContent = item.variant_label;
+      variant.style.display = 'block';
+    }
+    
     const quantity = clone.querySelector('.item-quantity span');
     if (quantity) {
       quantity.textContent = item.quantity;
@@ -778,6 +912,12 @@ class CheckoutPage {
       name.textContent = item.name;
     }
     
+    const variant = clone.querySelector('.item-variant');
+    if (variant && item.variant_label) {
+      variant.textContent = item.variant_label;
+      variant.style.display = 'block';
+    }
+    
     const quantity = clone.querySelector('.item-quantity');
     if (quantity) {
       quantity.textContent = `Qty: ${item.quantity}`;
@@ -797,28 +937,14 @@ class CheckoutPage {
   updateOrderSummary() {
     if (!this.cartData || !this.cartData.items) return;
     
-    // Calculate subtotal
-    const subtotal = this.cartData.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
-    
-    // Calculate discount (if any coupon is applied)
-    let discountAmount = this.cartData.discount || 0;
-    
-    // Calculate shipping
-    let shippingCost = subtotal >= 500 ? 0 : 50;
-    
-    // Add COD charges if applicable
-    if (this.paymentMethod === 'cod') {
-      shippingCost += 25; // COD handling charges
-    }
+    const totals = this.calculateTotals();
     
-    // Calculate tax (18% GST)
-    const taxableAmount = subtotal - discountAmount + shippingCost;
-    const taxAmount = taxableAmount * 0.18;
-    
-    // Calculate total
-    const total = subtotal - discountAmount + shippingCost + taxAmount;
+    // COD handling fee is shown with shipping
+    const subtotal = totals.subtotal;
+    const discountAmount = totals.discount;
+    const shippingCost = totals.shipping + totals.codFee;
+    const taxAmount = totals.tax;
+    const total = totals.total;
     
     // Update display
     this.updatePriceDisplay(subtotal, discountAmount, shippingCost, taxAmount, total);
@@ -882,6 +1008,12 @@ class CheckoutPage {
         notes: null
       };
       
+      // Guests have no saved addresses, so the address is sent with the order
+      if (this.isGuest) {
+        orderData.guest_email = this.guestEmail;
+        orderData.shipping_address = { ...this.shippingAddress };
+      }
+      
       // If using a new address (not saved), we need to create it first
       if (!this.shippingAddress.id && isAuthenticated()) {
         const addressResponse = await ApiService.addresses.create({
@@ -913,6 +1045,10 @@ class CheckoutPage {
       
       const order = orderResponse.order;
       
+      if (this.isGuest) {
+        GuestCheckout.rememberOrder(order);
+      }
+      
       if (this.paymentMethod === 'razorpay') {
         await this.processRazorpayPayment(order);
       } else {
@@ -1042,6 +1178,7 @@ class CheckoutPage {
     
     // Render order confirmation
     this.renderOrderConfirmation();
+    this.renderGuestConfirmation();
     
     // Show success message
     this.showSuccess('Order placed successfully!');
@@ -1084,6 +1221,63 @@ class CheckoutPage {
     `;
   }
   
+  /**
+   * Offer account creation and order lookup after a guest order
+   */
+  renderGuestConfirmation() {
+    if (!this.isGuest || !this.orderData) return;
+    
+    if (this.elements.viewOrderLink) {
+      const params = new URLSearchParams({
+        order: this.orderData.order_number,
+        email: this.guestEmail
+      });
+      this.elements.viewOrderLink.href = `order-lookup.html?${params}`;
+    }
+    
+    if (this.elements.guestAccount) {
+      this.elements.guestAccountEmail.textContent = this.guestEmail;
+      this.elements.guestAccount.style.display = 'block';
+    }
+  }
+  
+  /**
+   * Create an account from the guest checkout
+   */
+  async createGuestAccount() {
+    const passwordField = this.elements.guestAccountForm.querySelector('[name="password"]');
+    const passwordCheck = ValidationUtils.password(passwordField.value);
+    
+    if (!passwordCheck.isValid) {
+      this.showFieldError(passwordField, passwordCheck.feedback[0]);
+      return;
+    }
+    
+    this.clearFieldError(passwordField);
+    this.setButtonLoading(this.elements.createGuestAccountBtn, true);
+    
+    try {
+      await GuestCheckout.createAccount({
+        firstName: this.shippingAddress.firstName,
+        lastName: this.shippingAddress.lastName,
+        password: passwordField.value
+      });
+      
+      this.isGuest = false;
+      this.elements.guestAccount.style.display = 'none';
+      if (this.elements.viewOrderLink) {
+        this.elements.viewOrderLink.href = 'profile.html';
+      }
+      
+      this.showSuccess('Account created! Your order has been added to your account.');
+    } catch (error) {
+      console.error('Error creating account:', error);
+      this.showError(error.message || 'Failed to create account. Please try again.');
+    } finally {
+      this.setButtonLoading(this.elements.createGuestAccountBtn, false);
+    }
+  }
+  
   /**
    * Clear cart after successful order
    */
@@ -1096,6 +1290,9 @@ class CheckoutPage {
         CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.CART_DATA);
       }
       
+      // Coupon has been redeemed with the order
+      CouponUtils.clearApplied();
+      
       // Update cart count in navigation
       const cartCount = document.getElementById('cart-count');
       if (cartCount) {
@@ -1109,51 +1306,39 @@ class CheckoutPage {
     }
   }
   
+  /**
+   * Calculate order totals with the shared pricing rules
+   * Discount is validated server-side in loadAppliedCoupon
+   */
+  calculateTotals() {
+    return PricingRules.calculateTotals({
+      items: this.cartData.items,
+      discount: this.cartData.discount || 0,
+      pincode: this.shippingAddress?.postalCode || PricingRules.getSavedPincode(),
+      paymentMethod: this.paymentMethod
+    });
+  }
+  
   /**
    * Calculate shipping cost
    */
   calculateShippingCost() {
-    const subtotal = this.cartData.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
-    
-    let shippingCost = subtotal >= 500 ? 0 : 50;
-    
-    if (this.paymentMethod === 'cod') {
-      shippingCost += 25;
-    }
-    
-    return shippingCost;
+    const totals = this.calculateTotals();
+    return totals.shipping + totals.codFee;
   }
   
   /**
    * Calculate tax amount
    */
   calculateTaxAmount() {
-    const subtotal = this.cartData.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
-    
-    const discountAmount = this.cartData.discount || 0;
-    const shippingCost = this.calculateShippingCost();
-    const taxableAmount = subtotal - discountAmount + shippingCost;
-    
-    return taxableAmount * 0.18;
+    return this.calculateTotals().tax;
   }
   
   /**
    * Calculate total amount
    */
   calculateTotal() {
-    const subtotal = this.cartData.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
-    
-    const discountAmount = this.cartData.discount || 0;
-    const shippingCost = this.calculateShippingCost();
-    const taxAmount = this.calculateTaxAmount();
-    
-    return subtotal - discountAmount + shippingCost + taxAmount;
+    return this.calculateTotals().total;
   }
   
   /**
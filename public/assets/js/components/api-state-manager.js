@@ -14,6 +14,7 @@ class ApiStateManager {
     };
     
     this.subscribers = new Map();
+    this.store = new PersistentCache('api_state');
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
     this.maxRetries = 3;
     this.retryDelay = 1000;
@@ -36,6 +37,7 @@ class ApiStateManager {
     // Clean up expired cache entries every 5 minutes
     setInterval(() => {
       this.cleanupExpiredCache();
+      this.store.cleanupExpired();
     }, 5 * 60 * 1000);
   }
 
@@ -43,27 +45,46 @@ class ApiStateManager {
    * Setup storage synchronization
    */
   setupStorageSync() {
-    // Listen for storage changes from other tabs
-    window.addEventListener('storage', (event) => {
-      if (event.key && event.key.startsWith('api_state_')) {
-        this.handleStorageChange(event);
-      }
+    // Listen for cache changes from other tabs
+    this.store.onChange((message) => {
+      this.handleStorageChange(message);
     });
   }
 
   /**
-   * Handle storage change from other tabs
-   * @param {StorageEvent} event - Storage event
+   * Handle cache change from other tabs
+   * @param {Object} message - Change message with type, key and pattern
    */
-  handleStorageChange(event) {
-    const key = event.key.replace('api_state_', '');
-    
-    if (event.newValue) {
-      try {
-        const data = JSON.parse(event.newValue);
-        this.updateStateFromStorage(key, data);
-      } catch (error) {
-        console.warn('Failed to parse storage data:', error);
+  async handleStorageChange(message) {
+    if (message.type === 'clear') {
+      this.dropFromMemory(message.pattern || /.*/);
+      return;
+    }
+
+    if (message.type === 'delete') {
+      this.dropFromMemory(message.key);
+      return;
+    }
+
+    // Only refresh entries this tab is already using
+    if (this.state.cache.has(message.key)) {
+      const data = await this.store.get(message.key);
+      if (data) {
+        this.updateStateFromStorage(message.key, data);
+      }
+    }
+  }
+
+  /**
+   * Remove entries from memory without touching storage
+   * @param {string|RegExp} pattern - Key or pattern
+   */
+  dropFromMemory(pattern) {
+    for (const key of Array.from(this.state.cache.keys())) {
+      const matches = typeof pattern === 'string' ? key === pattern : pattern.test(key);
+      if (matches) {
+        this.state.cache.delete(key);
+        this.state.lastFetch.delete(key);
       }
     }
   }
@@ -183,7 +204,7 @@ class ApiStateManager {
     this.state.cache.set(key, cacheEntry);
     this.state.lastFetch.set(key, Date.now());
     
-    // Sync to storage for cross-tab sharing
+    // Persist for reloads and cross-tab sharing
     this.syncToStorage(key, cacheEntry);
     
     this.notifySubscribers(key, data);
@@ -237,14 +258,14 @@ class ApiStateManager {
       this.state.lastFetch.delete(pattern);
       this.removeFromStorage(pattern);
     } else if (pattern instanceof RegExp) {
-      // Invalidate by pattern
-      for (const key of this.state.cache.keys()) {
+      // Invalidate by pattern, including entries persisted by earlier page loads
+      for (const key of Array.from(this.state.cache.keys())) {
         if (pattern.test(key)) {
           this.state.cache.delete(key);
           this.state.lastFetch.delete(key);
-          this.removeFromStorage(key);
         }
       }
+      this.store.clear(pattern);
     }
   }
 
@@ -256,12 +277,7 @@ class ApiStateManager {
     this.state.lastFetch.clear();
     
     // Clear from storage
-    const keys = Object.keys(localStorage);
-    keys.forEach(key => {
-      if (key.startsWith('api_state_')) {
-        localStorage.removeItem(key);
-      }
-    });
+    this.store.clear();
   }
 
   /**
@@ -285,12 +301,7 @@ class ApiStateManager {
    * @param {Object} entry - Cache entry
    */
   syncToStorage(key, entry) {
-    try {
-      const storageKey = `api_state_${key}`;
-      localStorage.setItem(storageKey, JSON.stringify(entry));
-    } catch (error) {
-      console.warn('Failed to sync to storage:', error);
-    }
+    this.store.set(key, entry, entry.expiry - Date.now());
   }
 
   /**
@@ -298,12 +309,25 @@ class ApiStateManager {
    * @param {string} key - Cache key
    */
   removeFromStorage(key) {
-    try {
-      const storageKey = `api_state_${key}`;
-      localStorage.removeItem(storageKey);
-    } catch (error) {
-      console.warn('Failed to remove from storage:', error);
+    this.store.delete(key);
+  }
+
+  /**
+   * Restore a cache entry persisted by an earlier page load or another tab
+   * @param {string} key - Cache key
+   * @returns {Promise<*|null>} Cached data or null
+   */
+  async restoreFromStorage(key) {
+    const entry = await this.store.get(key);
+
+    if (!entry || Date.now() > entry.expiry) {
+      return null;
     }
+
+    this.state.cache.set(key, entry);
+    this.state.lastFetch.set(key, entry.timestamp);
+
+    return entry.data;
   }
 
   /**
@@ -420,7 +444,7 @@ class ApiStateManager {
   }
 
   /**
-   * Prefetch data
+   * Prefetch an API response
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Request parameters
    * @param {Object} options - Request options
@@ -434,6 +458,11 @@ class ApiStateManager {
       return this.getCache(key);
     }
     
+    const restored = await this.restoreFromStorage(key);
+    if (restored !== null) {
+      return restored;
+    }
+    
     // Don't prefetch if already loading
     if (this.isLoading(key)) {
       return null;
@@ -442,18 +471,14 @@ class ApiStateManager {
     try {
       this.setLoading(key, true);
       
-      const response = await ApiService.request(endpoint, {
+      // The request pipeline caches the response when this manager backs its cache stage
+      const response = await api.get(endpoint, params, {
         ...options,
         skipLoading: true,
         skipErrorHandling: true
       });
       
-      if (response.success) {
-        this.setCache(key, response.data);
-        return response.data;
-      }
-      
-      return null;
+      return response.success ? response : null;
       
     } catch (error) {
       console.warn('Prefetch failed:', error);
@@ -502,6 +527,14 @@ class ApiStateManager {
     };
   }
 
+  /**
+   * Get persistent storage statistics
+   * @returns {Promise<Object>} Storage statistics
+   */
+  async getStorageStats() {
+    return this.store.getStats();
+  }
+
   /**
    * Export state for debugging
    * @returns {Object} Current state
@@ -8,6 +8,7 @@ class AuthenticationManager {
     this.isAuthenticated = false;
     this.currentUser = null;
     this.tokenRefreshTimer = null;
+    this.refreshPromise = null;
     this.authStateListeners = [];
     this.init();
   }
@@ -17,7 +18,6 @@ class AuthenticationManager {
    */
   init() {
     this.loadStoredAuth();
-    this.setupTokenRefresh();
     this.setupStorageListener();
     this.setupBeforeUnloadHandler();
   }
@@ -63,6 +63,14 @@ class AuthenticationManager {
     return CONFIG_UTILS.getStorageItem('refresh_token');
   }
 
+  /**
+   * Get the server session ID for this device
+   * @returns {string|null} Session ID
+   */
+  getStoredSessionId() {
+    return CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.SESSION_ID);
+  }
+
   /**
    * Check if token is valid (not expired)
    * @param {string} token - JWT token
@@ -130,14 +138,19 @@ class AuthenticationManager {
    * @param {string} token - Auth token
    * @param {Object} user - User data
    * @param {string} refreshToken - Refresh token (optional)
+   * @param {string} sessionId - Server session the refresh token belongs to (optional)
    */
-  storeAuthData(token, user, refreshToken = null) {
+  storeAuthData(token, user, refreshToken = null, sessionId = null) {
     CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN, token);
     CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.USER_DATA, user);
     
     if (refreshToken) {
       CONFIG_UTILS.setStorageItem('refresh_token', refreshToken);
     }
+
+    if (sessionId) {
+      CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.SESSION_ID, sessionId);
+    }
   }
 
   /**
@@ -147,6 +160,7 @@ class AuthenticationManager {
     CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN);
     CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.USER_DATA);
     CONFIG_UTILS.removeStorageItem('refresh_token');
+    CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.SESSION_ID);
     CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.CART_DATA);
   }
 
@@ -158,23 +172,7 @@ class AuthenticationManager {
   async login(credentials) {
     try {
       const response = await ApiService.auth.login(credentials);
-      
-      if (response.success && response.data) {
-        const { user, token, tokens } = response.data;
-        
-        // Handle different token formats
-        const authToken = tokens?.accessToken || token;
-        const refreshToken = tokens?.refreshToken;
-        
-        if (authToken && user) {
-          this.setAuthState(true, user, authToken);
-          
-          if (refreshToken) {
-            CONFIG_UTILS.setStorageItem('refresh_token', refreshToken);
-          }
-        }
-      }
-      
+      this.applyAuthResponse(response);
       return response;
     } catch (error) {
       throw error;
@@ -189,29 +187,63 @@ class AuthenticationManager {
   async register(userData) {
     try {
       const response = await ApiService.auth.register(userData);
-      
-      if (response.success && response.data) {
-        const { user, token, tokens } = response.data;
-        
-        // Handle different token formats
-        const authToken = tokens?.accessToken || token;
-        const refreshToken = tokens?.refreshToken;
-        
-        if (authToken && user) {
-          this.setAuthState(true, user, authToken);
-          
-          if (refreshToken) {
-            CONFIG_UTILS.setStorageItem('refresh_token', refreshToken);
-          }
-        }
-      }
-      
+      this.applyAuthResponse(response);
       return response;
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Sign in with an OAuth authorization code
+   * @param {string} provider - Provider key (google, facebook)
+   * @param {Object} data - Authorization code, PKCE verifier and redirect URI
+   * @returns {Promise<Object>} Login response
+   */
+  async loginWithOAuth(provider, data) {
+    const response = await ApiService.auth.oauthToken(provider, data);
+    this.applyAuthResponse(response);
+    return response;
+  }
+
+  /**
+   * Link a provider to an existing account and sign in
+   * @param {string} linkToken - Link token from the OAuth login response
+   * @param {string} password - Existing account password
+   * @returns {Promise<Object>} Login response
+   */
+  async linkOAuthAccount(linkToken, password) {
+    const response = await ApiService.auth.oauthLink(linkToken, password);
+    this.applyAuthResponse(response);
+    return response;
+  }
+
+  /**
+   * Store the session from a login, registration or OAuth response
+   * @param {Object} response - Auth response
+   */
+  applyAuthResponse(response) {
+    if (!response.success || !response.data) return;
+
+    const { user, token, tokens, session_id: sessionId } = response.data;
+
+    // Handle different token formats
+    const authToken = tokens?.accessToken || token;
+    const refreshToken = tokens?.refreshToken;
+
+    if (authToken && user) {
+      this.setAuthState(true, user, authToken);
+
+      if (refreshToken) {
+        CONFIG_UTILS.setStorageItem('refresh_token', refreshToken);
+      }
+
+      if (sessionId) {
+        CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.SESSION_ID, sessionId);
+      }
+    }
+  }
+
   /**
    * Logout user
    * @returns {Promise<void>}
@@ -232,9 +264,26 @@ class AuthenticationManager {
 
   /**
    * Refresh authentication token
+   * Each refresh token belongs to one server session (one signed-in device) and
+   * is replaced on every refresh. The server treats a reused refresh token as
+   * stolen and ends the session, so concurrent callers share a single request.
    * @returns {Promise<boolean>} Success status
    */
   async refreshToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Exchange the refresh token for a new access and refresh token
+   * @returns {Promise<boolean>} Success status
+   */
+  async requestTokenRefresh() {
     const refreshToken = this.getStoredRefreshToken();
     
     if (!refreshToken) {
@@ -243,34 +292,31 @@ class AuthenticationManager {
     }
 
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/auth/refresh`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ refreshToken })
-      });
+      const data = await api.post(API_CONFIG.ENDPOINTS.AUTH.REFRESH, {
+        refreshToken,
+        sessionId: this.getStoredSessionId()
+      }, { skipLoading: true, skipErrorHandling: true });
 
-      if (response.ok) {
-        const data = await response.json();
-        
-        if (data.success && data.data.token) {
-          const { token, user } = data.data;
-          this.storeAuthData(token, user || this.currentUser);
-          this.scheduleTokenRefresh(token);
-          return true;
-        }
-      }
-      
-      // Refresh failed, logout user
-      this.logout();
-      return false;
+      const { token, tokens, user, session_id: sessionId } = data.data || {};
+      const authToken = tokens?.accessToken || token;
       
+      if (data.success && authToken) {
+        this.storeAuthData(authToken, user || this.currentUser, tokens?.refreshToken, sessionId);
+        this.scheduleTokenRefresh(authToken);
+        return true;
+      }
     } catch (error) {
-      console.error('Token refresh error:', error);
-      this.logout();
-      return false;
+      // The session was signed out from another device or has expired
+      if (error.status === 401 && window.NotificationManager) {
+        NotificationManager.show(ERROR_MESSAGES.SESSION_ENDED, 'warning');
+      } else {
+        console.error('Token refresh error:', error);
+      }
     }
+
+    // Refresh failed, logout user
+    this.logout();
+    return false;
   }
 
   /**
@@ -283,11 +329,19 @@ class AuthenticationManager {
     const expiration = this.getTokenExpiration(token);
     if (!expiration) return;
 
-    // Refresh 5 minutes before expiration
-    const refreshTime = expiration - Date.now() - (5 * 60 * 1000);
+    // Refresh 4-5 minutes before expiration; the spread keeps open tabs from
+    // all spending the same refresh token at once
+    const refreshTime = expiration - Date.now() - (4 * 60 * 1000) - Math.random() * 60 * 1000;
     
     if (refreshTime > 0) {
       this.tokenRefreshTimer = setTimeout(() => {
+        // Another tab may already have refreshed
+        const currentToken = this.getStoredToken();
+        if (currentToken && currentToken !== token) {
+          this.scheduleTokenRefresh(currentToken);
+          return;
+        }
+
         this.refreshToken();
       }, refreshTime);
     }
@@ -567,8 +621,8 @@ class AuthenticationManager {
   }
 }
 
-// Create global instance
-window.AuthManager = new AuthenticationManager();
+// Create global instance; window.AuthManager is the page controller class from auth.js
+window.AuthSession = new AuthenticationManager();
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
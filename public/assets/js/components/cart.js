@@ -10,6 +10,7 @@ class Cart {
       total: 0,
       count: 0
     };
+    this.isReplaying = false;
     this.init();
   }
 
@@ -20,6 +21,11 @@ class Cart {
     this.loadCartData();
     this.updateCartUI();
     this.setupEventListeners();
+
+    // Replay changes queued before the page was reloaded
+    if (navigator.onLine) {
+      this.replayOfflineChanges();
+    }
   }
 
   /**
@@ -44,6 +50,11 @@ class Cart {
     DOMUtils.addEventListener(document, 'authChanged', () => {
       this.handleAuthChange();
     });
+
+    // Replay offline cart changes on reconnect
+    DOMUtils.addEventListener(window, 'online', () => {
+      this.replayOfflineChanges();
+    });
   }
 
   /**
@@ -85,15 +96,34 @@ class Cart {
     }
   }
 
+  /**
+   * Find cart line for a product or product variant
+   * @param {number|string} productId - Product ID
+   * @param {number|string|null} variantId - Variant ID
+   * @returns {number} Line index, or -1
+   */
+  findItemIndex(productId, variantId = null) {
+    const key = ProductUtils.cartLineKey(productId, variantId);
+    return this.cartData.items.findIndex(item => ProductUtils.cartLineKey(item.productId, item.variantId) === key);
+  }
+
   /**
    * Add item to cart
+   * @param {number} productId - Product ID
+   * @param {number} quantity - Quantity
+   * @param {number|null} variantId - Variant ID for products with variants
    */
-  async addItem(productId, quantity = 1) {
+  async addItem(productId, quantity = 1, variantId = null) {
     try {
+      if (!navigator.onLine) {
+        return this.queueOfflineChange({ type: 'add', productId, variantId, quantity });
+      }
+
       if (isAuthenticated()) {
         // Add via API for authenticated users
         const response = await ApiService.cart.add({
           productId: productId,
+          variantId: variantId,
           quantity: quantity
         });
 
@@ -107,7 +137,7 @@ class Cart {
         }
       } else {
         // Add to local storage for guest users
-        return this.addItemLocally(productId, quantity);
+        return this.addItemLocally(productId, quantity, variantId);
       }
     } catch (error) {
       console.error('Error adding item to cart:', error);
@@ -118,7 +148,7 @@ class Cart {
   /**
    * Add item locally (for guest users)
    */
-  async addItemLocally(productId, quantity) {
+  async addItemLocally(productId, quantity, variantId = null) {
     try {
       // Get product details
       const productResponse = await ApiService.products.getById(productId);
@@ -127,36 +157,45 @@ class Cart {
       }
 
       const product = productResponse.data.product;
+      const variant = this.getVariant(product, variantId);
+      const stockQuantity = variant ? variant.stockQuantity : product.stockQuantity;
+      const price = variant?.price ?? product.price;
 
       // Check if item already exists in cart
-      const existingItemIndex = this.cartData.items.findIndex(item => item.productId == productId);
+      const existingItemIndex = this.findItemIndex(productId, variantId);
 
       if (existingItemIndex > -1) {
         // Update quantity
         const newQuantity = this.cartData.items[existingItemIndex].quantity + quantity;
         
         // Check stock availability
-        if (newQuantity > product.stockQuantity) {
+        if (newQuantity > stockQuantity) {
           throw new Error('Not enough stock available');
         }
 
         this.cartData.items[existingItemIndex].quantity = newQuantity;
-        this.cartData.items[existingItemIndex].total = newQuantity * product.price;
+        this.cartData.items[existingItemIndex].total = newQuantity * price;
       } else {
         // Add new item
-        if (quantity > product.stockQuantity) {
+        if (quantity > stockQuantity) {
           throw new Error('Not enough stock available');
         }
 
+        const variantImage = variant?.imageIds?.length
+          ? product.images?.find(image => image.id === variant.imageIds[0])?.url
+          : null;
+
         this.cartData.items.push({
           productId: product.id,
+          variantId: variant ? variant.id : null,
+          variantLabel: variant ? ProductUtils.variantLabel(variant.options) : '',
           name: product.name,
-          price: product.price,
+          price: price,
           quantity: quantity,
-          total: quantity * product.price,
-          image: product.images?.[0]?.url || product.primaryImage,
+          total: quantity * price,
+          image: variantImage || product.images?.[0]?.url || product.primaryImage,
           brand: product.brand,
-          sku: product.sku
+          sku: variant?.sku || product.sku
         });
       }
 
@@ -165,7 +204,7 @@ class Cart {
       this.saveCartData();
       this.updateCartUI();
 
-      const addedItem = this.cartData.items.find(item => item.productId == productId);
+      const addedItem = this.cartData.items[this.findItemIndex(productId, variantId)];
       this.showAddedNotification(addedItem);
 
       return { success: true, data: this.cartData };
@@ -175,19 +214,44 @@ class Cart {
     }
   }
 
+  /**
+   * Get a product variant, checking that variant products have one selected
+   * @param {Object} product - Product data
+   * @param {number|null} variantId - Variant ID
+   * @returns {Object|null} Variant
+   */
+  getVariant(product, variantId) {
+    if (!product.variants?.length) return null;
+
+    const variant = product.variants.find(item => item.id == variantId);
+    if (!variant) {
+      throw new Error('Please select product options');
+    }
+
+    return variant;
+  }
+
   /**
    * Update item quantity
+   * @param {number} productId - Product ID
+   * @param {number} quantity - New quantity
+   * @param {number|null} variantId - Variant ID
    */
-  async updateItem(productId, quantity) {
+  async updateItem(productId, quantity, variantId = null) {
     try {
       if (quantity <= 0) {
-        return this.removeItem(productId);
+        return this.removeItem(productId, variantId);
+      }
+
+      if (!navigator.onLine) {
+        return this.queueOfflineChange({ type: 'update', productId, variantId, quantity });
       }
 
       if (isAuthenticated()) {
         // Update via API
         const response = await ApiService.cart.update({
           productId: productId,
+          variantId: variantId,
           quantity: quantity
         });
 
@@ -200,7 +264,7 @@ class Cart {
         }
       } else {
         // Update locally
-        return this.updateItemLocally(productId, quantity);
+        return this.updateItemLocally(productId, quantity, variantId);
       }
     } catch (error) {
       console.error('Error updating cart item:', error);
@@ -211,9 +275,9 @@ class Cart {
   /**
    * Update item locally
    */
-  async updateItemLocally(productId, quantity) {
+  async updateItemLocally(productId, quantity, variantId = null) {
     try {
-      const itemIndex = this.cartData.items.findIndex(item => item.productId == productId);
+      const itemIndex = this.findItemIndex(productId, variantId);
       
       if (itemIndex === -1) {
         throw new Error('Item not found in cart');
@@ -223,8 +287,10 @@ class Cart {
       const productResponse = await ApiService.products.getById(productId);
       if (productResponse.success) {
         const product = productResponse.data.product;
+        const variant = variantId ? product.variants?.find(item => item.id == variantId) : null;
+        const stockQuantity = variant ? variant.stockQuantity : product.stockQuantity;
         
-        if (quantity > product.stockQuantity) {
+        if (quantity > stockQuantity) {
           throw new Error('Not enough stock available');
         }
       }
@@ -246,12 +312,18 @@ class Cart {
 
   /**
    * Remove item from cart
+   * @param {number} productId - Product ID
+   * @param {number|null} variantId - Variant ID
    */
-  async removeItem(productId) {
+  async removeItem(productId, variantId = null) {
     try {
+      if (!navigator.onLine) {
+        return this.queueOfflineChange({ type: 'remove', productId, variantId });
+      }
+
       if (isAuthenticated()) {
         // Remove via API
-        const response = await ApiService.cart.remove(productId);
+        const response = await ApiService.cart.remove(productId, variantId);
 
         if (response.success) {
           this.cartData = response.data;
@@ -263,7 +335,7 @@ class Cart {
         }
       } else {
         // Remove locally
-        return this.removeItemLocally(productId);
+        return this.removeItemLocally(productId, variantId);
       }
     } catch (error) {
       console.error('Error removing cart item:', error);
@@ -274,8 +346,8 @@ class Cart {
   /**
    * Remove item locally
    */
-  removeItemLocally(productId) {
-    const itemIndex = this.cartData.items.findIndex(item => item.productId == productId);
+  removeItemLocally(productId, variantId = null) {
+    const itemIndex = this.findItemIndex(productId, variantId);
     
     if (itemIndex > -1) {
       this.cartData.items.splice(itemIndex, 1);
@@ -296,8 +368,8 @@ class Cart {
       if (isAuthenticated()) {
         // Clear via API (implement if needed)
         // For now, remove items one by one
-        for (const item of this.cartData.items) {
-          await this.removeItem(item.productId);
+        for (const item of [...this.cartData.items]) {
+          await this.removeItem(item.productId, item.variantId);
         }
       } else {
         // Clear locally
@@ -315,6 +387,103 @@ class Cart {
     }
   }
 
+  /**
+   * Queue a cart change made while offline and show it optimistically
+   * The optimistic change is not saved; replay reloads the cart first
+   * @param {Object} change - Change type (add, update or remove), product ID, variant ID and quantity
+   * @returns {Object} Queued result with current cart data
+   */
+  queueOfflineChange(change) {
+    const queue = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.OFFLINE_CART_QUEUE, [])
+      .filter(queued => !this.isSupersededBy(queued, change));
+
+    queue.push({ ...change, queuedAt: Date.now() });
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.OFFLINE_CART_QUEUE, queue);
+
+    const itemIndex = this.findItemIndex(change.productId, change.variantId);
+    const item = this.cartData.items[itemIndex];
+    if (change.type === 'remove') {
+      if (item) {
+        this.cartData.items.splice(itemIndex, 1);
+        this.recalculateCart();
+      }
+    } else if (item) {
+      item.quantity = change.type === 'add' ? item.quantity + change.quantity : change.quantity;
+      item.total = item.quantity * item.price;
+      this.recalculateCart();
+    } else if (change.type === 'add') {
+      // Product details are not available offline, so only the count changes
+      this.cartData.count += change.quantity;
+    }
+
+    this.updateCartUI();
+    this.showNotification('You are offline. This cart change will sync when you reconnect.', 'info');
+
+    return { success: true, queued: true, data: this.cartData };
+  }
+
+  /**
+   * Check whether a queued change is made redundant by a later one
+   * Only the latest quantity update per cart line matters, and a remove supersedes everything before it
+   * @param {Object} queued - Earlier queued change
+   * @param {Object} change - Later change
+   * @returns {boolean} True if the earlier change can be dropped
+   */
+  isSupersededBy(queued, change) {
+    if (ProductUtils.cartLineKey(queued.productId, queued.variantId) !== ProductUtils.cartLineKey(change.productId, change.variantId)) {
+      return false;
+    }
+    if (change.type === 'remove') return true;
+    return change.type === 'update' && queued.type === 'update';
+  }
+
+  /**
+   * Replay cart changes queued while offline
+   * Changes that fail are put back in the queue ahead of any queued during the replay
+   */
+  async replayOfflineChanges() {
+    const queue = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.OFFLINE_CART_QUEUE, []);
+    if (queue.length === 0 || this.isReplaying) return;
+
+    this.isReplaying = true;
+    CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.OFFLINE_CART_QUEUE);
+
+    // Drop optimistic changes before applying the real ones
+    await this.loadCartData();
+
+    const failed = [];
+    for (const change of queue) {
+      try {
+        // Changes are queued again if the connection drops mid-replay
+        if (change.type === 'add') {
+          await this.addItem(change.productId, change.quantity, change.variantId);
+        } else if (change.type === 'remove') {
+          await this.removeItem(change.productId, change.variantId);
+        } else {
+          await this.updateItem(change.productId, change.quantity, change.variantId);
+        }
+      } catch (error) {
+        console.error('Error replaying offline cart change:', error);
+        failed.push(change);
+      }
+    }
+
+    if (failed.length > 0) {
+      const requeued = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.OFFLINE_CART_QUEUE, []);
+      const kept = failed.filter(change => !requeued.some(later => this.isSupersededBy(change, later)));
+      CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.OFFLINE_CART_QUEUE, [...kept, ...requeued]);
+    }
+
+    this.isReplaying = false;
+    this.updateCartUI();
+
+    if (failed.length > 0) {
+      this.showNotification(`${failed.length} offline cart change(s) could not be applied and will be retried`, 'warning');
+    } else {
+      this.showNotification('Cart changes made offline have been synced', 'success');
+    }
+  }
+
   /**
    * Recalculate cart totals
    */
@@ -461,12 +630,13 @@ class Cart {
     return `
       <div class="cart-items">
         ${this.cartData.items.map(item => `
-          <div class="cart-item" data-product-id="${item.productId}">
+          <div class="cart-item" data-product-id="${item.productId}" data-line-key="${ProductUtils.cartLineKey(item.productId, item.variantId)}">
             <div class="cart-item__image">
               <img src="${item.image || 'assets/placeholder.jpg'}" alt="${item.name}">
             </div>
             <div class="cart-item__content">
               <h4 class="cart-item__name">${item.name}</h4>
+              ${item.variantLabel ? `<p class="cart-item__variant">${FormatUtils.escapeHtml(item.variantLabel)}</p>` : ''}
               <p class="cart-item__brand">${item.brand || ''}</p>
               <div class="cart-item__price">
                 <span class="cart-item__unit-price">${FormatUtils.currency(item.price)}</span>
@@ -475,15 +645,15 @@ class Cart {
             </div>
             <div class="cart-item__controls">
               <div class="quantity-controls">
-                <button class="quantity-btn quantity-decrease" data-product-id="${item.productId}">
+                <button class="quantity-btn quantity-decrease" data-line-key="${ProductUtils.cartLineKey(item.productId, item.variantId)}">
                   <i class="ri-subtract-line"></i>
                 </button>
                 <span class="quantity-value">${item.quantity}</span>
-                <button class="quantity-btn quantity-increase" data-product-id="${item.productId}">
+                <button class="quantity-btn quantity-increase" data-line-key="${ProductUtils.cartLineKey(item.productId, item.variantId)}">
                   <i class="ri-add-line"></i>
                 </button>
               </div>
-              <button class="cart-item__remove" data-product-id="${item.productId}">
+              <button class="cart-item__remove" data-line-key="${ProductUtils.cartLineKey(item.productId, item.variantId)}">
                 <i class="ri-delete-bin-line"></i>
               </button>
             </div>
@@ -524,12 +694,15 @@ class Cart {
     const increaseBtns = container.querySelectorAll('.quantity-increase');
     const removeBtns = container.querySelectorAll('.cart-item__remove');
 
+    const findItem = (btn) => this.cartData.items.find(item =>
+      ProductUtils.cartLineKey(item.productId, item.variantId) === btn.dataset.lineKey
+    );
+
     decreaseBtns.forEach(btn => {
       DOMUtils.addEventListener(btn, 'click', async () => {
-        const productId = btn.dataset.productId;
-        const item = this.cartData.items.find(item => item.productId == productId);
+        const item = findItem(btn);
         if (item) {
-          await this.updateItem(productId, item.quantity - 1);
+          await this.updateItem(item.productId, item.quantity - 1, item.variantId);
           this.renderCartPreview(container);
         }
       });
@@ -537,11 +710,10 @@ class Cart {
 
     increaseBtns.forEach(btn => {
       DOMUtils.addEventListener(btn, 'click', async () => {
-        const productId = btn.dataset.productId;
-        const item = this.cartData.items.find(item => item.productId == productId);
+        const item = findItem(btn);
         if (item) {
           try {
-            await this.updateItem(productId, item.quantity + 1);
+            await this.updateItem(item.productId, item.quantity + 1, item.variantId);
             this.renderCartPreview(container);
           } catch (error) {
             this.showNotification(error.message, 'error');
@@ -552,9 +724,11 @@ class Cart {
 
     removeBtns.forEach(btn => {
       DOMUtils.addEventListener(btn, 'click', async () => {
-        const productId = btn.dataset.productId;
-        await this.removeItem(productId);
-        this.renderCartPreview(container);
+        const item = findItem(btn);
+        if (item) {
+          await this.removeItem(item.productId, item.variantId);
+          this.renderCartPreview(container);
+        }
       });
     });
   }
@@ -0,0 +1,443 @@
+/**
+ * Compare component for Riya Collections
+ * Persistent compare tray and side-by-side product comparison view
+ */
+
+class CompareTray {
+  constructor() {
+    this.products = [];
+    this.maxItems = APP_CONFIG.COMPARE.MAX_ITEMS;
+    this.differencesOnly = false;
+    this.tray = null;
+    this.modal = null;
+    this.init();
+  }
+
+  /**
+   * Initialize compare tray
+   */
+  init() {
+    this.products = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.COMPARE_LIST, []);
+    this.createTray();
+    this.createModal();
+    this.setupEventListeners();
+    this.updateCompareUI();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Close comparison view with Escape
+    DOMUtils.addEventListener(document, 'keydown', (e) => {
+      if (e.key === 'Escape' && this.modal.classList.contains('show')) {
+        this.closeComparison();
+      }
+    });
+
+    // Keep tray in sync across tabs
+    DOMUtils.addEventListener(window, 'storage', (e) => {
+      if (e.key === APP_CONFIG.STORAGE_KEYS.COMPARE_LIST) {
+        this.products = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.COMPARE_LIST, []);
+        this.updateCompareUI();
+      }
+    });
+  }
+
+  /**
+   * Save compare list to storage
+   */
+  saveCompareList() {
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.COMPARE_LIST, this.products);
+  }
+
+  /**
+   * Reduce product data to what the comparison view needs
+   */
+  createSnapshot(product) {
+    return {
+      id: product.id,
+      name: product.name,
+      primaryImage: product.primaryImage || product.images?.[0]?.url || null,
+      price: product.price,
+      originalPrice: product.originalPrice,
+      rating: product.rating,
+      reviewCount: product.reviewCount,
+      stockQuantity: product.stockQuantity,
+      brand: product.brand,
+      sku: product.sku,
+      category: product.category
+    };
+  }
+
+  /**
+   * Check if product is in compare list
+   */
+  has(productId) {
+    return this.products.some(product => String(product.id) === String(productId));
+  }
+
+  /**
+   * Add product to compare list
+   * @param {Object|number} productOrId - Product data or product ID
+   */
+  async add(productOrId) {
+    const productId = typeof productOrId === 'object' ? productOrId.id : productOrId;
+    if (this.has(productId)) return;
+
+    if (this.products.length >= this.maxItems) {
+      throw new Error(`You can compare up to ${this.maxItems} products`);
+    }
+
+    let product = productOrId;
+    if (typeof productOrId !== 'object') {
+      const response = await ApiService.products.getById(productId);
+      if (!response.success) {
+        throw new Error(response.message || 'Product not found');
+      }
+      product = response.data.product;
+    }
+
+    this.products.push(this.createSnapshot(product));
+    this.saveCompareList();
+    this.updateCompareUI();
+  }
+
+  /**
+   * Remove product from compare list
+   */
+  remove(productId) {
+    this.products = this.products.filter(product => String(product.id) !== String(productId));
+    this.saveCompareList();
+    this.updateCompareUI();
+
+    if (this.modal.classList.contains('show')) {
+      if (this.products.length < 2) {
+        this.closeComparison();
+      } else {
+        this.renderComparison();
+      }
+    }
+  }
+
+  /**
+   * Toggle product in compare list
+   * @returns {Promise<boolean>} Whether the product is now in the compare list
+   */
+  async toggle(productOrId) {
+    const productId = typeof productOrId === 'object' ? productOrId.id : productOrId;
+
+    if (this.has(productId)) {
+      this.remove(productId);
+      return false;
+    }
+
+    await this.add(productOrId);
+    return true;
+  }
+
+  /**
+   * Clear compare list
+   */
+  clear() {
+    this.products = [];
+    this.saveCompareList();
+    this.updateCompareUI();
+    this.closeComparison();
+  }
+
+  /**
+   * Create compare tray element
+   */
+  createTray() {
+    this.tray = DOMUtils.createElement('div', {
+      className: 'compare-tray',
+      id: 'compare-tray',
+      'aria-label': 'Products selected for comparison'
+    });
+    document.body.appendChild(this.tray);
+
+    DOMUtils.addEventListener(this.tray, 'click', (e) => {
+      const removeBtn = e.target.closest('.compare-tray__remove');
+      if (removeBtn) {
+        this.remove(removeBtn.dataset.productId);
+        return;
+      }
+
+      if (e.target.closest('.compare-tray__compare')) {
+        this.openComparison();
+      } else if (e.target.closest('.compare-tray__clear')) {
+        this.clear();
+      }
+    });
+  }
+
+  /**
+   * Render compare tray
+   */
+  renderTray() {
+    if (this.products.length === 0) {
+      this.tray.classList.remove('show');
+      this.tray.innerHTML = '';
+      return;
+    }
+
+    const emptySlots = this.maxItems - this.products.length;
+
+    this.tray.innerHTML = `
+      <div class="compare-tray__items">
+        ${this.products.map(product => `
+          <div class="compare-tray__item">
+            <img src="${FormatUtils.escapeHtml(product.primaryImage || '../assets/placeholder.jpg')}" alt="${FormatUtils.escapeHtml(product.name)}">
+            <span class="compare-tray__name">${FormatUtils.escapeHtml(product.name)}</span>
+            <button class="compare-tray__remove" data-product-id="${product.id}" aria-label="Remove ${FormatUtils.escapeHtml(product.name)} from comparison">
+              <i class="ri-close-line"></i>
+            </button>
+          </div>
+        `).join('')}
+        ${'<div class="compare-tray__item compare-tray__item--empty">Add a product</div>'.repeat(emptySlots)}
+      </div>
+      <div class="compare-tray__actions">
+        <button class="btn btn--primary compare-tray__compare" ${this.products.length < 2 ? 'disabled' : ''}>
+          Compare (${this.products.length})
+        </button>
+        <button class="compare-tray__clear">Clear all</button>
+      </div>
+    `;
+
+    this.tray.classList.add('show');
+  }
+
+  /**
+   * Create comparison modal element
+   */
+  createModal() {
+    this.modal = DOMUtils.createElement('div', {
+      className: 'compare-modal',
+      id: 'compare-modal',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'compare-modal-title'
+    }, `
+      <div class="compare-modal__overlay"></div>
+      <div class="compare-modal__content">
+        <div class="compare-modal__header">
+          <h3 class="compare-modal__title" id="compare-modal-title">Compare Products</h3>
+          <label class="compare-modal__toggle">
+            <input type="checkbox" id="compare-differences-only">
+            Show differences only
+          </label>
+          <button class="compare-modal__close" aria-label="Close comparison">
+            <i class="ri-close-line"></i>
+          </button>
+        </div>
+        <div class="compare-modal__body" id="compare-modal-body"></div>
+      </div>
+    `);
+    document.body.appendChild(this.modal);
+
+    DOMUtils.addEventListener(this.modal, 'click', (e) => {
+      if (e.target.closest('.compare-modal__close') || e.target.classList.contains('compare-modal__overlay')) {
+        this.closeComparison();
+        return;
+      }
+
+      const removeBtn = e.target.closest('.compare-table__remove');
+      if (removeBtn) {
+        this.remove(removeBtn.dataset.productId);
+      }
+    });
+
+    const differencesToggle = this.modal.querySelector('#compare-differences-only');
+    DOMUtils.addEventListener(differencesToggle, 'change', () => {
+      this.differencesOnly = differencesToggle.checked;
+      this.renderComparison();
+    });
+  }
+
+  /**
+   * Open side-by-side comparison
+   */
+  async openComparison() {
+    if (this.products.length < 2) return;
+
+    this.modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+    this.renderComparison();
+
+    // Refresh stored snapshots so price and stock are current
+    const results = await Promise.allSettled(
+      this.products.map(product => ApiService.products.getById(product.id))
+    );
+
+    this.products = this.products.map((product, index) => {
+      const result = results[index];
+      if (result.status === 'fulfilled' && result.value.success) {
+        return this.createSnapshot(result.value.data.product);
+      }
+      return product;
+    });
+    this.saveCompareList();
+
+    if (this.modal.classList.contains('show')) {
+      this.renderComparison();
+    }
+
+    const closeBtn = this.modal.querySelector('.compare-modal__close');
+    if (closeBtn) closeBtn.focus();
+  }
+
+  /**
+   * Close comparison view
+   */
+  closeComparison() {
+    if (!this.modal) return;
+
+    this.modal.classList.remove('show');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * Build comparison rows for the current products
+   * @returns {Array<Object>} Rows with label, values and differs flag
+   */
+  getComparisonRows() {
+    const rows = [
+      {
+        label: 'Price',
+        values: this.products.map(product => FormatUtils.currency(product.price))
+      },
+      {
+        label: 'Rating',
+        values: this.products.map(product => product.rating
+          ? `${Number(product.rating).toFixed(1)} / 5 (${product.reviewCount || 0})`
+          : 'No ratings')
+      },
+      {
+        label: 'Stock',
+        values: this.products.map(product => product.stockQuantity > 0 ? 'In Stock' : 'Out of Stock')
+      },
+      {
+        label: 'Brand',
+        values: this.products.map(product => product.brand || 'N/A')
+      },
+      {
+        label: 'Category',
+        values: this.products.map(product => product.category?.name || 'N/A')
+      }
+    ];
+
+    // Specification attributes not already covered above
+    const coveredLabels = ['Brand', 'Category', 'Stock Status', 'Current Price'];
+    const specs = this.products.map(product => ProductUtils.getSpecifications(product));
+    const specLabels = [];
+
+    specs.forEach(groups => {
+      Object.values(groups).forEach(group => {
+        Object.keys(group).forEach(label => {
+          if (!coveredLabels.includes(label) && !specLabels.includes(label)) {
+            specLabels.push(label);
+          }
+        });
+      });
+    });
+
+    specLabels.forEach(label => {
+      rows.push({
+        label,
+        values: specs.map(groups => {
+          const group = Object.values(groups).find(specGroup => label in specGroup);
+          return group ? group[label] : '—';
+        })
+      });
+    });
+
+    return rows.map(row => ({
+      ...row,
+      differs: new Set(row.values.map(value => String(value))).size > 1
+    }));
+  }
+
+  /**
+   * Render comparison table
+   */
+  renderComparison() {
+    const body = DOMUtils.getId('compare-modal-body');
+    if (!body) return;
+
+    const rows = this.getComparisonRows().filter(row => !this.differencesOnly || row.differs);
+
+    body.innerHTML = `
+      <div class="compare-table-wrapper">
+        <table class="compare-table">
+          <thead>
+            <tr>
+              <th scope="col" class="compare-table__corner"></th>
+              ${this.products.map(product => `
+                <th scope="col">
+                  <div class="compare-table__product">
+                    <img src="${FormatUtils.escapeHtml(product.primaryImage || '../assets/placeholder.jpg')}" alt="${FormatUtils.escapeHtml(product.name)}">
+                    <a href="product.html?id=${product.id}" class="compare-table__name">${FormatUtils.escapeHtml(product.name)}</a>
+                    <button class="compare-table__remove" data-product-id="${product.id}">
+                      <i class="ri-delete-bin-line"></i> Remove
+                    </button>
+                  </div>
+                </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr class="${row.differs ? 'compare-table__row--differs' : ''}">
+                <th scope="row">${FormatUtils.escapeHtml(row.label)}</th>
+                ${row.values.map(value => `<td>${FormatUtils.escapeHtml(value)}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${rows.length === 0 ? '<p class="compare-table__empty">These products have identical attributes.</p>' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Sync compare buttons with compare list state
+   * @param {Element|Document} container - Element containing compare buttons
+   */
+  hydrateButtons(container = document) {
+    if (!container) return;
+
+    container.querySelectorAll('.compare-btn[data-product-id]').forEach(button => {
+      const isActive = this.has(button.dataset.productId);
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Update compare UI elements
+   */
+  updateCompareUI() {
+    this.renderTray();
+    this.hydrateButtons(document);
+
+    // Dispatch compare updated event
+    const event = new CustomEvent('compareUpdated', {
+      detail: { products: this.products }
+    });
+    document.dispatchEvent(event);
+  }
+}
+
+// Initialize compare tray when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (!CONFIG_UTILS.isFeatureEnabled('PRODUCT_COMPARISON')) return;
+
+  const compare = new CompareTray();
+
+  // Export for global access
+  window.Compare = compare;
+});
+
+// Export class for testing
+window.CompareTrayClass = CompareTray;
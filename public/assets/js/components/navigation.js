@@ -408,9 +408,10 @@ class Navigation {
       searchResults.innerHTML = '<div class="search-loading">Searching...</div>';
 
       // Search products
+      // Shares the search component's key since both render into #search-results
       const response = await ApiService.products.search(query, {
         limit: APP_CONFIG.SEARCH.MAX_SUGGESTIONS
-      });
+      }, { cancelKey: 'search-suggestions' });
 
       if (response.success && response.data.products.length > 0) {
         this.renderSearchSuggestions(response.data.products, query);
@@ -418,6 +419,8 @@ class Navigation {
         searchResults.innerHTML = '<div class="search-no-results">No products found</div>';
       }
     } catch (error) {
+      if (isRequestCancelled(error)) return;
+
       console.error('Search error:', error);
       searchResults.innerHTML = '<div class="search-error">Search failed. Please try again.</div>';
     }
@@ -0,0 +1,326 @@
+/**
+ * OAuth client for Riya Collections social login
+ * Runs the authorization code flow with PKCE in a popup, falling back to a full
+ * page redirect when popups are blocked. The PKCE verifier for each attempt is
+ * kept in local storage under its state value so oauth-callback.html can finish
+ * the exchange in either mode and report the result back to the opening page.
+ */
+
+class OAuthClient {
+  /**
+   * Get settings for a provider
+   * @param {string} provider - Provider key (google, facebook)
+   * @returns {Object|null} Provider settings
+   */
+  getProvider(provider) {
+    return APP_CONFIG.OAUTH.PROVIDERS[provider] || null;
+  }
+
+  /**
+   * Check whether a provider can be used
+   * @param {string} provider - Provider key
+   * @returns {boolean} True when a client ID or mock provider is configured
+   */
+  isProviderEnabled(provider) {
+    const config = this.getProvider(provider);
+    return !!config && !!(config.CLIENT_ID || APP_CONFIG.OAUTH.MOCK_AUTHORIZE_URL);
+  }
+
+  /**
+   * Get the providers that can be used
+   * @returns {Array<string>} Provider keys
+   */
+  getEnabledProviders() {
+    return Object.keys(APP_CONFIG.OAUTH.PROVIDERS).filter(provider => this.isProviderEnabled(provider));
+  }
+
+  /**
+   * Redirect URI registered with every provider
+   * @returns {string} Absolute callback URL
+   */
+  getRedirectUri() {
+    return `${window.location.origin}${APP_CONFIG.OAUTH.REDIRECT_PATH}`;
+  }
+
+  /**
+   * Start signing in or connecting an account with a provider
+   * Must be called from a click handler so the popup is not blocked.
+   * @param {string} provider - Provider key
+   * @param {Object} options - Flow options
+   * @param {string} options.mode - 'login' or 'link' (connect to the signed in user)
+   * @param {string} options.returnUrl - Page to return to after a redirect sign-in
+   * @returns {Promise<Object>} Result reported by the callback page
+   */
+  async authorize(provider, { mode = 'login', returnUrl = window.location.href } = {}) {
+    if (!this.isProviderEnabled(provider)) {
+      throw new Error(ERROR_MESSAGES.OAUTH_UNAVAILABLE);
+    }
+
+    // Open the popup before any await so it still counts as a user action
+    const popup = this.openPopup();
+
+    const state = OAuthClient.randomString();
+    const codeVerifier = OAuthClient.randomString(48);
+    const request = {
+      provider,
+      mode,
+      codeVerifier,
+      returnUrl,
+      display: popup ? 'popup' : 'redirect',
+      createdAt: Date.now()
+    };
+
+    let url;
+    try {
+      url = this.buildAuthorizeUrl(provider, state, await OAuthClient.createCodeChallenge(codeVerifier));
+    } catch (error) {
+      if (popup) popup.close();
+      throw error;
+    }
+
+    this.saveRequest(state, request);
+
+    if (!popup) {
+      window.location.assign(url);
+      // The page is navigating away
+      return new Promise(() => {});
+    }
+
+    popup.location.href = url;
+    return this.waitForResult(state, popup);
+  }
+
+  /**
+   * Open a centered popup window
+   * @returns {Window|null} Popup, or null when blocked
+   */
+  openPopup() {
+    const { WIDTH, HEIGHT } = APP_CONFIG.OAUTH.POPUP;
+    const left = Math.max(0, window.screenX + (window.outerWidth - WIDTH) / 2);
+    const top = Math.max(0, window.screenY + (window.outerHeight - HEIGHT) / 2);
+
+    try {
+      return window.open('', 'riya-oauth', `width=${WIDTH},height=${HEIGHT},left=${left},top=${top}`);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the provider authorization URL
+   * @param {string} provider - Provider key
+   * @param {string} state - State value
+   * @param {string} codeChallenge - PKCE code challenge
+   * @returns {string} Authorization URL
+   */
+  buildAuthorizeUrl(provider, state, codeChallenge) {
+    const config = this.getProvider(provider);
+    const url = new URL(APP_CONFIG.OAUTH.MOCK_AUTHORIZE_URL || config.AUTHORIZE_URL, window.location.origin);
+
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.CLIENT_ID,
+      redirect_uri: this.getRedirectUri(),
+      scope: config.SCOPE,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    // Lets the mock provider answer for any provider
+    if (APP_CONFIG.OAUTH.MOCK_AUTHORIZE_URL) {
+      url.searchParams.set('provider', provider);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Wait for the callback page to report the result
+   * @param {string} state - State value of the attempt
+   * @param {Window} popup - Popup window
+   * @returns {Promise<Object>} Result
+   */
+  waitForResult(state, popup) {
+    return new Promise((resolve, reject) => {
+      let closedTimer = null;
+
+      const finish = (result) => {
+        window.removeEventListener('storage', handleStorage);
+        clearInterval(closedTimer);
+        CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.OAUTH_RESULT);
+
+        if (!result) {
+          this.removeRequest(state);
+          reject(OAuthClient.createError(ERROR_MESSAGES.OAUTH_CANCELLED, 'cancelled'));
+        } else if (result.status === 'success') {
+          resolve(result);
+        } else {
+          reject(OAuthClient.createError(result.message || ERROR_MESSAGES.OAUTH_FAILED, result.code));
+        }
+      };
+
+      const getResult = () => {
+        const result = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.OAUTH_RESULT);
+        return result && result.state === state ? result : null;
+      };
+
+      // The callback page may not keep window.opener, so results come through storage
+      const handleStorage = (event) => {
+        if (event.key !== APP_CONFIG.STORAGE_KEYS.OAUTH_RESULT) return;
+
+        const result = getResult();
+        if (result) finish(result);
+      };
+
+      window.addEventListener('storage', handleStorage);
+
+      closedTimer = setInterval(() => {
+        if (popup.closed) {
+          finish(getResult());
+        }
+      }, 500);
+    });
+  }
+
+  /**
+   * Read the provider response on the callback page
+   * Each attempt can only be completed once.
+   * @param {URLSearchParams} params - Callback query parameters
+   * @returns {Object} Pending request and the token exchange data
+   * @throws {Error} When the attempt is unknown, expired or was denied
+   */
+  parseCallback(params) {
+    const state = params.get('state');
+    const request = state ? this.getRequests()[state] : null;
+
+    if (!request || Date.now() - request.createdAt > APP_CONFIG.OAUTH.REQUEST_TTL) {
+      if (state) this.removeRequest(state);
+      throw OAuthClient.createError(ERROR_MESSAGES.OAUTH_EXPIRED, 'expired');
+    }
+
+    this.removeRequest(state);
+    request.state = state;
+
+    const providerError = params.get('error');
+    if (providerError || !params.get('code')) {
+      const error = providerError === 'access_denied'
+        ? OAuthClient.createError(ERROR_MESSAGES.OAUTH_CANCELLED, 'cancelled')
+        : OAuthClient.createError(ERROR_MESSAGES.OAUTH_FAILED, providerError || 'missing_code');
+      error.request = request;
+      throw error;
+    }
+
+    return {
+      request,
+      data: {
+        code: params.get('code'),
+        code_verifier: request.codeVerifier,
+        redirect_uri: this.getRedirectUri()
+      }
+    };
+  }
+
+  /**
+   * Report the outcome to the page that started the attempt
+   * @param {Object} request - Pending request from parseCallback
+   * @param {string} status - 'success' or 'error'
+   * @param {Object} details - Message and error code
+   */
+  reportResult(request, status, { message = null, code = null } = {}) {
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.OAUTH_RESULT, {
+      state: request.state,
+      provider: request.provider,
+      mode: request.mode,
+      status,
+      message,
+      code
+    });
+  }
+
+  /**
+   * Get pending attempts, dropping expired ones
+   * @returns {Object} Requests by state
+   */
+  getRequests() {
+    const requests = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.OAUTH_REQUESTS, {});
+    const now = Date.now();
+
+    return Object.fromEntries(
+      Object.entries(requests || {}).filter(([, request]) =>
+        now - request.createdAt <= APP_CONFIG.OAUTH.REQUEST_TTL
+      )
+    );
+  }
+
+  /**
+   * Save a pending attempt
+   * @param {string} state - State value
+   * @param {Object} request - Request data
+   */
+  saveRequest(state, request) {
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.OAUTH_REQUESTS, {
+      ...this.getRequests(),
+      [state]: request
+    });
+  }
+
+  /**
+   * Remove a pending attempt
+   * @param {string} state - State value
+   */
+  removeRequest(state) {
+    const requests = this.getRequests();
+    delete requests[state];
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.OAUTH_REQUESTS, requests);
+  }
+
+  /**
+   * Create an error with a code
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  static createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Random URL-safe string for state and PKCE verifier values
+   * @param {number} byteLength - Random bytes
+   * @returns {string} Base64url string
+   */
+  static randomString(byteLength = 32) {
+    return OAuthClient.base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+  }
+
+  /**
+   * Derive the S256 code challenge for a verifier
+   * @param {string} codeVerifier - PKCE verifier
+   * @returns {Promise<string>} Code challenge
+   */
+  static async createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return OAuthClient.base64UrlEncode(new Uint8Array(digest));
+  }
+
+  /**
+   * Base64url encode bytes without padding
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string} Encoded string
+   */
+  static base64UrlEncode(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+}
+
+// Create global instance
+window.OAuthClient = new OAuthClient();
+
+// Export class for testing
+window.OAuthClientClass = OAuthClient;
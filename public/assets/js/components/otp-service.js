@@ -0,0 +1,139 @@
+/**
+ * SMS one-time password service for Riya Collections
+ * Sends and checks verification codes through a pluggable SMS provider.
+ * ApiSmsProvider asks the server to text the code; tests pass their own provider.
+ *
+ * A provider implements:
+ *   sendCode(phone, purpose) -> Promise<{request_id, resend_in, expires_in}> (seconds)
+ *   verifyCode({requestId, phone, purpose, code}) -> Promise<Object> response data
+ */
+
+class ApiSmsProvider {
+  /**
+   * Ask the server to text a code
+   * @param {string} phone - 10 digit phone number
+   * @param {string} purpose - 'login', 'verify_phone' or 'reverify'
+   * @returns {Promise<Object>} Request details
+   */
+  async sendCode(phone, purpose) {
+    const response = await ApiService.auth.sendOtp(phone, purpose);
+    return response.data || {};
+  }
+
+  /**
+   * Check a code with the server
+   * @param {Object} request - Request ID, phone, purpose and code
+   * @returns {Promise<Object>} Session for login codes, otherwise a verification token
+   */
+  async verifyCode({ requestId, phone, purpose, code }) {
+    const response = await ApiService.auth.verifyOtp({
+      request_id: requestId,
+      phone,
+      purpose,
+      code
+    });
+    return response.data || {};
+  }
+}
+
+class OtpService {
+  /**
+   * @param {Object|null} provider - SMS provider, defaults to ApiSmsProvider
+   */
+  constructor(provider = null) {
+    this.provider = provider || new ApiSmsProvider();
+  }
+
+  /**
+   * Replace the SMS provider
+   * @param {Object} provider - Provider implementing sendCode and verifyCode
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Reduce a phone number to its 10 digits
+   * @param {string} phone - Phone number, optionally with +91 or 0
+   * @returns {string|null} 10 digit number, or null when invalid
+   */
+  normalizePhone(phone) {
+    if (!phone) return null;
+
+    const digits = phone.replace(/\D/g, '').replace(/^(?:91|0)(?=\d{10}$)/, '');
+    return ValidationUtils.phone(digits) ? digits : null;
+  }
+
+  /**
+   * Format a phone number for display
+   * @param {string} phone - Phone number
+   * @returns {string} e.g. "+91 98765 43210"
+   */
+  formatPhone(phone) {
+    const digits = this.normalizePhone(phone);
+    return digits ? `+91 ${digits.slice(0, 5)} ${digits.slice(5)}` : phone;
+  }
+
+  /**
+   * Send a code
+   * @param {string} phone - Phone number
+   * @param {string} purpose - 'login', 'verify_phone' or 'reverify'
+   * @returns {Promise<Object>} Pending request with resend wait in milliseconds
+   */
+  async send(phone, purpose) {
+    const digits = this.normalizePhone(phone);
+    if (!digits) {
+      throw new Error(ERROR_MESSAGES.INVALID_PHONE);
+    }
+
+    const data = await this.provider.sendCode(digits, purpose);
+
+    return {
+      requestId: data.request_id,
+      phone: digits,
+      purpose,
+      resendIn: data.resend_in ? data.resend_in * 1000 : APP_CONFIG.OTP.RESEND_COOLDOWN
+    };
+  }
+
+  /**
+   * Check a code
+   * @param {Object} request - Pending request from send
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<Object>} Verification response data
+   */
+  async verify(request, code) {
+    return this.provider.verifyCode({
+      requestId: request.requestId,
+      phone: request.phone,
+      purpose: request.purpose,
+      code
+    });
+  }
+
+  /**
+   * Build a message for a failed send or verify
+   * @param {Error} error - API or provider error
+   * @returns {string} Message
+   */
+  getErrorMessage(error) {
+    if (error.status === 429) {
+      const seconds = error.retryAfter ? Math.ceil(error.retryAfter / 1000) : null;
+      return seconds
+        ? `${ERROR_MESSAGES.TOO_MANY_OTP_REQUESTS} Please try again in ${seconds} seconds.`
+        : `${ERROR_MESSAGES.TOO_MANY_OTP_REQUESTS} Please try again later.`;
+    }
+    if (error.status === 410) {
+      return ERROR_MESSAGES.OTP_EXPIRED;
+    }
+
+    return error.message || ERROR_MESSAGES.GENERIC;
+  }
+}
+
+// Create global instance
+window.OtpService = new OtpService();
+
+// Export classes for testing
+window.OtpServiceClass = OtpService;
+window.ApiSmsProvider = ApiSmsProvider;
@@ -0,0 +1,265 @@
+/**
+ * OTP verification widget for Riya Collections
+ * Renders the code entry step used by phone login, phone verification at
+ * registration and re-verification in the profile. Handles the resend countdown
+ * and fills the code automatically through the WebOTP API where supported
+ * (the SMS must end with "@<domain> #<code>" for the browser to offer it).
+ */
+
+class OtpVerification {
+  /**
+   * @param {Element} container - Element the widget renders into
+   * @param {Object} options - Widget options
+   * @param {string} options.purpose - 'login', 'verify_phone' or 'reverify'
+   * @param {Function} options.onVerified - Called with the verification response data
+   * @param {Function} options.onChangePhone - Shows a "Change number" link when set
+   */
+  constructor(container, { purpose, onVerified, onChangePhone = null }) {
+    this.container = container;
+    this.purpose = purpose;
+    this.onVerified = onVerified;
+    this.onChangePhone = onChangePhone;
+    this.request = null;
+    this.resendAt = 0;
+    this.countdownTimer = null;
+    this.webOtpController = null;
+    this.isVerifying = false;
+
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Render the widget
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="otp-verification">
+        <p class="otp-message">
+          Enter the ${APP_CONFIG.OTP.LENGTH}-digit code sent to <strong class="otp-phone"></strong>
+        </p>
+        <div class="form-group">
+          <input type="text"
+                 class="form-input otp-input"
+                 inputmode="numeric"
+                 autocomplete="one-time-code"
+                 maxlength="${APP_CONFIG.OTP.LENGTH}"
+                 placeholder="${'•'.repeat(APP_CONFIG.OTP.LENGTH)}"
+                 aria-label="Verification code">
+          <div class="form-error otp-error" role="alert" aria-live="polite"></div>
+        </div>
+        <button type="button" class="btn btn--primary btn--full otp-verify-btn">
+          <span class="btn-text">Verify</span>
+          <div class="btn-loading" style="display: none;">
+            <div class="loading-spinner"></div>
+          </div>
+        </button>
+        <div class="otp-links">
+          <button type="button" class="otp-link otp-resend-btn" disabled>Resend code</button>
+          ${this.onChangePhone ? '<button type="button" class="otp-link otp-change-btn">Change number</button>' : ''}
+        </div>
+      </div>
+    `;
+
+    this.input = this.container.querySelector('.otp-input');
+    this.errorEl = this.container.querySelector('.otp-error');
+    this.verifyBtn = this.container.querySelector('.otp-verify-btn');
+    this.resendBtn = this.container.querySelector('.otp-resend-btn');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    DOMUtils.addEventListener(this.input, 'input', () => {
+      this.input.value = this.input.value.replace(/\D/g, '').slice(0, APP_CONFIG.OTP.LENGTH);
+      this.showError('');
+
+      // Submit as soon as the full code is entered or pasted
+      if (this.input.value.length === APP_CONFIG.OTP.LENGTH) {
+        this.verify();
+      }
+    });
+
+    DOMUtils.addEventListener(this.input, 'keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.verify();
+      }
+    });
+
+    DOMUtils.addEventListener(this.verifyBtn, 'click', () => this.verify());
+    DOMUtils.addEventListener(this.resendBtn, 'click', () => this.resend());
+
+    const changeBtn = this.container.querySelector('.otp-change-btn');
+    if (changeBtn) {
+      DOMUtils.addEventListener(changeBtn, 'click', () => {
+        this.reset();
+        this.onChangePhone();
+      });
+    }
+  }
+
+  /**
+   * Send a code and show the code entry
+   * @param {string} phone - Phone number
+   * @throws {Error} When the code could not be sent
+   */
+  async start(phone) {
+    try {
+      this.request = await window.OtpService.send(phone, this.purpose);
+    } catch (error) {
+      error.message = window.OtpService.getErrorMessage(error);
+      throw error;
+    }
+
+    this.container.querySelector('.otp-phone').textContent = window.OtpService.formatPhone(phone);
+    this.container.style.display = 'block';
+    this.input.value = '';
+    this.showError('');
+    this.input.focus();
+
+    this.startCountdown(this.request.resendIn);
+    this.listenForWebOtp();
+  }
+
+  /**
+   * Send a new code to the same number
+   */
+  async resend() {
+    if (!this.request || Date.now() < this.resendAt) return;
+
+    this.resendBtn.disabled = true;
+
+    try {
+      await this.start(this.request.phone);
+
+      if (window.NotificationManager) {
+        NotificationManager.show(SUCCESS_MESSAGES.OTP_SENT, 'success');
+      }
+    } catch (error) {
+      console.error('OTP resend error:', error);
+      this.showError(error.message);
+      this.startCountdown(error.retryAfter || APP_CONFIG.OTP.RESEND_COOLDOWN);
+    }
+  }
+
+  /**
+   * Check the entered code
+   */
+  async verify() {
+    if (!this.request || this.isVerifying) return;
+
+    const code = this.input.value.trim();
+    if (code.length !== APP_CONFIG.OTP.LENGTH) {
+      this.showError(ERROR_MESSAGES.OTP_REQUIRED);
+      this.input.focus();
+      return;
+    }
+
+    let data;
+    try {
+      this.isVerifying = true;
+      this.setLoading(true);
+
+      data = await window.OtpService.verify(this.request, code);
+    } catch (error) {
+      console.error('OTP verification error:', error);
+      this.showError(window.OtpService.getErrorMessage(error));
+      this.input.select();
+      return;
+    } finally {
+      this.isVerifying = false;
+      this.setLoading(false);
+    }
+
+    this.reset();
+    this.onVerified(data);
+  }
+
+  /**
+   * Count down until another code can be requested
+   * @param {number} wait - Milliseconds to wait
+   */
+  startCountdown(wait) {
+    clearInterval(this.countdownTimer);
+    this.resendAt = Date.now() + wait;
+
+    const tick = () => {
+      const seconds = Math.ceil((this.resendAt - Date.now()) / 1000);
+
+      this.resendBtn.disabled = seconds > 0;
+      this.resendBtn.textContent = seconds > 0 ? `Resend code in ${seconds}s` : 'Resend code';
+
+      if (seconds <= 0) {
+        clearInterval(this.countdownTimer);
+      }
+    };
+
+    tick();
+    this.countdownTimer = setInterval(tick, 1000);
+  }
+
+  /**
+   * Fill the code from the incoming SMS where the browser supports WebOTP
+   */
+  listenForWebOtp() {
+    if (!('OTPCredential' in window) || !navigator.credentials) return;
+
+    if (this.webOtpController) {
+      this.webOtpController.abort();
+    }
+    this.webOtpController = new AbortController();
+
+    navigator.credentials.get({
+      otp: { transport: ['sms'] },
+      signal: this.webOtpController.signal
+    }).then(credential => {
+      if (!credential?.code) return;
+
+      this.input.value = credential.code;
+      this.verify();
+    }).catch(() => {
+      // Aborted, dismissed or unsupported; the code can still be typed
+    });
+  }
+
+  /**
+   * Show or clear the error message
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.errorEl.textContent = message;
+    this.input.classList.toggle('invalid', !!message);
+  }
+
+  /**
+   * Set the verify button loading state
+   * @param {boolean} loading - Loading state
+   */
+  setLoading(loading) {
+    this.verifyBtn.disabled = loading;
+    this.verifyBtn.querySelector('.btn-text').style.display = loading ? 'none' : 'block';
+    this.verifyBtn.querySelector('.btn-loading').style.display = loading ? 'flex' : 'none';
+  }
+
+  /**
+   * Stop timers and WebOTP and hide the widget
+   */
+  reset() {
+    clearInterval(this.countdownTimer);
+
+    if (this.webOtpController) {
+      this.webOtpController.abort();
+      this.webOtpController = null;
+    }
+
+    this.request = null;
+    this.input.value = '';
+    this.showError('');
+    this.container.style.display = 'none';
+  }
+}
+
+// Export for use in other modules
+window.OtpVerification = OtpVerification;
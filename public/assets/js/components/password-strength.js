@@ -0,0 +1,99 @@
+/**
+ * Password strength meter for Riya Collections
+ * Shared by registration, password reset and the profile change-password form.
+ * Strength follows ValidationUtils.password so every form applies the same rules.
+ */
+
+class PasswordStrengthMeter {
+  /**
+   * @param {Element} input - Password input
+   * @param {Element} container - .password-strength element holding the bar, text and requirements
+   */
+  constructor(input, container) {
+    this.input = input;
+    this.container = container;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    DOMUtils.addEventListener(this.input, 'input', () => {
+      this.update(this.input.value);
+    });
+
+    DOMUtils.addEventListener(this.input, 'focus', () => {
+      this.container.style.display = 'block';
+    });
+  }
+
+  /**
+   * Update strength bar and text
+   * @param {string} password - Password value
+   */
+  update(password) {
+    const strengthFill = this.container.querySelector('.strength-fill');
+    const strengthText = this.container.querySelector('.strength-text');
+
+    if (!strengthFill || !strengthText) return;
+
+    const levels = [
+      ['weak', 'Very Weak'],
+      ['weak', 'Weak'],
+      ['fair', 'Fair'],
+      ['good', 'Good'],
+      ['strong', 'Strong'],
+      ['very-strong', 'Very Strong']
+    ];
+    const [level, text] = levels[ValidationUtils.password(password).score];
+
+    strengthFill.className = `strength-fill ${level}`;
+    strengthText.textContent = text;
+
+    this.updateRequirements(password);
+  }
+
+  /**
+   * Update requirements display
+   * @param {string} password - Password value
+   */
+  updateRequirements(password) {
+    const checks = PasswordStrengthMeter.getChecks(password);
+
+    this.container.querySelectorAll('.requirement').forEach(req => {
+      const met = !!checks[req.dataset.requirement];
+      const icon = req.querySelector('i');
+
+      req.classList.toggle('met', met);
+      icon.className = met ? 'ri-check-circle-line' : 'ri-close-circle-line';
+    });
+  }
+
+  /**
+   * Reset the meter to its empty state
+   */
+  reset() {
+    this.update('');
+    this.container.style.display = 'none';
+  }
+
+  /**
+   * Check each password requirement
+   * @param {string} password - Password value
+   * @returns {Object} Requirement name to met flag
+   */
+  static getChecks(password) {
+    return {
+      length: password.length >= 8,
+      lowercase: /[a-z]/.test(password),
+      uppercase: /[A-Z]/.test(password),
+      number: /\d/.test(password),
+      special: /[!@#$%^&*(),.?":{}|<>]/.test(password)
+    };
+  }
+}
+
+// Export for use in other modules
+window.PasswordStrengthMeter = PasswordStrengthMeter;
@@ -0,0 +1,670 @@
+/**
+ * Persistent Cache for Riya Collections Frontend
+ * Storage adapters for API responses with TTL, LRU eviction and size accounting.
+ * IndexedDB is the primary backend; localStorage is only used as a fallback.
+ */
+
+/**
+ * IndexedDB schema migrations, keyed by the version they upgrade to
+ * Add a new entry to change the schema; never edit an existing one
+ */
+const CACHE_DB_MIGRATIONS = {
+  1: (db) => {
+    const store = db.createObjectStore('entries', { keyPath: 'id' });
+    store.createIndex('namespace', 'namespace');
+    store.createIndex('lastAccess', 'lastAccess');
+    store.createIndex('expiry', 'expiry');
+  }
+};
+
+const CACHE_DB_VERSION = Math.max(...Object.keys(CACHE_DB_MIGRATIONS).map(Number));
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>} Resolves on complete
+ */
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Check if a cache key matches a clear pattern
+ * @param {string} key - Cache key
+ * @param {string|RegExp|null} pattern - Substring or pattern, null matches all
+ * @returns {boolean} Matches
+ */
+function cacheKeyMatches(key, pattern) {
+  if (!pattern) return true;
+  return pattern instanceof RegExp ? pattern.test(key) : key.includes(pattern);
+}
+
+/**
+ * Storage adapter interface
+ * Entries are grouped by namespace so several caches can share one backend.
+ */
+class CacheStorageAdapter {
+  /**
+   * Open the backend
+   * @returns {Promise<void>}
+   */
+  async open() {}
+
+  /**
+   * Get a value, refreshing its LRU position
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Cache key
+   * @returns {Promise<*|null>} Value or null if missing or expired
+   */
+  async get(namespace, key) {
+    throw new Error('CacheStorageAdapter.get not implemented');
+  }
+
+  /**
+   * Store a value
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Cache key
+   * @param {*} value - JSON serialisable value
+   * @param {number} ttl - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value, ttl) {
+    throw new Error('CacheStorageAdapter.set not implemented');
+  }
+
+  /**
+   * Delete a value
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(namespace, key) {
+    throw new Error('CacheStorageAdapter.delete not implemented');
+  }
+
+  /**
+   * Delete all values in a namespace matching a pattern
+   * @param {string} namespace - Cache namespace
+   * @param {string|RegExp|null} pattern - Key pattern
+   * @returns {Promise<void>}
+   */
+  async clear(namespace, pattern = null) {
+    throw new Error('CacheStorageAdapter.clear not implemented');
+  }
+
+  /**
+   * Delete expired values in all namespaces
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async cleanupExpired() {
+    throw new Error('CacheStorageAdapter.cleanupExpired not implemented');
+  }
+
+  /**
+   * Get statistics for a namespace
+   * @param {string} namespace - Cache namespace
+   * @returns {Promise<Object>} Entry count, expired count and size in bytes
+   */
+  async getStats(namespace) {
+    throw new Error('CacheStorageAdapter.getStats not implemented');
+  }
+
+  /**
+   * Estimate the stored size of a value
+   * @param {*} value - Value
+   * @returns {number} Size in bytes (UTF-16)
+   */
+  measure(value) {
+    return JSON.stringify(value).length * 2;
+  }
+}
+
+/**
+ * IndexedDB storage adapter
+ * Keeps a running size total so eviction does not need a full scan on every write.
+ */
+class IndexedDBCacheAdapter extends CacheStorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.dbName = options.dbName || APP_CONFIG.CACHE.DB_NAME;
+    this.maxSize = options.maxSize || APP_CONFIG.CACHE.MAX_SIZE;
+    this.maxEntries = options.maxEntries || APP_CONFIG.CACHE.MAX_ENTRIES;
+    this.db = null;
+    this.totalSize = 0;
+    this.totalEntries = 0;
+  }
+
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean} Is supported
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open database and run pending migrations
+   * @returns {Promise<void>}
+   */
+  async open() {
+    const request = indexedDB.open(this.dbName, CACHE_DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion + 1; version <= CACHE_DB_VERSION; version++) {
+        CACHE_DB_MIGRATIONS[version](db, request.transaction);
+      }
+    };
+
+    this.db = await idbRequest(request);
+
+    // Another tab upgraded the schema; let it proceed
+    this.db.onversionchange = () => {
+      this.db.close();
+      this.db = null;
+    };
+
+    await this.recalculateSize();
+  }
+
+  /**
+   * Start a transaction on the entries store
+   * @param {string} mode - Transaction mode
+   * @returns {{transaction: IDBTransaction, store: IDBObjectStore}}
+   */
+  transaction(mode = 'readonly') {
+    if (!this.db) {
+      throw new Error('Cache database is closed');
+    }
+
+    const transaction = this.db.transaction('entries', mode);
+    return { transaction, store: transaction.objectStore('entries') };
+  }
+
+  async get(namespace, key) {
+    const { transaction, store } = this.transaction('readwrite');
+    const record = await idbRequest(store.get(`${namespace}:${key}`));
+
+    if (!record) {
+      return null;
+    }
+
+    if (Date.now() > record.expiry) {
+      store.delete(record.id);
+      await idbTransactionDone(transaction);
+      this.totalSize -= record.size;
+      this.totalEntries--;
+      return null;
+    }
+
+    record.lastAccess = Date.now();
+    store.put(record);
+    await idbTransactionDone(transaction);
+
+    return record.value;
+  }
+
+  async set(namespace, key, value, ttl) {
+    const id = `${namespace}:${key}`;
+    const size = this.measure(value);
+    const now = Date.now();
+
+    const { transaction, store } = this.transaction('readwrite');
+    const existing = await idbRequest(store.get(id));
+
+    store.put({ id, namespace, key, value, size, expiry: now + ttl, lastAccess: now });
+    await idbTransactionDone(transaction);
+
+    this.totalSize += size - (existing ? existing.size : 0);
+    this.totalEntries += existing ? 0 : 1;
+
+    if (this.totalSize > this.maxSize || this.totalEntries > this.maxEntries) {
+      await this.evict();
+    }
+  }
+
+  async delete(namespace, key) {
+    const { transaction, store } = this.transaction('readwrite');
+    const id = `${namespace}:${key}`;
+    const existing = await idbRequest(store.get(id));
+
+    if (!existing) return;
+
+    store.delete(id);
+    await idbTransactionDone(transaction);
+
+    this.totalSize -= existing.size;
+    this.totalEntries--;
+  }
+
+  async clear(namespace, pattern = null) {
+    const { transaction, store } = this.transaction('readwrite');
+    const request = store.index('namespace').openCursor(IDBKeyRange.only(namespace));
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      if (cacheKeyMatches(cursor.value.key, pattern)) {
+        this.totalSize -= cursor.value.size;
+        this.totalEntries--;
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+
+    await idbTransactionDone(transaction);
+  }
+
+  async cleanupExpired() {
+    const { transaction, store } = this.transaction('readwrite');
+    const request = store.index('expiry').openCursor(IDBKeyRange.upperBound(Date.now()));
+    let deleted = 0;
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      this.totalSize -= cursor.value.size;
+      this.totalEntries--;
+      deleted++;
+      cursor.delete();
+      cursor.continue();
+    };
+
+    await idbTransactionDone(transaction);
+    return deleted;
+  }
+
+  /**
+   * Evict least recently used entries until within size and entry limits
+   * Expired entries go first, then the oldest by last access.
+   */
+  async evict() {
+    await this.cleanupExpired();
+
+    // Other tabs write to the same database, so re-count before evicting
+    await this.recalculateSize();
+    if (this.totalSize <= this.maxSize && this.totalEntries <= this.maxEntries) return;
+
+    const { transaction, store } = this.transaction('readwrite');
+    const request = store.index('lastAccess').openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || (this.totalSize <= this.maxSize && this.totalEntries <= this.maxEntries)) return;
+
+      this.totalSize -= cursor.value.size;
+      this.totalEntries--;
+      cursor.delete();
+      cursor.continue();
+    };
+
+    await idbTransactionDone(transaction);
+  }
+
+  /**
+   * Recount stored entries and bytes
+   */
+  async recalculateSize() {
+    const { transaction, store } = this.transaction('readonly');
+    const request = store.openCursor();
+    let totalSize = 0;
+    let totalEntries = 0;
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      totalSize += cursor.value.size;
+      totalEntries++;
+      cursor.continue();
+    };
+
+    await idbTransactionDone(transaction);
+
+    this.totalSize = totalSize;
+    this.totalEntries = totalEntries;
+  }
+
+  async getStats(namespace) {
+    const { store } = this.transaction('readonly');
+    const records = await idbRequest(store.index('namespace').getAll(IDBKeyRange.only(namespace)));
+    const now = Date.now();
+
+    return {
+      backend: 'indexedDB',
+      totalEntries: records.length,
+      expiredEntries: records.filter(record => now > record.expiry).length,
+      totalSize: records.reduce((sum, record) => sum + record.size, 0),
+      maxSize: this.maxSize
+    };
+  }
+}
+
+/**
+ * localStorage storage adapter
+ * Fallback for browsers without IndexedDB. Keys keep the `<namespace>_<key>` format.
+ */
+class LocalStorageCacheAdapter extends CacheStorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.maxSize = options.maxSize || APP_CONFIG.CACHE.FALLBACK_MAX_SIZE;
+  }
+
+  /**
+   * Get stored entries for a namespace
+   * @param {string|null} namespace - Cache namespace, null for all cache namespaces
+   * @returns {Array<Object>} Entries with storage key and parsed record
+   */
+  getEntries(namespace) {
+    const namespaces = namespace ? [namespace] : PersistentCache.namespaces;
+    const entries = [];
+
+    Object.keys(localStorage).forEach(storageKey => {
+      const entryNamespace = namespaces.find(name => storageKey.startsWith(`${name}_`));
+      if (!entryNamespace) return;
+
+      try {
+        const record = JSON.parse(localStorage.getItem(storageKey));
+        if (record && record.expiry) {
+          entries.push({ storageKey, namespace: entryNamespace, record });
+        }
+      } catch (error) {
+        // Not a cache entry
+      }
+    });
+
+    return entries;
+  }
+
+  async get(namespace, key) {
+    const storageKey = `${namespace}_${key}`;
+    const record = CONFIG_UTILS.getStorageItem(storageKey);
+
+    if (!record || !record.expiry) {
+      return null;
+    }
+
+    if (Date.now() > record.expiry) {
+      localStorage.removeItem(storageKey);
+      return null;
+    }
+
+    record.lastAccess = Date.now();
+    CONFIG_UTILS.setStorageItem(storageKey, record);
+
+    return record.value;
+  }
+
+  async set(namespace, key, value, ttl) {
+    const size = this.measure(value);
+    if (size > this.maxSize) return;
+
+    const now = Date.now();
+    const record = { value, size, expiry: now + ttl, lastAccess: now };
+
+    this.evict(size);
+
+    try {
+      localStorage.setItem(`${namespace}_${key}`, JSON.stringify(record));
+    } catch (error) {
+      console.warn('Failed to write cache entry:', error);
+    }
+  }
+
+  async delete(namespace, key) {
+    localStorage.removeItem(`${namespace}_${key}`);
+  }
+
+  async clear(namespace, pattern = null) {
+    this.getEntries(namespace).forEach(({ storageKey }) => {
+      if (cacheKeyMatches(storageKey.slice(namespace.length + 1), pattern)) {
+        localStorage.removeItem(storageKey);
+      }
+    });
+  }
+
+  async cleanupExpired() {
+    const now = Date.now();
+    const expired = this.getEntries(null).filter(({ record }) => now > record.expiry);
+
+    expired.forEach(({ storageKey }) => localStorage.removeItem(storageKey));
+    return expired.length;
+  }
+
+  /**
+   * Evict least recently used entries to make room for a new one
+   * @param {number} incomingSize - Size of the entry about to be written
+   */
+  evict(incomingSize) {
+    const now = Date.now();
+    const entries = this.getEntries(null)
+      .sort((a, b) => (a.record.lastAccess || 0) - (b.record.lastAccess || 0));
+    let totalSize = entries.reduce((sum, { record }) => sum + (record.size || 0), 0) + incomingSize;
+
+    entries.forEach(({ storageKey, record }) => {
+      if (totalSize <= this.maxSize && now <= record.expiry) return;
+
+      localStorage.removeItem(storageKey);
+      totalSize -= record.size || 0;
+    });
+  }
+
+  async getStats(namespace) {
+    const now = Date.now();
+    const entries = this.getEntries(namespace);
+
+    return {
+      backend: 'localStorage',
+      totalEntries: entries.length,
+      expiredEntries: entries.filter(({ record }) => now > record.expiry).length,
+      totalSize: entries.reduce((sum, { record }) => sum + (record.size || 0), 0),
+      maxSize: this.maxSize
+    };
+  }
+}
+
+/**
+ * Namespaced persistent cache
+ * Shares one storage adapter between namespaces and broadcasts invalidations
+ * to other tabs over BroadcastChannel.
+ */
+class PersistentCache {
+  /**
+   * @param {string} namespace - Cache namespace (e.g. 'api_state')
+   */
+  constructor(namespace) {
+    this.namespace = namespace;
+    this.listeners = new Set();
+
+    if (!PersistentCache.namespaces.includes(namespace)) {
+      PersistentCache.namespaces.push(namespace);
+    }
+
+    PersistentCache.getChannel()?.addEventListener('message', (event) => {
+      if (event.data?.namespace === this.namespace) {
+        this.listeners.forEach(listener => listener(event.data));
+      }
+    });
+  }
+
+  /**
+   * Get the shared storage adapter, opening it on first use
+   * Falls back to localStorage when IndexedDB is missing or fails to open.
+   * @returns {Promise<CacheStorageAdapter>} Storage adapter
+   */
+  static getAdapter() {
+    if (!PersistentCache.adapterPromise) {
+      PersistentCache.adapterPromise = (async () => {
+        if (IndexedDBCacheAdapter.isSupported()) {
+          try {
+            const adapter = new IndexedDBCacheAdapter();
+            await adapter.open();
+
+            // Free the quota used by entries written before IndexedDB was available
+            await new LocalStorageCacheAdapter().clear('api_state');
+            await new LocalStorageCacheAdapter().clear('api_cache');
+
+            return adapter;
+          } catch (error) {
+            console.warn('IndexedDB cache unavailable, using localStorage:', error);
+          }
+        }
+
+        return new LocalStorageCacheAdapter();
+      })();
+    }
+
+    return PersistentCache.adapterPromise;
+  }
+
+  /**
+   * Get the shared invalidation channel
+   * @returns {BroadcastChannel|null} Channel or null if unsupported
+   */
+  static getChannel() {
+    if (PersistentCache.channel === undefined) {
+      PersistentCache.channel = typeof BroadcastChannel !== 'undefined'
+        ? new BroadcastChannel(APP_CONFIG.CACHE.CHANNEL_NAME)
+        : null;
+    }
+
+    return PersistentCache.channel;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*|null>} Value or null
+   */
+  async get(key) {
+    try {
+      const adapter = await PersistentCache.getAdapter();
+      return await adapter.get(this.namespace, key);
+    } catch (error) {
+      console.warn('Failed to read from cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a value and notify other tabs
+   * @param {string} key - Cache key
+   * @param {*} value - JSON serialisable value
+   * @param {number} ttl - Time to live in milliseconds
+   */
+  async set(key, value, ttl) {
+    try {
+      const adapter = await PersistentCache.getAdapter();
+      await adapter.set(this.namespace, key, value, ttl);
+      this.broadcast({ type: 'set', key });
+    } catch (error) {
+      console.warn('Failed to write to cache:', error);
+    }
+  }
+
+  /**
+   * Delete a value and notify other tabs
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    try {
+      const adapter = await PersistentCache.getAdapter();
+      await adapter.delete(this.namespace, key);
+      this.broadcast({ type: 'delete', key });
+    } catch (error) {
+      console.warn('Failed to delete from cache:', error);
+    }
+  }
+
+  /**
+   * Delete matching values and notify other tabs
+   * @param {string|RegExp|null} pattern - Key substring or pattern, null for all
+   */
+  async clear(pattern = null) {
+    try {
+      const adapter = await PersistentCache.getAdapter();
+      await adapter.clear(this.namespace, pattern);
+      this.broadcast({ type: 'clear', pattern });
+    } catch (error) {
+      console.warn('Failed to clear cache:', error);
+    }
+  }
+
+  /**
+   * Delete expired values in every namespace
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async cleanupExpired() {
+    try {
+      const adapter = await PersistentCache.getAdapter();
+      return await adapter.cleanupExpired();
+    } catch (error) {
+      console.warn('Failed to clean up cache:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get storage statistics for this namespace
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async getStats() {
+    const adapter = await PersistentCache.getAdapter();
+    return adapter.getStats(this.namespace);
+  }
+
+  /**
+   * Listen for changes made by other tabs
+   * @param {Function} listener - Called with { type, key, pattern }
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Post a change to other tabs
+   * @param {Object} message - Change message
+   */
+  broadcast(message) {
+    PersistentCache.getChannel()?.postMessage({
+      ...message,
+      namespace: this.namespace,
+      timestamp: Date.now()
+    });
+  }
+}
+
+PersistentCache.namespaces = [];
+PersistentCache.adapterPromise = null;
+PersistentCache.channel = undefined;
+
+// Export for global access
+window.PersistentCache = PersistentCache;
+window.CacheStorageAdapter = CacheStorageAdapter;
+window.IndexedDBCacheAdapter = IndexedDBCacheAdapter;
+window.LocalStorageCacheAdapter = LocalStorageCacheAdapter;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PersistentCache, CacheStorageAdapter, IndexedDBCacheAdapter, LocalStorageCacheAdapter };
+}
@@ -0,0 +1,178 @@
+/**
+ * PWA manager for Riya Collections
+ * Registers the service worker, shows offline browse mode and handles the
+ * install prompt
+ */
+
+class PWAManager {
+  constructor() {
+    this.registration = null;
+    this.installPrompt = null;
+    this.offlineBanner = null;
+    this.installButton = null;
+    this.init();
+  }
+
+  /**
+   * Initialize PWA features
+   */
+  init() {
+    this.createOfflineBanner();
+    this.setupEventListeners();
+    this.updateOnlineStatus();
+    this.registerServiceWorker();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    DOMUtils.addEventListener(window, 'online', () => this.updateOnlineStatus());
+    DOMUtils.addEventListener(window, 'offline', () => this.updateOnlineStatus());
+
+    // Server config carries the versioned asset manifest
+    DOMUtils.addEventListener(window, 'configLoaded', () => this.cachePageAssets());
+
+    DOMUtils.addEventListener(window, 'beforeinstallprompt', (e) => {
+      e.preventDefault();
+      this.installPrompt = e;
+      this.showInstallButton();
+    });
+
+    DOMUtils.addEventListener(window, 'appinstalled', () => {
+      this.installPrompt = null;
+      this.hideInstallButton();
+    });
+  }
+
+  /**
+   * Register service worker
+   */
+  async registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+      this.registration = await navigator.serviceWorker.register(APP_CONFIG.PWA.SERVICE_WORKER_URL, {
+        scope: APP_CONFIG.PWA.SCOPE
+      });
+
+      await navigator.serviceWorker.ready;
+      this.cachePageAssets();
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  }
+
+  /**
+   * Get same-origin assets used by this page plus versioned assets from the asset server
+   * @returns {Array<string>} Asset URLs
+   */
+  getPageAssetUrls() {
+    const urls = [window.location.pathname];
+
+    document.querySelectorAll('script[src], link[rel="stylesheet"][href]').forEach(element => {
+      const url = new URL(element.src || element.href, window.location.href);
+      if (url.origin === window.location.origin) {
+        urls.push(url.pathname + url.search);
+      }
+    });
+
+    Object.values(window.ASSET_CONFIG?.MANIFEST || {}).forEach(url => urls.push(url));
+
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Ask the service worker to cache this page's assets
+   */
+  cachePageAssets() {
+    const worker = navigator.serviceWorker?.controller || this.registration?.active;
+    if (!worker) return;
+
+    worker.postMessage({
+      type: 'CACHE_URLS',
+      urls: this.getPageAssetUrls()
+    });
+  }
+
+  /**
+   * Create offline mode banner
+   */
+  createOfflineBanner() {
+    this.offlineBanner = DOMUtils.createElement('div', {
+      className: 'offline-banner',
+      id: 'offline-banner',
+      role: 'status',
+      'aria-live': 'polite'
+    }, `
+      <i class="ri-wifi-off-line" aria-hidden="true"></i>
+      <span>You're offline. Browsing saved products — cart changes will sync when you reconnect.</span>
+    `);
+    document.body.appendChild(this.offlineBanner);
+  }
+
+  /**
+   * Toggle offline browse mode
+   */
+  updateOnlineStatus() {
+    const isOffline = !navigator.onLine;
+
+    document.body.classList.toggle('is-offline', isOffline);
+    this.offlineBanner.classList.toggle('show', isOffline);
+  }
+
+  /**
+   * Show install button when the browser allows installation
+   */
+  showInstallButton() {
+    if (!this.installButton) {
+      this.installButton = DOMUtils.createElement('button', {
+        className: 'pwa-install-btn',
+        type: 'button'
+      }, '<i class="ri-download-2-line" aria-hidden="true"></i> Install App');
+
+      DOMUtils.addEventListener(this.installButton, 'click', () => this.promptInstall());
+      document.body.appendChild(this.installButton);
+    }
+
+    this.installButton.classList.add('show');
+  }
+
+  /**
+   * Hide install button
+   */
+  hideInstallButton() {
+    if (this.installButton) {
+      this.installButton.classList.remove('show');
+    }
+  }
+
+  /**
+   * Show browser install prompt
+   * @returns {Promise<boolean>} Whether the app was installed
+   */
+  async promptInstall() {
+    if (!this.installPrompt) return false;
+
+    this.installPrompt.prompt();
+    const { outcome } = await this.installPrompt.userChoice;
+
+    this.installPrompt = null;
+    this.hideInstallButton();
+
+    return outcome === 'accepted';
+  }
+}
+
+// Initialize PWA manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (!CONFIG_UTILS.isFeatureEnabled('PWA')) return;
+
+  const pwa = new PWAManager();
+
+  // Export for global access
+  window.PWA = pwa;
+});
+
+// Export class for testing
+window.PWAManagerClass = PWAManager;
@@ -82,11 +82,10 @@ class RealTimeManager {
    * Connect to WebSocket server
    */
   connectWebSocket() {
-    if (!window.isAuthenticated()) return;
+    const token = this.getSocketToken();
+    if (!token) return;
     
     try {
-      const token = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN);
-      if (!token) return;
       
       const wsUrl = `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/ws?token=${token}`;
       
@@ -135,6 +134,27 @@ class RealTimeManager {
     }
   }
 
+  /**
+   * Get the token the WebSocket authenticates with
+   * Admin pages connect with the admin session so stock changes reach the inventory view.
+   * @returns {string|null} Token
+   */
+  getSocketToken() {
+    if (window.location.pathname.includes('admin-')) {
+      return localStorage.getItem('admin_auth_token');
+    }
+
+    return window.isAuthenticated() ? CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN) : null;
+  }
+
+  /**
+   * Check if pushed updates are arriving over the WebSocket
+   * @returns {boolean} WebSocket open
+   */
+  isConnected() {
+    return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+  }
+
   /**
    * Handle WebSocket messages
    */
@@ -473,18 +493,33 @@ class RealTimeManager {
     try {
       // Get current page products
       const currentProducts = this.getCurrentPageProducts();
-      if (currentProducts.length === 0) return;
+      
+      // Products with back-in-stock alerts are watched even when not on the page
+      const stockAlerts = window.StockAlerts;
+      const watchedIds = stockAlerts ? stockAlerts.getWatchedProductIds() : [];
+      
+      const productIds = Array.from(new Set([...currentProducts.map(p => p.id), ...watchedIds]));
+      if (productIds.length === 0) return;
       
       // Fetch updated product data
-      const productIds = currentProducts.map(p => p.id);
+      let fields = 'id,stock_quantity,price,is_active';
+      if (stockAlerts && stockAlerts.watchesVariants()) {
+        fields += ',variants';
+      }
+      
       const response = await ApiService.products.getAll({
         ids: productIds.join(','),
-        fields: 'id,stock_quantity,price,is_active'
+        fields
       });
       
       if (response.success && response.data.products) {
         const updatedProducts = response.data.products;
         
+        // Trigger back-in-stock alerts for restocked products
+        if (stockAlerts) {
+          stockAlerts.checkRestocks(updatedProducts);
+        }
+        
         // Check for inventory changes
         const changes = this.detectInventoryChanges(currentProducts, updatedProducts);
         
@@ -877,11 +912,14 @@ window.RealTimeManager = realTimeManager;
 
 // Auto-start when page loads
 document.addEventListener('DOMContentLoaded', () => {
-  // Start real-time updates if user is authenticated or on product pages
+  // Start real-time updates if user is authenticated, on product pages, waiting for a restock
+  // or watching inventory on the admin dashboard
   if (window.isAuthenticated() || 
+      (window.location.pathname.includes('admin-dashboard') && localStorage.getItem('admin_auth_token')) ||
       window.location.pathname.includes('products') ||
       window.location.pathname.includes('cart') ||
-      window.location.pathname.includes('profile')) {
+      window.location.pathname.includes('profile') ||
+      (window.StockAlerts && window.StockAlerts.getActiveAlerts().length > 0)) {
     realTimeManager.start();
   }
 });
@@ -0,0 +1,474 @@
+/**
+ * Product reviews component for Riya Collections
+ * Handles review listing, rating summary, sorting and the review form
+ */
+
+class ProductReviews {
+  /**
+   * @param {number} productId - Product ID
+   * @param {Element} container - Element the reviews are rendered into
+   */
+  constructor(productId, container) {
+    this.productId = productId;
+    this.container = container;
+    this.reviews = [];
+    this.summary = null;
+    this.pagination = null;
+    this.currentPage = 1;
+    this.currentSort = 'helpful';
+    this.myReview = null;
+    this.canReview = false;
+    this.isFormOpen = false;
+    this.isLoaded = false;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup delegated event listeners on the reviews container
+   */
+  setupEventListeners() {
+    DOMUtils.addEventListener(this.container, 'click', (e) => {
+      const helpfulBtn = e.target.closest('.review-helpful-btn');
+      if (helpfulBtn) {
+        this.markHelpful(parseInt(helpfulBtn.dataset.reviewId), helpfulBtn);
+        return;
+      }
+
+      const pageBtn = e.target.closest('.reviews-page-btn');
+      if (pageBtn && !pageBtn.disabled) {
+        this.goToPage(parseInt(pageBtn.dataset.page));
+        return;
+      }
+
+      if (e.target.closest('.write-review-btn')) {
+        this.toggleForm(true);
+      } else if (e.target.closest('.review-form-cancel')) {
+        this.toggleForm(false);
+      }
+    });
+
+    DOMUtils.addEventListener(this.container, 'change', (e) => {
+      if (e.target.id === 'reviews-sort') {
+        this.currentSort = e.target.value;
+        this.currentPage = 1;
+        this.loadReviews();
+      }
+    });
+
+    DOMUtils.addEventListener(this.container, 'submit', (e) => {
+      if (e.target.id === 'review-form') {
+        e.preventDefault();
+        this.submitReview(e.target);
+      }
+    });
+  }
+
+  /**
+   * Load reviews and the current user's review on first open
+   */
+  async load() {
+    if (this.isLoaded) return;
+    this.isLoaded = true;
+
+    this.container.innerHTML = `
+      <div class="spec-loading">
+        <div class="loading-spinner"></div>
+        <p>Loading reviews...</p>
+      </div>
+    `;
+
+    await Promise.all([this.loadReviews(false), this.loadMyReview()]);
+    this.render();
+  }
+
+  /**
+   * Load a page of reviews
+   * @param {boolean} rerender - Re-render after loading
+   */
+  async loadReviews(rerender = true) {
+    try {
+      const response = await ApiService.reviews.getByProduct(this.productId, {
+        page: this.currentPage,
+        limit: APP_CONFIG.REVIEWS.PER_PAGE,
+        sort: this.currentSort
+      });
+
+      if (response.success) {
+        this.reviews = response.data.reviews || [];
+        this.pagination = response.data.pagination || null;
+        this.summary = response.data.summary || this.summary;
+      }
+    } catch (error) {
+      console.error('Error loading reviews:', error);
+      this.reviews = [];
+    }
+
+    if (rerender) {
+      this.render();
+    }
+  }
+
+  /**
+   * Load current user's review and review eligibility
+   */
+  async loadMyReview() {
+    if (!isAuthenticated()) return;
+
+    try {
+      const response = await ApiService.reviews.getMine(this.productId);
+      if (response.success) {
+        this.myReview = response.data.review || null;
+        this.canReview = !!response.data.canReview;
+      }
+    } catch (error) {
+      console.error('Error loading your review:', error);
+    }
+  }
+
+  /**
+   * Render reviews tab
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="reviews-layout">
+        <aside class="reviews-summary">
+          ${this.renderSummary()}
+          ${this.renderWriteReview()}
+        </aside>
+
+        <div class="reviews-main">
+          ${this.isFormOpen ? this.renderForm() : ''}
+
+          <div class="reviews-toolbar">
+            <h3 class="reviews-title">Customer Reviews</h3>
+            <label class="reviews-sort">
+              <span>Sort by</span>
+              <select id="reviews-sort" class="reviews-sort__select">
+                <option value="helpful" ${this.currentSort === 'helpful' ? 'selected' : ''}>Most helpful</option>
+                <option value="newest" ${this.currentSort === 'newest' ? 'selected' : ''}>Newest</option>
+              </select>
+            </label>
+          </div>
+
+          <div class="reviews-list">
+            ${this.reviews.length > 0
+              ? this.reviews.map(review => this.renderReview(review)).join('')
+              : '<p class="reviews-empty">No reviews yet. Be the first to share your experience!</p>'}
+          </div>
+
+          ${this.renderPagination()}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render average rating and star histogram
+   */
+  renderSummary() {
+    const summary = this.summary || { averageRating: 0, totalReviews: 0, distribution: {} };
+    const total = summary.totalReviews || 0;
+    const average = Number(summary.averageRating || 0);
+
+    const bars = [5, 4, 3, 2, 1].map(stars => {
+      const count = (summary.distribution && summary.distribution[stars]) || 0;
+      const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+
+      return `
+        <div class="rating-bar">
+          <span class="rating-bar__label">${stars} <i class="ri-star-fill"></i></span>
+          <div class="rating-bar__track" role="progressbar" aria-valuenow="${percent}" aria-valuemin="0" aria-valuemax="100" aria-label="${stars} star reviews">
+            <div class="rating-bar__fill" style="width: ${percent}%"></div>
+          </div>
+          <span class="rating-bar__count">${count}</span>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="reviews-average">
+        <span class="reviews-average__value">${average.toFixed(1)}</span>
+        <div class="reviews-average__stars">${this.renderStars(average)}</div>
+        <span class="reviews-average__count">Based on ${total} review${total === 1 ? '' : 's'}</span>
+      </div>
+      <div class="rating-histogram">${bars}</div>
+    `;
+  }
+
+  /**
+   * Render write/edit review call to action
+   */
+  renderWriteReview() {
+    if (!isAuthenticated()) {
+      const returnUrl = encodeURIComponent(window.location.href);
+      return `
+        <p class="reviews-cta">
+          <a href="login.html?redirect=${returnUrl}">Log in</a> to write a review.
+        </p>
+      `;
+    }
+
+    if (this.myReview) {
+      return `
+        <div class="reviews-cta">
+          ${this.myReview.status === 'pending' ? '<p class="review-pending">Your review is awaiting moderation.</p>' : ''}
+          <button class="btn btn--outline write-review-btn">Edit your review</button>
+        </div>
+      `;
+    }
+
+    if (!this.canReview) {
+      return `
+        <p class="reviews-cta">Only verified purchasers can review this product.</p>
+      `;
+    }
+
+    return `
+      <div class="reviews-cta">
+        <button class="btn btn--primary write-review-btn">Write a review</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render review form (create or edit)
+   */
+  renderForm() {
+    const review = this.myReview || {};
+    const rating = review.rating || 0;
+
+    return `
+      <form class="review-form" id="review-form" novalidate>
+        <h4>${this.myReview ? 'Edit your review' : 'Write a review'}</h4>
+
+        <fieldset class="review-form__rating">
+          <legend>Your rating</legend>
+          ${[5, 4, 3, 2, 1].map(stars => `
+            <input type="radio" id="review-rating-${stars}" name="rating" value="${stars}" ${rating === stars ? 'checked' : ''}>
+            <label for="review-rating-${stars}" aria-label="${stars} star${stars === 1 ? '' : 's'}"><i class="ri-star-fill"></i></label>
+          `).join('')}
+        </fieldset>
+
+        <div class="review-form__group">
+          <label for="review-title">Title</label>
+          <input type="text" id="review-title" name="title" maxlength="120" value="${FormatUtils.escapeHtml(review.title || '')}">
+        </div>
+
+        <div class="review-form__group">
+          <label for="review-comment">Review</label>
+          <textarea id="review-comment" name="comment" rows="5" maxlength="${APP_CONFIG.REVIEWS.MAX_COMMENT_LENGTH}" required>${FormatUtils.escapeHtml(review.comment || '')}</textarea>
+        </div>
+
+        <div class="review-form__error" id="review-form-error" role="alert"></div>
+
+        <div class="review-form__actions">
+          <button type="button" class="btn btn--outline review-form-cancel">Cancel</button>
+          <button type="submit" class="btn btn--primary review-form-submit">
+            ${this.myReview ? 'Update review' : 'Submit review'}
+          </button>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Render a single review
+   */
+  renderReview(review) {
+    const author = review.author || review.userName || 'Customer';
+    const date = FormatUtils.date(review.updatedAt || review.createdAt);
+
+    return `
+      <article class="review-item">
+        <div class="review-item__header">
+          <div class="review-item__stars">${this.renderStars(review.rating)}</div>
+          ${review.title ? `<h4 class="review-item__title">${FormatUtils.escapeHtml(review.title)}</h4>` : ''}
+        </div>
+        <div class="review-item__meta">
+          <span class="review-item__author">${FormatUtils.escapeHtml(author)}</span>
+          ${review.isVerifiedPurchase ? '<span class="review-item__verified"><i class="ri-checkbox-circle-line"></i> Verified purchase</span>' : ''}
+          <span class="review-item__date">${date}</span>
+        </div>
+        <p class="review-item__comment">${FormatUtils.escapeHtml(review.comment)}</p>
+        <button class="review-helpful-btn" data-review-id="${review.id}" ${review.markedHelpful ? 'disabled' : ''}>
+          <i class="ri-thumb-up-line"></i>
+          Helpful (<span class="review-helpful-count">${review.helpfulCount || 0}</span>)
+        </button>
+      </article>
+    `;
+  }
+
+  /**
+   * Render pagination controls
+   */
+  renderPagination() {
+    if (!this.pagination || this.pagination.totalPages <= 1) return '';
+
+    const { currentPage, totalPages } = this.pagination;
+
+    return `
+      <div class="reviews-pagination">
+        <button class="reviews-page-btn" data-page="${currentPage - 1}" ${currentPage <= 1 ? 'disabled' : ''}>
+          <i class="ri-arrow-left-s-line"></i> Previous
+        </button>
+        <span class="reviews-page-info">Page ${currentPage} of ${totalPages}</span>
+        <button class="reviews-page-btn" data-page="${currentPage + 1}" ${currentPage >= totalPages ? 'disabled' : ''}>
+          Next <i class="ri-arrow-right-s-line"></i>
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render star rating
+   */
+  renderStars(rating) {
+    const rounded = Math.round(rating * 2) / 2;
+    let starsHTML = '';
+
+    for (let i = 1; i <= 5; i++) {
+      if (rounded >= i) {
+        starsHTML += '<i class="ri-star-fill rating-star filled"></i>';
+      } else if (rounded >= i - 0.5) {
+        starsHTML += '<i class="ri-star-half-line rating-star filled"></i>';
+      } else {
+        starsHTML += '<i class="ri-star-line rating-star"></i>';
+      }
+    }
+
+    return starsHTML;
+  }
+
+  /**
+   * Show or hide review form
+   */
+  toggleForm(open) {
+    this.isFormOpen = open;
+    this.render();
+
+    if (open) {
+      const form = DOMUtils.getId('review-form');
+      if (form) {
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        const firstInput = form.querySelector('input[name="rating"]');
+        if (firstInput) firstInput.focus();
+      }
+    }
+  }
+
+  /**
+   * Go to reviews page
+   */
+  async goToPage(page) {
+    this.currentPage = page;
+    await this.loadReviews();
+
+    const toolbar = this.container.querySelector('.reviews-toolbar');
+    if (toolbar) {
+      toolbar.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  /**
+   * Validate and submit review form
+   */
+  async submitReview(form) {
+    const errorElement = DOMUtils.getId('review-form-error');
+    const submitBtn = form.querySelector('.review-form-submit');
+    const formData = new FormData(form);
+
+    const reviewData = {
+      rating: parseInt(formData.get('rating')) || 0,
+      title: (formData.get('title') || '').trim(),
+      comment: (formData.get('comment') || '').trim()
+    };
+
+    const error = this.validateReview(reviewData);
+    if (error) {
+      if (errorElement) errorElement.textContent = error;
+      return;
+    }
+
+    try {
+      if (submitBtn) submitBtn.disabled = true;
+
+      const response = this.myReview
+        ? await ApiService.reviews.update(this.myReview.id, reviewData)
+        : await ApiService.reviews.create(this.productId, reviewData);
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to save review');
+      }
+
+      this.myReview = response.data.review;
+      this.isFormOpen = false;
+
+      if (window.NotificationManager) {
+        const message = this.myReview.status === 'pending'
+          ? 'Thanks! Your review will appear once it has been approved.'
+          : 'Your review has been saved.';
+        NotificationManager.show(message, 'success');
+      }
+
+      await this.loadReviews();
+    } catch (error) {
+      console.error('Error saving review:', error);
+      if (errorElement) errorElement.textContent = error.message || 'Failed to save review';
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Validate review data
+   * @returns {string|null} Error message
+   */
+  validateReview(reviewData) {
+    if (reviewData.rating < 1 || reviewData.rating > 5) {
+      return 'Please select a rating.';
+    }
+
+    if (reviewData.comment.length < APP_CONFIG.REVIEWS.MIN_COMMENT_LENGTH) {
+      return `Your review must be at least ${APP_CONFIG.REVIEWS.MIN_COMMENT_LENGTH} characters.`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark review as helpful
+   */
+  async markHelpful(reviewId, button) {
+    if (!isAuthenticated()) {
+      if (window.NotificationManager) {
+        NotificationManager.show('Please log in to vote on reviews', 'warning');
+      }
+      return;
+    }
+
+    try {
+      button.disabled = true;
+      const response = await ApiService.reviews.markHelpful(reviewId);
+
+      if (response.success) {
+        const review = this.reviews.find(item => item.id === reviewId);
+        if (review) {
+          review.helpfulCount = response.data.helpfulCount;
+          review.markedHelpful = true;
+        }
+
+        const count = button.querySelector('.review-helpful-count');
+        if (count) count.textContent = response.data.helpfulCount;
+      } else {
+        button.disabled = false;
+      }
+    } catch (error) {
+      console.error('Error marking review helpful:', error);
+      button.disabled = false;
+    }
+  }
+}
+
+// Export class for global access
+window.ProductReviews = ProductReviews;
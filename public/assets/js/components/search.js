@@ -270,9 +270,10 @@ class Search {
       `;
       
       // Perform search
+      // Typing again cancels the previous search
       const response = await ApiService.products.search(query, {
         limit: APP_CONFIG.SEARCH.MAX_SUGGESTIONS
-      });
+      }, { cancelKey: 'search-suggestions' });
       
       if (response.success) {
         this.renderSearchResults(response.data.products, query);
@@ -280,6 +281,8 @@ class Search {
         this.showNoResults(query);
       }
     } catch (error) {
+      if (isRequestCancelled(error)) return;
+
       console.error('Search error:', error);
       this.showSearchError();
     }
@@ -0,0 +1,264 @@
+/**
+ * Back-in-stock alerts component for Riya Collections
+ * Stores "notify me when available" subscriptions per product and variant.
+ * Subscriptions are kept by the stock alerts API and cached in local storage so
+ * the real-time inventory poll can tell which out-of-stock products to watch.
+ */
+
+class StockAlerts {
+  constructor() {
+    this.alerts = [];
+    this.isLoaded = false;
+    this.ready = null;
+    this.init();
+  }
+
+  /**
+   * Initialize stock alerts
+   */
+  init() {
+    this.alerts = this.getStoredAlerts();
+    this.ready = this.loadAlerts();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    DOMUtils.addEventListener(document, 'authStateChanged', () => {
+      this.ready = this.loadAlerts();
+    });
+  }
+
+  /**
+   * Check authentication state
+   * (auth pages replace window.isAuthenticated with a boolean)
+   */
+  isUserAuthenticated() {
+    return typeof window.isAuthenticated === 'function'
+      ? window.isAuthenticated()
+      : !!window.isAuthenticated;
+  }
+
+  /**
+   * Load alerts from the API for signed in users
+   * Guests keep the alerts they created on this device.
+   */
+  async loadAlerts() {
+    if (this.isUserAuthenticated()) {
+      try {
+        const response = await ApiService.stockAlerts.getAll();
+        if (response.success) {
+          this.alerts = response.data.alerts || [];
+          this.saveAlerts();
+        }
+      } catch (error) {
+        console.error('Error loading stock alerts:', error);
+      }
+    }
+
+    this.isLoaded = true;
+    this.updateStockAlertsUI();
+  }
+
+  /**
+   * Get alerts cached in local storage
+   * @returns {Array<Object>} Alerts
+   */
+  getStoredAlerts() {
+    const alerts = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.STOCK_ALERTS, []);
+    return Array.isArray(alerts) ? alerts : [];
+  }
+
+  /**
+   * Cache alerts in local storage
+   */
+  saveAlerts() {
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.STOCK_ALERTS, this.alerts);
+  }
+
+  /**
+   * Get all alerts
+   * @returns {Array<Object>} Alerts
+   */
+  getAlerts() {
+    return this.alerts;
+  }
+
+  /**
+   * Get alerts still waiting for a restock
+   * @returns {Array<Object>} Active alerts
+   */
+  getActiveAlerts() {
+    return this.alerts.filter(alert => alert.status === 'active');
+  }
+
+  /**
+   * Find the active alert for a product or variant
+   * @param {number} productId - Product ID
+   * @param {number|null} variantId - Variant ID
+   * @returns {Object|undefined} Alert
+   */
+  find(productId, variantId = null) {
+    const key = ProductUtils.cartLineKey(productId, variantId);
+    return this.getActiveAlerts().find(alert =>
+      ProductUtils.cartLineKey(alert.product_id, alert.variant_id) === key
+    );
+  }
+
+  /**
+   * Subscribe to a back-in-stock alert
+   * @param {Object} product - Product data
+   * @param {Object|null} variant - Selected variant
+   * @param {Object} contact - Contact details
+   * @param {string} contact.channel - 'email' or 'sms'
+   * @param {string} contact.value - Email address or phone number
+   * @returns {Promise<Object>} Created alert
+   */
+  async subscribe(product, variant, { channel, value }) {
+    const existing = this.find(product.id, variant?.id || null);
+    if (existing) return existing;
+
+    const response = await ApiService.stockAlerts.subscribe(product.id, {
+      variant_id: variant?.id || null,
+      channel,
+      email: channel === 'email' ? value : null,
+      phone: channel === 'sms' ? value : null
+    });
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to create stock alert');
+    }
+
+    const alert = {
+      product_id: product.id,
+      variant_id: variant?.id || null,
+      product_name: product.name,
+      variant_label: variant ? ProductUtils.variantLabel(variant.options) : null,
+      image_url: product.primaryImage || null,
+      channel,
+      contact: value,
+      status: 'active',
+      created_at: new Date().toISOString(),
+      ...response.data.alert
+    };
+
+    this.alerts.push(alert);
+    this.saveAlerts();
+    this.updateStockAlertsUI();
+
+    return alert;
+  }
+
+  /**
+   * Remove an alert
+   * @param {number} alertId - Alert ID
+   */
+  async remove(alertId) {
+    if (this.isUserAuthenticated()) {
+      const response = await ApiService.stockAlerts.remove(alertId);
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to remove stock alert');
+      }
+    }
+
+    this.alerts = this.alerts.filter(alert => String(alert.id) !== String(alertId));
+    this.saveAlerts();
+    this.updateStockAlertsUI();
+  }
+
+  /**
+   * Products the inventory poll should watch for a restock
+   * @returns {Array<number>} Product IDs
+   */
+  getWatchedProductIds() {
+    return Array.from(new Set(this.getActiveAlerts().map(alert => parseInt(alert.product_id, 10))));
+  }
+
+  /**
+   * Check whether any active alert is for a variant
+   * @returns {boolean} True when variant stock is needed
+   */
+  watchesVariants() {
+    return this.getActiveAlerts().some(alert => alert.variant_id);
+  }
+
+  /**
+   * Trigger alerts for products that are back in stock
+   * @param {Array<Object>} products - Products from the inventory poll
+   */
+  checkRestocks(products) {
+    const restocked = this.getActiveAlerts().filter(alert => {
+      const product = products.find(item => String(item.id) === String(alert.product_id));
+      if (!product) return false;
+
+      let source = product;
+      if (alert.variant_id) {
+        source = (product.variants || []).find(variant => String(variant.id) === String(alert.variant_id));
+        if (!source) return false;
+      }
+
+      return (source.stock_quantity ?? source.stockQuantity ?? 0) > 0;
+    });
+
+    if (restocked.length === 0) return;
+
+    restocked.forEach(alert => this.notifyRestock(alert));
+    this.saveAlerts();
+    this.updateStockAlertsUI();
+  }
+
+  /**
+   * Show the in-app alert and ask the server to send the email or SMS
+   * @param {Object} alert - Restocked alert
+   */
+  notifyRestock(alert) {
+    alert.status = 'notified';
+    alert.notified_at = new Date().toISOString();
+
+    const name = FormatUtils.escapeHtml(alert.product_name || 'A product you wanted');
+    const label = alert.variant_label ? ` (${FormatUtils.escapeHtml(alert.variant_label)})` : '';
+
+    if (window.NotificationManager) {
+      NotificationManager.show(
+        `${name}${label} is available again. <a href="product.html?id=${alert.product_id}${alert.variant_id ? `&variant=${alert.variant_id}` : ''}">Shop now</a>`,
+        'success',
+        { title: 'Back in stock', persistent: true }
+      );
+    }
+
+    if (alert.id) {
+      ApiService.stockAlerts.notify(alert.id, { skipLoading: true, skipErrorHandling: true })
+        .catch(error => console.error('Error sending stock alert:', error));
+    }
+  }
+
+  /**
+   * Notify listeners that alerts changed
+   */
+  updateStockAlertsUI() {
+    const stockAlertsCount = DOMUtils.getId('stock-alerts-count');
+    if (stockAlertsCount) {
+      stockAlertsCount.textContent = this.getActiveAlerts().length;
+    }
+
+    const event = new CustomEvent('stockAlertsUpdated', {
+      detail: { alerts: this.alerts }
+    });
+    document.dispatchEvent(event);
+  }
+}
+
+// Initialize stock alerts when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (!CONFIG_UTILS.isFeatureEnabled('STOCK_ALERTS')) return;
+
+  const stockAlerts = new StockAlerts();
+
+  // Export for global access
+  window.StockAlerts = stockAlerts;
+});
+
+// Export class for testing
+window.StockAlertsClass = StockAlerts;
@@ -0,0 +1,271 @@
+/**
+ * Wishlist component for Riya Collections
+ * Shared wishlist store used by product listings, product detail, cart and profile pages.
+ * Authenticated users are backed by the wishlist API; guests are kept in local storage
+ * and merged into the account wishlist after login.
+ */
+
+class Wishlist {
+  constructor() {
+    this.items = [];
+    this.productIds = new Set();
+    this.isLoaded = false;
+    this.ready = null;
+    this.init();
+  }
+
+  /**
+   * Initialize wishlist
+   */
+  init() {
+    this.ready = this.loadWishlist();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Merge guest wishlist when the user logs in on the current page
+    DOMUtils.addEventListener(document, 'authStateChanged', () => {
+      this.ready = this.loadWishlist();
+    });
+  }
+
+  /**
+   * Check authentication state
+   * (auth pages replace window.isAuthenticated with a boolean)
+   */
+  isUserAuthenticated() {
+    return typeof window.isAuthenticated === 'function'
+      ? window.isAuthenticated()
+      : !!window.isAuthenticated;
+  }
+
+  /**
+   * Load wishlist from API or local storage
+   */
+  async loadWishlist() {
+    try {
+      if (this.isUserAuthenticated()) {
+        const guestIds = this.getGuestProductIds();
+
+        if (guestIds.length > 0) {
+          await this.mergeGuestWishlist(guestIds);
+        } else {
+          const response = await ApiService.wishlist.getAll();
+          if (response.success) {
+            this.setItems(response.data.items);
+          }
+        }
+      } else {
+        this.items = [];
+        this.productIds = new Set(this.getGuestProductIds());
+      }
+    } catch (error) {
+      console.error('Error loading wishlist:', error);
+      if (!this.isUserAuthenticated()) {
+        this.productIds = new Set(this.getGuestProductIds());
+      }
+    }
+
+    this.isLoaded = true;
+    this.updateWishlistUI();
+  }
+
+  /**
+   * Merge guest wishlist into the account wishlist
+   */
+  async mergeGuestWishlist(productIds) {
+    const response = await ApiService.wishlist.merge(productIds);
+
+    if (response.success) {
+      CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.WISHLIST);
+      this.setItems(response.data.items);
+    }
+  }
+
+  /**
+   * Get guest wishlist product IDs
+   */
+  getGuestProductIds() {
+    const ids = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.WISHLIST, []);
+    return Array.isArray(ids) ? ids.map(id => String(id)) : [];
+  }
+
+  /**
+   * Save guest wishlist product IDs
+   */
+  saveGuestProductIds() {
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.WISHLIST, Array.from(this.productIds));
+  }
+
+  /**
+   * Replace wishlist items with server data
+   */
+  setItems(items = []) {
+    this.items = items;
+    this.productIds = new Set(items.map(item => String(item.productId || item.product_id || item.id)));
+  }
+
+  /**
+   * Check if product is in wishlist
+   */
+  has(productId) {
+    return this.productIds.has(String(productId));
+  }
+
+  /**
+   * Add product to wishlist
+   */
+  async add(productId) {
+    const id = String(productId);
+    if (this.has(id)) return true;
+
+    if (this.isUserAuthenticated()) {
+      const response = await ApiService.wishlist.add(productId);
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to add to wishlist');
+      }
+
+      if (response.data && Array.isArray(response.data.items)) {
+        this.setItems(response.data.items);
+      } else {
+        this.productIds.add(id);
+      }
+    } else {
+      this.productIds.add(id);
+      this.saveGuestProductIds();
+    }
+
+    this.updateWishlistUI();
+    return true;
+  }
+
+  /**
+   * Remove product from wishlist
+   */
+  async remove(productId) {
+    const id = String(productId);
+
+    if (this.isUserAuthenticated()) {
+      const response = await ApiService.wishlist.remove(productId);
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to remove from wishlist');
+      }
+      this.items = this.items.filter(item => String(item.productId || item.product_id || item.id) !== id);
+    }
+
+    this.productIds.delete(id);
+    if (!this.isUserAuthenticated()) {
+      this.saveGuestProductIds();
+    }
+
+    this.updateWishlistUI();
+    return false;
+  }
+
+  /**
+   * Toggle product in wishlist
+   * @returns {Promise<boolean>} Whether the product is now wishlisted
+   */
+  async toggle(productId) {
+    return this.has(productId) ? this.remove(productId) : this.add(productId);
+  }
+
+  /**
+   * Move product from wishlist to cart
+   */
+  async moveToCart(productId, quantity = 1) {
+    if (this.isUserAuthenticated()) {
+      const response = await ApiService.wishlist.moveToCart(productId, quantity);
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to move item to cart');
+      }
+
+      const id = String(productId);
+      this.items = this.items.filter(item => String(item.productId || item.product_id || item.id) !== id);
+      this.productIds.delete(id);
+      this.updateWishlistUI();
+
+      // Server moved the item, refresh the cart badge
+      if (window.Cart) {
+        await window.Cart.loadCartData();
+        window.Cart.updateCartUI();
+      }
+    } else {
+      if (window.Cart) {
+        await window.Cart.addItem(productId, quantity);
+      }
+      await this.remove(productId);
+    }
+  }
+
+  /**
+   * Sync heart buttons with wishlist state
+   * @param {Element|Document} container - Element containing wishlist buttons
+   */
+  hydrateButtons(container = document) {
+    if (!container) return;
+
+    container.querySelectorAll('.wishlist-btn[data-product-id]').forEach(button => {
+      const isActive = this.has(button.dataset.productId);
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+      button.setAttribute('aria-label', isActive ? 'Remove from wishlist' : 'Add to wishlist');
+
+      const icon = button.querySelector('i');
+      if (icon) {
+        icon.className = isActive ? 'ri-heart-fill' : 'ri-heart-line';
+      }
+    });
+  }
+
+  /**
+   * Update wishlist UI elements
+   */
+  updateWishlistUI() {
+    this.hydrateButtons(document);
+
+    const wishlistCount = DOMUtils.getId('wishlist-count');
+    if (wishlistCount) {
+      wishlistCount.textContent = this.getCount();
+    }
+
+    // Dispatch wishlist updated event
+    const event = new CustomEvent('wishlistUpdated', {
+      detail: {
+        productIds: Array.from(this.productIds),
+        items: this.items
+      }
+    });
+    document.dispatchEvent(event);
+  }
+
+  /**
+   * Get wishlist items (authenticated users only)
+   */
+  getItems() {
+    return this.items;
+  }
+
+  /**
+   * Get wishlist count
+   */
+  getCount() {
+    return this.productIds.size;
+  }
+}
+
+// Initialize wishlist when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (!CONFIG_UTILS.isFeatureEnabled('WISHLIST')) return;
+
+  const wishlist = new Wishlist();
+
+  // Export for global access
+  window.Wishlist = wishlist;
+});
+
+// Export class for testing
+window.WishlistClass = Wishlist;
@@ -7,6 +7,8 @@
  */
 
 // Configuration Loading State
+// Defaults are applied as soon as this file runs; configLoaded only becomes true
+// once the server configuration request has finished (or failed).
 let configLoaded = false;
 let configLoadPromise = null;
 
@@ -28,9 +30,24 @@ const DEFAULT_API_CONFIG = {
       LOGIN: '/auth/login',
       REGISTER: '/auth/register',
       LOGOUT: '/auth/logout',
+      REFRESH: '/auth/refresh',
       PROFILE: '/auth/profile',
       ADMIN_LOGIN: '/auth/admin/login',
-      ADMIN_REGISTER: '/auth/admin/register'
+      ADMIN_REGISTER: '/auth/admin/register',
+      ADMIN_2FA_VERIFY: '/auth/admin/2fa/verify',
+      ADMIN_2FA_ENABLE: '/auth/admin/2fa/enable',
+      FORGOT_PASSWORD: '/auth/forgot-password',
+      RESET_PASSWORD: '/auth/reset-password',
+      CHANGE_PASSWORD: '/auth/change-password',
+      OTP_SEND: '/auth/otp/send',
+      OTP_VERIFY: '/auth/otp/verify',
+      OAUTH_TOKEN: '/auth/oauth/:provider/token',
+      OAUTH_LINK: '/auth/oauth/link',
+      CONNECTED_ACCOUNTS: '/auth/connected-accounts',
+      CONNECTED_ACCOUNT: '/auth/connected-accounts/:provider',
+      SESSIONS: '/auth/sessions',
+      SESSION: '/auth/sessions/:id',
+      LOGIN_HISTORY: '/auth/login-history'
     },
     
     // Admin
@@ -43,13 +60,27 @@ const DEFAULT_API_CONFIG = {
       PRODUCT_CREATE: '/products',
       PRODUCT_UPDATE: '/products/:id',
       PRODUCT_DELETE: '/products/:id',
+      PRODUCT_IMPORT: '/admin/products/import',
+      PRODUCT_EXPORT: '/admin/products/export',
       PRODUCT_IMAGES: '/products/:id/images',
+      PRODUCT_IMAGE_UPLOADS: '/products/:id/images/uploads',
+      PRODUCT_IMAGE_UPLOAD: '/products/:id/images/uploads/:uploadId',
+      PRODUCT_IMAGE_ORDER: '/products/:id/images/order',
       PRODUCT_IMAGE_UPDATE: '/products/:productId/images/:imageId',
       PRODUCT_IMAGE_DELETE: '/products/:productId/images/:imageId',
       CATEGORIES: '/products/categories/all',
       CATEGORY_CREATE: '/products/categories',
       CATEGORY_UPDATE: '/products/categories/:id',
-      CATEGORY_DELETE: '/products/categories/:id'
+      CATEGORY_DELETE: '/products/categories/:id',
+      REVIEWS: '/admin/reviews',
+      REVIEW_MODERATE: '/admin/reviews/:id/moderate',
+      RETURNS: '/admin/returns',
+      RETURN_DECISION: '/admin/returns/:id/decision',
+      RETURN_REFUND: '/admin/returns/:id/refund',
+      INVENTORY: '/admin/inventory',
+      INVENTORY_THRESHOLD: '/admin/inventory/:id/threshold',
+      INVENTORY_SETTINGS: '/admin/inventory/settings',
+      INVENTORY_ADJUSTMENTS: '/admin/inventory/adjustments'
     },
     
     // Cart
@@ -58,7 +89,40 @@ const DEFAULT_API_CONFIG = {
       ADD: '/cart/add',
       UPDATE: '/cart/update',
       REMOVE: '/cart/remove',
-      CLEAR: '/cart/clear'
+      CLEAR: '/cart/clear',
+      MERGE: '/cart/merge'
+    },
+    
+    // Coupons
+    COUPONS: {
+      AVAILABLE: '/coupons/available',
+      VALIDATE: '/coupons/validate'
+    },
+    
+    // Reviews
+    REVIEWS: {
+      LIST: '/products/:productId/reviews',
+      CREATE: '/products/:productId/reviews',
+      MINE: '/products/:productId/reviews/mine',
+      UPDATE: '/reviews/:id',
+      HELPFUL: '/reviews/:id/helpful'
+    },
+    
+    // Wishlist
+    WISHLIST: {
+      LIST: '/wishlist',
+      ADD: '/wishlist',
+      REMOVE: '/wishlist/:productId',
+      MOVE_TO_CART: '/wishlist/:productId/move-to-cart',
+      MERGE: '/wishlist/merge'
+    },
+    
+    // Back-in-stock alerts
+    STOCK_ALERTS: {
+      CREATE: '/products/:id/stock-alerts',
+      LIST: '/stock-alerts',
+      DELETE: '/stock-alerts/:id',
+      NOTIFY: '/stock-alerts/:id/notify'
     },
     
     // Addresses
@@ -73,9 +137,30 @@ const DEFAULT_API_CONFIG = {
     ORDERS: {
       CREATE: '/orders',
       LIST: '/orders',
-      DETAIL: '/orders/:id'
+      DETAIL: '/orders/:id',
+      CANCEL: '/orders/:id/cancel',
+      RETURN: '/orders/:id/returns',
+      RETURN_PHOTOS: '/orders/:id/returns/photos'
+    },
+    
+    // Guest checkout
+    GUEST: {
+      SESSION: '/guest/session',
+      ORDER_LOOKUP: '/guest/orders/lookup',
+      CLAIM_ORDERS: '/guest/orders/claim'
     },
     
+    // Requests that carry the guest session token (X-Guest-Token): order lookup
+    // and claim, plus placing and paying for the guest order itself
+    GUEST_TOKEN_ENDPOINTS: [
+      '/guest/orders/lookup',
+      '/guest/orders/claim',
+      '/orders',
+      '/payments/razorpay/create',
+      '/payments/razorpay/verify',
+      '/payments/cod'
+    ],
+    
     // Payments
     PAYMENTS: {
       RAZORPAY_CREATE: '/payments/razorpay/create',
@@ -97,7 +182,26 @@ const DEFAULT_API_CONFIG = {
   RETRY: {
     MAX_ATTEMPTS: 3,
     DELAY: 1000,
-    BACKOFF_MULTIPLIER: 2
+    BACKOFF_MULTIPLIER: 2,
+    // Longest Retry-After wait honoured before giving up
+    MAX_RETRY_AFTER: 30000
+  },
+  
+  // Response cache for GET requests
+  CACHE: {
+    TTL: 60 * 1000, // 1 minute
+    // Endpoint prefixes whose GET responses are cached
+    ENDPOINTS: ['/products'],
+    // User specific endpoints under a cached prefix (review lists carry the viewer's markedHelpful flag)
+    SKIP: ['/reviews', '/images/uploads'],
+    // Extra prefixes cleared by writes to an endpoint prefix
+    INVALIDATES: {
+      '/orders': ['/cart', '/products'],
+      '/reviews': ['/products'],
+      '/admin/reviews': ['/products'],
+      '/admin/returns': ['/orders', '/products'],
+      '/admin/inventory': ['/products']
+    }
   }
 };
 
@@ -144,9 +248,19 @@ const DEFAULT_APP_CONFIG = {
     AUTH_TOKEN: 'riya_auth_token',
     USER_DATA: 'riya_user_data',
     CART_DATA: 'riya_cart_data',
+    GUEST_SESSION: 'riya_guest_session',
+    OFFLINE_CART_QUEUE: 'riya_offline_cart_queue',
     WISHLIST: 'riya_wishlist',
+    STOCK_ALERTS: 'riya_stock_alerts',
+    COMPARE_LIST: 'riya_compare_list',
+    APPLIED_COUPON: 'riya_applied_coupon',
+    SHIPPING_PINCODE: 'riya_shipping_pincode',
     RECENT_SEARCHES: 'riya_recent_searches',
-    THEME_PREFERENCE: 'riya_theme'
+    THEME_PREFERENCE: 'riya_theme',
+    PASSWORD_RESET_REQUEST: 'riya_password_reset_request',
+    OAUTH_REQUESTS: 'riya_oauth_requests',
+    OAUTH_RESULT: 'riya_oauth_result',
+    SESSION_ID: 'riya_session_id'
   },
   
   // Cart settings
@@ -156,6 +270,222 @@ const DEFAULT_APP_CONFIG = {
     AUTO_SAVE_DELAY: 1000 // milliseconds
   },
   
+  // Shipping and tax rules (server can override via config.pricing)
+  PRICING: {
+    DEFAULT_GST_RATE: 18,
+    // GST rate by category slug or ID, e.g. { 'skincare': 18, 'hair-oil': 5 }
+    GST_SLABS: {},
+    // GST on shipping and COD charges
+    CHARGES_GST_RATE: 18,
+    COD_FEE: 25,
+    SHIPPING: {
+      FREE_SHIPPING_THRESHOLD: 500,
+      DEFAULT_ITEM_WEIGHT_KG: 0.25,
+      DEFAULT_ZONE: 'standard',
+      ZONES: {
+        standard: {
+          BASE_RATE: 50,
+          INCLUDED_WEIGHT_KG: 1,
+          PER_KG_RATE: 20
+        }
+      },
+      // Pincode prefix to zone mapping, e.g. { PREFIXES: ['110'], ZONE: 'metro' }
+      PINCODE_ZONES: []
+    }
+  },
+  
+  // Order tracking timeline
+  ORDER_TRACKING: {
+    STEPS: [
+      { status: 'placed', label: 'Order Placed', icon: 'ri-file-list-3-line' },
+      { status: 'confirmed', label: 'Confirmed', icon: 'ri-checkbox-circle-line' },
+      { status: 'packed', label: 'Packed', icon: 'ri-archive-line' },
+      { status: 'shipped', label: 'Shipped', icon: 'ri-truck-line' },
+      { status: 'out_for_delivery', label: 'Out for Delivery', icon: 'ri-map-pin-time-line' },
+      { status: 'delivered', label: 'Delivered', icon: 'ri-home-smile-line' }
+    ],
+    // Legacy statuses mapped onto timeline steps
+    STATUS_ALIASES: {
+      processing: 'confirmed'
+    }
+  },
+  
+  // Cancellation and return requests
+  RETURNS: {
+    // Days after delivery a return or exchange can be requested
+    WINDOW_DAYS: 7,
+    MAX_PHOTOS: 4,
+    CANCELLABLE_STATUSES: ['placed', 'confirmed', 'processing', 'packed'],
+    CANCEL_REASONS: [
+      { value: 'changed_mind', label: 'Changed my mind' },
+      { value: 'ordered_by_mistake', label: 'Ordered by mistake' },
+      { value: 'better_price', label: 'Found a better price' },
+      { value: 'delivery_too_late', label: 'Delivery is taking too long' },
+      { value: 'other', label: 'Other' }
+    ],
+    RETURN_REASONS: [
+      { value: 'damaged', label: 'Item arrived damaged' },
+      { value: 'defective', label: 'Item is defective' },
+      { value: 'wrong_item', label: 'Received wrong item' },
+      { value: 'size_fit', label: 'Size or fit issue' },
+      { value: 'not_as_described', label: 'Not as described' },
+      { value: 'other', label: 'Other' }
+    ],
+    REFUND_METHODS: [
+      { value: 'original', label: 'Original payment method' },
+      { value: 'store_credit', label: 'Store credit' },
+      { value: 'bank_transfer', label: 'Bank transfer' }
+    ]
+  },
+  
+  // GST invoice details
+  INVOICE: {
+    NUMBER_PREFIX: 'INV-',
+    SELLER: {
+      NAME: 'Riya Collections',
+      GSTIN: '',
+      ADDRESS: [],
+      STATE: '',
+      STATE_CODE: '',
+      EMAIL: '',
+      PHONE: ''
+    },
+    DEFAULT_HSN: '3304',
+    // HSN code by category slug or ID, e.g. { 'hair-oil': '3305' }
+    HSN_CODES: {},
+    // HSN code for shipping and COD charges
+    CHARGES_HSN: '996812'
+  },
+  
+  // Admin product CSV import
+  PRODUCT_IMPORT: {
+    MAX_ROWS: 5000,
+    BATCH_SIZE: 200 // Rows per import request
+  },
+  
+  // Password reset
+  PASSWORD_RESET: {
+    RESEND_COOLDOWN: 60 * 1000 // Wait before another reset email can be requested
+  },
+  
+  // Admin two-factor authentication (TOTP authenticator apps)
+  ADMIN_2FA: {
+    CODE_LENGTH: 6,
+    TRUSTED_DEVICE_DAYS: 30,
+    BACKUP_CODES_WARNING: 3, // Warn when this many backup codes or fewer are left
+    // Admin access tokens must carry this authentication method reference (amr)
+    TOKEN_AMR: 'mfa'
+  },
+  
+  // Signed-in devices and login history in the profile Security tab
+  SESSIONS: {
+    LOGIN_HISTORY_LIMIT: 20,
+    // Why the server flagged a sign-in as suspicious
+    SUSPICIOUS_REASONS: {
+      new_device: 'New device',
+      new_location: 'New location',
+      impossible_travel: 'Unusual travel between sign-ins',
+      many_failures: 'Many failed attempts'
+    }
+  },
+  
+  // SMS one-time passwords for phone login, phone verification and re-verification
+  OTP: {
+    LENGTH: 6,
+    RESEND_COOLDOWN: 30 * 1000 // Used when the server does not say how long to wait
+  },
+  
+  // Social login (OAuth 2.0 authorization code flow with PKCE)
+  // Client IDs come from the server configuration. Set MOCK_AUTHORIZE_URL to send
+  // every provider to a local mock identity provider during development, e.g.
+  // '/pages/oauth-mock-provider.html'; it must redirect back to REDIRECT_PATH with
+  // ?code=...&state=... like a real provider.
+  OAUTH: {
+    REDIRECT_PATH: '/pages/oauth-callback.html',
+    REQUEST_TTL: 10 * 60 * 1000, // Sign-in attempts older than this are rejected
+    MOCK_AUTHORIZE_URL: null,
+    POPUP: {
+      WIDTH: 500,
+      HEIGHT: 650
+    },
+    PROVIDERS: {
+      google: {
+        NAME: 'Google',
+        ICON: 'ri-google-fill',
+        AUTHORIZE_URL: 'https://accounts.google.com/o/oauth2/v2/auth',
+        CLIENT_ID: '',
+        SCOPE: 'openid email profile'
+      },
+      facebook: {
+        NAME: 'Facebook',
+        ICON: 'ri-facebook-fill',
+        AUTHORIZE_URL: 'https://www.facebook.com/v18.0/dialog/oauth',
+        CLIENT_ID: '',
+        SCOPE: 'email public_profile'
+      }
+    }
+  },
+  
+  // Admin inventory
+  INVENTORY: {
+    // Used for products without their own low-stock threshold
+    DEFAULT_LOW_STOCK_THRESHOLD: 5,
+    ALERT_POLL_INTERVAL: 60000, // Fallback low-stock check while live updates are disconnected
+    ADJUSTMENTS_PER_PAGE: 25,
+    ADJUSTMENT_REASONS: [
+      { value: 'restock', label: 'Restock' },
+      { value: 'return', label: 'Customer return' },
+      { value: 'damaged', label: 'Damaged / expired' },
+      { value: 'correction', label: 'Stock count correction' },
+      { value: 'offline_sale', label: 'Offline sale' },
+      { value: 'other', label: 'Other' }
+    ]
+  },
+  
+  // Admin product image uploads
+  IMAGE_UPLOAD: {
+    MAX_FILES: 10,
+    MAX_FILE_SIZE: 25 * 1024 * 1024, // 25 MB before compression
+    ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+    // Images are resized and re-encoded before upload
+    MAX_DIMENSION: 2000,
+    FORMAT: 'image/webp',
+    QUALITY: 0.85,
+    // Files larger than this after compression are uploaded in chunks
+    CHUNK_THRESHOLD: 2 * 1024 * 1024, // 2 MB
+    CHUNK_SIZE: 1024 * 1024, // 1 MB
+    TIMEOUT: 60000, // Per request; a chunk or small file must finish within this
+    MAX_RETRIES: 3
+  },
+  
+  // Persistent API cache (IndexedDB with localStorage fallback)
+  CACHE: {
+    DB_NAME: 'riya_cache',
+    CHANNEL_NAME: 'riya_cache',
+    MAX_SIZE: 20 * 1024 * 1024, // 20 MB
+    MAX_ENTRIES: 500,
+    // localStorage fallback stays well under the browser quota
+    FALLBACK_MAX_SIZE: 2 * 1024 * 1024 // 2 MB
+  },
+  
+  // Progressive web app
+  PWA: {
+    SERVICE_WORKER_URL: '/service-worker.js',
+    SCOPE: '/'
+  },
+  
+  // Product comparison settings
+  COMPARE: {
+    MAX_ITEMS: 4
+  },
+  
+  // Review settings
+  REVIEWS: {
+    PER_PAGE: 5,
+    MIN_COMMENT_LENGTH: 10,
+    MAX_COMMENT_LENGTH: 2000
+  },
+  
   // Search settings
   SEARCH: {
     MIN_QUERY_LENGTH: 2,
@@ -225,12 +555,14 @@ const DEFAULT_UI_CONFIG = {
 const DEFAULT_FEATURES = {
   // Enable/disable features
   WISHLIST: true,
+  STOCK_ALERTS: true,
   PRODUCT_COMPARISON: true,
   REVIEWS: true,
-  SOCIAL_LOGIN: false,
+  SOCIAL_LOGIN: true,
+  OTP_LOGIN: true,
   GUEST_CHECKOUT: true,
   LIVE_CHAT: false,
-  PWA: false,
+  PWA: true,
   ANALYTICS: true,
   
   // Payment methods
@@ -339,19 +671,25 @@ const CONFIG_LOADER = {
         }
         
         configLoaded = true;
-        this._dispatchConfigLoadedEvent();
+        this._dispatchConfigLoadedEvent('server');
         
         console.log('Server configuration loaded successfully');
       } else {
         console.warn('Failed to load server configuration, using defaults');
-        this._initializeDefaultConfig();
+        this._finishWithDefaults();
       }
     } catch (error) {
       console.warn('Error loading server configuration:', error);
-      this._initializeDefaultConfig();
+      this._finishWithDefaults();
     }
   },
   
+  // Keep the defaults applied at startup and let waiting scripts continue
+  _finishWithDefaults() {
+    configLoaded = true;
+    this._dispatchConfigLoadedEvent('default');
+  },
+  
   // Execute JavaScript configuration from server
   _executeConfigScript(script) {
     try {
@@ -382,8 +720,41 @@ const CONFIG_LOADER = {
       if (config.features) {
         Object.assign(window.FEATURES || {}, DEFAULT_FEATURES, config.features);
       }
+      if (config.pricing) {
+        window.APP_CONFIG.PRICING = {
+          ...DEFAULT_APP_CONFIG.PRICING,
+          ...config.pricing,
+          SHIPPING: {
+            ...DEFAULT_APP_CONFIG.PRICING.SHIPPING,
+            ...config.pricing.SHIPPING,
+            ZONES: { ...DEFAULT_APP_CONFIG.PRICING.SHIPPING.ZONES, ...config.pricing.SHIPPING?.ZONES }
+          }
+        };
+      }
+      if (config.oauth) {
+        window.APP_CONFIG.OAUTH = {
+          ...DEFAULT_APP_CONFIG.OAUTH,
+          ...config.oauth,
+          PROVIDERS: Object.fromEntries(
+            Object.entries(DEFAULT_APP_CONFIG.OAUTH.PROVIDERS).map(([provider, settings]) => [
+              provider,
+              { ...settings, ...config.oauth.PROVIDERS?.[provider] }
+            ])
+          )
+        };
+      }
+      if (config.invoice) {
+        window.APP_CONFIG.INVOICE = {
+          ...DEFAULT_APP_CONFIG.INVOICE,
+          ...config.invoice,
+          SELLER: { ...DEFAULT_APP_CONFIG.INVOICE.SELLER, ...config.invoice.SELLER }
+        };
+      }
       
       // Set additional configuration objects
+      if (config.assets) {
+        window.ASSET_CONFIG = config.assets;
+      }
       if (config.environment) {
         window.ENVIRONMENT = config.environment;
       }
@@ -436,19 +807,16 @@ const CONFIG_LOADER = {
         ENABLED: environment === 'production'
       }
     };
-    
-    configLoaded = true;
-    this._dispatchConfigLoadedEvent();
   },
   
   // Dispatch configuration loaded event
-  _dispatchConfigLoadedEvent() {
+  _dispatchConfigLoadedEvent(source) {
     if (typeof window.dispatchEvent === 'function') {
       window.dispatchEvent(new CustomEvent('configLoaded', {
         detail: {
           environment: window.ENVIRONMENT?.NAME || 'unknown',
           timestamp: new Date().toISOString(),
-          source: configLoaded ? 'server' : 'default'
+          source
         }
       }));
     }
@@ -472,6 +840,32 @@ const ERROR_MESSAGES = {
   INVALID_PHONE: 'Please enter a valid phone number.',
   PASSWORD_TOO_SHORT: 'Password must be at least 8 characters long.',
   PASSWORDS_DONT_MATCH: 'Passwords do not match.',
+  PASSWORD_TOO_WEAK: 'Please choose a stronger password that meets the requirements below.',
+  
+  // Password reset errors
+  RESET_LINK_MISSING: 'This password reset link is incomplete. Please use the link from your email.',
+  RESET_LINK_INVALID: 'This password reset link is invalid or has expired.',
+  RESET_LINK_EXPIRED: 'This password reset link has expired.',
+  RESET_LINK_USED: 'This password reset link has already been used.',
+  TOO_MANY_RESET_REQUESTS: 'Too many reset requests.',
+  
+  // Phone verification errors
+  PHONE_REQUIRED: 'Please enter your phone number.',
+  PHONE_NOT_VERIFIED: 'Please verify your phone number to continue.',
+  OTP_REQUIRED: 'Please enter the verification code.',
+  OTP_INVALID: 'That code is incorrect. Please check it and try again.',
+  OTP_EXPIRED: 'This code has expired. Please request a new one.',
+  TOO_MANY_OTP_REQUESTS: 'Too many verification attempts.',
+  
+  // Social login errors
+  OAUTH_FAILED: 'Social sign-in failed. Please try again.',
+  OAUTH_CANCELLED: 'Sign-in was cancelled.',
+  OAUTH_EXPIRED: 'This sign-in attempt has expired. Please try again.',
+  OAUTH_UNAVAILABLE: 'This sign-in option is not available right now.',
+  OAUTH_ACCOUNT_IN_USE: 'This account is already connected to another Riya Collections account.',
+  
+  // Session errors
+  SESSION_ENDED: 'You have been signed out of this device. Please log in again.',
   
   // Cart errors
   OUT_OF_STOCK: 'This product is out of stock.',
@@ -491,6 +885,13 @@ const SUCCESS_MESSAGES = {
   ORDER_PLACED: 'Order placed successfully!',
   PROFILE_UPDATED: 'Profile updated successfully.',
   PASSWORD_CHANGED: 'Password changed successfully.',
+  PASSWORD_RESET: 'Your password has been reset. You can now log in.',
+  PASSWORD_RESET_SENT: 'Password reset instructions sent!',
+  OTP_SENT: 'Verification code sent.',
+  PHONE_VERIFIED: 'Phone number verified.',
+  ACCOUNT_CONNECTED: 'Account connected successfully.',
+  ACCOUNT_DISCONNECTED: 'Account disconnected.',
+  SESSION_REVOKED: 'That device has been signed out.',
   NEWSLETTER_SUBSCRIBED: 'Successfully subscribed to newsletter!',
   LOGOUT_SUCCESS: 'Logged out successfully.'
 };
@@ -632,18 +1033,18 @@ const CONFIG_UTILS = {
     }
     
     return new Promise((resolve) => {
+      let fallbackTimer = null;
+      
       const handleConfigLoaded = () => {
         window.removeEventListener('configLoaded', handleConfigLoaded);
+        clearTimeout(fallbackTimer);
         resolve();
       };
       
       window.addEventListener('configLoaded', handleConfigLoaded);
       
       // Fallback timeout
-      setTimeout(() => {
-        window.removeEventListener('configLoaded', handleConfigLoaded);
-        resolve();
-      }, 5000);
+      fallbackTimer = setTimeout(handleConfigLoaded, 5000);
     });
   },
   
@@ -0,0 +1,157 @@
+/**
+ * Guest checkout for Riya Collections
+ * Keeps the guest session used to place orders without an account, looks up
+ * guest orders and turns a guest into a registered customer.
+ */
+
+const GuestCheckout = {
+  /**
+   * Check if the current visitor should use the guest flow
+   * @returns {boolean} Guest checkout active
+   */
+  isActive() {
+    return CONFIG_UTILS.isFeatureEnabled('GUEST_CHECKOUT') && !isAuthenticated();
+  },
+
+  /**
+   * Get stored guest session
+   * @returns {Object|null} Session with token, email, phone and order numbers
+   */
+  getSession() {
+    return CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.GUEST_SESSION, null);
+  },
+
+  /**
+   * Save guest session
+   * @param {Object} session - Guest session
+   */
+  saveSession(session) {
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.GUEST_SESSION, session);
+  },
+
+  /**
+   * Remove guest session
+   */
+  clearSession() {
+    CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.GUEST_SESSION);
+  },
+
+  /**
+   * Start or reuse a guest session for the given contact details
+   * @param {Object} contact - Guest email and phone
+   * @returns {Promise<Object>} Guest session
+   */
+  async startSession({ email, phone }) {
+    const session = this.getSession();
+    if (session?.token && session.email === email && session.phone === phone) {
+      return session;
+    }
+
+    const response = await ApiService.guest.createSession({ email, phone });
+    if (!response.success || !response.data?.guest_token) {
+      throw new Error(response.message || 'Failed to start guest checkout');
+    }
+
+    const newSession = {
+      token: response.data.guest_token,
+      email,
+      phone,
+      orderNumbers: session?.orderNumbers || []
+    };
+    this.saveSession(newSession);
+
+    return newSession;
+  },
+
+  /**
+   * Remember an order placed in the guest session
+   * @param {Object} order - Order data
+   */
+  rememberOrder(order) {
+    const session = this.getSession();
+    if (!session || session.orderNumbers.includes(order.order_number)) return;
+
+    session.orderNumbers.push(order.order_number);
+    this.saveSession(session);
+  },
+
+  /**
+   * Look up an order by order number and checkout email
+   * @param {string} orderNumber - Order number
+   * @param {string} email - Email used at checkout
+   * @returns {Promise<Object>} Order data
+   */
+  async lookupOrder(orderNumber, email) {
+    const response = await ApiService.guest.lookupOrder(orderNumber.trim(), email.trim().toLowerCase());
+
+    if (!response.success || !response.data?.order) {
+      throw new Error(response.message || 'No order found with these details');
+    }
+
+    return response.data.order;
+  },
+
+  /**
+   * Create an account from the guest session
+   * Claims the session's orders and merges the local cart, which may hold items
+   * added after the guest order, into the new account
+   * @param {Object} details - First name, last name and password
+   * @returns {Promise<Object>} Registered user
+   */
+  async createAccount({ firstName, lastName, password }) {
+    const session = this.getSession();
+    if (!session) {
+      throw new Error('Guest session has expired. Please register from the sign up page.');
+    }
+
+    const response = await ApiService.auth.register({
+      firstName,
+      lastName,
+      email: session.email,
+      phone: session.phone,
+      password
+    });
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to create account');
+    }
+
+    try {
+      await ApiService.guest.claimOrders(session.token);
+    } catch (error) {
+      console.error('Failed to claim guest orders:', error);
+    }
+
+    await this.mergeLocalCart();
+    this.clearSession();
+
+    document.dispatchEvent(new CustomEvent('authStateChanged', {
+      detail: { isAuthenticated: true, user: response.data.user }
+    }));
+
+    return response.data.user;
+  },
+
+  /**
+   * Move the guest's local cart into the signed-in user's cart
+   */
+  async mergeLocalCart() {
+    const localCart = CartPage.getLocalCart();
+    if (!localCart.items?.length) return;
+
+    try {
+      await ApiService.cart.merge(localCart.items.map(item => ({
+        product_id: item.id || item.product_id,
+        variant_id: item.variant_id || item.variantId || null,
+        quantity: item.quantity
+      })));
+      CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.CART_DATA);
+    } catch (error) {
+      // Keep the local cart so nothing is lost
+      console.error('Failed to merge local cart:', error);
+    }
+  }
+};
+
+// Export guest checkout
+window.GuestCheckout = GuestCheckout;
@@ -323,8 +323,9 @@ class HomePage {
       <div class="product__card" data-product-id="${product.id}">
         <div class="product__image lazy-image-container">
           <img data-lazy-src="${product.primaryImage || 'assets/placeholder.jpg'}" 
-               alt="${product.name}" 
+               alt="${product.primaryImageAlt || product.name}" 
                class="product__img lazy-loading"
+               style="${ImageUtils.focalPosition(product.primaryImageFocalPoint)}"
                data-width="300"
                data-height="300">
           ${product.isNew ? '<span class="product__badge product__badge--new">New</span>' : ''}
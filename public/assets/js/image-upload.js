@@ -0,0 +1,241 @@
+/**
+ * Product image upload for the admin panel
+ * Compresses images to WebP, uploads large files in resumable chunks and
+ * reports progress for a single file
+ */
+
+class ProductImageUpload {
+  /**
+   * @param {number} productId - Product ID
+   * @param {File} file - Selected image file
+   * @param {Object} options - Upload options
+   * @param {string} options.altText - Image alt text
+   * @param {boolean} options.isPrimary - Whether the image is the primary image
+   * @param {Object} options.focalPoint - Thumbnail crop focus as { x, y } percentages
+   * @param {Object} options.headers - Extra request headers (e.g. admin Authorization)
+   * @param {Function} options.onProgress - Called with progress percent (0-100)
+   */
+  constructor(productId, file, options = {}) {
+    this.productId = productId;
+    this.file = file;
+    this.options = options;
+    this.settings = APP_CONFIG.IMAGE_UPLOAD;
+
+    this.status = 'pending';
+    this.error = null;
+    this.image = null;
+    this.compressed = null;
+    this.uploadId = null;
+    this.controller = null;
+  }
+
+  /**
+   * Resize and re-encode an image to WebP
+   * Keeps the original file when the browser cannot encode WebP or when
+   * re-encoding would not make it smaller.
+   * @param {File} file - Image file
+   * @returns {Promise<File>} Compressed file
+   */
+  static async compress(file) {
+    const settings = APP_CONFIG.IMAGE_UPLOAD;
+    if (typeof createImageBitmap !== 'function') return file;
+
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, settings.MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, settings.FORMAT, settings.QUALITY));
+
+    // Browsers without WebP encoding fall back to PNG
+    if (!blob || blob.type !== settings.FORMAT) return file;
+    if (scale === 1 && blob.size >= file.size) return file;
+
+    const name = file.name.replace(/\.[^.]+$/, '') + '.webp';
+    return new File([blob], name, { type: blob.type, lastModified: Date.now() });
+  }
+
+  /**
+   * Upload the file, resuming a previous chunked upload when possible
+   * @returns {Promise<Object>} Uploaded image data
+   */
+  async start() {
+    this.controller = new AbortController();
+    this.error = null;
+
+    try {
+      if (!this.compressed) {
+        this.status = 'compressing';
+        this.compressed = await ProductImageUpload.compress(this.file);
+      }
+
+      this.status = 'uploading';
+      this.reportProgress(0, this.compressed.size);
+
+      this.image = this.compressed.size > this.settings.CHUNK_THRESHOLD
+        ? await this.uploadChunked()
+        : await this.uploadSingle();
+
+      this.status = 'done';
+      this.reportProgress(this.compressed.size, this.compressed.size);
+
+      return this.image;
+    } catch (error) {
+      this.status = this.controller.signal.aborted ? 'cancelled' : 'failed';
+      this.error = error;
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the upload and discard chunks already received by the server
+   */
+  async cancel() {
+    if (this.controller) {
+      this.controller.abort();
+    }
+    this.status = 'cancelled';
+
+    if (!this.uploadId) return;
+
+    const uploadId = this.uploadId;
+    this.uploadId = null;
+
+    try {
+      await ApiService.admin.products.cancelImageUpload(this.productId, uploadId, {
+        ...this.requestOptions(),
+        signal: undefined
+      });
+    } catch (error) {
+      // Unfinished uploads expire on the server
+      console.error('Failed to cancel image upload:', error);
+    }
+  }
+
+  /**
+   * Upload a small file in one request
+   * @returns {Promise<Object>} Uploaded image data
+   */
+  async uploadSingle() {
+    const formData = new FormData();
+    formData.append('images', this.compressed);
+    if (this.options.altText) {
+      formData.append('alt_text', this.options.altText);
+    }
+    if (this.options.isPrimary) {
+      formData.append('is_primary', 'true');
+    }
+    if (this.options.focalPoint) {
+      formData.append('focal_x', this.options.focalPoint.x);
+      formData.append('focal_y', this.options.focalPoint.y);
+    }
+
+    const response = await ApiService.admin.products.uploadImages(this.productId, formData, {
+      ...this.requestOptions(),
+      onUploadProgress: (loaded, total) => this.reportProgress(loaded, total)
+    });
+
+    return response.data?.uploaded_images?.[0] || response.data;
+  }
+
+  /**
+   * Upload a large file in chunks
+   * After a failed chunk the upload resumes from the byte count the server
+   * reports, so chunks already received are not sent again.
+   * @returns {Promise<Object>} Uploaded image data
+   */
+  async uploadChunked() {
+    const products = ApiService.admin.products;
+    const total = this.compressed.size;
+    let offset = 0;
+    let failures = 0;
+
+    if (this.uploadId) {
+      offset = await this.getReceivedBytes();
+    } else {
+      const response = await products.startImageUpload(this.productId, {
+        file_name: this.compressed.name,
+        file_size: total,
+        mime_type: this.compressed.type,
+        alt_text: this.options.altText || '',
+        is_primary: !!this.options.isPrimary,
+        focal_x: this.options.focalPoint?.x,
+        focal_y: this.options.focalPoint?.y
+      }, this.requestOptions());
+
+      this.uploadId = response.data.upload_id;
+      offset = response.data.received_bytes || 0;
+    }
+
+    while (true) {
+      const chunk = this.compressed.slice(offset, Math.min(offset + this.settings.CHUNK_SIZE, total));
+      const chunkOffset = offset;
+
+      try {
+        const response = await products.uploadImageChunk(this.productId, this.uploadId, chunk, chunkOffset, total, {
+          ...this.requestOptions(),
+          onUploadProgress: (loaded) => this.reportProgress(chunkOffset + loaded, total)
+        });
+
+        if (response.data.image) {
+          this.uploadId = null;
+          return response.data.image;
+        }
+
+        offset = response.data.received_bytes;
+        failures = 0;
+      } catch (error) {
+        if (this.controller.signal.aborted || ++failures > this.settings.MAX_RETRIES) {
+          throw error;
+        }
+
+        offset = await this.getReceivedBytes();
+      }
+
+      this.reportProgress(offset, total);
+    }
+  }
+
+  /**
+   * Get the number of bytes the server has received for the current upload
+   * @returns {Promise<number>} Received bytes
+   */
+  async getReceivedBytes() {
+    const response = await ApiService.admin.products.getImageUpload(this.productId, this.uploadId, this.requestOptions());
+    return response.data.received_bytes || 0;
+  }
+
+  /**
+   * Options shared by every upload request
+   * @returns {Object} Request options
+   */
+  requestOptions() {
+    return {
+      headers: this.options.headers,
+      signal: this.controller?.signal,
+      timeout: this.settings.TIMEOUT,
+      skipLoading: true,
+      skipErrorHandling: true
+    };
+  }
+
+  /**
+   * Report progress percent
+   * @param {number} loaded - Bytes sent
+   * @param {number} total - Total bytes
+   */
+  reportProgress(loaded, total) {
+    if (typeof this.options.onProgress === 'function') {
+      this.options.onProgress(total > 0 ? (loaded / total) * 100 : 0);
+    }
+  }
+}
+
+// Export for use in other modules
+window.ProductImageUpload = ProductImageUpload;
@@ -0,0 +1,369 @@
+/**
+ * Invoice generator for Riya Collections
+ * Builds printable GST tax invoices for orders. Line taxes come from
+ * PricingRules so invoices match the amounts charged at checkout; the
+ * browser print dialog is used to save them as PDF.
+ */
+
+const InvoiceGenerator = {
+  /**
+   * Get invoice settings
+   * @returns {Object} Invoice settings
+   */
+  getSettings() {
+    return APP_CONFIG.INVOICE;
+  },
+
+  /**
+   * Check if an invoice can be issued for an order
+   * @param {Object} order - Order data
+   * @returns {boolean} Invoice available
+   */
+  isAvailable(order) {
+    return order.status !== 'cancelled' && order.payment_status !== 'failed';
+  },
+
+  /**
+   * Get invoice number for an order
+   * @param {Object} order - Order data
+   * @returns {string} Invoice number
+   */
+  getInvoiceNumber(order) {
+    return order.invoice_number || `${this.getSettings().NUMBER_PREFIX}${order.order_number}`;
+  },
+
+  /**
+   * Get HSN code for an order item
+   * Item codes from the server win over category codes
+   * @param {Object} item - Order item
+   * @returns {string} HSN code
+   */
+  getHsnCode(item) {
+    const settings = this.getSettings();
+
+    if (item.hsn_code) {
+      return item.hsn_code;
+    }
+
+    const categoryKey = item.category_slug || item.category?.slug || item.category_id || item.category?.id;
+    if (categoryKey !== undefined && categoryKey in settings.HSN_CODES) {
+      return settings.HSN_CODES[categoryKey];
+    }
+
+    return settings.DEFAULT_HSN;
+  },
+
+  /**
+   * Check if supply is inter-state (IGST) or intra-state (CGST + SGST)
+   * @param {Object} order - Order data
+   * @returns {boolean} Inter-state supply
+   */
+  isInterState(order) {
+    const sellerState = (this.getSettings().SELLER.STATE || '').trim().toLowerCase();
+    const placeOfSupply = (order.shipping_address?.state || '').trim().toLowerCase();
+
+    if (!sellerState || !placeOfSupply) return false;
+    return sellerState !== placeOfSupply;
+  },
+
+  /**
+   * Split tax into CGST/SGST or IGST
+   * @param {number} tax - Tax amount
+   * @param {boolean} interState - Inter-state supply
+   * @returns {Object} CGST, SGST and IGST amounts
+   */
+  splitTax(tax, interState) {
+    const total = PricingRules.round(tax);
+
+    if (interState) {
+      return { cgst: 0, sgst: 0, igst: total };
+    }
+
+    const cgst = PricingRules.round(total / 2);
+    return { cgst, sgst: PricingRules.round(total - cgst), igst: 0 };
+  },
+
+  /**
+   * Build invoice data for an order
+   * @param {Object} order - Order data with items and addresses
+   * @returns {Object} Invoice data
+   */
+  build(order) {
+    const settings = this.getSettings();
+    const interState = this.isInterState(order);
+
+    const items = (order.items || []).map(item => ({
+      ...item,
+      price: parseFloat(item.unit_price),
+      quantity: parseInt(item.quantity, 10)
+    }));
+    const discount = parseFloat(order.discount_amount || 0);
+    const shipping = parseFloat(order.shipping_amount || 0);
+    const codFee = parseFloat(order.cod_fee || 0);
+
+    const breakdown = PricingRules.getTaxBreakdown(items, discount, shipping + codFee);
+
+    const toInvoiceLine = (line, details) => ({
+      ...details,
+      taxableValue: PricingRules.round(line.taxableValue),
+      rate: line.rate,
+      ...this.splitTax(line.tax, interState),
+      total: PricingRules.round(line.taxableValue + line.tax)
+    });
+
+    const lines = breakdown.lines.map(line => toInvoiceLine(line, {
+      description: line.item.product_name,
+      sku: line.item.sku,
+      hsn: this.getHsnCode(line.item),
+      quantity: line.item.quantity,
+      unitPrice: line.item.price
+    }));
+
+    if (breakdown.charges.taxableValue > 0) {
+      lines.push(toInvoiceLine(breakdown.charges, {
+        description: codFee > 0 ? 'Shipping & COD charges' : 'Shipping charges',
+        hsn: settings.CHARGES_HSN,
+        quantity: 1,
+        unitPrice: shipping + codFee
+      }));
+    }
+
+    const totals = lines.reduce((sum, line) => ({
+      taxableValue: sum.taxableValue + line.taxableValue,
+      cgst: sum.cgst + line.cgst,
+      sgst: sum.sgst + line.sgst,
+      igst: sum.igst + line.igst,
+      total: sum.total + line.total
+    }), { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0 });
+
+    Object.keys(totals).forEach(key => {
+      totals[key] = PricingRules.round(totals[key]);
+    });
+
+    return {
+      number: this.getInvoiceNumber(order),
+      date: order.invoice_date || order.created_at,
+      orderNumber: order.order_number,
+      paymentMethod: order.payment_method,
+      seller: settings.SELLER,
+      customerGstin: order.billing_address?.gstin || order.gstin || null,
+      billingAddress: order.billing_address || order.shipping_address,
+      shippingAddress: order.shipping_address,
+      interState,
+      discount,
+      lines,
+      totals
+    };
+  },
+
+  /**
+   * Format amount with two decimals
+   * @param {number} amount - Amount in rupees
+   * @returns {string} Formatted amount
+   */
+  formatAmount(amount) {
+    return Number(amount || 0).toLocaleString('en-IN', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+  },
+
+  /**
+   * Render address block
+   * @param {Object} address - Address data
+   * @returns {string} HTML
+   */
+  renderAddress(address) {
+    if (!address) return '<p>N/A</p>';
+
+    const escape = FormatUtils.escapeHtml;
+    return `
+      <p><strong>${escape(address.first_name)} ${escape(address.last_name)}</strong></p>
+      <p>${escape(address.address_line1)}</p>
+      ${address.address_line2 ? `<p>${escape(address.address_line2)}</p>` : ''}
+      <p>${escape(address.city)}, ${escape(address.state)} ${escape(address.postal_code)}</p>
+      <p>${escape(address.country)}</p>
+      ${address.phone ? `<p>Phone: ${escape(address.phone)}</p>` : ''}
+    `;
+  },
+
+  /**
+   * Render a single invoice
+   * @param {Object} invoice - Invoice data from build()
+   * @returns {string} HTML
+   */
+  renderInvoice(invoice) {
+    const escape = FormatUtils.escapeHtml;
+    const seller = invoice.seller;
+    const taxColumns = invoice.interState ? ['IGST'] : ['CGST', 'SGST'];
+
+    const renderTaxCells = (line) => invoice.interState
+      ? `<td class="num">${line.rate}%</td><td class="num">${this.formatAmount(line.igst)}</td>`
+      : `<td class="num">${line.rate / 2}%</td><td class="num">${this.formatAmount(line.cgst)}</td>
+         <td class="num">${line.rate / 2}%</td><td class="num">${this.formatAmount(line.sgst)}</td>`;
+
+    return `
+      <section class="invoice">
+        <header class="invoice-header">
+          <div>
+            <h1>${escape(seller.NAME)}</h1>
+            ${seller.ADDRESS.map(line => `<p>${escape(line)}</p>`).join('')}
+            ${seller.GSTIN ? `<p><strong>GSTIN:</strong> ${escape(seller.GSTIN)}</p>` : ''}
+            ${seller.EMAIL ? `<p>${escape(seller.EMAIL)}</p>` : ''}
+            ${seller.PHONE ? `<p>${escape(seller.PHONE)}</p>` : ''}
+          </div>
+          <div class="invoice-meta">
+            <h2>Tax Invoice</h2>
+            <p><strong>Invoice No:</strong> ${escape(invoice.number)}</p>
+            <p><strong>Invoice Date:</strong> ${FormatUtils.date(invoice.date)}</p>
+            <p><strong>Order No:</strong> ${escape(invoice.orderNumber)}</p>
+            <p><strong>Payment:</strong> ${escape(String(invoice.paymentMethod || '').toUpperCase())}</p>
+            <p><strong>Place of Supply:</strong> ${escape(invoice.shippingAddress?.state || 'N/A')}</p>
+          </div>
+        </header>
+
+        <div class="invoice-addresses">
+          <div>
+            <h3>Bill To</h3>
+            ${this.renderAddress(invoice.billingAddress)}
+            ${invoice.customerGstin ? `<p><strong>GSTIN:</strong> ${escape(invoice.customerGstin)}</p>` : ''}
+          </div>
+          <div>
+            <h3>Ship To</h3>
+            ${this.renderAddress(invoice.shippingAddress)}
+          </div>
+        </div>
+
+        <table class="invoice-table">
+          <thead>
+            <tr>
+              <th rowspan="2">#</th>
+              <th rowspan="2">Description</th>
+              <th rowspan="2">HSN/SAC</th>
+              <th rowspan="2" class="num">Qty</th>
+              <th rowspan="2" class="num">Rate (₹)</th>
+              <th rowspan="2" class="num">Taxable Value (₹)</th>
+              ${taxColumns.map(column => `<th colspan="2">${column}</th>`).join('')}
+              <th rowspan="2" class="num">Total (₹)</th>
+            </tr>
+            <tr>
+              ${taxColumns.map(() => '<th class="num">Rate</th><th class="num">Amount (₹)</th>').join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${invoice.lines.map((line, index) => `
+              <tr>
+                <td>${index + 1}</td>
+                <td>
+                  ${escape(line.description)}
+                  ${line.sku ? `<div class="invoice-sku">SKU: ${escape(line.sku)}</div>` : ''}
+                </td>
+                <td>${escape(line.hsn)}</td>
+                <td class="num">${line.quantity}</td>
+                <td class="num">${this.formatAmount(line.unitPrice)}</td>
+                <td class="num">${this.formatAmount(line.taxableValue)}</td>
+                ${renderTaxCells(line)}
+                <td class="num">${this.formatAmount(line.total)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th colspan="5" class="num">Total</th>
+              <th class="num">${this.formatAmount(invoice.totals.taxableValue)}</th>
+              ${invoice.interState
+                ? `<th></th><th class="num">${this.formatAmount(invoice.totals.igst)}</th>`
+                : `<th></th><th class="num">${this.formatAmount(invoice.totals.cgst)}</th>
+                   <th></th><th class="num">${this.formatAmount(invoice.totals.sgst)}</th>`}
+              <th class="num">${this.formatAmount(invoice.totals.total)}</th>
+            </tr>
+          </tfoot>
+        </table>
+
+        <div class="invoice-summary">
+          ${invoice.discount > 0 ? `<p>Taxable values are after a coupon discount of ₹${this.formatAmount(invoice.discount)}.</p>` : ''}
+          <p class="invoice-grand-total">Invoice Total: ₹${this.formatAmount(invoice.totals.total)}</p>
+        </div>
+
+        <footer class="invoice-footer">
+          <p>This is a computer generated invoice and does not require a signature.</p>
+        </footer>
+      </section>
+    `;
+  },
+
+  /**
+   * Render printable document for one or more invoices
+   * @param {Array} invoices - Invoice data from build()
+   * @returns {string} HTML document
+   */
+  renderDocument(invoices) {
+    const title = invoices.length === 1 ? `Invoice ${invoices[0].number}` : `Invoices (${invoices.length})`;
+
+    return `<!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <title>${FormatUtils.escapeHtml(title)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; font-size: 12px; color: #1f2937; margin: 0; }
+          .invoice { padding: 24px; page-break-after: always; }
+          .invoice:last-child { page-break-after: auto; }
+          .invoice p { margin: 2px 0; }
+          .invoice h1 { font-size: 20px; margin: 0 0 6px; }
+          .invoice h2 { font-size: 16px; margin: 0 0 6px; text-transform: uppercase; }
+          .invoice h3 { font-size: 13px; margin: 0 0 6px; }
+          .invoice-header, .invoice-addresses { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 16px; }
+          .invoice-meta { text-align: right; }
+          .invoice-addresses > div { flex: 1; border: 1px solid #e5e7eb; padding: 10px; }
+          .invoice-table { width: 100%; border-collapse: collapse; }
+          .invoice-table th, .invoice-table td { border: 1px solid #e5e7eb; padding: 6px; text-align: left; vertical-align: top; }
+          .invoice-table thead th, .invoice-table tfoot th { background: #f8f9fa; }
+          .invoice-table .num { text-align: right; }
+          .invoice-sku { color: #6b7280; font-size: 11px; }
+          .invoice-summary { margin-top: 12px; text-align: right; }
+          .invoice-grand-total { font-size: 14px; font-weight: bold; }
+          .invoice-footer { margin-top: 24px; color: #6b7280; font-size: 11px; text-align: center; }
+        </style>
+      </head>
+      <body>
+        ${invoices.map(invoice => this.renderInvoice(invoice)).join('')}
+        <script>window.addEventListener('load', function () { window.print(); });</script>
+      </body>
+      </html>`;
+  },
+
+  /**
+   * Open a window for invoices
+   * Open it from the click handler before loading orders so pop-up
+   * blockers allow it
+   * @returns {Window} Invoice window
+   */
+  openWindow() {
+    const invoiceWindow = window.open('', '_blank');
+    if (!invoiceWindow) {
+      throw new Error('Please allow pop-ups to download invoices');
+    }
+
+    invoiceWindow.document.write('<p style="font-family: Arial, sans-serif;">Preparing invoice...</p>');
+    return invoiceWindow;
+  },
+
+  /**
+   * Render invoices into a window and open the print dialog
+   * @param {Object|Array} orders - Order or orders with items and addresses
+   * @param {Window} invoiceWindow - Window from openWindow()
+   */
+  print(orders, invoiceWindow = null) {
+    const targetWindow = invoiceWindow || this.openWindow();
+    const invoices = (Array.isArray(orders) ? orders : [orders]).map(order => this.build(order));
+
+    targetWindow.document.open();
+    targetWindow.document.write(this.renderDocument(invoices));
+    targetWindow.document.close();
+    targetWindow.focus();
+  }
+};
+
+// Export invoice generator
+window.InvoiceGenerator = InvoiceGenerator;
@@ -378,8 +378,8 @@ class RiyaCollections {
       console.log('🔗 API System integrated with main application');
       
       // Setup auth state listener
-      if (window.AuthManager) {
-        window.AuthManager.onAuthStateChange((authenticated, user) => {
+      if (window.AuthSession) {
+        window.AuthSession.onAuthStateChange((authenticated, user) => {
           if (authenticated) {
             this.updateAuthenticatedUI(user);
           } else {
@@ -497,7 +497,7 @@ class RiyaCollections {
         <a href="pages/orders.html" class="nav__user-link">
           <i class="ri-file-list-line"></i> My Orders
         </a>
-        <a href="pages/wishlist.html" class="nav__user-link">
+        <a href="pages/profile.html#wishlist" class="nav__user-link">
           <i class="ri-heart-line"></i> Wishlist
         </a>
         <a href="#" class="nav__user-link" id="logout-btn">
@@ -552,9 +552,9 @@ class RiyaCollections {
    */
   async handleLogout() {
     try {
-      // Use AuthManager if available, otherwise fallback to ApiService
-      if (window.AuthManager) {
-        await window.AuthManager.logout();
+      // Use AuthSession if available, otherwise fallback to ApiService
+      if (window.AuthSession) {
+        await window.AuthSession.logout();
       } else {
         await ApiService.auth.logout();
       }
@@ -0,0 +1,188 @@
+/**
+ * OAuth callback page for Riya Collections social login
+ * Exchanges the provider's authorization code for a session, asks for the
+ * password when the provider email already has an account, and reports the
+ * outcome to the page that opened the sign-in popup.
+ * Sessions are stored through the AuthenticationManager instance (window.AuthSession).
+ */
+
+class OAuthCallbackManager {
+  constructor() {
+    this.request = null;
+    this.linkToken = null;
+    this.init();
+  }
+
+  /**
+   * Initialize the callback page
+   */
+  init() {
+    const linkForm = DOMUtils.getId('oauth-link-form');
+
+    DOMUtils.addEventListener(linkForm, 'submit', (e) => {
+      e.preventDefault();
+      this.handleLink(linkForm);
+    });
+
+    this.handleCallback(new URLSearchParams(window.location.search));
+  }
+
+  /**
+   * Finish the sign-in or account connection
+   * @param {URLSearchParams} params - Callback query parameters
+   */
+  async handleCallback(params) {
+    let callback;
+
+    try {
+      callback = window.OAuthClient.parseCallback(params);
+    } catch (error) {
+      this.request = error.request || null;
+      this.showError(error.message, error.code);
+      return;
+    }
+
+    const { request, data } = callback;
+    this.request = request;
+
+    try {
+      if (request.mode === 'link') {
+        await ApiService.auth.connectAccount(request.provider, data);
+      } else {
+        await window.AuthSession.loginWithOAuth(request.provider, data);
+      }
+
+      this.finish();
+    } catch (error) {
+      console.error('OAuth callback error:', error);
+
+      const linkToken = error.data?.data?.link_token;
+
+      if (error.status === 409 && request.mode === 'login' && linkToken) {
+        this.showLinkForm(linkToken, error.data.data.email);
+      } else if (error.status === 409) {
+        this.showError(ERROR_MESSAGES.OAUTH_ACCOUNT_IN_USE, 'account_in_use');
+      } else {
+        this.showError(error.message || ERROR_MESSAGES.OAUTH_FAILED, 'exchange_failed');
+      }
+    }
+  }
+
+  /**
+   * Ask for the existing account's password before linking
+   * @param {string} linkToken - Link token from the server
+   * @param {string} email - Email shared by both accounts
+   */
+  showLinkForm(linkToken, email) {
+    this.linkToken = linkToken;
+
+    const provider = window.OAuthClient.getProvider(this.request.provider);
+
+    DOMUtils.getId('oauth-link-email').textContent = email || 'This email';
+    DOMUtils.getId('oauth-link-provider').textContent = provider?.NAME || this.request.provider;
+    if (email) {
+      DOMUtils.getId('oauth-link-forgot').href = `forgot-password.html?email=${encodeURIComponent(email)}`;
+    }
+
+    this.showState('oauth-link-form');
+    DOMUtils.getId('current-password').focus();
+  }
+
+  /**
+   * Handle link form submission
+   * @param {Element} form - Link form
+   */
+  async handleLink(form) {
+    const passwordInput = DOMUtils.getId('current-password');
+
+    // Existing passwords may predate the strength rules, so only require a value
+    if (!passwordInput.value) {
+      window.authManager.showFieldError(passwordInput, ERROR_MESSAGES.REQUIRED_FIELD);
+      passwordInput.focus();
+      return;
+    }
+
+    const submitBtn = DOMUtils.getId('oauth-link-btn');
+
+    try {
+      window.authManager.setLoadingState(submitBtn, true);
+      form.classList.add('loading');
+
+      await window.AuthSession.linkOAuthAccount(this.linkToken, passwordInput.value);
+
+      this.finish();
+    } catch (error) {
+      console.error('Account link error:', error);
+
+      if (error.status === 410 || error.status === 404) {
+        // Link tokens are short lived; the user has to start again
+        this.showError(ERROR_MESSAGES.OAUTH_EXPIRED, 'expired');
+      } else if (error.status === 429) {
+        window.authManager.showFieldError(passwordInput, 'Too many attempts. Please wait a few minutes and try again.');
+      } else {
+        window.authManager.showFieldError(passwordInput, error.message || ERROR_MESSAGES.GENERIC);
+        passwordInput.focus();
+      }
+    } finally {
+      window.authManager.setLoadingState(submitBtn, false);
+      form.classList.remove('loading');
+    }
+  }
+
+  /**
+   * Report success and continue
+   */
+  finish() {
+    window.OAuthClient.reportResult(this.request, 'success');
+
+    if (this.request.display === 'popup') {
+      this.showState('oauth-complete');
+      window.close();
+      return;
+    }
+
+    window.location.replace(this.request.returnUrl || '../index.html');
+  }
+
+  /**
+   * Report a failure and show the error state
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   */
+  showError(message, code) {
+    if (this.request) {
+      window.OAuthClient.reportResult(this.request, 'error', { message, code });
+
+      // The opening page shows the error
+      if (this.request.display === 'popup') {
+        window.close();
+      }
+
+      if (this.request.mode === 'link') {
+        DOMUtils.getId('oauth-error-back').href = 'profile.html#security';
+        DOMUtils.getId('oauth-error-back').textContent = 'Back to Profile';
+      }
+    }
+
+    DOMUtils.getId('oauth-error-message').textContent = message;
+    this.showState('oauth-error');
+  }
+
+  /**
+   * Show one of the page states
+   * @param {string} id - State element ID
+   */
+  showState(id) {
+    ['oauth-progress', 'oauth-link-form', 'oauth-complete', 'oauth-error'].forEach(stateId => {
+      DOMUtils.getId(stateId).style.display = stateId === id ? 'block' : 'none';
+    });
+  }
+}
+
+// Initialize after AuthManager so its validation helpers are available
+DOMUtils.addEventListener(document, 'DOMContentLoaded', () => {
+  window.oauthCallbackManager = new OAuthCallbackManager();
+});
+
+// Export for global access
+window.OAuthCallbackManager = OAuthCallbackManager;
@@ -0,0 +1,93 @@
+/**
+ * Mock OAuth provider for Riya Collections development
+ * Stands in for every social login provider when APP_CONFIG.OAUTH.MOCK_AUTHORIZE_URL
+ * points at pages/oauth-mock-provider.html. Allow redirects back with a code and
+ * Deny with error=access_denied, the same way a real provider answers.
+ */
+
+const OAuthMockProvider = {
+  /**
+   * Initialize the consent screen
+   */
+  init() {
+    const params = new URLSearchParams(window.location.search);
+
+    try {
+      // Fail early rather than after the user has chosen
+      this.buildRedirect(params, false);
+    } catch (error) {
+      this.showError(error.message);
+      return;
+    }
+
+    const provider = APP_CONFIG.OAUTH.PROVIDERS[params.get('provider')];
+    DOMUtils.getId('mock-provider-name').textContent = provider?.NAME || params.get('provider') || 'Provider';
+
+    DOMUtils.addEventListener(DOMUtils.getId('mock-allow-btn'), 'click', () => {
+      window.location.assign(this.buildRedirect(params, true));
+    });
+
+    DOMUtils.addEventListener(DOMUtils.getId('mock-deny-btn'), 'click', () => {
+      window.location.assign(this.buildRedirect(params, false));
+    });
+  },
+
+  /**
+   * Build the redirect back to the callback page
+   * Only same-origin redirect URIs are accepted so the page cannot be used as an open redirect.
+   * @param {URLSearchParams} params - Authorization request parameters
+   * @param {boolean} approved - Whether the user allowed access
+   * @returns {string} Callback URL with code and state, or error and state
+   * @throws {Error} When the request has no state or an invalid redirect URI
+   */
+  buildRedirect(params, approved) {
+    const redirectUri = params.get('redirect_uri');
+    const state = params.get('state');
+    const redirect = redirectUri ? new URL(redirectUri, window.location.origin) : null;
+
+    if (!redirect || redirect.origin !== window.location.origin) {
+      throw new Error('The redirect_uri must be on this site.');
+    }
+
+    if (!state) {
+      throw new Error('The request has no state value.');
+    }
+
+    if (approved) {
+      redirect.searchParams.set('code', `mock_${params.get('provider') || 'provider'}_${this.randomCode()}`);
+    } else {
+      redirect.searchParams.set('error', 'access_denied');
+    }
+    redirect.searchParams.set('state', state);
+
+    return redirect.toString();
+  },
+
+  /**
+   * Random authorization code
+   * @returns {string} Hex string
+   */
+  randomCode() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  },
+
+  /**
+   * Show why the request cannot be answered
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    DOMUtils.getId('mock-consent').style.display = 'none';
+    DOMUtils.getId('mock-error-message').textContent = message;
+    DOMUtils.getId('mock-error').style.display = 'block';
+  }
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  OAuthMockProvider.init();
+});
+
+// Export for testing
+window.OAuthMockProvider = OAuthMockProvider;
@@ -0,0 +1,185 @@
+/**
+ * Order Lookup Page JavaScript
+ * Lets guests find an order by order number and checkout email
+ */
+
+class OrderLookupPage {
+  constructor() {
+    this.elements = {
+      form: document.getElementById('order-lookup-form'),
+      orderNumber: document.getElementById('order-number'),
+      email: document.getElementById('email'),
+      submitBtn: document.getElementById('order-lookup-btn'),
+      result: document.getElementById('order-lookup-result')
+    };
+
+    this.init();
+  }
+
+  /**
+   * Initialize lookup page
+   */
+  init() {
+    if (!this.elements.form) return;
+
+    this.elements.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.lookupOrder();
+    });
+
+    [this.elements.orderNumber, this.elements.email].forEach(field => {
+      field.addEventListener('input', () => this.showFieldError(field, ''));
+    });
+
+    // Prefill from the checkout confirmation link
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('order')) {
+      this.elements.orderNumber.value = params.get('order');
+    }
+    if (params.get('email')) {
+      this.elements.email.value = params.get('email');
+    }
+
+    if (params.get('order') && params.get('email')) {
+      this.lookupOrder();
+    }
+  }
+
+  /**
+   * Validate lookup form
+   * @returns {boolean} Is valid
+   */
+  validateForm() {
+    let isValid = true;
+
+    if (!this.elements.orderNumber.value.trim()) {
+      this.showFieldError(this.elements.orderNumber, 'Please enter your order number');
+      isValid = false;
+    }
+
+    if (!ValidationUtils.email(this.elements.email.value.trim())) {
+      this.showFieldError(this.elements.email, 'Please enter a valid email address');
+      isValid = false;
+    }
+
+    return isValid;
+  }
+
+  /**
+   * Look up order and render result
+   */
+  async lookupOrder() {
+    if (!this.validateForm()) return;
+
+    this.setButtonLoading(true);
+
+    try {
+      const order = await GuestCheckout.lookupOrder(
+        this.elements.orderNumber.value,
+        this.elements.email.value
+      );
+
+      this.renderOrder(order);
+    } catch (error) {
+      console.error('Order lookup error:', error);
+      this.elements.result.style.display = 'none';
+      this.showError(error.message || 'No order found with these details');
+    } finally {
+      this.setButtonLoading(false);
+    }
+  }
+
+  /**
+   * Render order summary
+   * @param {Object} order - Order data
+   */
+  renderOrder(order) {
+    const items = order.items || [];
+    const address = order.shipping_address;
+
+    this.elements.result.innerHTML = `
+      <div class="order-lookup-header">
+        <div>
+          <h2 class="order-lookup-number">Order #${FormatUtils.escapeHtml(order.order_number)}</h2>
+          <p class="order-lookup-date">Placed on ${FormatUtils.date(order.created_at)}</p>
+        </div>
+        <span class="order-lookup-status ${order.status}">${order.status.replace(/_/g, ' ')}</span>
+      </div>
+
+      ${order.tracking_number ? `
+      <p class="order-lookup-tracking">
+        ${FormatUtils.escapeHtml(order.courier_name || 'Courier')} AWB: <strong>${FormatUtils.escapeHtml(order.tracking_number)}</strong>
+      </p>
+      ` : ''}
+
+      <ul class="order-lookup-items">
+        ${items.map(item => `
+          <li class="order-lookup-item">
+            <span>${FormatUtils.escapeHtml(item.product_name)} × ${item.quantity}</span>
+            <span>${FormatUtils.currency(item.total_price)}</span>
+          </li>
+        `).join('')}
+      </ul>
+
+      <div class="order-lookup-total">
+        <span>Total</span>
+        <span>${FormatUtils.currency(order.total_amount)}</span>
+      </div>
+
+      ${address ? `
+      <p class="order-lookup-address">
+        Delivering to ${FormatUtils.escapeHtml(address.first_name)} ${FormatUtils.escapeHtml(address.last_name)},
+        ${FormatUtils.escapeHtml(address.city)} ${FormatUtils.escapeHtml(address.postal_code)}
+      </p>
+      ` : ''}
+    `;
+
+    this.elements.result.style.display = 'block';
+  }
+
+  /**
+   * Show or clear field error
+   */
+  showFieldError(field, message) {
+    const errorElement = document.getElementById(`${field.id}-error`);
+
+    field.classList.toggle('invalid', !!message);
+    field.setAttribute('aria-invalid', message ? 'true' : 'false');
+
+    if (errorElement) {
+      errorElement.textContent = message;
+    }
+  }
+
+  /**
+   * Set submit button loading state
+   */
+  setButtonLoading(loading) {
+    const button = this.elements.submitBtn;
+    const text = button.querySelector('.btn-text');
+    const spinner = button.querySelector('.btn-loading');
+
+    button.disabled = loading;
+    text.style.display = loading ? 'none' : 'block';
+    spinner.style.display = loading ? 'flex' : 'none';
+  }
+
+  /**
+   * Show error message
+   */
+  showError(message) {
+    if (window.NotificationManager) {
+      NotificationManager.show(message, 'error');
+    }
+  }
+}
+
+// Initialize order lookup page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('order-lookup-form')) {
+    window.orderLookupPage = new OrderLookupPage();
+  }
+});
+
+// Export for use in other modules
+window.OrderLookupPage = OrderLookupPage;
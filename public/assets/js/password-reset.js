@@ -0,0 +1,320 @@
+/**
+ * Password reset functionality for Riya Collections
+ * Handles reset link requests on forgot-password.html and setting a new
+ * password from the emailed link on reset-password.html.
+ * Field validation, password toggles and the strength meter come from AuthManager.
+ */
+
+class PasswordResetManager {
+  constructor() {
+    this.settings = APP_CONFIG.PASSWORD_RESET;
+    this.token = null;
+    this.requestedEmail = null;
+    this.cooldownTimer = null;
+    this.init();
+  }
+
+  /**
+   * Initialize for whichever reset form is on the page
+   */
+  init() {
+    if (DOMUtils.getId('forgot-password-form')) {
+      this.initForgotPassword();
+    }
+
+    if (DOMUtils.getId('reset-password-form')) {
+      this.initResetPassword();
+    }
+  }
+
+  /**
+   * Setup the reset link request form
+   */
+  initForgotPassword() {
+    const form = DOMUtils.getId('forgot-password-form');
+    const resendBtn = DOMUtils.getId('resend-btn');
+    const changeEmailBtn = DOMUtils.getId('change-email-btn');
+
+    // Expired links send users back here with their email filled in
+    const email = new URLSearchParams(window.location.search).get('email');
+    if (email) {
+      DOMUtils.getId('email').value = email;
+    }
+
+    DOMUtils.addEventListener(form, 'submit', (e) => {
+      e.preventDefault();
+      this.handleResetRequest(form);
+    });
+
+    if (resendBtn) {
+      DOMUtils.addEventListener(resendBtn, 'click', () => {
+        this.requestResetLink(this.requestedEmail);
+      });
+    }
+
+    if (changeEmailBtn) {
+      DOMUtils.addEventListener(changeEmailBtn, 'click', () => {
+        form.style.display = 'block';
+        DOMUtils.getId('reset-success').style.display = 'none';
+        DOMUtils.getId('email').focus();
+      });
+    }
+  }
+
+  /**
+   * Handle reset link request form submission
+   * @param {Element} form - Forgot password form
+   */
+  async handleResetRequest(form) {
+    if (!window.authManager.validateForm(form)) {
+      return;
+    }
+
+    const email = DOMUtils.getId('email').value.trim();
+    const submitBtn = DOMUtils.getId('reset-btn');
+
+    try {
+      window.authManager.setLoadingState(submitBtn, true);
+      await this.requestResetLink(email);
+    } finally {
+      window.authManager.setLoadingState(submitBtn, false);
+    }
+  }
+
+  /**
+   * Request a reset link, respecting the resend cooldown
+   * @param {string} email - Account email
+   */
+  async requestResetLink(email) {
+    const wait = this.getCooldownRemaining(email);
+    if (wait > 0) {
+      this.showRequestError(`Please wait ${this.formatWait(wait)} before requesting another email.`);
+      return;
+    }
+
+    const resendBtn = DOMUtils.getId('resend-btn');
+    if (resendBtn) {
+      resendBtn.disabled = true;
+    }
+
+    try {
+      await ApiService.auth.forgotPassword(email);
+
+      CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.PASSWORD_RESET_REQUEST, {
+        email: email.toLowerCase(),
+        requestedAt: Date.now()
+      });
+
+      this.showRequestSent(email);
+
+      if (window.NotificationManager) {
+        NotificationManager.show(SUCCESS_MESSAGES.PASSWORD_RESET_SENT, 'success');
+      }
+    } catch (error) {
+      console.error('Password reset request error:', error);
+
+      if (error.status === 429) {
+        this.showRequestError(this.getRateLimitMessage(error));
+      } else {
+        this.showRequestError(error.message || ERROR_MESSAGES.GENERIC);
+      }
+    } finally {
+      this.startCooldown();
+    }
+  }
+
+  /**
+   * Show the "check your email" state
+   * @param {string} email - Email the link was sent to
+   */
+  showRequestSent(email) {
+    this.requestedEmail = email;
+
+    DOMUtils.getId('forgot-password-form').style.display = 'none';
+    DOMUtils.getId('reset-success').style.display = 'block';
+    DOMUtils.getId('reset-email').textContent = email;
+  }
+
+  /**
+   * Show a request error next to the email field, or as a notification
+   * once the form has been replaced by the success state
+   * @param {string} message - Error message
+   */
+  showRequestError(message) {
+    const emailInput = DOMUtils.getId('email');
+
+    if (DOMUtils.getId('forgot-password-form').style.display !== 'none') {
+      window.authManager.showFieldError(emailInput, message);
+      emailInput.focus();
+    } else if (window.NotificationManager) {
+      NotificationManager.show(message, 'error');
+    }
+  }
+
+  /**
+   * Time left before another reset email can be requested
+   * @param {string} email - Account email
+   * @returns {number} Milliseconds to wait
+   */
+  getCooldownRemaining(email) {
+    const request = CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.PASSWORD_RESET_REQUEST);
+    if (!request || !email || request.email !== email.toLowerCase()) return 0;
+
+    return Math.max(0, request.requestedAt + this.settings.RESEND_COOLDOWN - Date.now());
+  }
+
+  /**
+   * Count down on the resend button until another email can be requested
+   */
+  startCooldown() {
+    const resendBtn = DOMUtils.getId('resend-btn');
+    if (!resendBtn) return;
+
+    clearInterval(this.cooldownTimer);
+
+    const tick = () => {
+      const wait = this.getCooldownRemaining(this.requestedEmail);
+
+      resendBtn.disabled = wait > 0;
+      resendBtn.textContent = wait > 0 ? `Resend Email (${Math.ceil(wait / 1000)}s)` : 'Resend Email';
+
+      if (wait <= 0) {
+        clearInterval(this.cooldownTimer);
+      }
+    };
+
+    tick();
+    this.cooldownTimer = setInterval(tick, 1000);
+  }
+
+  /**
+   * Setup the new password form
+   */
+  initResetPassword() {
+    const form = DOMUtils.getId('reset-password-form');
+    this.token = new URLSearchParams(window.location.search).get('token');
+
+    if (!this.token) {
+      this.showLinkError(ERROR_MESSAGES.RESET_LINK_MISSING);
+      return;
+    }
+
+    DOMUtils.addEventListener(form, 'submit', (e) => {
+      e.preventDefault();
+      this.handleResetPassword(form);
+    });
+  }
+
+  /**
+   * Handle new password form submission
+   * @param {Element} form - Reset password form
+   */
+  async handleResetPassword(form) {
+    if (!window.authManager.validateForm(form)) {
+      return;
+    }
+
+    const password = DOMUtils.getId('password').value;
+    const submitBtn = DOMUtils.getId('reset-password-btn');
+
+    try {
+      window.authManager.setLoadingState(submitBtn, true);
+      form.classList.add('loading');
+
+      await ApiService.auth.resetPassword(this.token, password);
+
+      // The server signs out every session when the password changes
+      CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+      CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.USER_DATA);
+      CONFIG_UTILS.removeStorageItem('refresh_token');
+
+      form.style.display = 'none';
+      DOMUtils.getId('reset-complete').style.display = 'block';
+
+      if (window.NotificationManager) {
+        NotificationManager.show(SUCCESS_MESSAGES.PASSWORD_RESET, 'success');
+      }
+    } catch (error) {
+      console.error('Password reset error:', error);
+
+      const tokenError = this.getTokenError(error);
+
+      if (tokenError) {
+        this.showLinkError(tokenError);
+      } else if (error.status === 429) {
+        NotificationManager.show(this.getRateLimitMessage(error), 'error');
+      } else {
+        // Password rules the server rejected
+        window.authManager.showFieldError(DOMUtils.getId('password'), error.message || ERROR_MESSAGES.GENERIC);
+      }
+    } finally {
+      window.authManager.setLoadingState(submitBtn, false);
+      form.classList.remove('loading');
+    }
+  }
+
+  /**
+   * Map a reset error to a link error message
+   * The server reports the reason as errors.token ('expired', 'used' or 'invalid').
+   * @param {Error} error - API error
+   * @returns {string|null} Link error message, or null for other errors
+   */
+  getTokenError(error) {
+    const reason = error.data?.errors?.token;
+
+    if (reason === 'used') {
+      return ERROR_MESSAGES.RESET_LINK_USED;
+    }
+    if (reason === 'expired' || error.status === 410) {
+      return ERROR_MESSAGES.RESET_LINK_EXPIRED;
+    }
+    if (reason === 'invalid' || (error.status === 400 && /token/i.test(error.message))) {
+      return ERROR_MESSAGES.RESET_LINK_INVALID;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the form with the broken link state
+   * @param {string} message - Link error message
+   */
+  showLinkError(message) {
+    DOMUtils.getId('reset-password-form').style.display = 'none';
+    DOMUtils.getId('reset-link-error').style.display = 'block';
+    DOMUtils.getId('reset-link-error-message').textContent = message;
+  }
+
+  /**
+   * Build the rate limit message
+   * @param {Error} error - 429 API error
+   * @returns {string} Message
+   */
+  getRateLimitMessage(error) {
+    const wait = error.retryAfter || this.settings.RESEND_COOLDOWN;
+    return `${ERROR_MESSAGES.TOO_MANY_RESET_REQUESTS} Please try again in ${this.formatWait(wait)}.`;
+  }
+
+  /**
+   * Format a wait time for messages
+   * @param {number} ms - Milliseconds
+   * @returns {string} e.g. "45 seconds" or "5 minutes"
+   */
+  formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) {
+      return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+}
+
+// Initialize after AuthManager so its validation helpers are available
+DOMUtils.addEventListener(document, 'DOMContentLoaded', () => {
+  window.passwordResetManager = new PasswordResetManager();
+});
+
+// Export for global access
+window.PasswordResetManager = PasswordResetManager;
@@ -0,0 +1,214 @@
+/**
+ * Pricing rules for Riya Collections
+ * Shipping and GST calculation shared by the cart and checkout pages so both
+ * compute identical totals. Rules come from APP_CONFIG.PRICING, which the
+ * server can override through CONFIG_LOADER.
+ */
+
+const PricingRules = {
+  /**
+   * Wait for server configuration before calculating totals
+   * @returns {Promise<Object>} Active pricing rules
+   */
+  async load() {
+    try {
+      await CONFIG_LOADER.loadServerConfig();
+    } catch (error) {
+      console.warn('Using default pricing rules:', error);
+    }
+
+    return this.getRules();
+  },
+
+  /**
+   * Get active pricing rules
+   * @returns {Object} Pricing rules
+   */
+  getRules() {
+    return APP_CONFIG.PRICING;
+  },
+
+  /**
+   * Round amount to paise
+   * @param {number} amount - Amount in rupees
+   * @returns {number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  },
+
+  /**
+   * Get line subtotal for cart items
+   * @param {Array} items - Cart items
+   * @returns {number} Subtotal
+   */
+  getSubtotal(items = []) {
+    return items.reduce((total, item) => total + (item.price * item.quantity), 0);
+  },
+
+  /**
+   * Get GST rate for a cart item
+   * Server-provided item rates win over category slabs
+   * @param {Object} item - Cart item
+   * @returns {number} GST rate in percent
+   */
+  getItemTaxRate(item) {
+    const rules = this.getRules();
+
+    if (typeof item.gst_rate === 'number') {
+      return item.gst_rate;
+    }
+
+    const categoryKey = item.category_slug || item.category?.slug || item.category_id || item.category?.id;
+    if (categoryKey !== undefined && categoryKey in rules.GST_SLABS) {
+      return rules.GST_SLABS[categoryKey];
+    }
+
+    return rules.DEFAULT_GST_RATE;
+  },
+
+  /**
+   * Resolve shipping zone for a pincode
+   * Pincode rules naming a zone that is not configured fall back to DEFAULT_ZONE.
+   * @param {string} pincode - Delivery pincode
+   * @returns {Object} Zone rules with its key
+   */
+  getShippingZone(pincode) {
+    const shipping = this.getRules().SHIPPING;
+    const normalized = String(pincode || '').trim();
+
+    const match = normalized
+      ? shipping.PINCODE_ZONES.find(rule => rule.PREFIXES.some(prefix => normalized.startsWith(prefix)))
+      : null;
+
+    if (match && !shipping.ZONES[match.ZONE]) {
+      console.warn(`Unknown shipping zone "${match.ZONE}", using ${shipping.DEFAULT_ZONE}`);
+    }
+
+    const key = match && shipping.ZONES[match.ZONE] ? match.ZONE : shipping.DEFAULT_ZONE;
+    return { key, ...shipping.ZONES[key] };
+  },
+
+  /**
+   * Get total shipping weight for cart items
+   * @param {Array} items - Cart items
+   * @returns {number} Weight in kilograms
+   */
+  getCartWeight(items = []) {
+    const defaultWeight = this.getRules().SHIPPING.DEFAULT_ITEM_WEIGHT_KG;
+
+    return items.reduce((total, item) => {
+      const weight = Number(item.weight) || defaultWeight;
+      return total + (weight * item.quantity);
+    }, 0);
+  },
+
+  /**
+   * Calculate shipping charge
+   * @param {Array} items - Cart items
+   * @param {number} discountedSubtotal - Subtotal after coupon discount
+   * @param {string} pincode - Delivery pincode
+   * @returns {number} Shipping charge
+   */
+  calculateShipping(items, discountedSubtotal, pincode) {
+    if (!items.length) return 0;
+
+    const zone = this.getShippingZone(pincode);
+    const freeThreshold = zone.FREE_SHIPPING_THRESHOLD ?? this.getRules().SHIPPING.FREE_SHIPPING_THRESHOLD;
+
+    if (freeThreshold !== null && discountedSubtotal >= freeThreshold) {
+      return 0;
+    }
+
+    // Weight above the included allowance is charged per started kilogram
+    const extraWeight = Math.max(0, this.getCartWeight(items) - zone.INCLUDED_WEIGHT_KG);
+    return zone.BASE_RATE + (Math.ceil(extraWeight) * zone.PER_KG_RATE);
+  },
+
+  /**
+   * Get GST breakdown per line and for charges
+   * Coupon discount is spread across items in proportion to their value
+   * @param {Array} items - Cart items
+   * @param {number} discount - Coupon discount
+   * @param {number} charges - Shipping and COD charges
+   * @returns {Object} Line breakdown, charges breakdown and total tax
+   */
+  getTaxBreakdown(items, discount, charges) {
+    const subtotal = this.getSubtotal(items);
+    const discountRatio = subtotal > 0 ? Math.min(discount, subtotal) / subtotal : 0;
+
+    const lines = items.map(item => {
+      const taxableValue = item.price * item.quantity * (1 - discountRatio);
+      const rate = this.getItemTaxRate(item);
+      return { item, taxableValue, rate, tax: taxableValue * rate / 100 };
+    });
+
+    const chargesRate = this.getRules().CHARGES_GST_RATE;
+    const chargesLine = { taxableValue: charges, rate: chargesRate, tax: charges * chargesRate / 100 };
+
+    return {
+      lines,
+      charges: chargesLine,
+      tax: lines.reduce((total, line) => total + line.tax, 0) + chargesLine.tax
+    };
+  },
+
+  /**
+   * Calculate GST on goods and charges
+   * @param {Array} items - Cart items
+   * @param {number} discount - Coupon discount
+   * @param {number} charges - Shipping and COD charges
+   * @returns {number} Tax amount
+   */
+  calculateTax(items, discount, charges) {
+    return this.getTaxBreakdown(items, discount, charges).tax;
+  },
+
+  /**
+   * Calculate order totals
+   * @param {Object} options - Calculation inputs
+   * @param {Array} options.items - Cart items
+   * @param {number} options.discount - Validated coupon discount
+   * @param {string} options.pincode - Delivery pincode
+   * @param {string} options.paymentMethod - Selected payment method
+   * @returns {Object} Subtotal, discount, shipping, COD fee, tax and total
+   */
+  calculateTotals({ items = [], discount = 0, pincode = null, paymentMethod = null } = {}) {
+    const subtotal = this.getSubtotal(items);
+    const discountAmount = Math.min(discount, subtotal);
+    const shipping = this.calculateShipping(items, subtotal - discountAmount, pincode);
+    const codFee = paymentMethod === 'cod' && items.length ? this.getRules().COD_FEE : 0;
+    const tax = this.calculateTax(items, discountAmount, shipping + codFee);
+
+    return {
+      subtotal: this.round(subtotal),
+      discount: this.round(discountAmount),
+      shipping: this.round(shipping),
+      codFee: this.round(codFee),
+      tax: this.round(tax),
+      total: this.round(subtotal - discountAmount + shipping + codFee + tax),
+      zone: this.getShippingZone(pincode).key
+    };
+  },
+
+  /**
+   * Get last used delivery pincode
+   * @returns {string|null} Pincode
+   */
+  getSavedPincode() {
+    return CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.SHIPPING_PINCODE, null);
+  },
+
+  /**
+   * Remember delivery pincode so the cart can estimate shipping
+   * @param {string} pincode - Pincode
+   */
+  savePincode(pincode) {
+    if (pincode) {
+      CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.SHIPPING_PINCODE, String(pincode).trim());
+    }
+  }
+};
+
+// Export pricing rules
+window.PricingRules = PricingRules;
@@ -9,9 +9,14 @@ class ProductDetailPage {
     this.product = null;
     this.currentImageIndex = 0;
     this.images = [];
+    this.allImages = [];
     this.relatedProducts = [];
+    this.selectedOptions = {};
+    this.selectedVariant = null;
+    this.requestedVariantId = null;
     this.isLoading = false;
     this.quantity = 1;
+    this.reviews = null;
     
     this.init();
   }
@@ -41,6 +46,11 @@ class ProductDetailPage {
     if (id && !isNaN(id)) {
       this.productId = parseInt(id);
     }
+
+    const variantId = urlParams.get('variant');
+    if (variantId && !isNaN(variantId)) {
+      this.requestedVariantId = parseInt(variantId);
+    }
   }
 
   /**
@@ -126,6 +136,39 @@ class ProductDetailPage {
 
     // Thumbnail navigation
     this.setupThumbnailNavigation();
+
+    // Variant options
+    const variantsContainer = DOMUtils.getId('product-variants');
+    if (variantsContainer) {
+      DOMUtils.addEventListener(variantsContainer, 'click', (e) => {
+        const button = e.target.closest('.variant-value');
+        if (button && !button.disabled) {
+          this.selectOption(button.dataset.option, button.dataset.value);
+        }
+      });
+    }
+
+    // Back-in-stock alert
+    const stockAlertForm = DOMUtils.getId('stock-alert-form');
+    if (stockAlertForm) {
+      DOMUtils.addEventListener(stockAlertForm, 'submit', (e) => {
+        e.preventDefault();
+        this.subscribeStockAlert();
+      });
+
+      DOMUtils.addEventListener(stockAlertForm, 'change', (e) => {
+        if (e.target.name === 'stock-alert-channel') {
+          this.updateStockAlertChannel();
+        }
+      });
+    }
+
+    // Alerts load after the product for signed in users
+    DOMUtils.addEventListener(document, 'stockAlertsUpdated', () => {
+      if (this.product) {
+        this.renderStockAlert();
+      }
+    });
   }
 
   /**
@@ -196,6 +239,37 @@ class ProductDetailPage {
         this.switchTab(tabId);
       });
     });
+
+    // Rating link jumps to reviews tab
+    const ratingLink = DOMUtils.getId('rating-link');
+    if (ratingLink) {
+      DOMUtils.addEventListener(ratingLink, 'click', (e) => {
+        e.preventDefault();
+        this.switchTab('reviews');
+        DOMUtils.scrollTo('.product-tabs', 80);
+      });
+    }
+
+    // Server configuration can switch reviews off after setup
+    this.updateReviewsVisibility();
+    window.configReady.then(() => this.updateReviewsVisibility());
+  }
+
+  /**
+   * Show or hide the reviews tab and rating link for the REVIEWS feature
+   */
+  updateReviewsVisibility() {
+    const enabled = CONFIG_UTILS.isFeatureEnabled('REVIEWS');
+    const reviewsTabBtn = DOMUtils.getElement('.tab-btn[data-tab="reviews"]');
+    const ratingLink = DOMUtils.getId('rating-link');
+
+    if (reviewsTabBtn) reviewsTabBtn.style.display = enabled ? '' : 'none';
+    if (ratingLink) ratingLink.style.display = enabled ? '' : 'none';
+
+    // Leave the reviews tab if it was open
+    if (!enabled && reviewsTabBtn?.classList.contains('active')) {
+      this.switchTab('specifications');
+    }
   }
 
   /**
@@ -232,9 +306,11 @@ class ProductDetailPage {
 
       if (response.success) {
         this.product = response.data.product;
-        this.images = this.product.images || [];
+        this.allImages = this.product.images || [];
+        this.images = this.allImages;
         this.relatedProducts = this.product.relatedProducts || [];
         
+        this.initVariantSelection();
         this.renderProduct();
         this.hideLoading();
       } else {
@@ -253,10 +329,13 @@ class ProductDetailPage {
     this.updatePageTitle();
     this.renderBreadcrumb();
     this.renderProductInfo();
+    this.renderVariants();
     this.renderProductImages();
     this.renderProductSpecs();
     this.renderRelatedProducts();
     this.updateQuantityLimits();
+    this.updateWishlistButton();
+    this.updateCompareButton();
     
     // Show product detail section
     const productDetail = DOMUtils.getId('product-detail');
@@ -321,10 +400,7 @@ class ProductDetailPage {
     }
 
     // SKU
-    const skuElement = DOMUtils.getId('product-sku');
-    if (skuElement && this.product.sku) {
-      skuElement.textContent = this.product.sku;
-    }
+    this.renderSku();
 
     // Price
     this.renderPrice();
@@ -342,6 +418,17 @@ class ProductDetailPage {
     this.renderRating();
   }
 
+  /**
+   * Render SKU of the selected variant, or the product SKU
+   */
+  renderSku() {
+    const skuElement = DOMUtils.getId('product-sku');
+    const sku = this.selectedVariant?.sku || this.product.sku;
+    if (skuElement && sku) {
+      skuElement.textContent = sku;
+    }
+  }
+
   /**
    * Render product price
    */
@@ -349,21 +436,22 @@ class ProductDetailPage {
     const currentPriceElement = DOMUtils.getId('current-price');
     const originalPriceElement = DOMUtils.getId('original-price');
     const discountElement = DOMUtils.getId('price-discount');
+    const { price, originalPrice } = this.getActivePricing();
 
     if (currentPriceElement) {
-      currentPriceElement.textContent = FormatUtils.currency(this.product.price);
+      currentPriceElement.textContent = FormatUtils.currency(price);
     }
 
     // Handle discount pricing
-    if (this.product.originalPrice && this.product.originalPrice > this.product.price) {
+    if (originalPrice && originalPrice > price) {
       if (originalPriceElement) {
-        originalPriceElement.textContent = FormatUtils.currency(this.product.originalPrice);
+        originalPriceElement.textContent = FormatUtils.currency(originalPrice);
         originalPriceElement.style.display = 'inline';
       }
 
       if (discountElement) {
-        const discountPercent = Math.round(((this.product.originalPrice - this.product.price) / this.product.originalPrice) * 100);
-        const savings = this.product.originalPrice - this.product.price;
+        const discountPercent = Math.round(((originalPrice - price) / originalPrice) * 100);
+        const savings = originalPrice - price;
         
         discountElement.innerHTML = `
           <span class="discount-badge">${discountPercent}% OFF</span>
@@ -371,6 +459,15 @@ class ProductDetailPage {
         `;
         discountElement.style.display = 'flex';
       }
+    } else {
+      // Another variant may have shown a discount
+      if (originalPriceElement) {
+        originalPriceElement.style.display = 'none';
+      }
+
+      if (discountElement) {
+        discountElement.style.display = 'none';
+      }
     }
   }
 
@@ -382,7 +479,7 @@ class ProductDetailPage {
     const stockQuantityElement = DOMUtils.getId('stock-quantity');
     const stockFillElement = DOMUtils.getId('stock-fill');
 
-    const stockQuantity = this.product.stockQuantity || 0;
+    const stockQuantity = this.getActiveStock();
     let stockStatus, stockLevel, stockText, fillWidth;
 
     if (stockQuantity === 0) {
@@ -430,7 +527,10 @@ class ProductDetailPage {
     // Update add to cart button
     const addToCartBtn = DOMUtils.getId('add-to-cart-btn');
     if (addToCartBtn) {
-      if (stockQuantity === 0) {
+      if (this.needsVariantSelection()) {
+        addToCartBtn.disabled = true;
+        addToCartBtn.querySelector('.btn-text').textContent = 'Select Options';
+      } else if (stockQuantity === 0) {
         addToCartBtn.disabled = true;
         addToCartBtn.querySelector('.btn-text').textContent = 'Out of Stock';
       } else {
@@ -438,6 +538,288 @@ class ProductDetailPage {
         addToCartBtn.querySelector('.btn-text').textContent = 'Add to Cart';
       }
     }
+
+    this.renderStockAlert();
+  }
+
+  /**
+   * Show the "Notify me when available" form for out-of-stock products
+   * Products with variants need a variant selected first, so the alert is per variant.
+   */
+  renderStockAlert() {
+    const form = DOMUtils.getId('stock-alert-form');
+    const subscribed = DOMUtils.getId('stock-alert-subscribed');
+    if (!form || !subscribed) return;
+
+    const canSubscribe = !!window.StockAlerts &&
+      !this.needsVariantSelection() &&
+      this.getActiveStock() === 0;
+
+    const alert = canSubscribe
+      ? window.StockAlerts.find(this.product.id, this.selectedVariant?.id || null)
+      : null;
+
+    form.style.display = canSubscribe && !alert ? '' : 'none';
+    subscribed.style.display = alert ? '' : 'none';
+
+    if (alert) {
+      const method = alert.channel === 'sms' ? 'text' : 'email';
+      subscribed.querySelector('span').textContent = `We'll ${method} ${alert.contact} when this is back in stock`;
+    } else if (canSubscribe) {
+      DOMUtils.getId('stock-alert-error').textContent = '';
+      this.updateStockAlertChannel();
+    }
+  }
+
+  /**
+   * Switch the contact input between email and phone
+   * Signed in users get their saved email or phone filled in.
+   */
+  updateStockAlertChannel() {
+    const input = DOMUtils.getId('stock-alert-contact');
+    const checked = DOMUtils.getElement('input[name="stock-alert-channel"]:checked');
+    if (!input || !checked) return;
+
+    const isSms = checked.value === 'sms';
+    if (input.dataset.channel === checked.value) return;
+
+    const user = window.getCurrentUser ? window.getCurrentUser() : null;
+
+    input.dataset.channel = checked.value;
+    input.type = isSms ? 'tel' : 'email';
+    input.placeholder = isSms ? 'Your mobile number' : 'Your email address';
+    input.setAttribute('aria-label', isSms ? 'Mobile number' : 'Email address');
+    input.value = (isSms ? user?.phone : user?.email) || '';
+  }
+
+  /**
+   * Subscribe to a back-in-stock alert for the product or selected variant
+   */
+  async subscribeStockAlert() {
+    const input = DOMUtils.getId('stock-alert-contact');
+    const errorElement = DOMUtils.getId('stock-alert-error');
+    const submitBtn = DOMUtils.getId('stock-alert-submit');
+    const channel = input.dataset.channel || 'email';
+    const value = input.value.trim();
+
+    const isValid = channel === 'sms' ? ValidationUtils.phone(value) : ValidationUtils.email(value);
+    if (!isValid) {
+      errorElement.textContent = channel === 'sms' ? ERROR_MESSAGES.INVALID_PHONE : ERROR_MESSAGES.INVALID_EMAIL;
+      input.focus();
+      return;
+    }
+
+    try {
+      errorElement.textContent = '';
+      submitBtn.disabled = true;
+
+      await window.StockAlerts.subscribe(this.product, this.selectedVariant, { channel, value });
+
+      // Guests may not have inventory polling running yet
+      if (window.RealTimeManager) {
+        window.RealTimeManager.start();
+      }
+    } catch (error) {
+      console.error('Stock alert error:', error);
+      errorElement.textContent = error.message || 'Failed to create stock alert';
+    } finally {
+      submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Check whether the product is sold in variants
+   * @returns {boolean} True when the product has variants
+   */
+  hasVariants() {
+    return Array.isArray(this.product?.variants) && this.product.variants.length > 0;
+  }
+
+  /**
+   * Check whether a variant must be chosen before adding to cart
+   * @returns {boolean} True when options are incomplete
+   */
+  needsVariantSelection() {
+    return this.hasVariants() && !this.selectedVariant;
+  }
+
+  /**
+   * Get stock for the selected variant, or the product total
+   * @returns {number} Stock quantity
+   */
+  getActiveStock() {
+    const source = this.selectedVariant || this.product;
+    return source.stockQuantity || 0;
+  }
+
+  /**
+   * Get pricing for the selected variant, falling back to product pricing
+   * @returns {Object} Price and original price
+   */
+  getActivePricing() {
+    return {
+      price: this.selectedVariant?.price ?? this.product.price,
+      originalPrice: this.selectedVariant?.originalPrice ?? this.product.originalPrice
+    };
+  }
+
+  /**
+   * Preselect options from the URL variant, or options with a single value
+   */
+  initVariantSelection() {
+    this.selectedOptions = {};
+    this.selectedVariant = null;
+    if (!this.hasVariants()) return;
+
+    const requested = this.product.variants.find(variant => variant.id === this.requestedVariantId);
+    if (requested) {
+      this.selectedOptions = { ...requested.options };
+    } else {
+      (this.product.options || []).forEach(option => {
+        if (option.values.length === 1) {
+          this.selectedOptions[option.name] = option.values[0].value;
+        }
+      });
+    }
+
+    this.applySelectedVariant();
+  }
+
+  /**
+   * Find variants matching the given option values
+   * @param {Object} selection - Option name to value map
+   * @returns {Array} Matching variants
+   */
+  findVariants(selection) {
+    return this.product.variants.filter(variant =>
+      Object.entries(selection).every(([name, value]) => variant.options[name] === value)
+    );
+  }
+
+  /**
+   * Select an option value and update the chosen variant
+   * Other selections that no longer form a variant with it are cleared.
+   * @param {string} name - Option name
+   * @param {string} value - Option value
+   */
+  selectOption(name, value) {
+    const selection = { [name]: value };
+
+    (this.product.options || []).forEach(option => {
+      const current = this.selectedOptions[option.name];
+      if (option.name === name || current === undefined) return;
+
+      if (this.findVariants({ ...selection, [option.name]: current }).length > 0) {
+        selection[option.name] = current;
+      }
+    });
+
+    this.selectedOptions = selection;
+    this.applySelectedVariant();
+    this.renderVariants();
+    this.renderSku();
+    this.renderPrice();
+    this.renderStock();
+    this.updateQuantityLimits();
+    this.renderProductImages();
+    this.updateVariantUrl();
+  }
+
+  /**
+   * Resolve the selected variant and its images
+   */
+  applySelectedVariant() {
+    const options = this.product.options || [];
+    const complete = options.every(option => this.selectedOptions[option.name] !== undefined);
+
+    this.selectedVariant = complete ? this.findVariants(this.selectedOptions)[0] || null : null;
+
+    // Variant images first, in the order set for the variant
+    const imageIds = this.selectedVariant?.imageIds || [];
+    const variantImages = imageIds
+      .map(id => this.allImages.find(image => image.id === id))
+      .filter(Boolean);
+
+    this.images = variantImages.length > 0 ? variantImages : this.allImages;
+    this.currentImageIndex = 0;
+  }
+
+  /**
+   * Keep the selected variant in the URL so it can be shared
+   */
+  updateVariantUrl() {
+    const url = new URL(window.location.href);
+
+    if (this.selectedVariant) {
+      url.searchParams.set('variant', this.selectedVariant.id);
+    } else {
+      url.searchParams.delete('variant');
+    }
+
+    window.history.replaceState(null, '', url);
+  }
+
+  /**
+   * Render variant option swatches and chips
+   */
+  renderVariants() {
+    const container = DOMUtils.getId('product-variants');
+    if (!container) return;
+
+    if (!this.hasVariants()) {
+      container.style.display = 'none';
+      return;
+    }
+
+    container.innerHTML = (this.product.options || []).map(option => {
+      const selected = this.selectedOptions[option.name];
+      const isSwatch = option.values.some(item => item.swatch);
+
+      const values = option.values.map(item => {
+        // Availability given the other selected options
+        const others = { ...this.selectedOptions, [option.name]: item.value };
+        const variants = this.findVariants(others);
+        const unavailable = variants.length === 0;
+        const outOfStock = !unavailable && variants.every(variant => !variant.stockQuantity);
+        const isSelected = selected === item.value;
+
+        const classes = [
+          'variant-value',
+          isSwatch ? 'variant-value--swatch' : 'variant-value--chip',
+          isSelected ? 'selected' : '',
+          outOfStock ? 'out-of-stock' : ''
+        ].filter(Boolean).join(' ');
+
+        const label = outOfStock ? `${item.value} (out of stock)` : item.value;
+
+        return `
+          <button type="button"
+                  class="${classes}"
+                  data-option="${FormatUtils.escapeHtml(option.name)}"
+                  data-value="${FormatUtils.escapeHtml(item.value)}"
+                  aria-pressed="${isSelected}"
+                  aria-label="${FormatUtils.escapeHtml(label)}"
+                  title="${FormatUtils.escapeHtml(label)}"
+                  ${unavailable ? 'disabled' : ''}>
+            ${isSwatch
+              ? `<span class="variant-swatch" style="background: ${FormatUtils.escapeHtml(item.swatch || '#ccc')}"></span>`
+              : FormatUtils.escapeHtml(item.value)}
+          </button>
+        `;
+      }).join('');
+
+      return `
+        <div class="variant-option" role="group" aria-label="${FormatUtils.escapeHtml(option.name)}">
+          <div class="variant-option__label">
+            ${FormatUtils.escapeHtml(option.name)}:
+            <span class="variant-option__selected">${selected ? FormatUtils.escapeHtml(selected) : 'Select'}</span>
+          </div>
+          <div class="variant-option__values">${values}</div>
+        </div>
+      `;
+    }).join('');
+
+    container.style.display = 'block';
   }
 
   /**
@@ -562,14 +944,16 @@ class ProductDetailPage {
 
     const badges = [];
 
+    const { price, originalPrice } = this.getActivePricing();
+
     // Out of stock badge
-    if (this.product.stockQuantity === 0) {
+    if (this.getActiveStock() === 0) {
       badges.push('<div class="image-badge image-badge--out-of-stock">Out of Stock</div>');
     }
 
     // Sale badge
-    if (this.product.originalPrice && this.product.originalPrice > this.product.price) {
-      const discountPercent = Math.round(((this.product.originalPrice - this.product.price) / this.product.originalPrice) * 100);
+    if (originalPrice && originalPrice > price) {
+      const discountPercent = Math.round(((originalPrice - price) / originalPrice) * 100);
       badges.push(`<div class="image-badge image-badge--sale">${discountPercent}% Off</div>`);
     }
 
@@ -744,7 +1128,7 @@ class ProductDetailPage {
    * Update quantity
    */
   updateQuantity(newQuantity) {
-    const maxQuantity = Math.min(this.product.stockQuantity, APP_CONFIG.CART.MAX_QUANTITY);
+    const maxQuantity = Math.min(this.getActiveStock(), APP_CONFIG.CART.MAX_QUANTITY);
     const minQuantity = APP_CONFIG.CART.MIN_QUANTITY;
 
     // Validate quantity
@@ -780,7 +1164,7 @@ class ProductDetailPage {
   updateQuantityLimits() {
     const quantityInput = DOMUtils.getId('quantity-input');
     if (quantityInput && this.product) {
-      const maxQuantity = Math.min(this.product.stockQuantity, APP_CONFIG.CART.MAX_QUANTITY);
+      const maxQuantity = Math.min(this.getActiveStock(), APP_CONFIG.CART.MAX_QUANTITY);
       quantityInput.max = maxQuantity;
       
       // Reset quantity if it exceeds stock
@@ -794,7 +1178,16 @@ class ProductDetailPage {
    * Add product to cart
    */
   async addToCart() {
-    if (this.isLoading || !this.product || this.product.stockQuantity === 0) {
+    if (this.isLoading || !this.product) {
+      return;
+    }
+
+    if (this.needsVariantSelection()) {
+      this.showNotification('Please select product options', 'warning');
+      return;
+    }
+
+    if (this.getActiveStock() === 0) {
       return;
     }
 
@@ -811,7 +1204,7 @@ class ProductDetailPage {
 
       // Add to cart via Cart component
       if (window.Cart) {
-        await window.Cart.addItem(this.productId, this.quantity);
+        await window.Cart.addItem(this.productId, this.quantity, this.selectedVariant?.id || null);
         this.showNotification(`${this.product.name} added to cart!`, 'success');
       } else {
         throw new Error('Cart system not available');
@@ -826,31 +1219,56 @@ class ProductDetailPage {
       // Hide loading state
       if (addToCartBtn) {
         addToCartBtn.classList.remove('loading');
-        addToCartBtn.disabled = this.product.stockQuantity === 0;
+        addToCartBtn.disabled = this.needsVariantSelection() || this.getActiveStock() === 0;
       }
     }
   }
 
   /**
-   * Toggle wishlist
+   * Link wishlist button to current product and sync its state
    */
-  async toggleWishlist() {
+  updateWishlistButton() {
     const wishlistBtn = DOMUtils.getId('wishlist-btn');
-    
-    if (!isAuthenticated()) {
-      this.showNotification('Please log in to manage wishlist', 'warning');
-      return;
+    if (!wishlistBtn || !this.product) return;
+
+    wishlistBtn.dataset.productId = this.product.id;
+    if (window.Wishlist) {
+      window.Wishlist.hydrateButtons(wishlistBtn.parentElement);
     }
+  }
+
+  /**
+   * Link compare button to current product and sync its state
+   */
+  updateCompareButton() {
+    const compareBtn = DOMUtils.getId('compare-btn');
+    if (!compareBtn || !this.product) return;
+
+    compareBtn.dataset.productId = this.product.id;
+    if (window.Compare) {
+      window.Compare.hydrateButtons(compareBtn.parentElement);
+    }
+  }
+
+  /**
+   * Toggle wishlist
+   */
+  async toggleWishlist(productId = this.productId, button = DOMUtils.getId('wishlist-btn')) {
+    if (!window.Wishlist || !productId) return;
+
+    try {
+      if (button) button.disabled = true;
+      const isWishlisted = await window.Wishlist.toggle(productId);
 
-    if (wishlistBtn) {
-      const isActive = wishlistBtn.classList.contains('active');
-      wishlistBtn.classList.toggle('active');
-      
-      // TODO: Implement wishlist API calls
       this.showNotification(
-        isActive ? 'Removed from wishlist' : 'Added to wishlist', 
+        isWishlisted ? 'Added to wishlist' : 'Removed from wishlist',
         'success'
       );
+    } catch (error) {
+      console.error('Wishlist error:', error);
+      this.showNotification('Failed to update wishlist', 'error');
+    } finally {
+      if (button) button.disabled = false;
     }
   }
 
@@ -877,9 +1295,25 @@ class ProductDetailPage {
   /**
    * Add to compare
    */
-  addToCompare() {
-    // TODO: Implement product comparison functionality
-    this.showNotification('Compare feature coming soon!', 'info');
+  async addToCompare() {
+    if (!window.Compare || !this.product) return;
+
+    const compareBtn = DOMUtils.getId('compare-btn');
+
+    try {
+      if (compareBtn) compareBtn.disabled = true;
+      const isComparing = await window.Compare.toggle(this.product);
+
+      this.showNotification(
+        isComparing ? 'Added to compare' : 'Removed from compare',
+        'success'
+      );
+    } catch (error) {
+      console.error('Compare error:', error);
+      this.showNotification(error.message || 'Failed to update compare list', 'error');
+    } finally {
+      if (compareBtn) compareBtn.disabled = false;
+    }
   }
 
   /**
@@ -901,6 +1335,8 @@ class ProductDetailPage {
     // Load tab content if needed
     if (tabId === 'specifications') {
       this.loadSpecifications();
+    } else if (tabId === 'reviews') {
+      this.loadReviews();
     }
   }
 
@@ -920,30 +1356,7 @@ class ProductDetailPage {
     if (!specsContent || !this.product) return;
 
     // Create specifications from product data
-    const specs = {
-      'Product Information': {
-        'Brand': this.product.brand || 'N/A',
-        'SKU': this.product.sku || 'N/A',
-        'Category': this.product.category?.name || 'N/A'
-      },
-      'Availability': {
-        'Stock Status': this.product.stockQuantity > 0 ? 'In Stock' : 'Out of Stock',
-        'Quantity Available': this.product.stockQuantity || 0
-      }
-    };
-
-    // Add price information
-    if (this.product.price) {
-      specs['Pricing'] = {
-        'Current Price': FormatUtils.currency(this.product.price)
-      };
-      
-      if (this.product.originalPrice && this.product.originalPrice > this.product.price) {
-        specs['Pricing']['Original Price'] = FormatUtils.currency(this.product.originalPrice);
-        const discount = Math.round(((this.product.originalPrice - this.product.price) / this.product.originalPrice) * 100);
-        specs['Pricing']['Discount'] = `${discount}%`;
-      }
-    }
+    const specs = ProductUtils.getSpecifications(this.product);
 
     const specsHTML = `
       <div class="specifications-grid">
@@ -964,6 +1377,25 @@ class ProductDetailPage {
     specsContent.innerHTML = specsHTML;
   }
 
+  /**
+   * Load reviews content
+   */
+  loadReviews() {
+    const reviewsContent = DOMUtils.getId('reviews-content');
+    if (!reviewsContent || !this.productId) return;
+
+    if (!window.ProductReviews || !CONFIG_UTILS.isFeatureEnabled('REVIEWS')) {
+      reviewsContent.innerHTML = '<p class="reviews-empty">Reviews are not available right now.</p>';
+      return;
+    }
+
+    if (!this.reviews) {
+      this.reviews = new ProductReviews(this.productId, reviewsContent);
+    }
+
+    this.reviews.load();
+  }
+
   /**
    * Render related products
    */
@@ -1007,8 +1439,22 @@ class ProductDetailPage {
           }
         });
       }
+
+      // Wishlist button
+      const wishlistBtn = card.querySelector('.wishlist-btn');
+      if (wishlistBtn) {
+        DOMUtils.addEventListener(wishlistBtn, 'click', (e) => {
+          e.stopPropagation();
+          this.toggleWishlist(productId, wishlistBtn);
+        });
+      }
     });
 
+    // Sync wishlist hearts
+    if (window.Wishlist) {
+      window.Wishlist.hydrateButtons(grid);
+    }
+
     section.style.display = 'block';
   }
 
@@ -1030,6 +1476,14 @@ class ProductDetailPage {
           
           ${isOutOfStock ? '<div class="product-card__badge product-card__badge--out-of-stock">Out of Stock</div>' : ''}
           ${hasDiscount ? `<div class="product-card__badge product-card__badge--sale">${discountPercent}% Off</div>` : ''}
+          
+          <div class="product-card__actions">
+            <button class="product-card__action-btn wishlist-btn" 
+                    data-product-id="${product.id}"
+                    aria-label="Add to wishlist">
+              <i class="ri-heart-line"></i>
+            </button>
+          </div>
         </div>
         
         <div class="product-card__content">
@@ -29,6 +29,10 @@ class ProductsPage {
     this.categories = [];
     this.brands = [];
     
+    // Quick view state
+    this.quickViewProduct = null;
+    this.quickViewQuantity = 1;
+    
     this.init();
   }
 
@@ -234,6 +238,20 @@ class ProductsPage {
       this.parseUrlParams();
       this.loadProducts();
     });
+
+    // Quick view modal
+    const quickViewBody = DOMUtils.getId('quick-view-body');
+    if (quickViewBody) {
+      DOMUtils.addEventListener(quickViewBody, 'click', (e) => {
+        this.handleQuickViewClick(e);
+      });
+
+      DOMUtils.addEventListener(quickViewBody, 'change', (e) => {
+        if (e.target.id === 'quick-view-quantity') {
+          this.setQuickViewQuantity(parseInt(e.target.value) || 1);
+        }
+      });
+    }
   }
 
   /**
@@ -636,7 +654,7 @@ class ProductsPage {
    * Load products from API
    */
   async loadProducts(append = false) {
-    if (this.isLoading) return;
+    let superseded = false;
 
     this.isLoading = true;
     
@@ -678,7 +696,8 @@ class ProductsPage {
         params.outOfStock = true;
       }
 
-      const response = await ApiService.products.getAll(params);
+      // A newer filter, sort or page change cancels this request
+      const response = await ApiService.products.getAll(params, { cancelKey: 'products-page' });
 
       if (response.success) {
         const { products, pagination, brands } = response.data;
@@ -707,12 +726,20 @@ class ProductsPage {
         this.showProductsError(response.message);
       }
     } catch (error) {
+      if (isRequestCancelled(error)) {
+        superseded = true;
+        return;
+      }
+
       console.error('Error loading products:', error);
       this.showProductsError('Failed to load products. Please try again.');
     } finally {
-      this.isLoading = false;
-      this.hideProductsLoading();
-      this.hideLoadMoreLoading();
+      // The request that replaced this one owns the loading state
+      if (!superseded) {
+        this.isLoading = false;
+        this.hideProductsLoading();
+        this.hideLoadMoreLoading();
+      }
     }
   }
 
@@ -720,7 +747,8 @@ class ProductsPage {
    * Load more products (pagination)
    */
   async loadMoreProducts() {
-    if (this.loadingMore || this.currentPage >= this.totalPages) return;
+    // Appending shares the reload's cancel key, so it would cancel a pending filter, sort or page reload
+    if (this.loadingMore || this.isLoading || this.currentPage >= this.totalPages) return;
 
     this.loadingMore = true;
     this.currentPage++;
@@ -811,6 +839,16 @@ class ProductsPage {
 
     // Add event listeners
     this.addProductEventListeners(productsGrid);
+
+    // Sync wishlist hearts
+    if (window.Wishlist) {
+      window.Wishlist.hydrateButtons(productsGrid);
+    }
+
+    // Sync compare buttons
+    if (window.Compare) {
+      window.Compare.hydrateButtons(productsGrid);
+    }
   }
 
   /**
@@ -835,6 +873,16 @@ class ProductsPage {
       this.addProductCardListeners(product);
       product.setAttribute('data-listeners', 'true');
     });
+
+    // Sync wishlist hearts
+    if (window.Wishlist) {
+      window.Wishlist.hydrateButtons(productsGrid);
+    }
+
+    // Sync compare buttons
+    if (window.Compare) {
+      window.Compare.hydrateButtons(productsGrid);
+    }
   }
 
   /**
@@ -849,8 +897,9 @@ class ProductsPage {
       <div class="product-card" data-product-id="${product.id}">
         <div class="product-card__image-container">
           <img src="${product.primaryImage || '../assets/placeholder.jpg'}" 
-               alt="${product.name}" 
+               alt="${product.primaryImageAlt || product.name}" 
                class="product-card__image"
+               style="${ImageUtils.focalPosition(product.primaryImageFocalPoint)}"
                loading="lazy">
           
           ${isOutOfStock ? '<div class="product-card__badge product-card__badge--out-of-stock">Out of Stock</div>' : ''}
@@ -868,6 +917,11 @@ class ProductsPage {
                     aria-label="Quick view">
               <i class="ri-eye-line"></i>
             </button>
+            <button class="product-card__action-btn compare-btn" 
+                    data-product-id="${product.id}"
+                    aria-label="Add to compare">
+              <i class="ri-scales-line"></i>
+            </button>
           </div>
         </div>
         
@@ -986,12 +1040,21 @@ class ProductsPage {
       });
     }
 
+    // Compare button
+    const compareBtn = card.querySelector('.compare-btn');
+    if (compareBtn) {
+      DOMUtils.addEventListener(compareBtn, 'click', (e) => {
+        e.stopPropagation();
+        this.toggleCompare(productId, compareBtn);
+      });
+    }
+
     // Quick view buttons
     const quickViewBtns = card.querySelectorAll('.quick-view-btn, .product-card__quick-view');
     quickViewBtns.forEach(btn => {
       DOMUtils.addEventListener(btn, 'click', (e) => {
         e.stopPropagation();
-        this.openQuickView(productId);
+        this.openQuickView(productId, btn);
       });
     });
   }
@@ -1031,45 +1094,292 @@ class ProductsPage {
    * Toggle wishlist
    */
   async toggleWishlist(productId, button) {
-    try {
-      if (!isAuthenticated()) {
-        this.showNotification('Please log in to manage wishlist', 'warning');
-        return;
-      }
+    if (!window.Wishlist) return;
 
-      // Toggle button state immediately for better UX
-      const isActive = button.classList.contains('active');
-      button.classList.toggle('active');
-      
-      const icon = button.querySelector('i');
-      if (icon) {
-        icon.className = isActive ? 'ri-heart-line' : 'ri-heart-fill';
-      }
+    try {
+      button.disabled = true;
+      const isWishlisted = await window.Wishlist.toggle(productId);
 
-      // TODO: Implement wishlist API calls
       this.showNotification(
-        isActive ? 'Removed from wishlist' : 'Added to wishlist', 
+        isWishlisted ? 'Added to wishlist' : 'Removed from wishlist',
         'success'
       );
     } catch (error) {
       console.error('Wishlist error:', error);
-      // Revert button state on error
-      button.classList.toggle('active');
-      const icon = button.querySelector('i');
-      if (icon) {
-        icon.className = button.classList.contains('active') ? 'ri-heart-fill' : 'ri-heart-line';
-      }
       this.showNotification('Failed to update wishlist', 'error');
+    } finally {
+      button.disabled = false;
+      window.Wishlist.hydrateButtons(button.parentElement);
+    }
+  }
+
+  /**
+   * Toggle product in compare tray
+   */
+  async toggleCompare(productId, button) {
+    if (!window.Compare) return;
+
+    try {
+      button.disabled = true;
+      const isComparing = await window.Compare.toggle(productId);
+
+      this.showNotification(
+        isComparing ? 'Added to compare' : 'Removed from compare',
+        'success'
+      );
+    } catch (error) {
+      console.error('Compare error:', error);
+      this.showNotification(error.message || 'Failed to update compare list', 'error');
+    } finally {
+      button.disabled = false;
     }
   }
 
   /**
    * Open quick view modal
    */
-  openQuickView(productId) {
-    // TODO: Implement quick view modal
-    console.log('Opening quick view for product:', productId);
-    this.showNotification('Quick view coming soon!', 'info');
+  async openQuickView(productId, trigger = null) {
+    const modal = DOMUtils.getId('quick-view-modal');
+    const body = DOMUtils.getId('quick-view-body');
+    if (!modal || !body) return;
+
+    // Focus is restored to the trigger by id when the modal closes
+    if (trigger && !trigger.id) {
+      trigger.id = `quick-view-trigger-${productId}-${Date.now()}`;
+    }
+
+    this.quickViewProduct = null;
+    this.quickViewQuantity = 1;
+    body.innerHTML = `
+      <div class="quick-view__loading">
+        <div class="loading-spinner"></div>
+        <p>Loading product...</p>
+      </div>
+    `;
+
+    if (window.accessibility) {
+      window.accessibility.openModal(modal, trigger);
+    } else {
+      modal.setAttribute('aria-hidden', 'false');
+      modal.style.display = 'flex';
+      document.body.style.overflow = 'hidden';
+    }
+
+    try {
+      // Opening another quick view cancels this request so its product cannot overwrite the newer one
+      const response = await ApiService.products.getById(productId, {}, { cancelKey: 'quick-view' });
+
+      if (response.success) {
+        this.quickViewProduct = response.data.product;
+        this.renderQuickView();
+      } else {
+        throw new Error(response.message || 'Product not found');
+      }
+    } catch (error) {
+      if (isRequestCancelled(error)) return;
+
+      console.error('Quick view error:', error);
+      body.innerHTML = `
+        <div class="quick-view__error">
+          <i class="ri-error-warning-line"></i>
+          <p>Failed to load product. Please try again.</p>
+          <a href="product.html?id=${productId}" class="btn btn--outline">View Product Page</a>
+        </div>
+      `;
+    }
+  }
+
+  /**
+   * Close quick view modal
+   */
+  closeQuickView() {
+    const modal = DOMUtils.getId('quick-view-modal');
+    if (!modal) return;
+
+    api.cancel('quick-view');
+
+    if (window.accessibility) {
+      window.accessibility.closeModal(modal);
+    } else {
+      modal.setAttribute('aria-hidden', 'true');
+      modal.style.display = 'none';
+      document.body.style.overflow = '';
+    }
+  }
+
+  /**
+   * Render quick view content
+   */
+  renderQuickView() {
+    const body = DOMUtils.getId('quick-view-body');
+    const product = this.quickViewProduct;
+    if (!body || !product) return;
+
+    const images = product.images && product.images.length > 0
+      ? product.images
+      : [{ url: product.primaryImage || '../assets/placeholder.jpg', altText: product.name }];
+    const isOutOfStock = product.stockQuantity <= 0;
+    const hasDiscount = product.originalPrice && product.originalPrice > product.price;
+    const discountPercent = hasDiscount ? Math.round(((product.originalPrice - product.price) / product.originalPrice) * 100) : 0;
+    const maxQuantity = this.getQuickViewMaxQuantity();
+
+    body.innerHTML = `
+      <div class="quick-view__gallery">
+        <div class="quick-view__main-image">
+          <img src="${images[0].url}" alt="${images[0].altText || product.name}" id="quick-view-main-image">
+        </div>
+        ${images.length > 1 ? `
+          <div class="quick-view__thumbnails">
+            ${images.map((image, index) => `
+              <button class="quick-view__thumbnail ${index === 0 ? 'active' : ''}" 
+                      data-index="${index}"
+                      aria-label="View image ${index + 1}">
+                <img src="${image.url}" alt="${image.altText || product.name}">
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+
+      <div class="quick-view__info">
+        ${product.brand ? `<div class="product-card__brand">${product.brand}</div>` : ''}
+        <h2 class="modal-title quick-view__title" id="quick-view-title">${product.name}</h2>
+
+        ${product.rating ? `
+          <div class="product-card__rating">
+            <div class="product-card__stars">
+              ${this.renderStars(product.rating)}
+            </div>
+            <span class="product-card__rating-text">(${product.reviewCount || 0})</span>
+          </div>
+        ` : ''}
+
+        <div class="product-card__price">
+          <span class="product-card__current-price">${FormatUtils.currency(product.price)}</span>
+          ${hasDiscount ? `<span class="product-card__original-price">${FormatUtils.currency(product.originalPrice)}</span>` : ''}
+          ${hasDiscount ? `<span class="product-card__discount">${discountPercent}% OFF</span>` : ''}
+        </div>
+
+        <div class="product-card__stock ${isOutOfStock ? 'out-of-stock' : product.stockQuantity <= 5 ? 'low-stock' : 'in-stock'}">
+          ${isOutOfStock ? 'Out of Stock' : product.stockQuantity <= 5 ? `Only ${product.stockQuantity} left` : 'In Stock'}
+        </div>
+
+        ${!isOutOfStock ? `
+          <div class="quick-view__quantity">
+            <label for="quick-view-quantity" class="quick-view__quantity-label">Quantity:</label>
+            <div class="quick-view__quantity-controls">
+              <button class="quick-view__quantity-btn" data-action="decrease" aria-label="Decrease quantity" disabled>
+                <i class="ri-subtract-line"></i>
+              </button>
+              <input type="number" 
+                     class="quick-view__quantity-input" 
+                     id="quick-view-quantity" 
+                     value="1" 
+                     min="${APP_CONFIG.CART.MIN_QUANTITY}" 
+                     max="${maxQuantity}">
+              <button class="quick-view__quantity-btn" data-action="increase" aria-label="Increase quantity" ${maxQuantity <= 1 ? 'disabled' : ''}>
+                <i class="ri-add-line"></i>
+              </button>
+            </div>
+          </div>
+        ` : ''}
+
+        <div class="quick-view__actions">
+          <button class="product-card__add-to-cart quick-view__add-to-cart" ${isOutOfStock ? 'disabled' : ''}>
+            <i class="ri-shopping-cart-line"></i>
+            ${isOutOfStock ? 'Out of Stock' : 'Add to Cart'}
+          </button>
+          <a href="product.html?id=${product.id}" class="quick-view__details-link">View full details</a>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Handle clicks inside quick view
+   */
+  handleQuickViewClick(e) {
+    const thumbnail = e.target.closest('.quick-view__thumbnail');
+    if (thumbnail) {
+      this.selectQuickViewImage(parseInt(thumbnail.dataset.index));
+      return;
+    }
+
+    const quantityBtn = e.target.closest('.quick-view__quantity-btn');
+    if (quantityBtn) {
+      const delta = quantityBtn.dataset.action === 'increase' ? 1 : -1;
+      this.setQuickViewQuantity(this.quickViewQuantity + delta);
+      return;
+    }
+
+    if (e.target.closest('.quick-view__add-to-cart')) {
+      this.addQuickViewToCart();
+    }
+  }
+
+  /**
+   * Switch main quick view image
+   */
+  selectQuickViewImage(index) {
+    const product = this.quickViewProduct;
+    const mainImage = DOMUtils.getId('quick-view-main-image');
+    if (!product || !mainImage || !product.images || !product.images[index]) return;
+
+    mainImage.src = product.images[index].url;
+    mainImage.alt = product.images[index].altText || product.name;
+
+    DOMUtils.getElements('.quick-view__thumbnail').forEach((thumbnail, thumbnailIndex) => {
+      thumbnail.classList.toggle('active', thumbnailIndex === index);
+    });
+  }
+
+  /**
+   * Get maximum quantity for quick view product
+   */
+  getQuickViewMaxQuantity() {
+    if (!this.quickViewProduct) return APP_CONFIG.CART.MAX_QUANTITY;
+    return Math.min(this.quickViewProduct.stockQuantity, APP_CONFIG.CART.MAX_QUANTITY);
+  }
+
+  /**
+   * Set quick view quantity within stock and cart limits
+   */
+  setQuickViewQuantity(quantity) {
+    const maxQuantity = this.getQuickViewMaxQuantity();
+    this.quickViewQuantity = Math.max(APP_CONFIG.CART.MIN_QUANTITY, Math.min(quantity, maxQuantity));
+
+    const input = DOMUtils.getId('quick-view-quantity');
+    if (input) {
+      input.value = this.quickViewQuantity;
+    }
+
+    const decreaseBtn = DOMUtils.getElement('.quick-view__quantity-btn[data-action="decrease"]');
+    const increaseBtn = DOMUtils.getElement('.quick-view__quantity-btn[data-action="increase"]');
+    if (decreaseBtn) decreaseBtn.disabled = this.quickViewQuantity <= APP_CONFIG.CART.MIN_QUANTITY;
+    if (increaseBtn) increaseBtn.disabled = this.quickViewQuantity >= maxQuantity;
+  }
+
+  /**
+   * Add quick view product to cart
+   */
+  async addQuickViewToCart() {
+    const product = this.quickViewProduct;
+    if (!product || !window.Cart) return;
+
+    const addToCartBtn = DOMUtils.getElement('.quick-view__add-to-cart');
+
+    try {
+      if (addToCartBtn) addToCartBtn.disabled = true;
+
+      await window.Cart.addItem(product.id, this.quickViewQuantity);
+      this.showNotification('Product added to cart!', 'success');
+      this.closeQuickView();
+    } catch (error) {
+      console.error('Quick view add to cart error:', error);
+      this.showNotification(error.message || 'Failed to add product to cart', 'error');
+    } finally {
+      if (addToCartBtn) addToCartBtn.disabled = false;
+    }
   }
 
   /**
@@ -12,6 +12,15 @@ class ProfileManager {
     this.addresses = [];
     this.currentPage = 1;
     this.ordersPerPage = 10;
+    this.trackedOrderId = null;
+    this.unsubscribeOrderUpdates = null;
+    this.connectedAccounts = [];
+    this.hasPassword = true;
+    this.sessions = [];
+    this.loginHistory = [];
+    this.otpVerification = null;
+    this.pendingOtp = null;
+    this.detailOrder = null;
     this.init();
   }
 
@@ -133,6 +142,20 @@ class ProfileManager {
       });
     });
 
+    // Keep wishlist tab in sync with the shared wishlist store
+    DOMUtils.addEventListener(document, 'wishlistUpdated', () => {
+      if (this.currentTab === 'wishlist') {
+        this.renderWishlist();
+      }
+    });
+
+    // Keep stock alerts tab in sync with the shared stock alerts store
+    DOMUtils.addEventListener(document, 'stockAlertsUpdated', () => {
+      if (this.currentTab === 'stock-alerts') {
+        this.renderStockAlerts();
+      }
+    });
+
     // Profile form
     const profileForm = DOMUtils.getId('profile-form');
     if (profileForm) {
@@ -185,6 +208,17 @@ class ProfileManager {
       });
     }
 
+    // Change password
+    this.setupChangePassword();
+
+    // Sign out every device
+    const signOutEverywhereBtn = DOMUtils.getId('sign-out-everywhere-btn');
+    if (signOutEverywhereBtn) {
+      DOMUtils.addEventListener(signOutEverywhereBtn, 'click', () => {
+        this.signOutEverywhere();
+      });
+    }
+
     // Modal close handlers
     this.setupModalHandlers();
 
@@ -204,7 +238,7 @@ class ProfileManager {
   initializeTabs() {
     // Check URL hash for initial tab
     const hash = window.location.hash.substring(1);
-    if (hash && ['overview', 'orders', 'profile', 'addresses', 'security'].includes(hash)) {
+    if (hash && ['overview', 'orders', 'wishlist', 'stock-alerts', 'profile', 'addresses', 'security'].includes(hash)) {
       this.switchTab(hash);
     } else {
       this.switchTab('overview');
@@ -256,6 +290,12 @@ class ProfileManager {
       case 'orders':
         await this.loadOrders();
         break;
+      case 'wishlist':
+        await this.loadWishlist();
+        break;
+      case 'stock-alerts':
+        await this.loadStockAlerts();
+        break;
       case 'profile':
         this.loadProfileForm();
         break;
@@ -307,7 +347,7 @@ class ProfileManager {
     const totalOrders = this.orders.length;
     const totalSpent = this.orders.reduce((sum, order) => sum + parseFloat(order.total_amount || 0), 0);
     const pendingOrders = this.orders.filter(order => 
-      ['placed', 'processing', 'shipped', 'out_for_delivery'].includes(order.status)
+      ['placed', 'confirmed', 'processing', 'packed', 'shipped', 'out_for_delivery'].includes(order.status)
     ).length;
     const savedAddresses = this.addresses.length;
 
@@ -525,7 +565,7 @@ class ProfileManager {
    * @returns {boolean} Can track
    */
   canTrackOrder(status) {
-    return ['processing', 'shipped', 'out_for_delivery'].includes(status);
+    return ['confirmed', 'processing', 'packed', 'shipped', 'out_for_delivery', 'delivered'].includes(status);
   }
 
   /**
@@ -613,6 +653,9 @@ class ProfileManager {
 
     const orderDate = new Date(order.created_at).toLocaleDateString('en-IN');
     const items = order.items || [];
+    const requests = order.return_requests || [];
+
+    this.detailOrder = order;
 
     content.innerHTML = `
       <div class="order-detail-full">
@@ -694,21 +737,538 @@ class ProfileManager {
               </div>
             </div>
           </div>
+
+          ${requests.length > 0 ? `
+          <div class="order-section">
+            <h5>Cancellation &amp; Return Requests</h5>
+            <div class="order-requests-list">
+              ${requests.map(request => `
+                <div class="order-request">
+                  <div class="order-request__header">
+                    <span class="order-request__type">${this.formatRequestType(request.type)}</span>
+                    <span class="order-request__status ${request.status}">${request.status.replace(/_/g, ' ')}</span>
+                  </div>
+                  <p class="order-request__meta">
+                    ${this.getReasonLabel(request.type, request.reason)} • Requested on ${new Date(request.created_at).toLocaleDateString('en-IN')}
+                  </p>
+                  ${request.admin_note ? `<p class="order-request__note">${FormatUtils.escapeHtml(request.admin_note)}</p>` : ''}
+                </div>
+              `).join('')}
+            </div>
+          </div>
+          ` : ''}
+        </div>
+
+        ${InvoiceGenerator.isAvailable(order) || this.canCancelOrder(order) || this.canReturnOrder(order) ? `
+        <div class="order-detail-actions">
+          ${InvoiceGenerator.isAvailable(order) ? `
+          <button class="btn btn--outline btn--small" onclick="profileManager.downloadInvoice()">
+            <i class="ri-file-download-line"></i> Download Invoice
+          </button>
+          ` : ''}
+          ${this.canCancelOrder(order) ? `
+          <button class="btn btn--outline btn--small" onclick="profileManager.showOrderRequestForm('cancel')">
+            Cancel Items
+          </button>
+          ` : ''}
+          ${this.canReturnOrder(order) ? `
+          <button class="btn btn--outline btn--small" onclick="profileManager.showOrderRequestForm('return')">
+            Return / Exchange
+          </button>
+          ` : ''}
         </div>
+        ` : ''}
       </div>
     `;
 
     modal.classList.add('active');
   }
 
+  /**
+   * Open printable GST invoice for the order in the detail modal
+   */
+  downloadInvoice() {
+    if (!this.detailOrder) return;
+
+    try {
+      InvoiceGenerator.print(this.detailOrder);
+    } catch (error) {
+      console.error('Failed to generate invoice:', error);
+      this.showError(error.message || 'Failed to generate invoice');
+    }
+  }
+
+  /**
+   * Check if order can still be cancelled (before shipping)
+   * @param {Object} order - Order data
+   * @returns {boolean} Can cancel
+   */
+  canCancelOrder(order) {
+    return APP_CONFIG.RETURNS.CANCELLABLE_STATUSES.includes(order.status) &&
+      this.getRequestableItems(order, 'cancel').length > 0;
+  }
+
+  /**
+   * Check if order is within the return window
+   * @param {Object} order - Order data
+   * @returns {boolean} Can return or exchange
+   */
+  canReturnOrder(order) {
+    if (order.status !== 'delivered') return false;
+
+    const deliveredEntry = (order.status_history || []).find(entry => entry.new_status === 'delivered');
+    const deliveredAt = new Date(order.delivered_at || deliveredEntry?.changed_at || order.updated_at);
+    const windowEnd = deliveredAt.getTime() + (APP_CONFIG.RETURNS.WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    return Date.now() <= windowEnd && this.getRequestableItems(order, 'return').length > 0;
+  }
+
+  /**
+   * Get items with quantity not already covered by an open or approved request
+   * @param {Object} order - Order data
+   * @param {string} type - cancel or return
+   * @returns {Array} Items with available quantity
+   */
+  getRequestableItems(order, type) {
+    const requestedQuantities = {};
+
+    (order.return_requests || [])
+      .filter(request => request.status !== 'rejected')
+      .forEach(request => {
+        (request.items || []).forEach(item => {
+          requestedQuantities[item.order_item_id] = (requestedQuantities[item.order_item_id] || 0) + item.quantity;
+        });
+      });
+
+    return (order.items || [])
+      .map(item => ({
+        ...item,
+        available_quantity: item.quantity - (requestedQuantities[item.id] || 0)
+      }))
+      .filter(item => item.available_quantity > 0 && (type === 'cancel' || item.is_returnable !== false));
+  }
+
+  /**
+   * Show cancellation or return request form
+   * @param {string} type - cancel or return
+   */
+  showOrderRequestForm(type) {
+    const order = this.detailOrder;
+    const content = DOMUtils.getId('order-detail-content');
+    if (!order || !content) return;
+
+    const isCancel = type === 'cancel';
+    const items = this.getRequestableItems(order, type);
+    const reasons = isCancel ? APP_CONFIG.RETURNS.CANCEL_REASONS : APP_CONFIG.RETURNS.RETURN_REASONS;
+
+    // COD orders that were never paid have nothing to refund on cancellation
+    const needsRefundMethod = !isCancel || order.payment_status === 'paid';
+    const refundMethods = APP_CONFIG.RETURNS.REFUND_METHODS.filter(method =>
+      !(method.value === 'original' && order.payment_method === 'cod')
+    );
+
+    content.innerHTML = `
+      <form class="order-request-form" id="order-request-form" novalidate>
+        <div class="order-summary">
+          <h4>${isCancel ? 'Cancel Items' : 'Return or Exchange'} - Order #${order.order_number}</h4>
+          <p>${isCancel
+            ? 'Items can be cancelled until the order is shipped.'
+            : `Returns and exchanges are accepted within ${APP_CONFIG.RETURNS.WINDOW_DAYS} days of delivery.`}</p>
+        </div>
+
+        ${!isCancel ? `
+        <div class="form-group">
+          <label class="form-label">Request Type</label>
+          <div class="request-type-options">
+            <label class="radio-option">
+              <input type="radio" name="request_type" value="return" checked>
+              <span>Return for refund</span>
+            </label>
+            <label class="radio-option">
+              <input type="radio" name="request_type" value="exchange">
+              <span>Exchange</span>
+            </label>
+          </div>
+        </div>
+        ` : ''}
+
+        <div class="form-group">
+          <label class="form-label">Select Items</label>
+          <div class="request-items">
+            ${items.map(item => `
+              <div class="request-item">
+                <label class="request-item__select">
+                  <input type="checkbox" name="item" value="${item.id}">
+                  <img src="${item.image_url || '../assets/placeholder.jpg'}" 
+                       alt="${item.product_name}" 
+                       class="item-image"
+                       onerror="this.src='../assets/placeholder.jpg'">
+                  <span class="request-item__name">${item.product_name}</span>
+                </label>
+                <select class="form-input request-item__quantity" name="quantity-${item.id}" aria-label="Quantity for ${item.product_name}">
+                  ${Array.from({ length: item.available_quantity }, (_, i) => `
+                    <option value="${i + 1}" ${i + 1 === item.available_quantity ? 'selected' : ''}>${i + 1}</option>
+                  `).join('')}
+                </select>
+              </div>
+            `).join('')}
+          </div>
+          <div class="form-error" id="request-items-error"></div>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label" for="request-reason">Reason</label>
+          <select class="form-input" id="request-reason" name="reason" required>
+            <option value="">Select a reason</option>
+            ${reasons.map(reason => `<option value="${reason.value}">${reason.label}</option>`).join('')}
+          </select>
+          <div class="form-error" id="request-reason-error"></div>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label" for="request-comments">Comments (Optional)</label>
+          <textarea class="form-input" id="request-comments" name="comments" rows="3" maxlength="1000"></textarea>
+        </div>
+
+        ${!isCancel ? `
+        <div class="form-group">
+          <label class="form-label" for="request-photos">Photos (up to ${APP_CONFIG.RETURNS.MAX_PHOTOS})</label>
+          <input type="file" class="form-input" id="request-photos" name="photos" accept="image/*" multiple>
+          <div class="form-error" id="request-photos-error"></div>
+        </div>
+        ` : ''}
+
+        ${needsRefundMethod ? `
+        <div class="form-group" id="refund-method-group">
+          <label class="form-label">Refund Method</label>
+          <div class="refund-method-options">
+            ${refundMethods.map((method, index) => `
+              <label class="radio-option">
+                <input type="radio" name="refund_method" value="${method.value}" ${index === 0 ? 'checked' : ''}>
+                <span>${method.label}</span>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+        ` : ''}
+
+        <div class="order-detail-actions">
+          <button type="button" class="btn btn--outline btn--small" onclick="profileManager.showOrderDetailModal(profileManager.detailOrder)">
+            Back
+          </button>
+          <button type="submit" class="btn btn--primary btn--small" id="order-request-submit">
+            <span class="btn-text">${isCancel ? 'Cancel Selected Items' : 'Submit Request'}</span>
+            <span class="btn-loading" style="display: none;">
+              <i class="ri-loader-4-line"></i>
+            </span>
+          </button>
+        </div>
+      </form>
+    `;
+
+    const form = DOMUtils.getId('order-request-form');
+
+    // Exchanges don't need a refund method
+    form.querySelectorAll('input[name="request_type"]').forEach(radio => {
+      DOMUtils.addEventListener(radio, 'change', () => {
+        const refundGroup = DOMUtils.getId('refund-method-group');
+        if (refundGroup) {
+          refundGroup.style.display = radio.value === 'exchange' && radio.checked ? 'none' : '';
+        }
+      });
+    });
+
+    DOMUtils.addEventListener(form, 'submit', (e) => {
+      e.preventDefault();
+      this.submitOrderRequest(form, type);
+    });
+  }
+
+  /**
+   * Collect and validate request form data
+   * @param {HTMLFormElement} form - Request form
+   * @param {string} type - cancel or return
+   * @returns {Object|null} Request data or null when invalid
+   */
+  getOrderRequestData(form, type) {
+    const formData = new FormData(form);
+    const items = formData.getAll('item').map(itemId => ({
+      order_item_id: parseInt(itemId),
+      quantity: parseInt(formData.get(`quantity-${itemId}`))
+    }));
+    const photos = Array.from(form.querySelector('#request-photos')?.files || []);
+    const requestType = type === 'cancel' ? 'cancellation' : formData.get('request_type');
+
+    const errors = {
+      'request-items-error': items.length === 0 ? 'Select at least one item' : '',
+      'request-reason-error': !formData.get('reason') ? 'Select a reason' : '',
+      'request-photos-error': photos.length > APP_CONFIG.RETURNS.MAX_PHOTOS
+        ? `You can upload up to ${APP_CONFIG.RETURNS.MAX_PHOTOS} photos`
+        : ''
+    };
+
+    Object.entries(errors).forEach(([id, message]) => {
+      const errorEl = DOMUtils.getId(id);
+      if (errorEl) errorEl.textContent = message;
+    });
+
+    if (Object.values(errors).some(Boolean)) {
+      return null;
+    }
+
+    return {
+      type: requestType,
+      items,
+      reason: formData.get('reason'),
+      comments: formData.get('comments')?.trim() || '',
+      refund_method: requestType === 'exchange' ? null : formData.get('refund_method'),
+      photos
+    };
+  }
+
+  /**
+   * Submit cancellation or return request
+   * @param {HTMLFormElement} form - Request form
+   * @param {string} type - cancel or return
+   */
+  async submitOrderRequest(form, type) {
+    const order = this.detailOrder;
+    const data = this.getOrderRequestData(form, type);
+    if (!order || !data) return;
+
+    const submitBtn = DOMUtils.getId('order-request-submit');
+
+    try {
+      this.setButtonLoading(submitBtn, true);
+
+      const { photos, ...requestData } = data;
+
+      if (type === 'cancel') {
+        await ApiService.orders.cancel(order.id, requestData);
+      } else {
+        // Upload photos first so the request references stored images
+        if (photos.length > 0) {
+          const photoData = new FormData();
+          photos.forEach(photo => photoData.append('photos', photo));
+
+          const uploadResponse = await ApiService.orders.uploadReturnPhotos(order.id, photoData);
+          requestData.photos = uploadResponse.data.photos;
+        }
+
+        await ApiService.orders.requestReturn(order.id, requestData);
+      }
+
+      this.showSuccess(type === 'cancel'
+        ? 'Cancellation request submitted'
+        : `${this.formatRequestType(requestData.type)} request submitted`);
+
+      await this.viewOrderDetails(order.id);
+      this.loadOrders();
+
+    } catch (error) {
+      console.error('Failed to submit order request:', error);
+      this.showError(error.message || 'Failed to submit request');
+    } finally {
+      this.setButtonLoading(submitBtn, false);
+    }
+  }
+
+  /**
+   * Format request type for display
+   * @param {string} type - Request type
+   * @returns {string} Label
+   */
+  formatRequestType(type) {
+    const typeMap = {
+      'cancellation': 'Cancellation',
+      'return': 'Return',
+      'exchange': 'Exchange'
+    };
+    return typeMap[type] || type;
+  }
+
+  /**
+   * Get label for a request reason code
+   * @param {string} type - Request type
+   * @param {string} reason - Reason code
+   * @returns {string} Label
+   */
+  getReasonLabel(type, reason) {
+    const reasons = type === 'cancellation'
+      ? APP_CONFIG.RETURNS.CANCEL_REASONS
+      : APP_CONFIG.RETURNS.RETURN_REASONS;
+    return reasons.find(option => option.value === reason)?.label || reason;
+  }
+
   /**
    * Track order
    * @param {string} orderId - Order ID
    */
-  trackOrder(orderId) {
-    // For now, just show order details
-    // In a real implementation, this would show tracking information
-    this.viewOrderDetails(orderId);
+  async trackOrder(orderId) {
+    try {
+      this.showLoading();
+      
+      const response = await ApiService.orders.getById(orderId);
+      const order = response.order;
+
+      this.trackedOrderId = order.id;
+      this.showOrderTrackingModal(order);
+      this.subscribeToOrderUpdates();
+      
+    } catch (error) {
+      console.error('Failed to load order tracking:', error);
+      this.showError('Failed to load order tracking');
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Listen for live status changes while the tracking view is open
+   */
+  subscribeToOrderUpdates() {
+    if (this.unsubscribeOrderUpdates || !window.RealTimeManager) return;
+
+    this.unsubscribeOrderUpdates = window.RealTimeManager.subscribe('orders', (update) => {
+      this.handleTrackedOrderUpdate(update);
+    });
+  }
+
+  /**
+   * Refresh tracking view when the tracked order changes
+   * @param {Object} update - Real-time order update
+   */
+  async handleTrackedOrderUpdate(update) {
+    if (!this.trackedOrderId) return;
+
+    // Polling sends a list of changes, WebSocket sends the updated order
+    const changes = Array.isArray(update.data) ? update.data : [update.data];
+    const isTrackedOrder = changes.some(change => {
+      const order = change?.order || change;
+      return order && String(order.id) === String(this.trackedOrderId);
+    });
+
+    if (!isTrackedOrder) return;
+
+    try {
+      const response = await ApiService.orders.getById(this.trackedOrderId);
+      this.showOrderTrackingModal(response.order);
+    } catch (error) {
+      console.error('Failed to refresh order tracking:', error);
+    }
+  }
+
+  /**
+   * Build tracking timeline from order status history
+   * @param {Object} order - Order data
+   * @returns {Array} Timeline steps with state and timestamps
+   */
+  getTrackingSteps(order) {
+    const { STEPS, STATUS_ALIASES } = APP_CONFIG.ORDER_TRACKING;
+    const normalize = status => STATUS_ALIASES[status] || status;
+    const history = order.status_history || [];
+
+    const reachedAt = {};
+    reachedAt.placed = { changed_at: order.created_at };
+    history.forEach(entry => {
+      reachedAt[normalize(entry.new_status)] = entry;
+    });
+
+    // Cancelled orders stop at the last status reached before cancellation
+    const lastStatus = order.status === 'cancelled'
+      ? normalize(history.filter(entry => entry.new_status !== 'cancelled').pop()?.new_status || 'placed')
+      : normalize(order.status);
+    const currentIndex = Math.max(0, STEPS.findIndex(step => step.status === lastStatus));
+    const isFinal = ['delivered', 'cancelled'].includes(order.status);
+
+    return STEPS.map((step, index) => ({
+      ...step,
+      state: index < currentIndex || (isFinal && index === currentIndex)
+        ? 'completed'
+        : index === currentIndex ? 'current' : 'pending',
+      changedAt: reachedAt[step.status]?.changed_at || null,
+      notes: reachedAt[step.status]?.notes || null
+    }));
+  }
+
+  /**
+   * Show order tracking modal
+   * @param {Object} order - Order data
+   */
+  showOrderTrackingModal(order) {
+    const modal = DOMUtils.getId('order-tracking-modal');
+    const content = DOMUtils.getId('order-tracking-content');
+    
+    if (!modal || !content) return;
+
+    const steps = this.getTrackingSteps(order);
+    const cancelledEntry = (order.status_history || []).find(entry => entry.new_status === 'cancelled');
+
+    content.innerHTML = `
+      <div class="order-tracking">
+        <div class="order-summary">
+          <h4>Order #${order.order_number}</h4>
+          <div class="order-status ${order.status}">${order.status.replace(/_/g, ' ')}</div>
+        </div>
+
+        <div class="tracking-details">
+          <div class="tracking-detail">
+            <div class="order-detail-label">Courier</div>
+            <div class="order-detail-value">${FormatUtils.escapeHtml(order.courier_name) || 'Not assigned yet'}</div>
+          </div>
+          <div class="tracking-detail">
+            <div class="order-detail-label">AWB Number</div>
+            <div class="order-detail-value">${FormatUtils.escapeHtml(order.tracking_number) || 'Not available yet'}</div>
+          </div>
+          <div class="tracking-detail">
+            <div class="order-detail-label">Expected Delivery</div>
+            <div class="order-detail-value">${order.expected_delivery_date ? FormatUtils.date(order.expected_delivery_date) : 'To be confirmed'}</div>
+          </div>
+        </div>
+
+        <ol class="tracking-timeline">
+          ${steps.map(step => `
+            <li class="tracking-step tracking-step--${step.state}">
+              <span class="tracking-step__icon"><i class="${step.icon}"></i></span>
+              <div class="tracking-step__content">
+                <span class="tracking-step__label">${step.label}</span>
+                ${step.changedAt ? `<span class="tracking-step__date">${FormatUtils.date(step.changedAt, { hour: '2-digit', minute: '2-digit' })}</span>` : ''}
+                ${step.notes ? `<p class="tracking-step__notes">${FormatUtils.escapeHtml(step.notes)}</p>` : ''}
+              </div>
+            </li>
+          `).join('')}
+          ${cancelledEntry ? `
+            <li class="tracking-step tracking-step--cancelled">
+              <span class="tracking-step__icon"><i class="ri-close-circle-line"></i></span>
+              <div class="tracking-step__content">
+                <span class="tracking-step__label">Cancelled</span>
+                <span class="tracking-step__date">${FormatUtils.date(cancelledEntry.changed_at, { hour: '2-digit', minute: '2-digit' })}</span>
+                ${cancelledEntry.notes ? `<p class="tracking-step__notes">${FormatUtils.escapeHtml(cancelledEntry.notes)}</p>` : ''}
+              </div>
+            </li>
+          ` : ''}
+        </ol>
+      </div>
+    `;
+
+    modal.classList.add('active');
+  }
+
+  /**
+   * Close order tracking modal
+   */
+  closeOrderTrackingModal() {
+    const modal = DOMUtils.getId('order-tracking-modal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+
+    this.trackedOrderId = null;
+
+    if (this.unsubscribeOrderUpdates) {
+      this.unsubscribeOrderUpdates();
+      this.unsubscribeOrderUpdates = null;
+    }
   }
 
   /**
@@ -746,6 +1306,23 @@ class ProfileManager {
         phone: formData.get('phone') || null
       };
 
+      // Changing the number needs a code from the old phone and the new one
+      const normalizePhone = (phone) => phone ? (window.OtpService.normalizePhone(phone) || phone) : null;
+      const currentPhone = normalizePhone(this.currentUser.phone);
+
+      if (normalizePhone(updateData.phone) !== currentPhone) {
+        if (currentPhone) {
+          updateData.otp_verification_token = await this.requestOtp(
+            currentPhone, 'reverify', 'Confirm it\'s you'
+          );
+        }
+        if (updateData.phone) {
+          updateData.phone_verification_token = await this.requestOtp(
+            updateData.phone, 'verify_phone', 'Verify your new number'
+          );
+        }
+      }
+
       // Update profile
       const response = await ApiService.auth.updateProfile(updateData);
 
@@ -756,6 +1333,8 @@ class ProfileManager {
       }
 
     } catch (error) {
+      if (error.code === 'cancelled') return;
+
       console.error('Profile update error:', error);
       this.showError(error.message || 'Failed to update profile');
     } finally {
@@ -764,33 +1343,247 @@ class ProfileManager {
   }
 
   /**
-   * Load addresses
+   * Load wishlist
    */
-  async loadAddresses() {
-    const addressesContainer = DOMUtils.getId('addresses-container');
-    if (!addressesContainer) return;
+  async loadWishlist() {
+    const wishlistContainer = DOMUtils.getId('wishlist-container');
+    if (!wishlistContainer) return;
 
-    try {
-      // Show loading state
-      addressesContainer.innerHTML = `
-        <div class="loading-state">
-          <div class="loading-spinner"></div>
-          <p>Loading your addresses...</p>
+    if (!window.Wishlist) {
+      wishlistContainer.innerHTML = `
+        <div class="error-state">
+          <p>Wishlist is currently unavailable</p>
         </div>
       `;
+      return;
+    }
 
-      const response = await ApiService.addresses.getAll();
-      this.addresses = response.data?.addresses || [];
+    wishlistContainer.innerHTML = `
+      <div class="loading-state">
+        <div class="loading-spinner"></div>
+        <p>Loading your wishlist...</p>
+      </div>
+    `;
 
-      if (this.addresses.length === 0) {
-        addressesContainer.innerHTML = `
-          <div class="empty-state">
-            <i class="ri-map-pin-line"></i>
-            <h3>No addresses saved</h3>
-            <p>Add your first address to make checkout faster</p>
-            <button class="btn btn--primary" onclick="profileManager.showAddressModal()">
-              Add Address
-            </button>
+    await window.Wishlist.ready;
+    this.renderWishlist();
+  }
+
+  /**
+   * Render wishlist items from the shared wishlist store
+   */
+  renderWishlist() {
+    const wishlistContainer = DOMUtils.getId('wishlist-container');
+    if (!wishlistContainer || !window.Wishlist) return;
+
+    const items = window.Wishlist.getItems();
+
+    if (items.length === 0) {
+      wishlistContainer.innerHTML = `
+        <div class="empty-state">
+          <i class="ri-heart-line"></i>
+          <h3>Your wishlist is empty</h3>
+          <p>Save products you love and find them here later</p>
+          <a href="products.html" class="btn btn--primary">Browse Products</a>
+        </div>
+      `;
+      return;
+    }
+
+    wishlistContainer.innerHTML = items.map(item => this.createWishlistCard(item)).join('');
+  }
+
+  /**
+   * Create wishlist card HTML
+   * @param {Object} item - Wishlist item data
+   * @returns {string} HTML string
+   */
+  createWishlistCard(item) {
+    const productId = item.productId || item.product_id || item.id;
+    const stockQuantity = item.stockQuantity ?? item.stock_quantity;
+    const isOutOfStock = stockQuantity !== undefined && stockQuantity <= 0;
+    const name = FormatUtils.escapeHtml(item.name);
+    const imageUrl = FormatUtils.escapeHtml(item.primaryImage || item.image_url || '../assets/placeholder.jpg');
+
+    return `
+      <div class="wishlist-card" data-product-id="${productId}">
+        <a href="product.html?id=${productId}" class="wishlist-card-image">
+          <img src="${imageUrl}" alt="${name}" loading="lazy">
+        </a>
+
+        <div class="wishlist-card-content">
+          <a href="product.html?id=${productId}" class="wishlist-card-name">${name}</a>
+          <div class="wishlist-card-price">₹${parseFloat(item.price || 0).toLocaleString('en-IN')}</div>
+          ${isOutOfStock ? '<div class="wishlist-card-stock">Out of Stock</div>' : ''}
+        </div>
+
+        <div class="wishlist-card-actions">
+          <button class="btn btn--primary btn--small" onclick="profileManager.moveWishlistItemToCart(${productId})" ${isOutOfStock ? 'disabled' : ''}>
+            <i class="ri-shopping-cart-line"></i>
+            Move to Cart
+          </button>
+          <button class="address-btn danger" onclick="profileManager.removeFromWishlist(${productId})">
+            Remove
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Remove product from wishlist
+   * @param {number} productId - Product ID
+   */
+  async removeFromWishlist(productId) {
+    try {
+      await window.Wishlist.remove(productId);
+      this.showSuccess('Removed from wishlist');
+    } catch (error) {
+      console.error('Remove from wishlist error:', error);
+      this.showError(error.message || 'Failed to update wishlist');
+    }
+  }
+
+  /**
+   * Move wishlist product to cart
+   * @param {number} productId - Product ID
+   */
+  async moveWishlistItemToCart(productId) {
+    try {
+      this.showLoading();
+      await window.Wishlist.moveToCart(productId);
+      this.showSuccess('Moved to cart');
+    } catch (error) {
+      console.error('Move to cart error:', error);
+      this.showError(error.message || 'Failed to move item to cart');
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Load back-in-stock alerts
+   */
+  async loadStockAlerts() {
+    const alertsContainer = DOMUtils.getId('stock-alerts-container');
+    if (!alertsContainer) return;
+
+    if (!window.StockAlerts) {
+      alertsContainer.innerHTML = `
+        <div class="error-state">
+          <p>Stock alerts are currently unavailable</p>
+        </div>
+      `;
+      return;
+    }
+
+    await window.StockAlerts.ready;
+    this.renderStockAlerts();
+  }
+
+  /**
+   * Render stock alerts from the shared stock alerts store
+   */
+  renderStockAlerts() {
+    const alertsContainer = DOMUtils.getId('stock-alerts-container');
+    if (!alertsContainer || !window.StockAlerts) return;
+
+    const alerts = window.StockAlerts.getAlerts();
+
+    if (alerts.length === 0) {
+      alertsContainer.innerHTML = `
+        <div class="empty-state">
+          <i class="ri-notification-3-line"></i>
+          <h3>No stock alerts</h3>
+          <p>Choose "Notify me when available" on an out-of-stock product to get an alert here</p>
+          <a href="products.html" class="btn btn--primary">Browse Products</a>
+        </div>
+      `;
+      return;
+    }
+
+    alertsContainer.innerHTML = alerts.map(alert => this.createStockAlertCard(alert)).join('');
+  }
+
+  /**
+   * Create stock alert card HTML
+   * @param {Object} alert - Stock alert data
+   * @returns {string} HTML string
+   */
+  createStockAlertCard(alert) {
+    const productUrl = `product.html?id=${alert.product_id}${alert.variant_id ? `&variant=${alert.variant_id}` : ''}`;
+    const name = FormatUtils.escapeHtml(alert.product_name || 'Product');
+    const isNotified = alert.status === 'notified';
+
+    return `
+      <div class="stock-alert-card" data-alert-id="${alert.id}">
+        <a href="${productUrl}" class="stock-alert-card-image">
+          <img src="${alert.image_url || '../assets/placeholder.jpg'}" alt="${name}" loading="lazy">
+        </a>
+
+        <div class="stock-alert-card-content">
+          <a href="${productUrl}" class="stock-alert-card-name">${name}</a>
+          ${alert.variant_label ? `<div class="stock-alert-card-variant">${FormatUtils.escapeHtml(alert.variant_label)}</div>` : ''}
+          <div class="stock-alert-card-contact">
+            ${alert.channel === 'sms' ? 'SMS' : 'Email'} to ${FormatUtils.escapeHtml(alert.contact || '')}
+          </div>
+          <div class="stock-alert-card-status ${isNotified ? 'notified' : ''}">
+            ${isNotified ? 'Back in stock' : `Waiting since ${new Date(alert.created_at).toLocaleDateString('en-IN')}`}
+          </div>
+        </div>
+
+        <div class="stock-alert-card-actions">
+          ${isNotified ? `<a href="${productUrl}" class="btn btn--primary btn--small">Shop Now</a>` : ''}
+          <button class="address-btn danger" onclick="profileManager.removeStockAlert(${alert.id})">
+            Remove
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Remove a stock alert
+   * @param {number} alertId - Stock alert ID
+   */
+  async removeStockAlert(alertId) {
+    try {
+      await window.StockAlerts.remove(alertId);
+      this.showSuccess('Stock alert removed');
+    } catch (error) {
+      console.error('Remove stock alert error:', error);
+      this.showError(error.message || 'Failed to remove stock alert');
+    }
+  }
+
+  /**
+   * Load addresses
+   */
+  async loadAddresses() {
+    const addressesContainer = DOMUtils.getId('addresses-container');
+    if (!addressesContainer) return;
+
+    try {
+      // Show loading state
+      addressesContainer.innerHTML = `
+        <div class="loading-state">
+          <div class="loading-spinner"></div>
+          <p>Loading your addresses...</p>
+        </div>
+      `;
+
+      const response = await ApiService.addresses.getAll();
+      this.addresses = response.data?.addresses || [];
+
+      if (this.addresses.length === 0) {
+        addressesContainer.innerHTML = `
+          <div class="empty-state">
+            <i class="ri-map-pin-line"></i>
+            <h3>No addresses saved</h3>
+            <p>Add your first address to make checkout faster</p>
+            <button class="btn btn--primary" onclick="profileManager.showAddressModal()">
+              Add Address
+            </button>
           </div>
         `;
         return;
@@ -1143,11 +1936,575 @@ class ProfileManager {
    * Load security data
    */
   loadSecurityData() {
-    // Update last login info
-    const lastLoginElement = DOMUtils.getId('last-login');
-    if (lastLoginElement && this.currentUser.createdAt) {
-      const lastLogin = new Date(this.currentUser.createdAt).toLocaleDateString('en-IN');
-      lastLoginElement.textContent = lastLogin;
+    this.loadSessions();
+    this.loadLoginHistory();
+    this.loadConnectedAccounts();
+  }
+
+  /**
+   * Load devices signed in to this account
+   */
+  async loadSessions() {
+    const container = DOMUtils.getId('sessions-list');
+    if (!container) return;
+
+    try {
+      container.innerHTML = `
+        <div class="loading-state">
+          <div class="loading-spinner"></div>
+          <p>Loading devices...</p>
+        </div>
+      `;
+
+      const response = await ApiService.auth.getSessions();
+      this.sessions = response.data?.sessions || [];
+
+      this.renderSessions();
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      container.innerHTML = `
+        <div class="error-state">
+          <p>Failed to load signed-in devices</p>
+          <button class="btn btn--outline btn--small" onclick="profileManager.loadSessions()">
+            Retry
+          </button>
+        </div>
+      `;
+    }
+  }
+
+  /**
+   * Render signed-in devices, this device first
+   */
+  renderSessions() {
+    const container = DOMUtils.getId('sessions-list');
+    if (!container) return;
+
+    if (this.sessions.length === 0) {
+      container.innerHTML = '<p class="sessions-empty">No signed-in devices found.</p>';
+      return;
+    }
+
+    const sessions = [...this.sessions].sort((a, b) =>
+      this.isCurrentSession(b) - this.isCurrentSession(a) ||
+      new Date(b.last_active_at) - new Date(a.last_active_at)
+    );
+
+    container.innerHTML = sessions.map(session => this.createSessionRow(session)).join('');
+  }
+
+  /**
+   * Check whether a session belongs to this browser
+   * @param {Object} session - Session
+   * @returns {boolean} True for this device
+   */
+  isCurrentSession(session) {
+    return !!session.current || session.id === CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.SESSION_ID);
+  }
+
+  /**
+   * Describe the device and browser of a session or sign-in
+   * @param {Object} item - Session or login history entry
+   * @returns {string} e.g. "Chrome on Windows"
+   */
+  getDeviceName(item) {
+    if (item.browser && item.os) return `${item.browser} on ${item.os}`;
+    return item.browser || item.os || 'Unknown device';
+  }
+
+  /**
+   * Describe where a session or sign-in came from
+   * @param {Object} item - Session or login history entry
+   * @returns {string} Location and IP address
+   */
+  getLocationText(item) {
+    return [item.location, item.ip_address].filter(Boolean).join(' · ') || 'Unknown location';
+  }
+
+  /**
+   * Create session row HTML
+   * @param {Object} session - Session
+   * @returns {string} HTML string
+   */
+  createSessionRow(session) {
+    const isCurrent = this.isCurrentSession(session);
+    const icons = {
+      mobile: 'ri-smartphone-line',
+      tablet: 'ri-tablet-line'
+    };
+    const icon = icons[session.device_type] || 'ri-computer-line';
+
+    return `
+      <div class="session-item${isCurrent ? ' current' : ''}" data-session-id="${FormatUtils.escapeHtml(session.id)}">
+        <div class="session-icon">
+          <i class="${icon}"></i>
+        </div>
+        <div class="session-info">
+          <div class="session-device">
+            ${FormatUtils.escapeHtml(this.getDeviceName(session))}
+            ${isCurrent ? '<span class="session-badge">This device</span>' : ''}
+          </div>
+          <div class="session-meta">${FormatUtils.escapeHtml(this.getLocationText(session))}</div>
+          <div class="session-meta">
+            ${isCurrent ? 'Active now' : `Last active ${FormatUtils.relativeTime(session.last_active_at)}`}
+          </div>
+        </div>
+        <div class="session-actions">
+          <button class="address-btn danger" onclick="profileManager.revokeSession('${FormatUtils.escapeHtml(session.id)}')">
+            Sign Out
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Sign out one device
+   * @param {string} sessionId - Session ID
+   */
+  async revokeSession(sessionId) {
+    const session = this.sessions.find(item => item.id === sessionId);
+    const isCurrent = session && this.isCurrentSession(session);
+
+    if (isCurrent) {
+      this.handleLogout();
+      return;
+    }
+
+    const name = session ? this.getDeviceName(session) : 'this device';
+    if (!confirm(`Sign out ${name}? It will need to log in again.`)) {
+      return;
+    }
+
+    try {
+      this.showLoading();
+
+      await ApiService.auth.revokeSession(sessionId);
+
+      this.showSuccess(SUCCESS_MESSAGES.SESSION_REVOKED);
+      await this.loadSessions();
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      this.showError(error.message || 'Failed to sign out device');
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Sign out every device, including this one
+   */
+  async signOutEverywhere() {
+    if (!confirm('Sign out of every device, including this one? You will need to log in again everywhere.')) {
+      return;
+    }
+
+    try {
+      this.showLoading();
+
+      await ApiService.auth.revokeAllSessions();
+
+      // This device's refresh token is no longer valid
+      CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+      CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.USER_DATA);
+      CONFIG_UTILS.removeStorageItem('refresh_token');
+      CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.SESSION_ID);
+
+      window.location.href = 'login.html';
+    } catch (error) {
+      console.error('Sign out everywhere error:', error);
+      this.showError(error.message || 'Failed to sign out other devices');
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Load recent sign-in attempts
+   */
+  async loadLoginHistory() {
+    const container = DOMUtils.getId('login-history');
+    if (!container) return;
+
+    try {
+      container.innerHTML = `
+        <div class="loading-state">
+          <div class="loading-spinner"></div>
+          <p>Loading login history...</p>
+        </div>
+      `;
+
+      const response = await ApiService.auth.getLoginHistory({
+        limit: APP_CONFIG.SESSIONS.LOGIN_HISTORY_LIMIT
+      });
+      this.loginHistory = response.data?.logins || [];
+
+      this.renderLoginHistory();
+    } catch (error) {
+      console.error('Error loading login history:', error);
+      container.innerHTML = `
+        <div class="error-state">
+          <p>Failed to load login history</p>
+          <button class="btn btn--outline btn--small" onclick="profileManager.loadLoginHistory()">
+            Retry
+          </button>
+        </div>
+      `;
+    }
+  }
+
+  /**
+   * Render login history with suspicious sign-ins flagged
+   */
+  renderLoginHistory() {
+    const container = DOMUtils.getId('login-history');
+    if (!container) return;
+
+    if (this.loginHistory.length === 0) {
+      container.innerHTML = '<p class="sessions-empty">No sign-ins recorded yet.</p>';
+      return;
+    }
+
+    const hasSuspicious = this.loginHistory.some(login => login.suspicious);
+
+    container.innerHTML = `
+      ${hasSuspicious ? `
+        <div class="login-history-alert">
+          <i class="ri-error-warning-line"></i>
+          <p>
+            Some sign-ins don't look like you. If you don't recognise them,
+            change your password and sign out everywhere.
+          </p>
+        </div>
+      ` : ''}
+      <div class="login-history-table-wrapper">
+        <table class="login-history-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Device</th>
+              <th>Location</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.loginHistory.map(login => this.createLoginHistoryRow(login)).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Create login history row HTML
+   * @param {Object} login - Login history entry
+   * @returns {string} HTML string
+   */
+  createLoginHistoryRow(login) {
+    const reasons = (login.suspicious_reasons || [])
+      .map(reason => APP_CONFIG.SESSIONS.SUSPICIOUS_REASONS[reason] || reason)
+      .join(', ');
+
+    return `
+      <tr class="${login.suspicious ? 'suspicious' : ''}">
+        <td>${FormatUtils.date(login.created_at, { month: 'short', hour: '2-digit', minute: '2-digit' })}</td>
+        <td>${FormatUtils.escapeHtml(this.getDeviceName(login))}</td>
+        <td>${FormatUtils.escapeHtml(this.getLocationText(login))}</td>
+        <td>
+          <span class="login-status ${login.success ? 'success' : 'failed'}">
+            ${login.success ? 'Signed in' : 'Failed'}
+          </span>
+          ${login.suspicious ? `
+            <span class="login-flag" title="${FormatUtils.escapeHtml(reasons)}">
+              <i class="ri-flag-line"></i>
+              ${FormatUtils.escapeHtml(reasons || 'Suspicious')}
+            </span>
+          ` : ''}
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Load social accounts connected to this user
+   */
+  async loadConnectedAccounts() {
+    const section = DOMUtils.getId('connected-accounts-section');
+    const container = DOMUtils.getId('connected-accounts');
+    if (!section || !container || !window.OAuthClient) return;
+
+    if (!FEATURES.SOCIAL_LOGIN) {
+      section.style.display = 'none';
+      return;
+    }
+
+    try {
+      container.innerHTML = `
+        <div class="loading-state">
+          <div class="loading-spinner"></div>
+          <p>Loading connected accounts...</p>
+        </div>
+      `;
+
+      const response = await ApiService.auth.getConnectedAccounts();
+      this.connectedAccounts = response.data?.accounts || [];
+      this.hasPassword = response.data?.has_password !== false;
+
+      this.renderConnectedAccounts();
+    } catch (error) {
+      console.error('Error loading connected accounts:', error);
+      container.innerHTML = `
+        <div class="error-state">
+          <p>Failed to load connected accounts</p>
+          <button class="btn btn--outline btn--small" onclick="profileManager.loadConnectedAccounts()">
+            Retry
+          </button>
+        </div>
+      `;
+    }
+  }
+
+  /**
+   * Render connected accounts
+   * Lists enabled providers plus any connected provider that has since been disabled.
+   */
+  renderConnectedAccounts() {
+    const section = DOMUtils.getId('connected-accounts-section');
+    const container = DOMUtils.getId('connected-accounts');
+    if (!container) return;
+
+    const enabledProviders = window.OAuthClient.getEnabledProviders();
+    const providers = Object.keys(APP_CONFIG.OAUTH.PROVIDERS).filter(provider =>
+      enabledProviders.includes(provider) || this.connectedAccounts.some(account => account.provider === provider)
+    );
+
+    section.style.display = providers.length > 0 ? 'block' : 'none';
+    container.innerHTML = providers.map(provider => this.createConnectedAccountRow(provider)).join('');
+  }
+
+  /**
+   * Create connected account row HTML
+   * @param {string} provider - Provider key
+   * @returns {string} HTML string
+   */
+  createConnectedAccountRow(provider) {
+    const config = APP_CONFIG.OAUTH.PROVIDERS[provider];
+    const account = this.connectedAccounts.find(item => item.provider === provider);
+
+    // Keep at least one way to sign in
+    const isLastSignIn = account && !this.hasPassword && this.connectedAccounts.length === 1;
+
+    let action;
+    if (!account) {
+      action = `
+        <button class="btn btn--outline btn--small" onclick="profileManager.connectAccount('${provider}', this)">
+          Connect
+        </button>
+      `;
+    } else if (isLastSignIn) {
+      action = '<span class="connected-account-note">Set a password before disconnecting</span>';
+    } else {
+      action = `
+        <button class="address-btn danger" onclick="profileManager.disconnectAccount('${provider}')">
+          Disconnect
+        </button>
+      `;
+    }
+
+    return `
+      <div class="connected-account" data-provider="${provider}">
+        <div class="connected-account-icon ${provider}">
+          <i class="${config.ICON}"></i>
+        </div>
+        <div class="connected-account-info">
+          <div class="connected-account-name">${config.NAME}</div>
+          <div class="connected-account-status">
+            ${account
+              ? `Connected${account.email ? ` as ${FormatUtils.escapeHtml(account.email)}` : ''}`
+              : 'Not connected'}
+          </div>
+        </div>
+        <div class="connected-account-actions">${action}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Connect a social account
+   * @param {string} provider - Provider key
+   * @param {Element} button - Connect button
+   */
+  async connectAccount(provider, button) {
+    try {
+      button.disabled = true;
+
+      await window.OAuthClient.authorize(provider, {
+        mode: 'link',
+        returnUrl: `${window.location.origin}${window.location.pathname}#security`
+      });
+
+      this.showSuccess(SUCCESS_MESSAGES.ACCOUNT_CONNECTED);
+      await this.loadConnectedAccounts();
+    } catch (error) {
+      console.error('Connect account error:', error);
+
+      if (error.code !== 'cancelled') {
+        this.showError(error.message || ERROR_MESSAGES.OAUTH_FAILED);
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Disconnect a social account
+   * @param {string} provider - Provider key
+   */
+  async disconnectAccount(provider) {
+    const name = APP_CONFIG.OAUTH.PROVIDERS[provider]?.NAME || provider;
+    if (!confirm(`Disconnect your ${name} account? You will no longer be able to sign in with it.`)) {
+      return;
+    }
+
+    try {
+      this.showLoading();
+
+      await ApiService.auth.disconnectAccount(provider);
+
+      this.showSuccess(SUCCESS_MESSAGES.ACCOUNT_DISCONNECTED);
+      await this.loadConnectedAccounts();
+    } catch (error) {
+      console.error('Disconnect account error:', error);
+      this.showError(error.message || 'Failed to disconnect account');
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Setup the change password form in the security tab
+   */
+  setupChangePassword() {
+    const form = DOMUtils.getId('change-password-form');
+    if (!form) return;
+
+    const newPasswordInput = DOMUtils.getId('new-password');
+    const strengthContainer = DOMUtils.getId('new-password-strength');
+    if (window.PasswordStrengthMeter && newPasswordInput && strengthContainer) {
+      this.passwordStrength = new PasswordStrengthMeter(newPasswordInput, strengthContainer);
+    }
+
+    DOMUtils.addEventListener(DOMUtils.getId('change-password-btn'), 'click', () => {
+      this.toggleChangePasswordForm(form.style.display === 'none');
+    });
+
+    DOMUtils.addEventListener(DOMUtils.getId('cancel-password-btn'), 'click', () => {
+      this.toggleChangePasswordForm(false);
+    });
+
+    DOMUtils.addEventListener(form, 'submit', (e) => {
+      e.preventDefault();
+      this.handleChangePassword(form);
+    });
+  }
+
+  /**
+   * Show or hide the change password form
+   * @param {boolean} show - Whether to show the form
+   */
+  toggleChangePasswordForm(show) {
+    const form = DOMUtils.getId('change-password-form');
+    if (!form) return;
+
+    form.reset();
+    form.querySelectorAll('.form-error').forEach(errorEl => {
+      errorEl.textContent = '';
+    });
+    if (this.passwordStrength) {
+      this.passwordStrength.reset();
+    }
+
+    form.style.display = show ? 'block' : 'none';
+    if (show) {
+      DOMUtils.getId('current-password').focus();
+    }
+  }
+
+  /**
+   * Validate the change password form
+   * New passwords follow the same strength rules as registration.
+   * @param {HTMLFormElement} form - Change password form
+   * @returns {Object|null} Passwords or null when invalid
+   */
+  getChangePasswordData(form) {
+    const formData = new FormData(form);
+    const currentPassword = formData.get('currentPassword');
+    const newPassword = formData.get('newPassword');
+    const confirmPassword = formData.get('confirmPassword');
+
+    let newPasswordError = '';
+    if (!newPassword) {
+      newPasswordError = ERROR_MESSAGES.REQUIRED_FIELD;
+    } else if (newPassword.length < 8) {
+      newPasswordError = ERROR_MESSAGES.PASSWORD_TOO_SHORT;
+    } else if (!ValidationUtils.password(newPassword).isValid) {
+      newPasswordError = ERROR_MESSAGES.PASSWORD_TOO_WEAK;
+    } else if (newPassword === currentPassword) {
+      newPasswordError = 'New password must be different from your current password';
+    }
+
+    const errors = {
+      'current-password-error': !currentPassword ? ERROR_MESSAGES.REQUIRED_FIELD : '',
+      'new-password-error': newPasswordError,
+      'confirm-new-password-error': confirmPassword !== newPassword ? ERROR_MESSAGES.PASSWORDS_DONT_MATCH : ''
+    };
+
+    Object.entries(errors).forEach(([id, message]) => {
+      const errorEl = DOMUtils.getId(id);
+      if (errorEl) errorEl.textContent = message;
+    });
+
+    if (Object.values(errors).some(Boolean)) {
+      return null;
+    }
+
+    return { currentPassword, newPassword };
+  }
+
+  /**
+   * Handle change password form submission
+   * @param {HTMLFormElement} form - Change password form
+   */
+  async handleChangePassword(form) {
+    const data = this.getChangePasswordData(form);
+    if (!data) return;
+
+    const submitBtn = DOMUtils.getId('save-password-btn');
+
+    try {
+      this.setButtonLoading(submitBtn, true);
+
+      const otpToken = this.currentUser.phone
+        ? await this.requestOtp(this.currentUser.phone, 'reverify', 'Confirm it\'s you')
+        : null;
+
+      await ApiService.auth.changePassword(data.currentPassword, data.newPassword, otpToken);
+
+      this.toggleChangePasswordForm(false);
+      this.showSuccess(SUCCESS_MESSAGES.PASSWORD_CHANGED);
+    } catch (error) {
+      if (error.code === 'cancelled') return;
+
+      console.error('Change password error:', error);
+
+      if (error.status === 429) {
+        this.showError('Too many attempts. Please wait a few minutes and try again.');
+      } else {
+        // Wrong current password or a password the server rejected
+        DOMUtils.getId(/current/i.test(error.message) ? 'current-password-error' : 'new-password-error')
+          .textContent = error.message || 'Failed to change password';
+      }
+    } finally {
+      this.setButtonLoading(submitBtn, false);
     }
   }
 
@@ -1171,6 +2528,22 @@ class ProfileManager {
       });
     }
 
+    // Order tracking modal
+    const orderTrackingOverlay = DOMUtils.getId('order-tracking-overlay');
+    const closeOrderTracking = DOMUtils.getId('close-order-tracking');
+
+    if (orderTrackingOverlay) {
+      DOMUtils.addEventListener(orderTrackingOverlay, 'click', () => {
+        this.closeOrderTrackingModal();
+      });
+    }
+
+    if (closeOrderTracking) {
+      DOMUtils.addEventListener(closeOrderTracking, 'click', () => {
+        this.closeOrderTrackingModal();
+      });
+    }
+
     // Address modal
     const addressOverlay = DOMUtils.getId('address-overlay');
     const closeAddressModal = DOMUtils.getId('close-address-modal');
@@ -1186,6 +2559,77 @@ class ProfileManager {
         this.closeAddressModal();
       });
     }
+
+    // OTP modal
+    const otpOverlay = DOMUtils.getId('otp-overlay');
+    const closeOtpModal = DOMUtils.getId('close-otp-modal');
+
+    if (otpOverlay) {
+      DOMUtils.addEventListener(otpOverlay, 'click', () => {
+        this.closeOtpModal();
+      });
+    }
+
+    if (closeOtpModal) {
+      DOMUtils.addEventListener(closeOtpModal, 'click', () => {
+        this.closeOtpModal();
+      });
+    }
+  }
+
+  /**
+   * Ask for an SMS code before a sensitive change
+   * @param {string} phone - Phone number to text the code to
+   * @param {string} purpose - 'reverify' for the account phone, 'verify_phone' for a new number
+   * @param {string} title - Modal title
+   * @returns {Promise<string>} Verification token for the update request
+   * @throws {Error} With code 'cancelled' when the modal is closed
+   */
+  async requestOtp(phone, purpose, title) {
+    const container = DOMUtils.getId('otp-modal-verification');
+
+    this.otpVerification = new OtpVerification(container, {
+      purpose,
+      onVerified: (data) => {
+        const { resolve } = this.pendingOtp;
+        this.pendingOtp = null;
+        this.closeOtpModal();
+        resolve(data.verification_token);
+      }
+    });
+
+    await this.otpVerification.start(phone);
+
+    DOMUtils.getId('otp-modal-title').textContent = title;
+    DOMUtils.getId('otp-modal').classList.add('active');
+
+    return new Promise((resolve, reject) => {
+      this.pendingOtp = { resolve, reject };
+    });
+  }
+
+  /**
+   * Close the OTP modal, cancelling any pending verification
+   */
+  closeOtpModal() {
+    const modal = DOMUtils.getId('otp-modal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+
+    if (this.otpVerification) {
+      this.otpVerification.reset();
+      this.otpVerification = null;
+    }
+
+    if (this.pendingOtp) {
+      const { reject } = this.pendingOtp;
+      this.pendingOtp = null;
+
+      const error = new Error(ERROR_MESSAGES.OTP_REQUIRED);
+      error.code = 'cancelled';
+      reject(error);
+    }
   }
 
   /**
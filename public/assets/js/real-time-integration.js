@@ -295,6 +295,13 @@ class RealTimeIntegration {
         if (window.AdminDashboard && window.AdminDashboard.updateMetrics) {
           window.AdminDashboard.updateMetrics();
         }
+      },
+      
+      handleInventoryUpdate: (changes) => {
+        // Low-stock alerts and inventory table
+        if (window.adminInventoryManager) {
+          window.adminInventoryManager.handleStockChanges(changes);
+        }
       }
     });
   }
@@ -0,0 +1,509 @@
+/**
+ * Request pipeline for Riya Collections Frontend
+ * Composable middleware that every ApiClient request runs through.
+ *
+ * Stages always run in the order of RequestPipeline.STAGES, outermost first:
+ *
+ *   metrics → logging → dedup → cache → retry → rateLimit → auth → send
+ *
+ * - dedup sits outside cache so concurrent identical GETs share one cache
+ *   lookup and one network call.
+ * - cache sits outside retry so only the final response is stored, once.
+ * - retry is the only stage that repeats a request; everything inside it
+ *   (rate limit wait, auth headers, token refresh) runs again per attempt.
+ * - auth refreshes an expired token at most once per attempt and never retries
+ *   on its own for other errors.
+ */
+
+class RequestPipeline {
+  /**
+   * @param {Function} send - Terminal handler that performs the HTTP request
+   */
+  constructor(send) {
+    this.send = send;
+    this.middleware = new Map();
+  }
+
+  /**
+   * Register middleware for a stage
+   * @param {string} stage - One of RequestPipeline.STAGES
+   * @param {Function} middleware - (context, next) => Promise<Object>
+   * @returns {RequestPipeline} Pipeline for chaining
+   */
+  use(stage, middleware) {
+    this.assertStage(stage);
+
+    if (this.middleware.has(stage)) {
+      throw new Error(`Request pipeline stage "${stage}" is already registered`);
+    }
+
+    this.middleware.set(stage, middleware);
+    return this;
+  }
+
+  /**
+   * Replace the middleware registered for a stage
+   * @param {string} stage - One of RequestPipeline.STAGES
+   * @param {Function} middleware - (context, next) => Promise<Object>
+   * @returns {RequestPipeline} Pipeline for chaining
+   */
+  replace(stage, middleware) {
+    this.assertStage(stage);
+    this.middleware.set(stage, middleware);
+    return this;
+  }
+
+  /**
+   * Remove the middleware registered for a stage
+   * @param {string} stage - Stage name
+   */
+  remove(stage) {
+    this.middleware.delete(stage);
+  }
+
+  /**
+   * Throw if a stage name is unknown
+   * @param {string} stage - Stage name
+   */
+  assertStage(stage) {
+    if (!RequestPipeline.STAGES.includes(stage)) {
+      throw new Error(`Unknown request pipeline stage "${stage}"`);
+    }
+  }
+
+  /**
+   * Run a request through the pipeline
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response data
+   */
+  execute(context) {
+    const stack = RequestPipeline.STAGES
+      .filter(stage => this.middleware.has(stage))
+      .map(stage => this.middleware.get(stage));
+
+    const dispatch = (index) => {
+      if (index === stack.length) {
+        return this.send(context);
+      }
+
+      return stack[index](context, () => dispatch(index + 1));
+    };
+
+    return dispatch(0);
+  }
+}
+
+RequestPipeline.STAGES = ['metrics', 'logging', 'dedup', 'cache', 'retry', 'rateLimit', 'auth'];
+
+/**
+ * In-memory response cache
+ * Same interface as ApiStateManager so either can back the cache stage.
+ */
+class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Get cached data
+   * @param {string} key - Cache key
+   * @returns {*|null} Cached data or null
+   */
+  getCache(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() > entry.expiry) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.data;
+  }
+
+  /**
+   * Set cached data
+   * @param {string} key - Cache key
+   * @param {*} data - Data to cache
+   * @param {number} ttl - Time to live in milliseconds
+   */
+  setCache(key, data, ttl) {
+    this.entries.set(key, { data, expiry: Date.now() + ttl });
+  }
+
+  /**
+   * Invalidate cache
+   * @param {string|RegExp} pattern - Key or pattern to invalidate
+   */
+  invalidateCache(pattern) {
+    if (typeof pattern === 'string') {
+      this.entries.delete(pattern);
+      return;
+    }
+
+    for (const key of Array.from(this.entries.keys())) {
+      if (pattern.test(key)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Clear all cache
+   */
+  clearCache() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * Rejects as soon as the request's cancel signal aborts.
+ * @param {number} ms - Delay
+ * @param {Object} context - Request context
+ * @returns {Promise<void>}
+ */
+function pipelineDelay(ms, context) {
+  const { signal } = context;
+
+  return new Promise((resolve, reject) => {
+    const cancel = () => {
+      clearTimeout(timeoutId);
+      reject(new Error('Request cancelled'));
+    };
+
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', cancel);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) {
+      cancel();
+    } else {
+      signal?.addEventListener('abort', cancel, { once: true });
+    }
+  });
+}
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} value - Literal string
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Middleware factories for each pipeline stage
+const RequestMiddleware = {
+  /**
+   * Count requests, errors, cache hits, dedups and retries
+   * @param {Object} stats - Mutable stats object
+   * @returns {Function} Middleware
+   */
+  metrics(stats) {
+    return async (context, next) => {
+      const startTime = Date.now();
+      stats.requests++;
+
+      try {
+        return await next();
+      } catch (error) {
+        stats.errors++;
+        throw error;
+      } finally {
+        stats.totalDuration += Date.now() - startTime;
+        stats.retries += context.attempt || 0;
+        if (context.cacheHit) stats.cacheHits++;
+        if (context.deduplicated) stats.deduplicated++;
+      }
+    };
+  },
+
+  /**
+   * Log requests in development
+   * @returns {Function} Middleware
+   */
+  logging() {
+    return async (context, next) => {
+      if (!window.IS_DEVELOPMENT) {
+        return next();
+      }
+
+      const startTime = Date.now();
+      const label = `${context.method} ${context.endpoint}`;
+
+      try {
+        const result = await next();
+        const duration = Date.now() - startTime;
+
+        if (duration > 2000) {
+          console.warn(`Slow API request (${duration}ms):`, label);
+        }
+
+        console.log(`📥 API ${label}`, {
+          duration: `${duration}ms`,
+          attempts: (context.attempt || 0) + 1,
+          cacheHit: !!context.cacheHit,
+          deduplicated: !!context.deduplicated
+        });
+        return result;
+      } catch (error) {
+        console.warn(`❌ API ${label}`, error.status || '', error.message);
+        throw error;
+      }
+    };
+  },
+
+  /**
+   * Share in-flight GET requests with identical URL and credentials
+   * @param {ApiClient} client - API client for the current auth token
+   * @returns {Function} Middleware
+   */
+  dedup(client) {
+    const inFlight = new Map();
+
+    return (context, next) => {
+      // A cancellable request must not share a promise another caller may abort
+      if (context.method !== 'GET' || context.options.skipDedup || context.signal) {
+        return next();
+      }
+
+      const key = `${context.endpoint}|${context.options.headers?.Authorization || client.getAuthToken() || ''}`;
+
+      if (inFlight.has(key)) {
+        context.deduplicated = true;
+        return inFlight.get(key);
+      }
+
+      const promise = next().finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+
+      return promise;
+    };
+  },
+
+  /**
+   * Serve cacheable GETs from a cache store and invalidate it after writes
+   * Stores with restoreFromStorage are checked again on a miss so persisted entries are used.
+   * Requests sent with their own Authorization header (admin pages) bypass the shared cache.
+   * @param {Object} store - Store with getCache, setCache and invalidateCache
+   * @param {Object} settings - API_CONFIG.CACHE
+   * @returns {Function} Middleware
+   */
+  cache(store, settings = API_CONFIG.CACHE) {
+    const isCacheable = (context) =>
+      !context.options.headers?.Authorization &&
+      settings.ENDPOINTS.some(prefix => context.path.startsWith(prefix)) &&
+      !settings.SKIP.some(pattern => context.path.includes(pattern));
+
+    const invalidate = (path) => {
+      const prefixes = [`/${path.split('/')[1]}`];
+
+      Object.keys(settings.INVALIDATES).forEach(prefix => {
+        if (path.startsWith(prefix)) {
+          prefixes.push(...settings.INVALIDATES[prefix]);
+        }
+      });
+
+      prefixes.forEach(prefix => store.invalidateCache(new RegExp(`^${escapeRegExp(prefix)}`)));
+    };
+
+    return async (context, next) => {
+      if (context.method !== 'GET') {
+        const result = await next();
+        invalidate(context.path);
+        return result;
+      }
+
+      if (!isCacheable(context)) {
+        return next();
+      }
+
+      const key = RequestMiddleware.cacheKey(context);
+
+      if (!context.options.skipCache) {
+        let cached = store.getCache(key);
+        if (cached === null && store.restoreFromStorage) {
+          cached = await store.restoreFromStorage(key);
+        }
+        if (cached !== null) {
+          context.cacheHit = true;
+          // Callers may mutate responses; never hand out the cached object
+          return JSON.parse(JSON.stringify(cached));
+        }
+      }
+
+      const result = await next();
+
+      if (result && result.success !== false) {
+        store.setCache(key, result, context.options.cacheTtl || settings.TTL);
+      }
+
+      return result;
+    };
+  },
+
+  /**
+   * Build the cache key for a request
+   * Matches ApiStateManager.generateCacheKey so subscribers see cached responses.
+   * @param {Object} context - Request context
+   * @returns {string} Cache key
+   */
+  cacheKey(context) {
+    const sortedParams = Object.keys(context.params)
+      .sort()
+      .reduce((result, key) => {
+        result[key] = context.params[key];
+        return result;
+      }, {});
+
+    return `${context.path}_${JSON.stringify(sortedParams)}`;
+  },
+
+  /**
+   * Retry failed requests with jittered exponential backoff
+   * Non-idempotent requests are only retried when options.retry is set.
+   * @param {Object} settings - API_CONFIG.RETRY
+   * @returns {Function} Middleware
+   */
+  retry(settings = API_CONFIG.RETRY) {
+    const idempotent = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+    const isRetryable = (error, context) => {
+      if (context.options.noRetry) return false;
+      if (!idempotent.includes(context.method) && !context.options.retry) return false;
+
+      return error.isNetworkError ||
+        error.isTimeout ||
+        error.status >= 500 ||
+        error.status === 408 ||
+        error.status === 429;
+    };
+
+    return async (context, next) => {
+      for (let attempt = 0; ; attempt++) {
+        context.attempt = attempt;
+
+        try {
+          return await next();
+        } catch (error) {
+          if (attempt + 1 >= settings.MAX_ATTEMPTS || !isRetryable(error, context) || context.signal?.aborted) {
+            throw error;
+          }
+
+          // Equal jitter: half the backoff is fixed, half is random
+          const backoff = settings.DELAY * Math.pow(settings.BACKOFF_MULTIPLIER, attempt);
+          const delay = Math.max(backoff / 2 + Math.random() * backoff / 2, error.retryAfter || 0);
+
+          if (delay > settings.MAX_RETRY_AFTER) {
+            throw error;
+          }
+
+          await pipelineDelay(delay, context);
+        }
+      }
+    };
+  },
+
+  /**
+   * Honour 429 Retry-After for every request, not just the one that got it
+   * @param {Object} settings - API_CONFIG.RETRY
+   * @returns {Function} Middleware
+   */
+  rateLimit(settings = API_CONFIG.RETRY) {
+    let blockedUntil = 0;
+
+    return async (context, next) => {
+      const wait = blockedUntil - Date.now();
+
+      if (wait > settings.MAX_RETRY_AFTER) {
+        const error = new Error(`Too many requests. Please wait ${Math.ceil(wait / 1000)} seconds and try again.`);
+        error.status = 429;
+        error.retryAfter = wait;
+        throw error;
+      }
+
+      if (wait > 0) {
+        await pipelineDelay(wait, context);
+      }
+
+      try {
+        return await next();
+      } catch (error) {
+        if (error.status === 429) {
+          error.retryAfter = RequestMiddleware.parseRetryAfter(error.headers?.get('Retry-After')) ?? settings.DELAY;
+          blockedUntil = Date.now() + error.retryAfter;
+        }
+        throw error;
+      }
+    };
+  },
+
+  /**
+   * Parse a Retry-After header
+   * @param {string|null} value - Seconds or HTTP date
+   * @returns {number|null} Delay in milliseconds
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  },
+
+  /**
+   * Attach credentials and refresh an expired token once
+   * @param {ApiClient} client - API client
+   * @returns {Function} Middleware
+   */
+  auth(client) {
+    // A 401 from these means bad credentials, not an expired session
+    const isAuthEndpoint = (path) => path.startsWith('/auth/login') ||
+      path.startsWith('/auth/register') ||
+      path.startsWith('/auth/refresh') ||
+      path.startsWith('/auth/admin/');
+
+    const applyHeaders = (context) => {
+      // Callers with their own credentials (e.g. the admin panel) keep them
+      if (context.options.headers?.Authorization) return;
+
+      delete context.headers.Authorization;
+      delete context.headers['X-Guest-Token'];
+      Object.assign(context.headers, client.getAuthHeaders(context.path));
+    };
+
+    return async (context, next) => {
+      applyHeaders(context);
+
+      try {
+        return await next();
+      } catch (error) {
+        if (error.status !== 401 || isAuthEndpoint(context.path) || context.options.headers?.Authorization) {
+          throw error;
+        }
+
+        if (window.AuthSession?.refreshToken && await window.AuthSession.refreshToken()) {
+          applyHeaders(context);
+          return next();
+        }
+
+        client.removeAuthToken();
+        throw error;
+      }
+    };
+  }
+};
+
+// Export for global access
+window.RequestPipeline = RequestPipeline;
+window.RequestMiddleware = RequestMiddleware;
+window.MemoryCacheStore = MemoryCacheStore;
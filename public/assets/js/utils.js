@@ -270,6 +270,21 @@ const FormatUtils = {
       .toLowerCase()
       .replace(/[^\w ]+/g, '')
       .replace(/ +/g, '-');
+  },
+
+  /**
+   * Escape HTML special characters in user-supplied text
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 };
 
@@ -639,6 +654,205 @@ const ImageUtils = {
     }
     
     return canvas.toDataURL();
+  },
+
+  /**
+   * Get inline style that keeps an image's focal point inside cropped thumbnails
+   * @param {Object} focalPoint - Focal point as { x, y } percentages
+   * @returns {string} object-position style, empty when centered or unset
+   */
+  focalPosition(focalPoint) {
+    if (!focalPoint || (focalPoint.x === 50 && focalPoint.y === 50)) return '';
+
+    return `object-position: ${focalPoint.x}% ${focalPoint.y}%;`;
+  }
+};
+
+// Product Utilities
+const ProductUtils = {
+  /**
+   * Build grouped specifications for a product
+   * @param {Object} product - Product data
+   * @returns {Object} Specification groups keyed by group name
+   */
+  getSpecifications(product) {
+    const specs = {
+      'Product Information': {
+        'Brand': product.brand || 'N/A',
+        'SKU': product.sku || 'N/A',
+        'Category': product.category?.name || 'N/A'
+      },
+      'Availability': {
+        'Stock Status': product.stockQuantity > 0 ? 'In Stock' : 'Out of Stock',
+        'Quantity Available': product.stockQuantity || 0
+      }
+    };
+
+    // Add price information
+    if (product.price) {
+      specs['Pricing'] = {
+        'Current Price': FormatUtils.currency(product.price)
+      };
+      
+      if (product.originalPrice && product.originalPrice > product.price) {
+        specs['Pricing']['Original Price'] = FormatUtils.currency(product.originalPrice);
+        const discount = Math.round(((product.originalPrice - product.price) / product.originalPrice) * 100);
+        specs['Pricing']['Discount'] = `${discount}%`;
+      }
+    }
+
+    return specs;
+  },
+
+  /**
+   * Describe a variant by its option values
+   * @param {Object} options - Option values by option name, e.g. { Size: 'M', Colour: 'Red' }
+   * @returns {string} Label such as "Size: M / Colour: Red"
+   */
+  variantLabel(options = {}) {
+    return Object.entries(options)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join(' / ');
+  },
+
+  /**
+   * Get the key that identifies a cart line
+   * Products with variants have one line per variant.
+   * @param {number|string} productId - Product ID
+   * @param {number|string|null} variantId - Variant ID
+   * @returns {string} Line key
+   */
+  cartLineKey(productId, variantId = null) {
+    return variantId ? `${productId}:${variantId}` : String(productId);
+  }
+};
+
+// Coupon Utilities
+const CouponUtils = {
+  /**
+   * Build the cart payload sent for server-side coupon validation
+   * @param {Array} items - Cart items
+   * @returns {Array} Items with product ID and quantity
+   */
+  getValidationItems(items = []) {
+    return items.map(item => ({
+      product_id: item.product_id || item.id,
+      variant_id: item.variant_id || null,
+      quantity: item.quantity
+    }));
+  },
+
+  /**
+   * Normalize a coupon validation response
+   * @param {Object} data - Validation response data
+   * @returns {Object} Applied coupon with the server-computed discount
+   */
+  fromValidation(data) {
+    const coupon = data.coupon || {};
+
+    return {
+      code: coupon.code,
+      description: coupon.description || '',
+      discountType: coupon.discount_type,
+      discountValue: coupon.discount_value,
+      category: coupon.category || null,
+      expiresAt: coupon.expires_at || null,
+      discountAmount: Number(data.discount_amount) || 0
+    };
+  },
+
+  /**
+   * Get coupon applied in the cart
+   * @returns {Object|null} Applied coupon
+   */
+  getApplied() {
+    return CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.APPLIED_COUPON, null);
+  },
+
+  /**
+   * Persist applied coupon so checkout can revalidate it
+   * @param {Object} coupon - Applied coupon
+   */
+  saveApplied(coupon) {
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.APPLIED_COUPON, coupon);
+  },
+
+  /**
+   * Clear applied coupon
+   */
+  clearApplied() {
+    CONFIG_UTILS.removeStorageItem(APP_CONFIG.STORAGE_KEYS.APPLIED_COUPON);
+  },
+
+  /**
+   * Format coupon discount badge text
+   * @param {Object} coupon - Coupon data
+   * @returns {string} Badge text
+   */
+  formatDiscount(coupon) {
+    return coupon.discount_type === 'percentage'
+      ? `${coupon.discount_value}% OFF`
+      : `${FormatUtils.currency(coupon.discount_value)} OFF`;
+  },
+
+  /**
+   * Describe coupon restrictions and expiry
+   * @param {Object} coupon - Coupon data
+   * @returns {string} Human readable terms
+   */
+  formatTerms(coupon) {
+    const terms = [];
+
+    if (coupon.category) {
+      terms.push(`${coupon.category.name} only`);
+    }
+
+    if (coupon.first_order_only) {
+      terms.push('First order only');
+    }
+
+    if (coupon.minimum_amount) {
+      terms.push(`Min. order ${FormatUtils.currency(coupon.minimum_amount)}`);
+    }
+
+    if (coupon.usage_limit_per_user) {
+      const remaining = Math.max(0, coupon.usage_limit_per_user - (coupon.times_used || 0));
+      terms.push(`${remaining} of ${coupon.usage_limit_per_user} uses left`);
+    }
+
+    terms.push(coupon.expires_at
+      ? `Valid till ${FormatUtils.date(coupon.expires_at)}`
+      : 'No expiry');
+
+    return terms.join(' • ');
+  }
+};
+
+// Token Utilities
+const TokenUtils = {
+  /**
+   * Read a JWT's claims
+   * The signature is checked by the server; this only reads the payload.
+   * @param {string} token - JWT
+   * @returns {Object|null} Claims, or null when the token cannot be read
+   */
+  decodeClaims(token) {
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(payload));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Check an admin access token's amr claim for two-factor authentication
+   * @param {string} token - Admin access token
+   * @returns {boolean} Token carries APP_CONFIG.ADMIN_2FA.TOKEN_AMR
+   */
+  hasTwoFactorClaim(token) {
+    const claims = this.decodeClaims(token);
+    return Array.isArray(claims?.amr) && claims.amr.includes(APP_CONFIG.ADMIN_2FA.TOKEN_AMR);
   }
 };
 
@@ -649,6 +863,9 @@ window.ValidationUtils = ValidationUtils;
 window.AnimationUtils = AnimationUtils;
 window.TimingUtils = TimingUtils;
 window.ImageUtils = ImageUtils;
+window.ProductUtils = ProductUtils;
+window.CouponUtils = CouponUtils;
+window.TokenUtils = TokenUtils;
 
 // Common utility functions
 window.Utils = {
@@ -657,5 +874,8 @@ window.Utils = {
   ...ValidationUtils,
   ...AnimationUtils,
   ...TimingUtils,
-  ...ImageUtils
+  ...ImageUtils,
+  ...ProductUtils,
+  ...CouponUtils,
+  ...TokenUtils
 };
\ No newline at end of file
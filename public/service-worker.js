@@ -0,0 +1,198 @@
+/**
+ * Service worker for Riya Collections
+ * Precaches the app shell, keeps the versioned assets reported by pages and
+ * serves catalogue API responses stale-while-revalidate for offline browsing.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `riya-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `riya-assets-${CACHE_VERSION}`;
+const API_CACHE = `riya-api-${CACHE_VERSION}`;
+
+// Pages and files needed to open the store offline
+const SHELL_URLS = [
+  '/',
+  '/index.html',
+  '/manifest.json',
+  '/assets/logo.svg',
+  '/pages/products.html',
+  '/pages/product.html',
+  '/pages/cart.html'
+];
+
+// Offline fallback for pages that were never visited
+const OFFLINE_PAGE = '/pages/products.html';
+
+// Catalogue endpoints served stale-while-revalidate
+const CATALOGUE_ENDPOINTS = [
+  /\/api\/products$/,
+  /\/api\/products\/categories\/all$/
+];
+
+// Query parameter the asset server uses for asset versions
+const VERSION_PARAM = 'v';
+
+self.addEventListener('install', (event) => {
+  // Missing shell files should not block installation
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => Promise.allSettled(SHELL_URLS.map(url => cache.add(url))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const currentCaches = [SHELL_CACHE, ASSET_CACHE, API_CACHE];
+
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('riya-') && !currentCaches.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'CACHE_URLS') {
+    event.waitUntil(cacheAssets(event.data.urls || []));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (CATALOGUE_ENDPOINTS.some(pattern => pattern.test(url.pathname))) {
+    event.respondWith(staleWhileRevalidate(event, API_CACHE, offlineApiResponse));
+    return;
+  }
+
+  // Other API requests are user specific and always go to the network
+  if (url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  // Versioned assets never change; unversioned ones are refreshed in the background
+  if (url.searchParams.has(VERSION_PARAM)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, ASSET_CACHE, () => Response.error()));
+  }
+});
+
+/**
+ * Cache assets reported by a page, replacing older versions of the same file
+ * @param {Array<string>} urls - Asset URLs
+ */
+async function cacheAssets(urls) {
+  const cache = await caches.open(ASSET_CACHE);
+
+  await Promise.allSettled(urls.map(async (url) => {
+    const request = new Request(url, { credentials: 'same-origin' });
+    if (await cache.match(request)) return;
+
+    const response = await fetch(request);
+    if (!response.ok) return;
+
+    await cache.put(request, response);
+
+    const { pathname } = new URL(request.url);
+    const cachedRequests = await cache.keys();
+    await Promise.all(
+      cachedRequests
+        .filter(cached => cached.url !== request.url && new URL(cached.url).pathname === pathname)
+        .map(cached => cache.delete(cached))
+    );
+  }));
+}
+
+/**
+ * Serve from cache and refresh the cached copy from the network
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Cache to use
+ * @param {Function} fallback - Response factory when offline with no cached copy
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event, cacheName, fallback) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+
+  const network = fetch(event.request).then((response) => {
+    if (response.ok) {
+      cache.put(event.request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  try {
+    return await network;
+  } catch (error) {
+    return fallback();
+  }
+}
+
+/**
+ * Serve from cache, falling back to the network
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(ASSET_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Load pages from the network, falling back to cached pages offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match(request, { ignoreSearch: true })) ||
+      (await caches.match(OFFLINE_PAGE)) ||
+      Response.error();
+  }
+}
+
+/**
+ * API response used when the catalogue was never cached
+ * @returns {Response} 503 JSON response
+ */
+function offlineApiResponse() {
+  return new Response(JSON.stringify({
+    success: false,
+    offline: true,
+    message: 'You are offline. Connect to the internet to load these products.'
+  }), {
+    status: 503,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, jsonResponse } = require('./helpers/browser-context');
+
+const API_SCRIPTS = [
+  'config.js',
+  'utils.js',
+  'request-pipeline.js',
+  'components/persistent-cache.js',
+  'components/api-state-manager.js',
+  'api.js'
+];
+
+/**
+ * Load the API client into a page that shares localStorage with earlier pages
+ * @param {Object} options - fetch implementation and shared storage
+ * @returns {Object} Browser context
+ */
+function loadPage({ fetch, localStorage = null }) {
+  const page = createBrowserContext({ fetch });
+  if (localStorage) {
+    page.window.localStorage = localStorage;
+  }
+  // The state manager's cleanup timer would keep the test process alive
+  page.window.setInterval = () => 0;
+  return page.load(...API_SCRIPTS);
+}
+
+/**
+ * Let fire-and-forget cache writes finish
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+test('the request pipeline caches through the persistent state manager', async () => {
+  const requests = [];
+  const fetch = async (url, options) => {
+    // Ignore the configuration request made when config.js loads
+    if (url !== '/api/config') {
+      requests.push(`${options.method} ${url}`);
+    }
+    return jsonResponse({ success: true, data: { products: [{ id: 1 }] } });
+  };
+
+  const first = loadPage({ fetch });
+  assert.equal(first.window.api.cacheStore, first.window.ApiStateManager);
+
+  await first.window.api.get('/products', { page: 1 });
+  await flush();
+
+  // A reload starts with an empty memory cache and restores from storage
+  const second = loadPage({ fetch, localStorage: first.window.localStorage });
+  const response = await second.window.api.get('/products', { page: 1 });
+
+  assert.equal(response.data.products[0].id, 1);
+  assert.deepEqual(requests, ['GET /api/products?page=1']);
+});
+
+test('writes invalidate persisted entries that are not in memory', async () => {
+  const requests = [];
+  const fetch = async (url, options) => {
+    // Ignore the configuration request made when config.js loads
+    if (url !== '/api/config') {
+      requests.push(`${options.method} ${url}`);
+    }
+    return jsonResponse({ success: true, data: {} });
+  };
+
+  const first = loadPage({ fetch });
+  await first.window.api.get('/products', { page: 1 });
+  await flush();
+
+  const second = loadPage({ fetch, localStorage: first.window.localStorage });
+  await second.window.api.post('/products/1/reviews', { rating: 5 });
+  await flush();
+
+  await second.window.api.get('/products', { page: 1 });
+
+  assert.deepEqual(requests, [
+    'GET /api/products?page=1',
+    'POST /api/products/1/reviews',
+    'GET /api/products?page=1'
+  ]);
+});
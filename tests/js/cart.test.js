@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, jsonResponse } = require('./helpers/browser-context');
+
+/**
+ * Load the cart component for a guest with queued offline changes
+ * @param {Array} queue - Offline cart changes
+ * @param {Function} onMissing - Called with the page window when a product that does not exist is requested
+ * @returns {Object} Page context and cart
+ */
+function loadCart(queue, onMissing = () => {}) {
+  const page = createBrowserContext({
+    fetch: async (url) => {
+      if (url === '/api/config') {
+        return jsonResponse({ success: true, data: {} });
+      }
+
+      const id = Number(url.match(/\/products\/(\d+)/)?.[1]);
+      if (id === 2) {
+        onMissing(page.window);
+        return jsonResponse({ success: false, message: 'Product not found' }, { status: 404 });
+      }
+      return jsonResponse({
+        success: true,
+        data: { product: { id, name: `Product ${id}`, price: 100, stockQuantity: 10, images: [] } }
+      });
+    }
+  }).load('config.js', 'utils.js', 'request-pipeline.js', 'api.js', 'components/cart.js');
+
+  const cart = page.evaluate('new CartClass()');
+  page.evaluate(`CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.OFFLINE_CART_QUEUE, ${JSON.stringify(queue)})`);
+
+  return { page, cart };
+}
+
+/**
+ * Read the offline queue as plain objects
+ * @param {Object} page - Page context
+ * @returns {Array} Queued changes without timestamps
+ */
+function readQueue(page) {
+  const queue = page.evaluate('CONFIG_UTILS.getStorageItem(APP_CONFIG.STORAGE_KEYS.OFFLINE_CART_QUEUE, [])');
+  return JSON.parse(JSON.stringify(queue)).map(({ queuedAt, ...change }) => change);
+}
+
+test('changes that fail during replay stay in the offline queue', async () => {
+  const { page, cart } = loadCart([
+    { type: 'add', productId: 1, variantId: null, quantity: 2 },
+    { type: 'add', productId: 2, variantId: null, quantity: 1 }
+  ]);
+
+  await cart.replayOfflineChanges();
+
+  assert.deepEqual(readQueue(page), [{ type: 'add', productId: 2, variantId: null, quantity: 1 }]);
+  assert.equal(cart.cartData.items.length, 1);
+  assert.equal(cart.cartData.items[0].productId, 1);
+});
+
+test('failed changes are kept ahead of changes queued when the connection drops mid-replay', async () => {
+  const { page, cart } = loadCart([
+    { type: 'add', productId: 2, variantId: null, quantity: 1 },
+    { type: 'add', productId: 3, variantId: null, quantity: 1 }
+  ], (window) => {
+    window.navigator.onLine = false;
+  });
+
+  await cart.replayOfflineChanges();
+
+  assert.deepEqual(readQueue(page), [
+    { type: 'add', productId: 2, variantId: null, quantity: 1 },
+    { type: 'add', productId: 3, variantId: null, quantity: 1 }
+  ]);
+});
+
+test('a failed change is dropped when a change queued mid-replay supersedes it', async () => {
+  const { page, cart } = loadCart([
+    { type: 'add', productId: 2, variantId: null, quantity: 1 },
+    { type: 'remove', productId: 2, variantId: null }
+  ], (window) => {
+    window.navigator.onLine = false;
+  });
+
+  await cart.replayOfflineChanges();
+
+  assert.deepEqual(readQueue(page), [{ type: 'remove', productId: 2, variantId: null }]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, jsonResponse } = require('./helpers/browser-context');
+
+test('server configuration is fetched after defaults are applied', async () => {
+  const requests = [];
+  const page = createBrowserContext({
+    fetch: async (url) => {
+      requests.push(url);
+      return jsonResponse({
+        pricing: { COD_FEE: 40, SHIPPING: { FREE_SHIPPING_THRESHOLD: 999 } },
+        oauth: { PROVIDERS: { google: { CLIENT_ID: 'google-client' } } }
+      });
+    }
+  }).load('config.js');
+
+  await page.window.configReady;
+
+  assert.deepEqual(requests, ['/api/config']);
+  assert.equal(page.evaluate('APP_CONFIG.PRICING.COD_FEE'), 40);
+  assert.equal(page.evaluate('APP_CONFIG.PRICING.SHIPPING.FREE_SHIPPING_THRESHOLD'), 999);
+  // Nested defaults survive a partial override
+  assert.equal(page.evaluate('APP_CONFIG.PRICING.SHIPPING.DEFAULT_ZONE'), 'standard');
+  assert.equal(page.evaluate('APP_CONFIG.OAUTH.PROVIDERS.google.CLIENT_ID'), 'google-client');
+  assert.equal(page.evaluate('APP_CONFIG.OAUTH.PROVIDERS.google.NAME'), 'Google');
+});
+
+test('defaults stay in place when the server configuration cannot be loaded', async () => {
+  let source = null;
+  const page = createBrowserContext();
+  page.window.addEventListener('configLoaded', (event) => {
+    source = event.detail.source;
+  });
+  page.load('config.js');
+
+  await page.window.configReady;
+
+  assert.equal(source, 'default');
+  assert.equal(page.evaluate('APP_CONFIG.PRICING.COD_FEE'), 25);
+});
+
+test('PricingRules.load waits for the server pricing rules', async () => {
+  const page = createBrowserContext({
+    fetch: async () => jsonResponse({ pricing: { DEFAULT_GST_RATE: 12 } })
+  }).load('config.js', 'pricing.js');
+
+  const rules = await page.evaluate('PricingRules.load()');
+
+  assert.equal(rules.DEFAULT_GST_RATE, 12);
+});
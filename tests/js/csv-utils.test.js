@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, jsonResponse } = require('./helpers/browser-context');
+
+/**
+ * Load the product import module
+ * @param {Function} fetch - fetch implementation
+ * @returns {Object} Page context
+ */
+function loadImport(fetch) {
+  return createBrowserContext({ fetch })
+    .load('config.js', 'utils.js', 'request-pipeline.js', 'api.js', 'admin-product-import.js');
+}
+
+/**
+ * Copy a value out of the page realm so deepEqual compares structure only
+ * @param {*} value - Value from the page
+ * @returns {*} Plain copy
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('parse handles quoted fields, escaped quotes, line breaks and CRLF', () => {
+  const { CsvUtils } = loadImport().window;
+  const text = 'sku,name,description\r\nRC-1,"Lipstick, Ruby","Says ""hello""\non two lines"\r\nRC-2,Kajal,\r\n\r\n';
+
+  assert.deepEqual(plain(CsvUtils.parse(text)), [
+    ['sku', 'name', 'description'],
+    ['RC-1', 'Lipstick, Ruby', 'Says "hello"\non two lines'],
+    ['RC-2', 'Kajal', '']
+  ]);
+});
+
+test('parse strips a BOM and detects semicolon and tab delimiters', () => {
+  const { CsvUtils } = loadImport().window;
+
+  assert.deepEqual(plain(CsvUtils.parse('﻿sku;price\nRC-1;499,50')), [['sku', 'price'], ['RC-1', '499,50']]);
+  assert.deepEqual(plain(CsvUtils.parse('sku\tname\nRC-1\tKajal')), [['sku', 'name'], ['RC-1', 'Kajal']]);
+});
+
+test('stringify quotes special characters and neutralises formulas', () => {
+  const { CsvUtils } = loadImport().window;
+
+  const text = CsvUtils.stringify([
+    ['sku', 'name', 'note', 'price'],
+    ['RC-1', 'Lipstick, "Ruby"', '=HYPERLINK("x")', -5],
+    ['RC-2', null, '@mention', undefined]
+  ]);
+
+  assert.equal(text, [
+    'sku,name,note,price',
+    'RC-1,"Lipstick, ""Ruby""","\'=HYPERLINK(""x"")",-5',
+    'RC-2,,\'@mention,'
+  ].join('\r\n'));
+});
+
+test('stringify output parses back to the same rows', () => {
+  const { CsvUtils } = loadImport().window;
+  const rows = [['sku', 'description'], ['RC-1', 'Line one\nLine "two", three']];
+
+  assert.deepEqual(plain(CsvUtils.parse(CsvUtils.stringify(rows))), rows);
+});
+
+test('a failed import batch marks its rows as errors and later batches still run', async () => {
+  let batch = 0;
+  const page = loadImport(async (url, options) => {
+    if (url === '/api/config') {
+      return jsonResponse({}, { status: 404 });
+    }
+
+    batch++;
+    if (batch === 1) {
+      return jsonResponse({ success: false, message: 'Database unavailable' }, { status: 503 });
+    }
+
+    const rows = JSON.parse(options.body).rows;
+    return jsonResponse({ success: true, data: { results: rows.map(row => ({ row: row.row, action: 'create' })) } });
+  });
+
+  const manager = Object.create(page.window.ProductImportManager.prototype);
+  manager.settings = { BATCH_SIZE: 2 };
+  manager.productManager = { getAdminRequestOptions: () => ({ skipErrorHandling: true }) };
+  manager.updateProgress = () => {};
+
+  const rows = [2, 3, 4].map(row => ({ row, data: { sku: `RC-${row}`, name: `Product ${row}` }, errors: [] }));
+  const results = plain(await manager.submitRows(rows, false));
+
+  assert.deepEqual(results.map(result => [result.row, result.action, result.errors]), [
+    [2, 'skip', ['Not imported: Database unavailable']],
+    [3, 'skip', ['Not imported: Database unavailable']],
+    [4, 'create', []]
+  ]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, jsonResponse } = require('./helpers/browser-context');
+
+/**
+ * Load guest checkout with a guest session and a local cart
+ * @param {Object} options - Fetch behaviour
+ * @param {boolean} options.failMerge - Whether the cart merge request fails
+ * @returns {Object} Page context and recorded requests
+ */
+function loadGuestCheckout({ failMerge = false } = {}) {
+  const requests = [];
+  const page = createBrowserContext({
+    fetch: async (url, options) => {
+      if (url === '/api/config') {
+        return jsonResponse({ success: true, data: {} });
+      }
+      requests.push({ method: options.method, url, body: options.body ? JSON.parse(options.body) : null });
+
+      if (url === '/api/auth/register') {
+        return jsonResponse({ success: true, data: { token: 'user-token', user: { id: 5 } } });
+      }
+      if (url === '/api/cart/merge' && failMerge) {
+        return jsonResponse({ success: false, message: 'Unavailable' }, { status: 400 });
+      }
+      return jsonResponse({ success: true, data: {} });
+    }
+  }).load('config.js', 'utils.js', 'request-pipeline.js', 'api.js', 'cart.js', 'guest-checkout.js');
+
+  page.evaluate(`
+    GuestCheckout.saveSession({ token: 'guest-token', email: 'guest@example.com', phone: '9876543210', orderNumbers: ['RC1001'] });
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.CART_DATA, {
+      items: [{ id: 12, variant_id: 3, quantity: 2 }, { product_id: 14, quantity: 1 }]
+    });
+  `);
+
+  return { page, requests };
+}
+
+test('creating an account claims the guest orders and merges the local cart', async () => {
+  const { page, requests } = loadGuestCheckout();
+
+  const user = await page.window.GuestCheckout.createAccount({ firstName: 'Riya', lastName: 'Shah', password: 'Password1!' });
+
+  assert.equal(user.id, 5);
+  assert.deepEqual(requests.map(request => `${request.method} ${request.url}`), [
+    'POST /api/auth/register',
+    'POST /api/guest/orders/claim',
+    'POST /api/cart/merge'
+  ]);
+  assert.deepEqual(JSON.parse(JSON.stringify(requests[2].body)), {
+    items: [
+      { product_id: 12, variant_id: 3, quantity: 2 },
+      { product_id: 14, variant_id: null, quantity: 1 }
+    ]
+  });
+
+  assert.equal(page.evaluate('CartPage.getLocalCart().items.length'), 0);
+  assert.equal(page.evaluate('GuestCheckout.getSession()'), null);
+});
+
+test('the local cart is kept when the merge fails', async () => {
+  const { page } = loadGuestCheckout({ failMerge: true });
+
+  await page.window.GuestCheckout.createAccount({ firstName: 'Riya', lastName: 'Shah', password: 'Password1!' });
+
+  assert.equal(page.evaluate('CartPage.getLocalCart().items.length'), 2);
+});
@@ -0,0 +1,150 @@
+/**
+ * Loads frontend scripts into an isolated browser-like context for node:test
+ * Scripts run in order like <script> tags sharing one global scope, so
+ * top-level classes and consts from one file are visible to the next.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_ROOT = path.join(__dirname, '..', '..', '..', 'public', 'assets', 'js');
+
+/**
+ * In-memory Storage implementation
+ * Items are enumerable own properties, so Object.keys(localStorage) works as in browsers.
+ * @returns {Object} localStorage-compatible object
+ */
+function createStorage() {
+  const storage = {};
+
+  Object.defineProperties(storage, {
+    getItem: { value: (key) => (Object.hasOwn(storage, key) ? storage[key] : null) },
+    setItem: { value: (key, value) => { storage[key] = String(value); } },
+    removeItem: { value: (key) => { delete storage[key]; } },
+    clear: { value: () => Object.keys(storage).forEach(key => delete storage[key]) },
+    key: { value: (index) => Object.keys(storage)[index] ?? null },
+    length: { get: () => Object.keys(storage).length }
+  });
+
+  return storage;
+}
+
+/**
+ * Create a fetch response
+ * @param {*} body - JSON body
+ * @param {Object} options - Status and headers
+ * @returns {Object} Response-like object
+ */
+function jsonResponse(body, { status = 200, headers = {} } = {}) {
+  const allHeaders = new Map(Object.entries({ 'content-type': 'application/json', ...headers }));
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: (name) => allHeaders.get(name.toLowerCase()) ?? null },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+/**
+ * Create a browser-like context
+ * @param {Object} options - Context options
+ * @param {Function} options.fetch - fetch implementation, defaults to a network error
+ * @param {string} options.url - Page URL
+ * @returns {Object} Context with load and evaluate helpers
+ */
+function createBrowserContext({ fetch = null, url = 'http://localhost/pages/index.html' } = {}) {
+  const events = new EventTarget();
+  const location = new URL(url);
+  const noop = () => {};
+
+  const context = {
+    console: { log: noop, info: noop, warn: noop, error: noop, debug: noop, group: noop, groupEnd: noop },
+    location: {
+      href: location.href,
+      origin: location.origin,
+      protocol: location.protocol,
+      hostname: location.hostname,
+      pathname: location.pathname,
+      search: location.search,
+      hash: location.hash,
+      assign: noop,
+      replace: noop
+    },
+    navigator: { onLine: true, userAgent: 'node' },
+    document: {
+      readyState: 'complete',
+      addEventListener: noop,
+      removeEventListener: noop,
+      dispatchEvent: () => true,
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      getElementById: () => null,
+      createElement: () => ({ style: {}, setAttribute: noop, appendChild: noop }),
+      head: { appendChild: noop, removeChild: noop },
+      body: { appendChild: noop, removeChild: noop }
+    },
+    localStorage: createStorage(),
+    sessionStorage: createStorage(),
+    fetch: fetch || (async () => {
+      throw new TypeError('Failed to fetch');
+    }),
+    addEventListener: events.addEventListener.bind(events),
+    removeEventListener: events.removeEventListener.bind(events),
+    dispatchEvent: events.dispatchEvent.bind(events),
+    CustomEvent,
+    Event,
+    EventTarget,
+    AbortController,
+    AbortSignal,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    Blob,
+    crypto: globalThis.crypto,
+    atob,
+    btoa,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask,
+    structuredClone
+  };
+
+  context.window = context;
+  context.self = context;
+  context.globalThis = context;
+  vm.createContext(context);
+
+  return {
+    window: context,
+
+    /**
+     * Run scripts in order
+     * @param {...string} files - Paths relative to public/assets/js
+     */
+    load(...files) {
+      files.forEach(file => {
+        const filename = path.join(JS_ROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+      });
+      return this;
+    },
+
+    /**
+     * Evaluate an expression in the page scope, e.g. a top-level class name
+     * @param {string} expression - JavaScript expression
+     * @returns {*} Result
+     */
+    evaluate(expression) {
+      return vm.runInContext(expression, context);
+    }
+  };
+}
+
+module.exports = { createBrowserContext, jsonResponse };
@@ -0,0 +1,76 @@
+/**
+ * In-memory SMS provider for OtpService tests
+ * Implements the provider interface from components/otp-service.js, recording
+ * codes instead of texting them so tests can read them back with lastCode.
+ */
+
+class FakeSmsProvider {
+  /**
+   * @param {Object} options - Fake options
+   * @param {Object} options.responses - Extra response data by purpose, e.g. a session for 'login'
+   * @param {number} options.codeLength - Digits per code
+   * @param {number} options.resendIn - Resend wait in seconds
+   * @param {string} options.invalidMessage - Message for a wrong or used code
+   */
+  constructor({ responses = {}, codeLength = 6, resendIn = 30, invalidMessage = 'Invalid code' } = {}) {
+    this.responses = responses;
+    this.codeLength = codeLength;
+    this.resendIn = resendIn;
+    this.invalidMessage = invalidMessage;
+    this.messages = [];
+  }
+
+  /**
+   * Record a code instead of texting it
+   * @param {string} phone - 10 digit phone number
+   * @param {string} purpose - Code purpose
+   * @returns {Promise<Object>} Request details
+   */
+  async sendCode(phone, purpose) {
+    const code = Array.from({ length: this.codeLength }, () => Math.floor(Math.random() * 10)).join('');
+    const requestId = `fake-${this.messages.length}`;
+
+    this.messages.push({ requestId, phone, purpose, code });
+
+    return {
+      request_id: requestId,
+      resend_in: this.resendIn,
+      expires_in: 300
+    };
+  }
+
+  /**
+   * Check a code against the recorded messages
+   * @param {Object} request - Request ID, phone, purpose and code
+   * @returns {Promise<Object>} Verification token and any configured response data
+   */
+  async verifyCode({ requestId, purpose, code }) {
+    const message = this.messages.find(item => item.requestId === requestId);
+
+    if (!message || message.code !== code) {
+      const error = new Error(this.invalidMessage);
+      error.status = 400;
+      throw error;
+    }
+
+    // Codes are single use
+    this.messages = this.messages.filter(item => item !== message);
+
+    return {
+      verification_token: `fake-verification-${requestId}`,
+      ...this.responses[purpose]
+    };
+  }
+
+  /**
+   * Get the last code sent to a phone
+   * @param {string} phone - 10 digit phone number
+   * @returns {string|null} Code
+   */
+  lastCode(phone) {
+    const message = [...this.messages].reverse().find(item => item.phone === phone);
+    return message ? message.code : null;
+  }
+}
+
+module.exports = { FakeSmsProvider };
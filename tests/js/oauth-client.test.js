@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext } = require('./helpers/browser-context');
+
+/**
+ * Load the OAuth client and mock provider with the mock provider enabled
+ * @returns {Promise<Object>} Page context and the URLs the page navigated to
+ */
+async function loadOAuth() {
+  const page = createBrowserContext({ url: 'http://localhost/pages/login.html' })
+    .load('config.js', 'utils.js', 'components/oauth-client.js', 'oauth-mock-provider.js');
+
+  await page.window.configReady;
+  page.evaluate("APP_CONFIG.OAUTH.MOCK_AUTHORIZE_URL = '/pages/oauth-mock-provider.html'");
+
+  return page;
+}
+
+/**
+ * Start a redirect sign-in and capture the authorization URL
+ * Popups are unavailable in the test page, so authorize falls back to a redirect.
+ * @param {Object} page - Page context
+ * @param {string} provider - Provider key
+ * @returns {Promise<URL>} Authorization URL
+ */
+function startSignIn(page, provider) {
+  return new Promise((resolve) => {
+    page.window.location.assign = (url) => resolve(new URL(url));
+    page.window.OAuthClient.authorize(provider);
+  });
+}
+
+test('sign-in through the mock provider completes once with the PKCE verifier', async () => {
+  const page = await loadOAuth();
+  const { OAuthClient, OAuthMockProvider } = page.window;
+
+  const authorizeUrl = await startSignIn(page, 'google');
+
+  assert.equal(authorizeUrl.pathname, '/pages/oauth-mock-provider.html');
+  assert.equal(authorizeUrl.searchParams.get('provider'), 'google');
+  assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+
+  const callbackUrl = new URL(OAuthMockProvider.buildRedirect(authorizeUrl.searchParams, true));
+  assert.equal(callbackUrl.pathname, '/pages/oauth-callback.html');
+
+  const { request, data } = OAuthClient.parseCallback(callbackUrl.searchParams);
+  assert.equal(request.provider, 'google');
+  assert.equal(request.mode, 'login');
+  assert.match(data.code, /^mock_google_/);
+  assert.equal(data.redirect_uri, 'http://localhost/pages/oauth-callback.html');
+
+  // The verifier hashes to the challenge the provider was given
+  const challenge = await page.evaluate('OAuthClient').createCodeChallenge(data.code_verifier);
+  assert.equal(challenge, authorizeUrl.searchParams.get('code_challenge'));
+
+  // A replayed callback is rejected
+  assert.throws(() => OAuthClient.parseCallback(callbackUrl.searchParams), { code: 'expired' });
+});
+
+test('denying at the mock provider reports a cancelled sign-in', async () => {
+  const page = await loadOAuth();
+  const { OAuthClient, OAuthMockProvider } = page.window;
+
+  const authorizeUrl = await startSignIn(page, 'facebook');
+  const callbackUrl = new URL(OAuthMockProvider.buildRedirect(authorizeUrl.searchParams, false));
+
+  assert.equal(callbackUrl.searchParams.get('error'), 'access_denied');
+  assert.throws(() => OAuthClient.parseCallback(callbackUrl.searchParams), (error) => {
+    assert.equal(error.code, 'cancelled');
+    assert.equal(error.request.provider, 'facebook');
+    return true;
+  });
+});
+
+test('unknown and expired states are rejected', async () => {
+  const page = await loadOAuth();
+  const { OAuthClient } = page.window;
+  const ttl = page.evaluate('APP_CONFIG.OAUTH.REQUEST_TTL');
+
+  assert.throws(() => OAuthClient.parseCallback(new URLSearchParams('code=abc&state=forged')), { code: 'expired' });
+  assert.throws(() => OAuthClient.parseCallback(new URLSearchParams('code=abc')), { code: 'expired' });
+
+  OAuthClient.saveRequest('old-state', {
+    provider: 'google',
+    mode: 'login',
+    codeVerifier: 'verifier',
+    createdAt: Date.now() - ttl - 1000
+  });
+  assert.throws(() => OAuthClient.parseCallback(new URLSearchParams('code=abc&state=old-state')), { code: 'expired' });
+});
+
+test('the mock provider only redirects to this site', async () => {
+  const page = await loadOAuth();
+  const { OAuthMockProvider } = page.window;
+
+  assert.throws(
+    () => OAuthMockProvider.buildRedirect(new URLSearchParams('redirect_uri=https://evil.example/cb&state=s'), true),
+    /redirect_uri/
+  );
+  assert.throws(
+    () => OAuthMockProvider.buildRedirect(new URLSearchParams('redirect_uri=/pages/oauth-callback.html'), true),
+    /state/
+  );
+});
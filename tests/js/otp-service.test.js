@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext } = require('./helpers/browser-context');
+const { FakeSmsProvider } = require('./helpers/fake-sms-provider');
+
+/**
+ * Create an OTP service backed by the fake SMS provider
+ * @param {Object} responses - Extra response data by purpose
+ * @returns {Object} Page, service and provider
+ */
+function createOtp(responses = {}) {
+  const page = createBrowserContext()
+    .load('config.js', 'utils.js', 'request-pipeline.js', 'api.js', 'components/otp-service.js');
+
+  const provider = new FakeSmsProvider({
+    responses,
+    codeLength: page.evaluate('APP_CONFIG.OTP.LENGTH'),
+    invalidMessage: page.evaluate('ERROR_MESSAGES.OTP_INVALID')
+  });
+  const service = new page.window.OtpServiceClass(provider);
+
+  return { page, service, provider };
+}
+
+test('a sent code verifies once and returns the purpose response', async () => {
+  const session = { token: 'session-token', user: { id: 7 } };
+  const { service, provider } = createOtp({ login: session });
+
+  const request = await service.send('+91 98765 43210', 'login');
+
+  assert.equal(request.phone, '9876543210');
+  assert.equal(request.purpose, 'login');
+  assert.equal(provider.messages.length, 1);
+
+  const code = provider.lastCode('9876543210');
+  assert.match(code, /^\d{6}$/);
+
+  const result = await service.verify(request, code);
+  assert.equal(result.verification_token, `fake-verification-${request.requestId}`);
+  assert.equal(result.token, 'session-token');
+  assert.equal(result.user.id, 7);
+
+  // Codes are single use
+  await assert.rejects(service.verify(request, code), { status: 400 });
+});
+
+test('a wrong code is rejected and the right one still works', async () => {
+  const { page, service, provider } = createOtp();
+  const request = await service.send('09876543210', 'verify_phone');
+  const code = provider.lastCode('9876543210');
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  await assert.rejects(service.verify(request, wrong), {
+    status: 400,
+    message: page.evaluate('ERROR_MESSAGES.OTP_INVALID')
+  });
+
+  const result = await service.verify(request, code);
+  assert.equal(result.verification_token, `fake-verification-${request.requestId}`);
+});
+
+test('invalid phone numbers are rejected before anything is sent', async () => {
+  const { page, service, provider } = createOtp();
+
+  await assert.rejects(service.send('12345', 'login'), { message: page.evaluate('ERROR_MESSAGES.INVALID_PHONE') });
+  await assert.rejects(service.send('', 'login'), { message: page.evaluate('ERROR_MESSAGES.INVALID_PHONE') });
+  assert.equal(provider.messages.length, 0);
+});
+
+test('the +91 and 0 prefixes are stripped without widening phone validation', () => {
+  const { page, service } = createOtp();
+  const ValidationUtils = page.evaluate('ValidationUtils');
+
+  assert.equal(service.normalizePhone('+91 98765 43210'), '9876543210');
+  assert.equal(service.normalizePhone('919876543210'), '9876543210');
+  assert.equal(service.normalizePhone('09876543210'), '9876543210');
+  assert.equal(service.normalizePhone('+91 12345 67890'), null);
+
+  // Registration, addresses and checkout keep accepting 10 digits only
+  assert.equal(ValidationUtils.phone('98765 43210'), true);
+  assert.equal(ValidationUtils.phone('+91 98765 43210'), false);
+  assert.equal(ValidationUtils.phone('09876543210'), false);
+});
+
+test('resend waits come from the provider and errors map to friendly messages', async () => {
+  const { page, service } = createOtp();
+  const request = await service.send('9876543210', 'reverify');
+
+  assert.equal(request.resendIn, page.evaluate('APP_CONFIG.OTP.RESEND_COOLDOWN'));
+  assert.equal(service.formatPhone('9876543210'), '+91 98765 43210');
+
+  assert.equal(
+    service.getErrorMessage({ status: 429, retryAfter: 42000 }),
+    `${page.evaluate('ERROR_MESSAGES.TOO_MANY_OTP_REQUESTS')} Please try again in 42 seconds.`
+  );
+  assert.equal(service.getErrorMessage({ status: 410 }), page.evaluate('ERROR_MESSAGES.OTP_EXPIRED'));
+});
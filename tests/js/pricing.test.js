@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, jsonResponse } = require('./helpers/browser-context');
+
+/**
+ * Load pricing rules with server shipping configuration
+ * @param {Object} shipping - Server SHIPPING overrides
+ * @returns {Promise<Object>} PricingRules from the page
+ */
+async function loadPricing(shipping) {
+  const page = createBrowserContext({
+    fetch: async () => jsonResponse({ pricing: { SHIPPING: shipping } })
+  }).load('config.js', 'pricing.js');
+
+  await page.evaluate('PricingRules.load()');
+  return page.evaluate('PricingRules');
+}
+
+const items = [{ price: 200, quantity: 1, weight: 0.5 }];
+
+test('server zones are merged with the default zones', async () => {
+  const PricingRules = await loadPricing({
+    FREE_SHIPPING_THRESHOLD: null,
+    ZONES: { metro: { BASE_RATE: 30, INCLUDED_WEIGHT_KG: 1, PER_KG_RATE: 10 } },
+    PINCODE_ZONES: [{ PREFIXES: ['110'], ZONE: 'metro' }]
+  });
+
+  assert.equal(PricingRules.getShippingZone('110001').key, 'metro');
+  assert.equal(PricingRules.calculateShipping(items, 200, '110001'), 30);
+
+  // The default zone survives a server ZONES override
+  assert.equal(PricingRules.getShippingZone('560001').key, 'standard');
+  assert.equal(PricingRules.calculateShipping(items, 200, '560001'), 50);
+});
+
+test('a pincode rule for an unknown zone falls back to the default zone', async () => {
+  const PricingRules = await loadPricing({
+    FREE_SHIPPING_THRESHOLD: null,
+    PINCODE_ZONES: [{ PREFIXES: ['400'], ZONE: 'west' }]
+  });
+
+  const zone = PricingRules.getShippingZone('400001');
+
+  assert.equal(zone.key, 'standard');
+  assert.equal(zone.BASE_RATE, 50);
+  assert.equal(PricingRules.calculateShipping(items, 200, '400001'), 50);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, jsonResponse } = require('./helpers/browser-context');
+
+/**
+ * Load the API client with a fetch that records requests
+ * @returns {Object} Page context and recorded requests
+ */
+function loadApi() {
+  const requests = [];
+  const page = createBrowserContext({
+    fetch: async (url, options) => {
+      // Ignore the configuration request made when config.js loads
+      if (url !== '/api/config') {
+        requests.push(`${options.method} ${url}`);
+      }
+      return jsonResponse({ success: true, data: {} });
+    }
+  }).load('config.js', 'utils.js', 'request-pipeline.js', 'api.js');
+
+  return { page, api: page.window.api, requests };
+}
+
+test('stages run in RequestPipeline.STAGES order whatever the registration order', async () => {
+  const { page } = loadApi();
+  const RequestPipeline = page.evaluate('RequestPipeline');
+  const calls = [];
+
+  const pipeline = new RequestPipeline(async () => {
+    calls.push('send');
+    return { success: true };
+  });
+
+  [...RequestPipeline.STAGES].reverse().forEach(stage => {
+    pipeline.use(stage, (context, next) => {
+      calls.push(stage);
+      return next();
+    });
+  });
+
+  await pipeline.execute({});
+
+  assert.deepEqual(calls, ['metrics', 'logging', 'dedup', 'cache', 'retry', 'rateLimit', 'auth', 'send']);
+});
+
+test('the API client registers every stage and rejects unknown or duplicate stages', () => {
+  const { page, api } = loadApi();
+  const STAGES = [...page.evaluate('RequestPipeline.STAGES')];
+
+  assert.deepEqual([...api.pipeline.middleware.keys()], STAGES);
+  assert.throws(() => api.pipeline.use('compression', () => {}), /Unknown request pipeline stage/);
+  assert.throws(() => api.pipeline.use('cache', () => {}), /already registered/);
+});
+
+test('product responses are cached until a review write invalidates them', async () => {
+  const { api, requests } = loadApi();
+
+  await api.get('/products/1');
+  await api.get('/products/1');
+  await api.post('/reviews/9/helpful');
+  await api.get('/products/1');
+
+  assert.deepEqual(requests, [
+    'GET /api/products/1',
+    'POST /api/reviews/9/helpful',
+    'GET /api/products/1'
+  ]);
+  assert.equal(api.getStats().cacheHits, 1);
+});
+
+test('review lists are never cached because they carry per-user flags', async () => {
+  const { api, requests } = loadApi();
+
+  await api.get('/products/1/reviews');
+  await api.get('/products/1/reviews');
+
+  assert.deepEqual(requests, ['GET /api/products/1/reviews', 'GET /api/products/1/reviews']);
+});
+
+test('requests with their own Authorization header bypass the shared cache', async () => {
+  const { api, requests } = loadApi();
+  const adminOptions = { headers: { Authorization: 'Bearer admin-token' } };
+
+  await api.get('/products');
+  await api.get('/products', {}, adminOptions);
+  await api.get('/products', {}, adminOptions);
+
+  assert.deepEqual(requests, ['GET /api/products', 'GET /api/products', 'GET /api/products']);
+});
+
+test('a 401 refreshes the session once through AuthSession and retries the request', async () => {
+  const requests = [];
+  const page = createBrowserContext({
+    fetch: async (url, options) => {
+      if (url === '/api/config') {
+        return jsonResponse({ success: true, data: {} });
+      }
+      requests.push(`${options.method} ${url} ${options.headers.Authorization || ''}`.trim());
+
+      if (url === '/api/auth/refresh') {
+        const body = JSON.parse(options.body);
+        assert.equal(body.refreshToken, 'refresh-1');
+        assert.equal(body.sessionId, 'session-1');
+        return jsonResponse({ success: true, data: { tokens: { accessToken: 'access-2', refreshToken: 'refresh-2' } } });
+      }
+
+      return options.headers.Authorization === 'Bearer access-2'
+        ? jsonResponse({ success: true, data: { orders: [] } })
+        : jsonResponse({ success: false, message: 'Token expired' }, { status: 401 });
+    }
+  }).load('config.js', 'utils.js', 'request-pipeline.js', 'api.js', 'components/auth-manager.js');
+
+  page.evaluate(`
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN, 'access-1');
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.USER_DATA, { id: 1 });
+    CONFIG_UTILS.setStorageItem('refresh_token', 'refresh-1');
+    CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.SESSION_ID, 'session-1');
+  `);
+
+  const response = await page.window.api.get('/orders', {}, { skipErrorHandling: true });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(requests, [
+    'GET /api/orders Bearer access-1',
+    'POST /api/auth/refresh Bearer access-1',
+    'GET /api/orders Bearer access-2'
+  ]);
+  assert.equal(page.evaluate("CONFIG_UTILS.getStorageItem('refresh_token')"), 'refresh-2');
+});
+
+test('a 401 keeps its API error when only the AuthSession stub is loaded', async () => {
+  const requests = [];
+  const page = createBrowserContext({
+    fetch: async (url, options) => {
+      if (url === '/api/config') {
+        return jsonResponse({ success: true, data: {} });
+      }
+      requests.push(`${options.method} ${url}`);
+      return jsonResponse({ success: false, message: 'Token expired' }, { status: 401 });
+    }
+  }).load('config.js', 'utils.js', 'request-pipeline.js', 'api.js', 'api-init.js');
+
+  // Admin pages do not load components/auth-manager.js, so api-init.js installs a stub
+  assert.equal(await page.window.AuthSession.refreshToken(), false);
+  await assert.rejects(page.window.api.get('/orders', {}, { skipErrorHandling: true }), { status: 401 });
+
+  // Stubs without refreshToken are skipped too
+  page.window.AuthSession = { isAuthenticated: false };
+  await assert.rejects(page.window.api.get('/orders', {}, { skipErrorHandling: true }), { status: 401 });
+
+  assert.deepEqual(requests, ['GET /api/orders', 'GET /api/orders']);
+});
+
+test('a newer request with the same cancelKey cancels the older one', async () => {
+  const pending = [];
+  const page = createBrowserContext({
+    fetch: (url, options) => {
+      if (url === '/api/config') {
+        return Promise.resolve(jsonResponse({ success: true, data: {} }));
+      }
+      return new Promise((resolve, reject) => {
+        options.signal?.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        pending.push({ url, resolve });
+      });
+    }
+  }).load('config.js', 'utils.js', 'request-pipeline.js', 'api.js');
+  const { ApiService, isRequestCancelled } = page.window;
+
+  const first = ApiService.products.getById(1, {}, { cancelKey: 'quick-view' });
+  const firstResult = first.catch(error => error);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const second = ApiService.products.getById(2, {}, { cancelKey: 'quick-view' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(isRequestCancelled(await firstResult), true);
+
+  pending.find(request => request.url === '/api/products/2').resolve(jsonResponse({ success: true, data: { product: { id: 2 } } }));
+  assert.equal((await second).data.product.id, 2);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, jsonResponse } = require('./helpers/browser-context');
+
+/**
+ * Load stock alerts with one active alert cached on this device
+ * @returns {Object} Stock alerts instance and recorded requests
+ */
+function loadStockAlerts() {
+  const requests = [];
+  const page = createBrowserContext({
+    fetch: async (url, options) => {
+      if (url !== '/api/config') {
+        requests.push(`${options.method} ${url}`);
+      }
+      return jsonResponse({ success: true, data: {} });
+    }
+  }).load('config.js', 'utils.js', 'request-pipeline.js', 'api.js', 'components/stock-alerts.js');
+
+  page.evaluate(`CONFIG_UTILS.setStorageItem(APP_CONFIG.STORAGE_KEYS.STOCK_ALERTS, [
+    { id: 42, product_id: 7, variant_id: null, product_name: 'Silk Saree', channel: 'email', contact: 'guest@example.com', status: 'active' }
+  ])`);
+
+  const stockAlerts = new (page.evaluate('StockAlerts'))();
+  return { stockAlerts, requests };
+}
+
+test('a restock asks the server to send the alert email or SMS once', async () => {
+  const { stockAlerts, requests } = loadStockAlerts();
+
+  stockAlerts.checkRestocks([{ id: 7, stock_quantity: 0 }]);
+  assert.deepEqual(requests, []);
+
+  stockAlerts.checkRestocks([{ id: 7, stock_quantity: 3 }]);
+  stockAlerts.checkRestocks([{ id: 7, stock_quantity: 5 }]);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(requests, ['POST /api/stock-alerts/42/notify']);
+  assert.equal(stockAlerts.getAlerts()[0].status, 'notified');
+});
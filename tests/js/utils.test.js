@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext } = require('./helpers/browser-context');
+
+/**
+ * Build an unsigned JWT with the given claims
+ * @param {Object} claims - Token payload
+ * @returns {string} Token
+ */
+function createToken(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+test('TokenUtils reads the two-factor amr claim from admin tokens', () => {
+  const page = createBrowserContext().load('config.js', 'utils.js');
+  const TokenUtils = page.evaluate('TokenUtils');
+
+  assert.equal(TokenUtils.decodeClaims(createToken({ sub: 1, role: 'admin' })).role, 'admin');
+  assert.equal(TokenUtils.decodeClaims('not-a-token'), null);
+
+  assert.equal(TokenUtils.hasTwoFactorClaim(createToken({ amr: ['pwd', 'mfa'] })), true);
+  assert.equal(TokenUtils.hasTwoFactorClaim(createToken({ amr: ['pwd'] })), false);
+  assert.equal(TokenUtils.hasTwoFactorClaim(createToken({ role: 'admin' })), false);
+  assert.equal(TokenUtils.hasTwoFactorClaim('not-a-token'), false);
+});